@@ -0,0 +1,74 @@
+/* eslint-disable quote-props */
+/**
+ * JS185 Todo App
+ * api-routes.js
+ *
+ * The JSON API's routes, as a route map for `app.map()`. They're kept apart
+ * from todos.js so tests can check them against the API's OpenAPI document,
+ * openapi.yaml, without starting the app.
+ */
+"use strict";
+
+const API_BASE_PATH = "/api/v1";
+
+/**
+ * Given the object defining the JSON API's middleware functions, return the
+ * route map for the routes under {@link API_BASE_PATH}.
+ * @param {object} api the JSON API middleware, keyed by each route's OpenAPI
+ * `operationId`
+ * @returns {object} the JSON API's route map
+ */
+// eslint-disable-next-line max-lines-per-function
+function apiRouteMap(api) {
+  return {
+    "/lists": {
+      get: api.displayLists,
+      post: api.newList,
+      "/:listID": {
+        get: api.displayList,
+        patch: api.editList,
+        delete: api.removeList,
+        "/complete_all": {
+          post: api.completeAll,
+        },
+        "/reorder": {
+          post: api.reorderTodos,
+        },
+        "/todos": {
+          post: api.newTodo,
+          "/:todoID": {
+            get: api.displayTodo,
+            patch: api.editTodo,
+            delete: api.removeTodo,
+            "/toggle": {
+              post: api.toggle,
+            },
+            "/move": {
+              post: api.moveTodo,
+            },
+            "/subtasks": {
+              post: api.addSubtask,
+            },
+            "/tags": {
+              post: api.addTag,
+              "/:tag": {
+                delete: api.removeTag,
+              },
+            },
+          },
+        },
+      },
+    },
+    "/tags": {
+      get: api.displayTags,
+      "/:tag": {
+        get: api.displayTag,
+      },
+    },
+  };
+}
+
+module.exports = {
+  API_BASE_PATH,
+  apiRouteMap,
+};
@@ -0,0 +1,93 @@
+/**
+ * JS185 Todo App
+ * API Tokens
+ * api-token.js
+ *
+ * Generate, hash, and parse personal API tokens, which authenticate
+ * non-browser clients of the JSON API with an `Authorization: Bearer <token>`
+ * request header, and calendar apps subscribed to a user's `/calendar.ics`
+ * feed, with a `token` query parameter. A token's scope says which of the two
+ * it authenticates, so a calendar token, which ends up in URLs and calendar
+ * apps' settings, can't be used to change a user's todos.
+ *
+ * API tokens are secret tokens marked with `"todo_"`: see secret-token.js for
+ * how they're generated and stored.
+ */
+"use strict";
+
+const {
+  generateToken,
+  hashToken,
+  isTokenShaped,
+  tokenPrefix,
+} = require("./secret-token");
+
+const TOKEN_MARKER = "todo_";
+const DISPLAY_PREFIX_LENGTH = TOKEN_MARKER.length + 4;
+
+const API_TOKEN_SCOPE_API = "api";
+const API_TOKEN_SCOPE_CALENDAR = "calendar";
+// Keep this in sync with the api_token_scope type in the schema.
+const API_TOKEN_SCOPES = Object.freeze([
+  API_TOKEN_SCOPE_API,
+  API_TOKEN_SCOPE_CALENDAR,
+]);
+
+/**
+ * Generate a new random API token, like `"todo_3q2-7wEv..."`.
+ * @returns {string} the new token
+ */
+function generateAPIToken() {
+  return generateToken(TOKEN_MARKER);
+}
+
+/**
+ * Return `true` if `token` has the shape of an API token. It may still be
+ * unknown or revoked.
+ * @param {string} token the value to evaluate
+ * @returns {boolean} `true` if `token` is shaped like an API token
+ */
+function isAPITokenShaped(token) {
+  return isTokenShaped(token, TOKEN_MARKER);
+}
+
+/**
+ * Return the hash of an API token, as stored in the database.
+ * @param {string} token the token
+ * @returns {string} the token's hex-encoded SHA-256 hash
+ */
+function hashAPIToken(token) {
+  return hashToken(token);
+}
+
+/**
+ * Return the non-secret beginning of an API token, for displaying alongside
+ * its name, like `"todo_3q2-"`.
+ * @param {string} token the token
+ * @returns {string} the token's display prefix
+ */
+function apiTokenPrefix(token) {
+  return tokenPrefix(token, DISPLAY_PREFIX_LENGTH);
+}
+
+/**
+ * Given an `Authorization` request header value, return its bearer token.
+ * @param {string|undefined} header the header value, like `"Bearer abc"`
+ * @returns {string|undefined} the bearer token, or `undefined` if the header
+ * is missing or doesn't use the `Bearer` scheme
+ */
+function parseBearerToken(header) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header || "");
+  return match ? match[1] : undefined;
+}
+
+module.exports = {
+  API_TOKEN_SCOPE_API,
+  API_TOKEN_SCOPE_CALENDAR,
+  API_TOKEN_SCOPES,
+  apiTokenPrefix,
+  generateAPIToken,
+  hashAPIToken,
+  isAPITokenShaped,
+  parseBearerToken,
+};
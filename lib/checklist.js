@@ -0,0 +1,120 @@
+/**
+ * JS185 Todo App
+ * Markdown Checklists
+ * checklist.js
+ *
+ * Parse todo lists from a Markdown checklist, like one written with
+ * {@link TodoList#toMarkdown}:
+ *
+ *     # Groceries
+ *
+ *     - [ ] Buy milk
+ *       - [x] Check the date
+ *     - [x] Buy bread
+ *
+ * Each heading starts a new list titled with the heading's text, and each
+ * GitHub-style task list item (`- [ ]` or `- [x]`) becomes a todo in the
+ * current list. An indented task list item becomes a subtask of the todo
+ * above it. Any other lines are ignored.
+ */
+"use strict";
+
+const { TodoList } = require("./todolist");
+const nextID = require("./next-id");
+
+const MAX_TITLE_LENGTH = 100;
+
+const HEADING_PATTERN = /^ {0,3}#{1,6}\s+(.*?)(?:\s+#+)?\s*$/;
+const TASK_PATTERN = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.*?)\s*$/;
+
+/**
+ * Throw a `TypeError` describing an invalid checklist.
+ * @param {string} reason why the checklist is invalid
+ * @throws {TypeError}
+ */
+function invalid(reason) {
+  throw new TypeError(`Invalid checklist: ${reason}`);
+}
+
+function checkTitle(title, where) {
+  if (title === "") invalid(`${where} needs a title`);
+  if (title.length > MAX_TITLE_LENGTH) {
+    invalid(`${where}'s title is over ${MAX_TITLE_LENGTH} characters`);
+  }
+}
+
+/**
+ * Add a task list item to a parsed list, as a todo, or as a subtask of the
+ * list's last todo if the item is indented.
+ * @param {{title: string, todos: Array.<object>}} list the parsed list
+ * @param {Array.<string>} match the item's `TASK_PATTERN` match
+ * @param {number} lineNum the item's line number, for Error messages
+ */
+function addTask(list, [, indent, marker, title], lineNum) {
+  checkTitle(title, `the item on line ${lineNum}`);
+
+  const task = { id: nextID(), title, done: marker !== " " };
+  const parent = list.todos[list.todos.length - 1];
+  if (indent.length > 0 && parent) {
+    parent.subtasks.push(task);
+  } else {
+    list.todos.push({ ...task, subtasks: [] });
+  }
+}
+
+/**
+ * Parse the todo lists in a Markdown checklist. Task list items before the
+ * checklist's first heading are added to a list titled `defaultTitle`. Lists
+ * keep their items' order: they're manually sorted.
+ * @param {string} text the Markdown checklist
+ * @param {string} [defaultTitle] the title of the list for items before the
+ * first heading
+ * @returns {Array.<TodoList>} the checklist's todo lists, in order
+ * @throws {TypeError} if the checklist has no headings or task list items, has
+ * items before its first heading but no `defaultTitle`, or has an invalid or
+ * repeated title
+ */
+// eslint-disable-next-line max-lines-per-function
+function parseChecklist(text, defaultTitle = "") {
+  const lists = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      checkTitle(heading[1], `the heading on line ${index + 1}`);
+      current = { title: heading[1], todos: [] };
+      lists.push(current);
+      return;
+    }
+
+    const task = line.match(TASK_PATTERN);
+    if (!task) return;
+    if (!current) {
+      if (defaultTitle === "") {
+        invalid("give a list title for the items before the first heading");
+      }
+      current = { title: defaultTitle, todos: [] };
+      lists.push(current);
+    }
+    addTask(current, task, index + 1);
+  });
+
+  if (lists.length === 0) invalid("it has no headings or task list items");
+
+  const titles = new Set();
+  return lists.map(({ title, todos }) => {
+    if (titles.has(title)) invalid(`the list title "${title}" is repeated`);
+    titles.add(title);
+    return new TodoList({
+      id: nextID(),
+      title,
+      todos,
+      sortMode: TodoList.SORT_MODE_MANUAL,
+    });
+  });
+}
+
+module.exports = {
+  parseChecklist,
+};
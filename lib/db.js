@@ -4,19 +4,193 @@
  *
  * This module provides a single location to do node-postgres related
  * operations.
+ *
+ * Queries normally go straight to the connection pool, which may send
+ * consecutive statements to different pooled connections. That's fine for
+ * single statements, but a transaction's `BEGIN`, `COMMIT`, and every statement
+ * in between must share one connection. A "client scope" checks out a single
+ * dedicated client from the pool and binds it to the current asynchronous
+ * execution context (using `AsyncLocalStorage`), so every `query()` made inside
+ * the scope, no matter how deeply nested, uses that same client.
  */
 "use strict";
 
+const { AsyncLocalStorage } = require("node:async_hooks");
+
 const { createPool } = require("./db-pool");
 
 let pool;
 
-async function query(text, params) {
+// How long to wait before listening again, after losing a listening client's
+// connection, in milliseconds
+const LISTEN_RETRY_DELAY = 5000;
+
+/**
+ * Each store holds the scope's lazily checked-out client, as a Promise, so
+ * concurrent queries inside one scope never check out more than one client,
+ * and whether the scope's client has been released.
+ * @type {AsyncLocalStorage.<{client: (Promise.<object>|undefined),
+ * released: boolean}>}
+ */
+const clientStorage = new AsyncLocalStorage();
+
+async function getPool() {
   if (!pool) pool = await createPool();
-  const result = await pool.query(text, params);
+  return pool;
+}
+
+/**
+ * Return the client dedicated to the given scope, checking one out from the
+ * pool if this is the scope's first query.
+ * @param {{client: (Promise.<object>|undefined)}} scope the client scope
+ * @returns {Promise.<object>} a Promise, containing when fulfilled: the scope's
+ * dedicated `pg` client
+ */
+function getScopeClient(scope) {
+  if (!scope.client) {
+    scope.client = getPool().then((readyPool) => readyPool.connect());
+  }
+  return scope.client;
+}
+
+/**
+ * Execute a query, using the current client scope's dedicated client if there
+ * is one, or any available pooled client otherwise.
+ * @param {string} text the query text
+ * @param {Array} params the query parameters
+ * @returns {Promise.<object>} a Promise, containing when fulfilled: the `pg`
+ * query result
+ */
+async function query(text, params) {
+  const scope = clientStorage.getStore();
+  // Checking out another client here would leave it checked out for good:
+  // nothing releases a released scope's client again.
+  if (scope?.released) {
+    throw new Error("Cannot query in a client scope after releasing it.");
+  }
+  const client = scope ? await getScopeClient(scope) : await getPool();
+  const result = await client.query(text, params);
+  return result;
+}
+
+/**
+ * Return `true` if the current execution context is inside a client scope.
+ * @returns {boolean} `true` if queries made now share a dedicated client
+ */
+function inClientScope() {
+  return clientStorage.getStore() !== undefined;
+}
+
+/**
+ * Create a new client scope. No client is checked out from the pool until the
+ * first query runs inside the scope.
+ *
+ * Use `run()` to execute a callback, and everything it calls or awaits, inside
+ * the scope. Once the scope's work is complete, call `release()` exactly once
+ * to return the client to the pool. Passing an Error to `release()` destroys
+ * the client instead of returning it, which is appropriate if the client may
+ * be left in an unknown state (an aborted transaction, for example). Queries
+ * inside the scope fail once it's released.
+ *
+ * `hasClient()` returns `true` if a query has checked out the scope's client,
+ * and it hasn't been released yet.
+ * @returns {{run: function(function): *, release: function(Error=): Promise,
+ * hasClient: function(): boolean}} the new client scope
+ */
+function createClientScope() {
+  const scope = { client: undefined, released: false };
+  return {
+    run: (callback) => clientStorage.run(scope, callback),
+    hasClient: () => scope.client !== undefined,
+    release: async (err) => {
+      scope.released = true;
+      if (!scope.client) return;
+      // If checking out the client failed, there's nothing to release.
+      const client = await scope.client.catch(() => undefined);
+      scope.client = undefined;
+      if (client) client.release(err);
+    },
+  };
+}
+
+/**
+ * Execute the provided `callback` function, which takes `0` arguments, inside
+ * a client scope, so all its queries share a single dedicated client. Reuse the
+ * current scope if there already is one; otherwise, create a new scope and
+ * release its client once `callback` completes.
+ * @param {function} callback the function to execute
+ * @returns {Promise.<*>} a Promise, containing when fulfilled: `callback`'s
+ * return value
+ */
+async function withClient(callback) {
+  if (inClientScope()) return callback();
+
+  const scope = createClientScope();
+  let result;
+  try {
+    result = await scope.run(callback);
+  } catch (err) {
+    await scope.release(err);
+    throw err;
+  }
+  await scope.release();
   return result;
 }
 
+/**
+ * Check out a dedicated client from the pool, and call `onNotification` with
+ * the payload of each PostgreSQL notification sent to it on `channel`.
+ * @param {string} channel the channel's name
+ * @param {function(string): void} onNotification the function to call
+ * @param {function(Error): void} onLost the function to call if the client's
+ * connection is lost, after releasing the client
+ * @returns {Promise} a Promise, fulfilled once the client is listening
+ */
+async function listenOnce(channel, onNotification, onLost) {
+  const client = await (await getPool()).connect();
+  client.on("notification", (message) => {
+    if (message.channel === channel) onNotification(message.payload);
+  });
+  try {
+    await client.query(`LISTEN ${channel}`);
+  } catch (err) {
+    client.release(err);
+    throw err;
+  }
+  client.once("error", (err) => {
+    client.release(err);
+    onLost(err);
+  });
+}
+
+/**
+ * Call `onNotification` with the payload of each PostgreSQL notification sent
+ * on `channel`, for as long as the app runs. Listening holds one dedicated
+ * client from the pool. If listening fails, or the client's connection is
+ * lost, another client tries again after a delay; notifications sent in
+ * between are missed.
+ * @param {string} channel the channel's name; always a literal name provided
+ * by the app, and never user input, since it's interpolated into the `LISTEN`
+ * statement
+ * @param {function(string): void} onNotification the function to call
+ * @returns {Promise} a Promise, fulfilled once the first attempt to listen
+ * succeeds or fails
+ */
+function listen(channel, onNotification) {
+  const retry = (err) => {
+    console.log(new Error(`Caught error listening on ${channel}`, {
+      cause: err,
+    }));
+    setTimeout(() => listen(channel, onNotification), LISTEN_RETRY_DELAY)
+      .unref();
+  };
+  return listenOnce(channel, onNotification, retry).catch(retry);
+}
+
 module.exports = {
-  query
+  createClientScope,
+  inClientScope,
+  listen,
+  query,
+  withClient,
 };
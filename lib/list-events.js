@@ -0,0 +1,142 @@
+/**
+ * JS185 Todo App
+ * List Events
+ * list-events.js
+ *
+ * An event bus carrying the changes made to each list's todos, so pages open
+ * on a list can show other tabs' and other members' changes as they happen:
+ * see the `/lists/:listID/events` Server-Sent Events stream. `TodoPGStore`
+ * publishes an event for each change once the change's transaction commits.
+ *
+ * By default, events only reach subscribers in the same process. With more
+ * than one instance of the app, the bus can publish each event as a
+ * PostgreSQL `NOTIFY` instead: every instance `LISTEN`s on the channel, and
+ * delivers the events it receives, including its own, to its subscribers.
+ */
+"use strict";
+
+const { EventEmitter } = require("node:events");
+
+const { listen, query } = require("./db");
+
+/** @typedef { import("./typedefs").ListEvent } ListEvent */
+
+const LIST_EVENT_ADD = "add";
+const LIST_EVENT_REMOVE = "remove";
+const LIST_EVENT_RENAME = "rename";
+const LIST_EVENT_TOGGLE = "toggle";
+const LIST_EVENT_TYPES = Object.freeze([
+  LIST_EVENT_ADD,
+  LIST_EVENT_REMOVE,
+  LIST_EVENT_RENAME,
+  LIST_EVENT_TOGGLE,
+]);
+
+class ListEventBus {
+  // The PostgreSQL channel instances share events on; a literal, since LISTEN
+  // can't take it as a query parameter.
+  static NOTIFY_CHANNEL = "list_events";
+
+  #emitter;
+  #usesNotifications;
+
+  constructor() {
+    this.#emitter = new EventEmitter();
+    // Each open list page subscribes, so there's no useful listener limit.
+    this.#emitter.setMaxListeners(0);
+    this.#usesNotifications = false;
+  }
+
+  /**
+   * Call `listener` with each of the list's events, until the returned
+   * function is called.
+   * @param {number} listID the list's ID
+   * @param {function(ListEvent): void} listener the function to call
+   * @returns {function(): void} a function that stops calling `listener`
+   */
+  subscribe(listID, listener) {
+    const eventName = String(listID);
+    this.#emitter.on(eventName, listener);
+    return () => this.#emitter.off(eventName, listener);
+  }
+
+  /**
+   * Publish one of a list's events to its subscribers, in every instance if
+   * the bus uses notifications. Failing to publish an event only logs the
+   * failure: the change the event describes has already been saved.
+   * @param {number} listID the list's ID
+   * @param {ListEvent} event the event
+   * @returns {Promise} a Promise, fulfilled once the event is published
+   */
+  async publish(listID, event) {
+    if (!this.#usesNotifications) {
+      this.#emitter.emit(String(listID), event);
+      return;
+    }
+
+    try {
+      await query("SELECT pg_notify($1, $2)", [
+        ListEventBus.NOTIFY_CHANNEL,
+        JSON.stringify({ listID, event }),
+      ]);
+    } catch (err) {
+      console.log(new Error("Caught error publishing a list event", {
+        cause: err,
+      }));
+    }
+  }
+
+  /**
+   * Publish events as PostgreSQL notifications, and deliver the events every
+   * instance's bus publishes, including this one's, to this bus's subscribers.
+   * @returns {Promise} a Promise, fulfilled once the first attempt to listen
+   * for notifications succeeds or fails
+   */
+  useNotifications() {
+    this.#usesNotifications = true;
+    return listen(ListEventBus.NOTIFY_CHANNEL, (payload) => {
+      this.#receive(payload);
+    });
+  }
+
+  /**
+   * Deliver an event published by any instance's bus to this instance's
+   * subscribers. Ignore payloads that aren't events.
+   * @param {string} payload the notification's payload
+   */
+  #receive(payload) {
+    let listID, event;
+    try {
+      ({ listID, event } = JSON.parse(payload));
+    } catch {
+      return;
+    }
+    if (Number.isInteger(listID) && LIST_EVENT_TYPES.includes(event?.type)) {
+      this.#emitter.emit(String(listID), event);
+    }
+  }
+}
+
+/**
+ * Return a list event as a Server-Sent Events message, named for the event's
+ * type.
+ * @param {ListEvent} event the event
+ * @returns {string} the message, ready to write to an event stream
+ */
+function formatServerSentEvent({ type, todo }) {
+  return `event: ${type}\ndata: ${JSON.stringify(todo)}\n\n`;
+}
+
+// The app's one bus, shared by every store and event stream
+const listEvents = new ListEventBus();
+
+module.exports = {
+  LIST_EVENT_ADD,
+  LIST_EVENT_REMOVE,
+  LIST_EVENT_RENAME,
+  LIST_EVENT_TOGGLE,
+  LIST_EVENT_TYPES,
+  ListEventBus,
+  formatServerSentEvent,
+  listEvents,
+};
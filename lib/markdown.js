@@ -0,0 +1,161 @@
+/**
+ * JS185 Todo App
+ * Markdown Subset Renderer
+ * markdown.js
+ *
+ * Render a small, safe subset of Markdown to HTML, for displaying user-written
+ * todo notes. All HTML in the source text is escaped before any Markdown is
+ * interpreted, so the only markup in the result is markup this module creates.
+ *
+ * Supported syntax:
+ * - paragraphs, separated by blank lines; single newlines become `<br>`s
+ * - headings: `# `, `## `, and `### ` (rendered as `<h4>` to `<h6>`, so they
+ *   don't compete with the page's own headings)
+ * - unordered list items: `- `, `* `, or `+ `
+ * - ordered list items: `1. ` or `1) `
+ * - `**bold**`, `*italic*`, `_italic_`, and `` `inline code` ``
+ * - links: `[text](url)`, where the url must use `http:`, `https:`, or
+ *   `mailto:`. Links with any other url are rendered as their plain text.
+ */
+"use strict";
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+/**
+ * Return a copy of `text` with its HTML special characters escaped.
+ * @param {string} text the text to escape
+ * @returns {string} the escaped text
+ */
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+const LINK = /\[([^\]]+)\]\(([^)\s]+)\)/;
+const LINK_SEPARATOR = /(\[[^\]]+\]\([^)\s]+\))/;
+
+/**
+ * Render emphasis in already-escaped `text`, which contains no code spans or
+ * links.
+ * @param {string} text the escaped text
+ * @returns {string} the rendered HTML
+ */
+function renderEmphasis(text) {
+  return text
+    .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, "<strong>$1</strong>")
+    .replace(/\*(\S(?:.*?\S)?)\*/g, "<em>$1</em>")
+    .replace(/(^|[^\w])_(\S(?:.*?\S)?)_(?=[^\w]|$)/g, "$1<em>$2</em>");
+}
+
+/**
+ * Render a single link in already-escaped `text`. Links with unsafe urls are
+ * rendered as their plain text label.
+ * @param {string} text the escaped link Markdown
+ * @returns {string} the rendered HTML
+ */
+function renderLink(text) {
+  const [, label, url] = text.match(LINK);
+  if (!SAFE_URL.test(url)) return renderEmphasis(label);
+  const labelHTML = renderEmphasis(label);
+  return `<a href="${url}" rel="noopener noreferrer">${labelHTML}</a>`;
+}
+
+/**
+ * Render a single line's inline Markdown. Text inside code spans is left
+ * uninterpreted, and link urls are never treated as emphasis.
+ * @param {string} line the escaped line
+ * @returns {string} the rendered HTML
+ */
+function renderInline(line) {
+  // split() with a capturing group places the matched separators (the code
+  // spans, and then the links) at odd indices
+  return line
+    .split(/(`[^`]+`)/)
+    .map((codeSegment, codeIndex) => {
+      if (codeIndex % 2 === 1) {
+        return `<code>${codeSegment.slice(1, -1)}</code>`;
+      }
+      return codeSegment
+        .split(LINK_SEPARATOR)
+        .map((linkSegment, linkIndex) => {
+          if (linkIndex % 2 === 1) return renderLink(linkSegment);
+          return renderEmphasis(linkSegment);
+        })
+        .join("");
+    })
+    .join("");
+}
+
+/**
+ * Return the block type and content of a single line of escaped Markdown.
+ * @param {string} line the escaped line
+ * @returns {{type: string, content: string, level: (number|undefined)}} the
+ * line's block type: one of "blank", "heading", "ul", "ol", or "paragraph"
+ */
+function classifyLine(line) {
+  let match;
+  if (line.trim() === "") return { type: "blank", content: "" };
+  if ((match = line.match(/^(#{1,3})\s+(.*)$/))) {
+    return { type: "heading", content: match[2], level: match[1].length };
+  }
+  if ((match = line.match(/^\s*[-*+]\s+(.*)$/))) {
+    return { type: "ul", content: match[1] };
+  }
+  if ((match = line.match(/^\s*\d+[.)]\s+(.*)$/))) {
+    return { type: "ol", content: match[1] };
+  }
+  return { type: "paragraph", content: line.trim() };
+}
+
+/**
+ * Render a block: a group of consecutive lines sharing the same block type.
+ * A heading block always contains exactly one line.
+ * @param {{type: string, contents: Array.<string>, level: (number|undefined)}}
+ * block the block type, each line's rendered content, and the heading level
+ * @returns {string} the rendered HTML block
+ */
+function renderBlock({ type, contents, level }) {
+  if (type === "heading") return `<h${level + 3}>${contents[0]}</h${level + 3}>`;
+  if (type === "paragraph") return `<p>${contents.join("<br>")}</p>`;
+  const items = contents.map((content) => `<li>${content}</li>`).join("");
+  return `<${type}>${items}</${type}>`;
+}
+
+/**
+ * Render the given Markdown `source` text as HTML. The result is safe to
+ * insert, unescaped, into an HTML document.
+ * @param {string|null|undefined} source the Markdown text
+ * @returns {string} the rendered HTML, or an empty string if `source` is empty
+ */
+function renderMarkdown(source) {
+  const blocks = [];
+  let current = null;
+
+  escapeHTML(source || "").split(/\r?\n/).forEach((rawLine) => {
+    const line = classifyLine(rawLine);
+    if (line.type === "blank") {
+      current = null;
+      return;
+    }
+    if (!current || current.type !== line.type) {
+      current = { type: line.type, contents: [], level: line.level };
+      blocks.push(current);
+    }
+    current.contents.push(renderInline(line.content));
+    if (line.type === "heading") current = null;
+  });
+
+  return blocks.map(renderBlock).join("\n");
+}
+
+module.exports = {
+  escapeHTML,
+  renderMarkdown,
+};
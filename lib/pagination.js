@@ -0,0 +1,98 @@
+/**
+ * JS185 Todo App
+ * Pagination
+ * pagination.js
+ *
+ * Helpers shared by the todo stores' paginated methods. A page of results ends
+ * with a cursor, which the next page starts after. Cursors are opaque strings
+ * to clients: each store decides what to keep in them. The PostgreSQL store
+ * keeps the last result's sort key, so it can seek straight to the next page
+ * with an index instead of counting past the previous pages' rows.
+ */
+"use strict";
+
+/** @typedef { import("./typedefs").Page } Page */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// A cursor encodes a short array of values, so a much longer one is invalid.
+const MAX_CURSOR_LENGTH = 1000;
+
+/**
+ * Return an opaque cursor encoding a page's last result's key values.
+ * @param {Array.<string|number|boolean>} key the key values
+ * @returns {string} the cursor, safe to use in a URL
+ */
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+/**
+ * Return the key values a cursor encodes.
+ * @param {string} cursor the cursor, from {@link encodeCursor}
+ * @returns {Array.<string|number|boolean>|undefined} the key values, or
+ * `undefined` if `cursor` isn't a valid cursor
+ */
+function decodeCursor(cursor) {
+  if (typeof cursor !== "string" || cursor.length > MAX_CURSOR_LENGTH) {
+    return undefined;
+  }
+  try {
+    const key = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return Array.isArray(key) ? key : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Return a complete copy of a `Page` whose properties may be missing.
+ * @param {Page} [page] the page
+ * @returns {{limit: number|null, cursor: string|null}} the page, whose `limit`
+ * is `null` if every result is on one page, and whose `cursor` is `null` for
+ * the first page
+ */
+function normalizePage(page = {}) {
+  return {
+    limit: page.limit ?? null,
+    cursor: page.cursor ?? null,
+  };
+}
+
+/**
+ * Return one page of an array of `items`, already in order. The page's cursor
+ * is the ID of its last item.
+ * @param {Array.<*>} items the items, in order
+ * @param {Page} [page] the page to return
+ * @param {function(*): number} [idOf] a callback returning an item's ID
+ * @returns {{items: Array.<*>, nextCursor: string|null}|undefined} the page's
+ * items and the next page's cursor, or `undefined` if the page's cursor isn't
+ * the ID of one of the items
+ */
+function paginateArray(items, page = {}, idOf = (item) => item.id) {
+  const { limit, cursor } = normalizePage(page);
+  let start = 0;
+  if (cursor !== null) {
+    const [afterID] = decodeCursor(cursor) ?? [];
+    const index = items.findIndex((item) => idOf(item) === afterID);
+    if (index === -1) return undefined;
+    start = index + 1;
+  }
+
+  const end = limit === null ? items.length : start + limit;
+  const pageItems = items.slice(start, end);
+  const nextCursor = end < items.length
+    ? encodeCursor([idOf(pageItems[pageItems.length - 1])])
+    : null;
+  return { items: pageItems, nextCursor };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  decodeCursor,
+  encodeCursor,
+  normalizePage,
+  paginateArray,
+};
@@ -0,0 +1,319 @@
+/**
+ * JS185 Todo App
+ * Recurrence Rules
+ * recurrence.js
+ *
+ * Parse, format, and evaluate the small subset of iCalendar RRULE syntax
+ * (RFC 5545) that recurring todos use. A rule is a `;`-separated list of
+ * `NAME=VALUE` parts, optionally prefixed with `RRULE:`, in any letter case and
+ * ignoring whitespace:
+ * - `FREQ`: required; one of `DAILY`, `WEEKLY`, or `MONTHLY`
+ * - `INTERVAL`: optional; repeat every N days, weeks, or months (default `1`)
+ * - `BYDAY`: optional, `WEEKLY` only; a `,`-separated list of weekdays, from
+ *   `MO` to `SU`
+ * - `BYMONTHDAY`: optional, `MONTHLY` only; a day of the month, from `1` to
+ *   `31`. Months without that day use their last day instead.
+ *
+ * For example: `FREQ=DAILY`, `FREQ=DAILY;INTERVAL=3` (every 3 days),
+ * `FREQ=WEEKLY;BYDAY=MO,WE,FR`, or `FREQ=MONTHLY;BYMONTHDAY=1`.
+ *
+ * Dates are `YYYY-MM-DD` strings, and all date arithmetic happens in UTC, so
+ * the results don't depend on the server's time zone.
+ */
+"use strict";
+
+const FREQUENCIES = Object.freeze(["DAILY", "WEEKLY", "MONTHLY"]);
+const WEEKDAYS = Object.freeze(["MO", "TU", "WE", "TH", "FR", "SA", "SU"]);
+const WEEKDAY_NAMES = Object.freeze({
+  MO: "Mon",
+  TU: "Tue",
+  WE: "Wed",
+  TH: "Thu",
+  FR: "Fri",
+  SA: "Sat",
+  SU: "Sun",
+});
+const MAX_INTERVAL = 366;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * A parsed recurrence rule.
+ * @typedef {object} Recurrence
+ * @property {"DAILY"|"WEEKLY"|"MONTHLY"} freq the frequency
+ * @property {number} interval repeat every `interval` days, weeks, or months
+ * @property {Array.<string>} byDay the weekdays a `WEEKLY` rule repeats on,
+ * from `"MO"` to `"SU"`, in week order. Empty if the rule repeats on the same
+ * weekday as the date it starts from.
+ * @property {number|null} byMonthDay the day of the month a `MONTHLY` rule
+ * repeats on, or `null` if it repeats on the same day of the month as the
+ * date it starts from
+ */
+
+/**
+ * Throw a `TypeError` describing an invalid recurrence rule.
+ * @param {string} text the invalid rule
+ * @param {string} reason why the rule is invalid
+ * @throws {TypeError}
+ */
+function invalid(text, reason) {
+  throw new TypeError(`Invalid recurrence rule "${text}": ${reason}`);
+}
+
+/**
+ * Parse and return an integer rule part value between `min` and `max`.
+ * @param {string} text the whole rule, for error messages
+ * @param {string} name the rule part's name
+ * @param {string} value the rule part's value
+ * @param {number} min the smallest allowed value
+ * @param {number} max the largest allowed value
+ * @returns {number} the parsed value
+ * @throws {TypeError} if `value` isn't an integer between `min` and `max`
+ */
+function parseInteger(text, name, value, min, max) {
+  const num = Number(value);
+  if (!/^\d+$/.test(value) || num < min || num > max) {
+    invalid(text, `${name} must be a whole number from ${min} to ${max}`);
+  }
+  return num;
+}
+
+/**
+ * Parse and return a `BYDAY` rule part's weekdays, in week order.
+ * @param {string} text the whole rule, for error messages
+ * @param {string} value the rule part's value
+ * @returns {Array.<string>} the weekdays
+ * @throws {TypeError} if `value` isn't a list of unique weekdays
+ */
+function parseWeekdays(text, value) {
+  const days = value.split(",");
+  if (!days.every((day) => WEEKDAYS.includes(day))) {
+    invalid(text, `BYDAY must list weekdays from ${WEEKDAYS.join(", ")}`);
+  }
+  if (new Set(days).size !== days.length) {
+    invalid(text, "BYDAY lists a weekday more than once");
+  }
+  return WEEKDAYS.filter((day) => days.includes(day));
+}
+
+/**
+ * Split a rule's text into an object mapping each part's name to its value.
+ * @param {string} text the rule
+ * @returns {Object.<string, string>} the rule's parts
+ * @throws {TypeError} if a part is malformed, unsupported, or repeated
+ */
+function splitParts(text) {
+  const parts = {};
+  text
+    .replace(/\s+/g, "")
+    .toUpperCase()
+    .replace(/^RRULE:/, "")
+    .split(";")
+    .forEach((part) => {
+      const [name, value, ...rest] = part.split("=");
+      if (!name || !value || rest.length > 0) {
+        invalid(text, `"${part}" isn't a NAME=VALUE pair`);
+      }
+      if (!["FREQ", "INTERVAL", "BYDAY", "BYMONTHDAY"].includes(name)) {
+        invalid(text, `${name} isn't supported`);
+      }
+      if (Object.hasOwn(parts, name)) invalid(text, `${name} is repeated`);
+      parts[name] = value;
+    });
+  return parts;
+}
+
+/**
+ * Check that a rule has a valid frequency, and only the parts that frequency
+ * supports.
+ * @param {string} text the whole rule, for error messages
+ * @param {Object.<string, string>} parts the rule's parts
+ * @throws {TypeError} if the frequency is missing or invalid, or if a part
+ * doesn't apply to it
+ */
+function checkFrequency(text, parts) {
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    invalid(text, `FREQ must be one of ${FREQUENCIES.join(", ")}`);
+  }
+  if (parts.BYDAY && parts.FREQ !== "WEEKLY") {
+    invalid(text, "BYDAY is only supported with FREQ=WEEKLY");
+  }
+  if (parts.BYMONTHDAY && parts.FREQ !== "MONTHLY") {
+    invalid(text, "BYMONTHDAY is only supported with FREQ=MONTHLY");
+  }
+}
+
+/**
+ * Parse a recurrence rule.
+ * @param {string} text the rule, like `"FREQ=WEEKLY;BYDAY=MO,WE"`
+ * @returns {Recurrence} the parsed rule
+ * @throws {TypeError} if `text` isn't a valid rule
+ */
+function parseRecurrence(text) {
+  if (typeof text !== "string") invalid(text, "a rule must be a string");
+  const parts = splitParts(text);
+  checkFrequency(text, parts);
+
+  return {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL
+      ? parseInteger(text, "INTERVAL", parts.INTERVAL, 1, MAX_INTERVAL)
+      : 1,
+    byDay: parts.BYDAY ? parseWeekdays(text, parts.BYDAY) : [],
+    byMonthDay: parts.BYMONTHDAY
+      ? parseInteger(text, "BYMONTHDAY", parts.BYMONTHDAY, 1, 31)
+      : null,
+  };
+}
+
+/**
+ * Return `true` if `text` is a valid recurrence rule.
+ * @param {string} text the rule to evaluate
+ * @returns {boolean} `true` if `text` is a valid rule
+ */
+function isValidRecurrence(text) {
+  try {
+    parseRecurrence(text);
+    return true;
+  } catch (err) {
+    if (err instanceof TypeError) return false;
+    throw err;
+  }
+}
+
+/**
+ * Return a rule's canonical text: upper case, without an `RRULE:` prefix,
+ * with its parts in a fixed order, and without a default `INTERVAL=1`.
+ * @param {string|Recurrence} rule the rule's text, or the parsed rule
+ * @returns {string} the canonical rule text
+ * @throws {TypeError} if `rule` is text and isn't a valid rule
+ */
+function formatRecurrence(rule) {
+  const { freq, interval, byDay, byMonthDay } =
+    typeof rule === "string" ? parseRecurrence(rule) : rule;
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (byDay.length > 0) parts.push(`BYDAY=${byDay.join(",")}`);
+  if (byMonthDay !== null) parts.push(`BYMONTHDAY=${byMonthDay}`);
+  return parts.join(";");
+}
+
+/**
+ * Return a short, human-readable description of a rule, like `"Every 3 days"`
+ * or `"Weekly on Mon, Wed"`.
+ * @param {string|Recurrence} rule the rule's text, or the parsed rule
+ * @returns {string} the description
+ * @throws {TypeError} if `rule` is text and isn't a valid rule
+ */
+function describeRecurrence(rule) {
+  const { freq, interval, byDay, byMonthDay } =
+    typeof rule === "string" ? parseRecurrence(rule) : rule;
+  const unit = { DAILY: "day", WEEKLY: "week", MONTHLY: "month" }[freq];
+  let description = interval === 1
+    ? { DAILY: "Daily", WEEKLY: "Weekly", MONTHLY: "Monthly" }[freq]
+    : `Every ${interval} ${unit}s`;
+  if (byDay.length > 0) {
+    description += ` on ${byDay.map((day) => WEEKDAY_NAMES[day]).join(", ")}`;
+  }
+  if (byMonthDay !== null) description += ` on day ${byMonthDay}`;
+  return description;
+}
+
+/**
+ * Convert a `YYYY-MM-DD` string to a count of days since the Unix epoch.
+ * @param {string} date the date
+ * @returns {number} the day number
+ * @throws {TypeError} if `date` isn't a `YYYY-MM-DD` string
+ */
+function toDayNumber(date) {
+  const match = ISO_DATE.exec(date);
+  if (!match) throw new TypeError(`Invalid date: ${date}`);
+  const [, year, month, day] = match.map(Number);
+  return Date.UTC(year, month - 1, day) / MS_PER_DAY;
+}
+
+/**
+ * Convert a count of days since the Unix epoch to a `YYYY-MM-DD` string.
+ * @param {number} dayNumber the day number
+ * @returns {string} the date
+ */
+function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Return the Monday-based weekday index (`0` for Monday, up to `6` for Sunday)
+ * of a day number.
+ * @param {number} dayNumber the day number
+ * @returns {number} the weekday index
+ */
+function weekdayIndex(dayNumber) {
+  // The Unix epoch, 1970-01-01, was a Thursday.
+  return (dayNumber + 3) % 7;
+}
+
+/**
+ * Return the next occurrence of a `MONTHLY` rule after `after`.
+ * @param {Recurrence} rule the parsed rule
+ * @param {number} after the day number to start from
+ * @returns {number} the next occurrence's day number
+ */
+function nextMonthly({ interval, byMonthDay }, after) {
+  const start = new Date(after * MS_PER_DAY);
+  const day = byMonthDay || start.getUTCDate();
+
+  // With BYMONTHDAY, the next occurrence may still be in the starting month
+  for (let offset = 0; ; offset += 1) {
+    if (offset % interval !== 0) continue;
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth() + offset;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const candidate = Date.UTC(year, month, Math.min(day, lastDay));
+    if (candidate / MS_PER_DAY > after) return candidate / MS_PER_DAY;
+  }
+}
+
+/**
+ * Return the next occurrence of a `WEEKLY` rule after `after`.
+ * @param {Recurrence} rule the parsed rule
+ * @param {number} after the day number to start from
+ * @returns {number} the next occurrence's day number
+ */
+function nextWeekly({ interval, byDay }, after) {
+  if (byDay.length === 0) return after + (7 * interval);
+
+  // Weeks start on Monday. Only every `interval`th week, counting from the
+  // starting date's week, has occurrences.
+  const weekStart = after - weekdayIndex(after);
+  for (let candidate = after + 1; ; candidate += 1) {
+    const week = Math.floor((candidate - weekStart) / 7);
+    const weekday = WEEKDAYS[weekdayIndex(candidate)];
+    if (week % interval === 0 && byDay.includes(weekday)) return candidate;
+  }
+}
+
+/**
+ * Return the first date a rule occurs on that's strictly after `after`.
+ * @param {string|Recurrence} rule the rule's text, or the parsed rule
+ * @param {string} after the `YYYY-MM-DD` date to start from. It's also the
+ * rule's anchor: a rule without `BYDAY` or `BYMONTHDAY` repeats on the same
+ * weekday or day of the month as this date.
+ * @returns {string} the next occurrence's `YYYY-MM-DD` date
+ * @throws {TypeError} if `rule` is text and isn't a valid rule, or if `after`
+ * isn't a `YYYY-MM-DD` string
+ */
+function nextOccurrence(rule, after) {
+  const parsed = typeof rule === "string" ? parseRecurrence(rule) : rule;
+  const start = toDayNumber(after);
+  if (parsed.freq === "DAILY") return fromDayNumber(start + parsed.interval);
+  if (parsed.freq === "WEEKLY") return fromDayNumber(nextWeekly(parsed, start));
+  return fromDayNumber(nextMonthly(parsed, start));
+}
+
+module.exports = {
+  describeRecurrence,
+  formatRecurrence,
+  isValidRecurrence,
+  nextOccurrence,
+  parseRecurrence,
+};
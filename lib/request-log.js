@@ -0,0 +1,88 @@
+/**
+ * JS185 Todo App
+ * Request Log
+ * request-log.js
+ *
+ * Log each request in the Apache common log format, like morgan's `"common"`
+ * format, but with secrets taken out of the logged URL. Calendar apps
+ * subscribed to a user's `/calendar.ics` feed send their API token as a
+ * `token` query parameter, and a share link's token is part of its
+ * `/shared/:token` path: logging either would leave a working token in the
+ * logs.
+ */
+"use strict";
+
+const morgan = require("morgan");
+
+const REDACTED = "[REDACTED]";
+
+// The query parameters whose values are secrets. Express's query parser
+// decodes parameter names and reads `token[]` or `token[0]` as `token`, too.
+const SECRET_QUERY_PARAMS = Object.freeze(["token"]);
+// The paths with a secret segment, each capturing the path before the secret
+const SECRET_PATH_PATTERNS = Object.freeze([/^(\/shared\/)[^/]+/i]);
+
+const REQUEST_LOG_FORMAT =
+  ":remote-addr - :remote-user [:date[clf]] " +
+  '":method :redacted-url HTTP/:http-version" :status :res[content-length]';
+
+/**
+ * Return a query parameter's decoded name, without any brackets, like `token`
+ * for `to%6Ben[]`.
+ * @param {string} param the raw query parameter, like `"token=abc"`
+ * @returns {string} the parameter's name
+ */
+function queryParamName(param) {
+  const [rawName] = param.split("=", 1);
+  let name;
+  try {
+    name = decodeURIComponent(rawName.replace(/\+/g, " "));
+  } catch {
+    name = rawName;
+  }
+  return name.replace(/\[.*$/, "");
+}
+
+/**
+ * Return the request URL with its secret path segment and the values of its
+ * secret query parameters replaced, so it's safe to log.
+ * @example
+ * redactURL("/calendar.ics?token=todo_abc&x=1");
+ * // "/calendar.ics?token=[REDACTED]&x=1"
+ * redactURL("/shared/3q2-7wEv");
+ * // "/shared/[REDACTED]"
+ * @param {string} url the request URL: a path, and an optional query string
+ * @returns {string} the redacted URL
+ */
+function redactURL(url) {
+  const queryStart = url.includes("?") ? url.indexOf("?") : url.length;
+  const redactedPath = SECRET_PATH_PATTERNS.reduce((urlPath, pattern) => {
+    return urlPath.replace(pattern, `$1${REDACTED}`);
+  }, url.slice(0, queryStart));
+  if (queryStart === url.length) return redactedPath;
+
+  const params = url.slice(queryStart + 1).split("&").map((param) => {
+    if (!SECRET_QUERY_PARAMS.includes(queryParamName(param))) return param;
+    const [rawName] = param.split("=", 1);
+    return `${rawName}=${REDACTED}`;
+  });
+  return `${redactedPath}?${params.join("&")}`;
+}
+
+morgan.token("redacted-url", (req) => redactURL(req.originalUrl || req.url));
+
+/**
+ * Return a new morgan middleware function that logs each request in
+ * `REQUEST_LOG_FORMAT`, with its URL redacted by `redactURL()`.
+ * @param {object} [options] morgan's options, like the `stream` to write to
+ * @returns {function} the new middleware function
+ */
+function requestLogger(options = {}) {
+  return morgan(REQUEST_LOG_FORMAT, options);
+}
+
+module.exports = {
+  REQUEST_LOG_FORMAT,
+  redactURL,
+  requestLogger,
+};
@@ -0,0 +1,56 @@
+/**
+ * JS185 Todo App
+ * route-map.js
+ *
+ * Flatten the nested route map objects given to `app.map()` into a list of
+ * routes.
+ */
+"use strict";
+
+const METHODS = Object.freeze([
+  "all",
+  "delete",
+  "get",
+  "head",
+  "options",
+  "patch",
+  "post",
+  "put",
+]);
+
+/**
+ * @typedef MappedRoute
+ * @property {string} method the lowercase HTTP method, or `"all"`
+ * @property {string} path the route path, like `"/lists/:listID"`
+ * @property {Array.<function>} handlers the route's middleware functions
+ */
+
+/**
+ * Given a route map object, return each of its routes, in the order
+ * `app.map()` registers them. A route map's keys are either HTTP methods,
+ * whose values are a middleware function or an array of them, or path
+ * segments, whose values are nested route maps.
+ * @example
+ * listRoutes({ "/lists": { get: displayLists, "/:listID": { get: list } } });
+ * // [{ method: "get", path: "/lists", handlers: [displayLists] },
+ * //  { method: "get", path: "/lists/:listID", handlers: [list] }]
+ * @param {object} routeMap the object mapping routes to middleware
+ * @param {string} [route] the current route prefix
+ * @returns {Array.<MappedRoute>} the routes
+ * @throws {TypeError} if a key with a middleware value isn't an HTTP method
+ */
+function listRoutes(routeMap, route = "") {
+  return Object.entries(routeMap).flatMap(([key, value]) => {
+    if (typeof value === "function" || Array.isArray(value)) {
+      if (!METHODS.includes(key)) {
+        throw new TypeError(`Not an HTTP method: ${key} (at "${route}")`);
+      }
+      return [{ method: key, path: route, handlers: [value].flat() }];
+    }
+    return listRoutes(value, route + key);
+  });
+}
+
+module.exports = {
+  listRoutes,
+};
@@ -0,0 +1,165 @@
+/**
+ * JS185 Todo App
+ * Todo Search
+ * search.js
+ *
+ * Helpers shared by the todo stores' `search()` methods. A search result's
+ * title and notes snippets are arrays of `TextSegment`s rather than HTML, so
+ * views can highlight the matching parts of user-entered text without
+ * trusting that text as markup.
+ */
+"use strict";
+
+/** @typedef { import("./typedefs").SearchResult } SearchResult */
+/** @typedef { import("./typedefs").SearchResultList } SearchResultList */
+/** @typedef { import("./typedefs").TextSegment } TextSegment */
+
+const MAX_SEARCH_RESULTS = 100;
+const MAX_QUERY_LENGTH = 200;
+
+// Control characters that mark where PostgreSQL's `ts_headline()` highlights
+// begin and end. Unlike HTML tags, they don't turn up in typed text.
+const HIGHLIGHT_START = "\u0002";
+const HIGHLIGHT_STOP = "\u0003";
+
+const EXCERPT_CONTEXT_LENGTH = 40;
+
+/**
+ * Return a search query's terms, for substring searches: its words, in lower
+ * case, without surrounding quotes.
+ * @param {string} query the search query, like `"buy milk"`
+ * @returns {Array.<string>} the query's unique terms, like `["buy", "milk"]`
+ */
+function searchTerms(query) {
+  const terms = query
+    .toLowerCase()
+    .split(/\s+/)
+    .map((word) => word.replace(/^["']+|["']+$/g, ""))
+    .filter((term) => term !== "");
+  return [...new Set(terms)];
+}
+
+/**
+ * Return `true` if `text` contains each of the search terms, ignoring case.
+ * @param {string} text the text to search
+ * @param {Array.<string>} terms the lower case search terms
+ * @returns {boolean} `true` if every term is in `text`
+ */
+function matchesTerms(text, terms) {
+  const lowerText = text.toLowerCase();
+  return terms.length > 0 && terms.every((term) => lowerText.includes(term));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Split `text` into segments, highlighting each occurrence of the search
+ * terms, ignoring case.
+ * @param {string} text the text to highlight
+ * @param {Array.<string>} terms the search terms
+ * @returns {Array.<TextSegment>} the text's segments, in order
+ */
+function highlightTerms(text, terms) {
+  if (terms.length === 0 || text === "") {
+    return text === "" ? [] : [{ text, highlighted: false }];
+  }
+  // Try longer terms first, so a term that starts another is highlighted in
+  // full.
+  const alternatives = [...terms]
+    .sort((termA, termB) => termB.length - termA.length)
+    .map(escapeRegExp);
+  const pattern = new RegExp(`(${alternatives.join("|")})`, "iu");
+  return text
+    .split(pattern)
+    .map((part, index) => ({ text: part, highlighted: index % 2 === 1 }))
+    .filter((segment) => segment.text !== "");
+}
+
+/**
+ * Return a highlighted excerpt of `text` around its first occurrence of any of
+ * the search terms, with an ellipsis where text is left out.
+ * @param {string} text the text, like a todo's notes
+ * @param {Array.<string>} terms the lower case search terms
+ * @returns {Array.<TextSegment>} the excerpt's segments, or an empty array if
+ * `text` doesn't contain any of the terms
+ */
+function excerptTerms(text, terms) {
+  const lowerText = text.toLowerCase();
+  const indexes = terms
+    .map((term) => lowerText.indexOf(term))
+    .filter((index) => index !== -1);
+  if (indexes.length === 0) return [];
+
+  const matchIndex = Math.min(...indexes);
+  const start = Math.max(0, matchIndex - EXCERPT_CONTEXT_LENGTH);
+  const end = Math.min(text.length, matchIndex + (2 * EXCERPT_CONTEXT_LENGTH));
+  let excerpt = text.slice(start, end).replace(/\s+/g, " ").trim();
+  if (start > 0) excerpt = `…${excerpt}`;
+  if (end < text.length) excerpt = `${excerpt}…`;
+  return highlightTerms(excerpt, terms);
+}
+
+/**
+ * Split a `ts_headline()` result, whose highlights are marked with
+ * `HIGHLIGHT_START` and `HIGHLIGHT_STOP`, into segments.
+ * @param {string} headline the headline
+ * @returns {Array.<TextSegment>} the headline's segments, in order
+ */
+function parseHeadline(headline) {
+  const segments = [];
+  headline.split(HIGHLIGHT_START).forEach((part, index) => {
+    // Every part but the first starts with a highlighted word.
+    const [highlighted, rest] = index === 0
+      ? ["", part]
+      : part.split(HIGHLIGHT_STOP);
+    if (highlighted) segments.push({ text: highlighted, highlighted: true });
+    if (rest) segments.push({ text: rest, highlighted: false });
+  });
+  return segments;
+}
+
+/**
+ * Return `true` if any of the segments is highlighted.
+ * @param {Array.<TextSegment>} segments the segments
+ * @returns {boolean} `true` if a segment is highlighted
+ */
+function hasHighlight(segments) {
+  return segments.some((segment) => segment.highlighted);
+}
+
+/**
+ * Group search results by their lists, keeping the results' order.
+ * @param {Array.<SearchResult>} results the search results, sorted by list
+ * @returns {Array.<SearchResultList>} each list with matching todos, and its
+ * matching todos
+ */
+function groupSearchResults(results) {
+  const lists = new Map();
+  results.forEach((result) => {
+    if (!lists.has(result.listID)) {
+      lists.set(result.listID, {
+        id: result.listID,
+        title: result.listTitle,
+        todos: [],
+      });
+    }
+    lists.get(result.listID).todos.push(result);
+  });
+  return [...lists.values()];
+}
+
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_STOP,
+  MAX_QUERY_LENGTH,
+  MAX_SEARCH_RESULTS,
+  excerptTerms,
+  groupSearchResults,
+  hasHighlight,
+  highlightTerms,
+  matchesTerms,
+  parseHeadline,
+  searchTerms,
+};
@@ -0,0 +1,71 @@
+/**
+ * JS185 Todo App
+ * Secret Tokens
+ * secret-token.js
+ *
+ * Generate, check, and hash the app's secret tokens: personal API tokens (see
+ * api-token.js) and share link tokens (see share-link.js). Each kind of token
+ * can start with a marker, like `"todo_"`, followed by 32 random bytes,
+ * base64url-encoded, so every token is safe to use in a URL.
+ *
+ * A token is shown to its user once, when it's created. Only its SHA-256 hash
+ * is stored, along with a short, non-secret prefix to help the user recognize
+ * it. Tokens are long random values rather than user-chosen passwords, so a
+ * fast hash is enough: there's nothing to gain from a slow hash like bcrypt.
+ */
+"use strict";
+
+const crypto = require("node:crypto");
+
+const TOKEN_BYTES = 32;
+// The length of `TOKEN_BYTES` random bytes, base64url-encoded without padding
+const TOKEN_BODY_LENGTH = Math.ceil(TOKEN_BYTES * 4 / 3);
+
+/**
+ * Generate a new random token, starting with `marker`.
+ * @param {string} [marker] the kind of token's marker, if it has one
+ * @returns {string} the new token
+ */
+function generateToken(marker = "") {
+  return marker + crypto.randomBytes(TOKEN_BYTES).toString("base64url");
+}
+
+/**
+ * Return `true` if `token` has the shape of a token generated with `marker`.
+ * It may still be unknown, revoked, or expired.
+ * @param {*} token the value to evaluate
+ * @param {string} [marker] the kind of token's marker, if it has one
+ * @returns {boolean} `true` if `token` is shaped like a token
+ */
+function isTokenShaped(token, marker = "") {
+  return typeof token === "string" &&
+    token.length === marker.length + TOKEN_BODY_LENGTH &&
+    token.startsWith(marker) &&
+    /^[A-Za-z0-9_-]*$/.test(token.slice(marker.length));
+}
+
+/**
+ * Return the hash of a token, as stored in the database.
+ * @param {string} token the token
+ * @returns {string} the token's hex-encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Return the non-secret beginning of a token, for displaying to its user.
+ * @param {string} token the token
+ * @param {number} length the prefix's length, including any marker
+ * @returns {string} the token's display prefix
+ */
+function tokenPrefix(token, length) {
+  return token.slice(0, length);
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+  isTokenShaped,
+  tokenPrefix,
+};
@@ -0,0 +1,68 @@
+/**
+ * JS185 Todo App
+ * Share Links
+ * share-link.js
+ *
+ * Generate and hash the tokens of share links, which show one list, read-only,
+ * to anyone who has the link's `/shared/:token` URL, without signing in. A
+ * list's owner can revoke a link, or give it a date after which it stops
+ * working.
+ *
+ * A share link's token is an unmarked secret token: like an API token, it's
+ * shown to the list's owner once, when the link is created, and only its hash
+ * and a short, non-secret prefix are stored. See secret-token.js.
+ */
+"use strict";
+
+const {
+  generateToken,
+  hashToken,
+  isTokenShaped,
+  tokenPrefix,
+} = require("./secret-token");
+
+const DISPLAY_PREFIX_LENGTH = 6;
+
+/**
+ * Generate a new random share link token, safe to use in a URL.
+ * @returns {string} the new token
+ */
+function generateShareToken() {
+  return generateToken();
+}
+
+/**
+ * Return `true` if `token` has the shape of a share link token. It may still
+ * be unknown, revoked, or expired.
+ * @param {string} token the value to evaluate
+ * @returns {boolean} `true` if `token` is shaped like a share link token
+ */
+function isShareTokenShaped(token) {
+  return isTokenShaped(token);
+}
+
+/**
+ * Return the hash of a share link token, as stored in the database.
+ * @param {string} token the token
+ * @returns {string} the token's hex-encoded SHA-256 hash
+ */
+function hashShareToken(token) {
+  return hashToken(token);
+}
+
+/**
+ * Return the non-secret beginning of a share link token, to help the list's
+ * owner tell its links apart.
+ * @param {string} token the token
+ * @returns {string} the token's display prefix
+ */
+function shareTokenPrefix(token) {
+  return tokenPrefix(token, DISPLAY_PREFIX_LENGTH);
+}
+
+module.exports = {
+  generateShareToken,
+  hashShareToken,
+  isShareTokenShaped,
+  shareTokenPrefix,
+};
@@ -0,0 +1,326 @@
+/**
+ * JS185 Todo App
+ * Todo CSV Files
+ * todo-csv.js
+ *
+ * Write todo lists as CSV files for spreadsheets, and read CSV files back into
+ * todo lists. A CSV file has a header row, then a row per todo:
+ *
+ *     List,Title,Done,Due Date,Priority,Tags,Repeats,Notes,Subtask
+ *     Groceries,Buy milk,false,2024-01-05,high,dairy,,,false
+ *     Groceries,Check the date,true,,none,,,,true
+ *
+ * A subtask's row comes after its parent todo's row, and has `true` in its
+ * "Subtask" column. When reading a file, its columns may be in any order, and
+ * are mapped to todo fields by {@link guessColumnFields}, or by the user.
+ *
+ * The format follows RFC 4180: fields containing commas, quotes, or line
+ * breaks are quoted, and quotes inside them are doubled. Fields that a
+ * spreadsheet would run as a formula are written with a leading `'`, which is
+ * removed when the file is read.
+ */
+"use strict";
+
+const { TodoList } = require("./todolist");
+const nextID = require("./next-id");
+
+/**
+ * The todo fields a CSV column can map to, in the order they're written. A
+ * record's `subtask` field is `true` if its todo is a subtask of the todo
+ * before it.
+ */
+const CSV_FIELDS = Object.freeze([
+  { name: "list", label: "List" },
+  { name: "title", label: "Title" },
+  { name: "done", label: "Done" },
+  { name: "dueDate", label: "Due Date" },
+  { name: "priority", label: "Priority" },
+  { name: "tags", label: "Tags" },
+  { name: "recurrence", label: "Repeats" },
+  { name: "notes", label: "Notes" },
+  { name: "subtask", label: "Subtask" },
+]);
+
+/** The fields every CSV file must have a column for. */
+const REQUIRED_CSV_FIELDS = Object.freeze(["list", "title"]);
+
+const TRUE_VALUES = ["true", "yes", "y", "x", "1"];
+const FALSE_VALUES = ["", "false", "no", "n", "0"];
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NEEDS_QUOTES = /[",\r\n]/;
+
+/**
+ * A todo read from one row of a CSV file. Each property is the text of the
+ * row's column for that field, or `""` if no column maps to the field, except
+ * `tags`, which is the column's text split into separate tags.
+ * @typedef {object} CSVRecord
+ * @property {string} list the title of the todo's list
+ * @property {string} title the todo's title
+ * @property {string} done whether the todo is done; see {@link parseCSVBoolean}
+ * @property {string} dueDate the todo's due date, as `YYYY-MM-DD`
+ * @property {string} priority the todo's priority
+ * @property {Array.<string>} tags the todo's tags
+ * @property {string} recurrence the todo's recurrence rule
+ * @property {string} notes the todo's notes
+ * @property {string} subtask whether the todo is a subtask of the todo in the
+ * row before it; see {@link parseCSVBoolean}
+ */
+
+function formatField(value) {
+  let field = String(value ?? "");
+  if (FORMULA_START.test(field)) field = `'${field}`;
+  if (NEEDS_QUOTES.test(field)) field = `"${field.replace(/"/g, '""')}"`;
+  return field;
+}
+
+function unguardField(field) {
+  return /^'[=+\-@\t\r]/.test(field) ? field.slice(1) : field;
+}
+
+/**
+ * Return the given rows as CSV text, with CRLF line breaks.
+ * @param {Array.<Array.<any>>} rows the rows, each an array of field values
+ * @returns {string} the CSV text
+ */
+function formatCSV(rows) {
+  return rows.map((row) => `${row.map(formatField).join(",")}\r\n`).join("");
+}
+
+/**
+ * Parse CSV text into rows of fields. Blank lines are skipped.
+ * @param {string} text the CSV text
+ * @returns {Array.<Array.<string>>} the rows, each an array of fields
+ * @throws {TypeError} if a quoted field is never closed
+ */
+// eslint-disable-next-line max-lines-per-function, max-statements
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let index = text.startsWith("\uFEFF") ? 1 : 0;
+
+  const endField = () => {
+    row.push(quoted ? field : unguardField(field));
+    field = "";
+    quoted = false;
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+    if (char === '"' && field === "" && !quoted) {
+      let end = text.indexOf('"', index + 1);
+      while (end !== -1 && text[end + 1] === '"') {
+        end = text.indexOf('"', end + 2);
+      }
+      if (end === -1) throw new TypeError("Invalid CSV: a quote isn't closed");
+      field = unguardField(text.slice(index + 1, end).replace(/""/g, '"'));
+      quoted = true;
+      index = end + 1;
+    } else if (char === ",") {
+      endField();
+      index += 1;
+    } else if (char === "\r" || char === "\n") {
+      endRow();
+      index += char === "\r" && text[index + 1] === "\n" ? 2 : 1;
+    } else {
+      field += char;
+      index += 1;
+    }
+  }
+  if (field !== "" || quoted || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Return `true`, `false`, or `undefined` for a CSV "Done" or "Subtask" field:
+ * `true`, `yes`, `y`, `x`, or `1` are `true`, and an empty field, `false`,
+ * `no`, `n`, or `0` are `false`, ignoring case and surrounding whitespace.
+ * @param {string} value the field
+ * @returns {boolean|undefined} the field's value, or `undefined` if it isn't
+ * one of the above
+ */
+function parseCSVBoolean(value) {
+  const normalized = String(value ?? "").trim().toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  return undefined;
+}
+
+function todoRow(todoList, todo, isSubtask) {
+  return [
+    todoList.getTitle(),
+    todo.getTitle(),
+    todo.isDone(),
+    todo.getDueDate(),
+    todo.getPriority(),
+    todo.getTags().join(" "),
+    todo.getRecurrence(),
+    todo.getNotes(),
+    isSubtask,
+  ];
+}
+
+/**
+ * Return the todo lists as CSV text, with a header row, then a row for each
+ * todo in list order, followed by rows for its subtasks.
+ * @param {Array.<TodoList>} todoLists the lists to write
+ * @returns {string} the CSV text
+ */
+function todoListsToCSV(todoLists) {
+  const rows = [CSV_FIELDS.map(({ label }) => label)];
+  todoLists.forEach((todoList) => {
+    todoList.toOrderedArray().forEach((todo) => {
+      rows.push(todoRow(todoList, todo, false));
+      todo.getSubtasks().forEach((subtask) => {
+        rows.push(todoRow(todoList, subtask, true));
+      });
+    });
+  });
+  return formatCSV(rows);
+}
+
+/**
+ * Guess the todo field each column of a CSV file holds, from the file's
+ * header row. A column matches a field if its header is the field's label or
+ * name, ignoring case, spaces, and underscores.
+ * @param {Array.<string>} header the file's header row
+ * @returns {Array.<string>} each column's field name, or `""` if the column
+ * doesn't match a field, or matches one an earlier column already matched
+ */
+function guessColumnFields(header) {
+  const squash = (text) => text.replace(/[\s_]/g, "").toLowerCase();
+  const guessed = new Set();
+  return header.map((heading) => {
+    const field = CSV_FIELDS.find(({ name, label }) => {
+      return [squash(name), squash(label)].includes(squash(heading));
+    });
+    if (!field || guessed.has(field.name)) return "";
+    guessed.add(field.name);
+    return field.name;
+  });
+}
+
+/**
+ * Check the todo fields chosen for a CSV file's columns.
+ * @param {Array.<string>} columnFields each column's field name, or `""` for
+ * a column to ignore
+ * @returns {Array.<string>} error messages; empty if the columns are valid
+ */
+function columnFieldErrors(columnFields) {
+  const errors = [];
+  CSV_FIELDS.forEach(({ name, label }) => {
+    const count = columnFields.filter((field) => field === name).length;
+    if (count === 0 && REQUIRED_CSV_FIELDS.includes(name)) {
+      errors.push(`Choose the column with each todo's ${label}.`);
+    } else if (count > 1) {
+      errors.push(`Only one column can be the ${label} column.`);
+    }
+  });
+  columnFields.forEach((field) => {
+    if (field !== "" && !CSV_FIELDS.some(({ name }) => name === field)) {
+      errors.push(`${field} isn't a todo field.`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Return the {@link CSVRecord} for a row of a CSV file.
+ * @param {Array.<string>} row the row's fields
+ * @param {Array.<string>} columnFields each column's field name, or `""` for
+ * a column to ignore
+ * @returns {CSVRecord} the row's record
+ */
+function csvRecord(row, columnFields) {
+  const record = {};
+  CSV_FIELDS.forEach(({ name }) => {
+    const index = columnFields.indexOf(name);
+    record[name] = index === -1 ? "" : row[index] ?? "";
+  });
+  record.tags = record.tags.split(/[\s,]+/).filter((tag) => tag !== "");
+  return record;
+}
+
+/**
+ * Check that each subtask record follows a todo in its list, and doesn't
+ * repeat. Records with invalid "Done" or "Subtask" fields are reported too.
+ * @param {Array.<CSVRecord>} records the records, in file order, with trimmed
+ * list titles
+ * @returns {Array.<Array.<string>>} each record's error messages
+ */
+function csvRecordErrors(records) {
+  const hasParent = new Set();
+  return records.map(({ list, done, recurrence, subtask }) => {
+    const errors = [];
+    if (parseCSVBoolean(done) === undefined) {
+      errors.push("Done must be true or false.");
+    }
+    const isSubtask = parseCSVBoolean(subtask);
+    if (isSubtask === undefined) {
+      errors.push("Subtask must be true or false.");
+    } else if (!isSubtask) {
+      hasParent.add(list);
+    } else if (!hasParent.has(list)) {
+      errors.push("A subtask must come after a todo in its list.");
+    }
+    if (isSubtask && recurrence) errors.push("Subtasks can't repeat.");
+    return errors;
+  });
+}
+
+function csvTodoLike(record) {
+  return {
+    id: nextID(),
+    title: record.title,
+    done: parseCSVBoolean(record.done),
+    dueDate: record.dueDate,
+    priority: record.priority,
+    notes: record.notes,
+    tags: record.tags,
+    recurrence: record.recurrence,
+    subtasks: [],
+  };
+}
+
+/**
+ * Return the todo lists in valid CSV records, in the order their titles first
+ * appear. Each subtask is added to the last todo before it in its list.
+ * @param {Array.<CSVRecord>} records the records, checked and sanitized
+ * @returns {Array.<TodoList>} the records' todo lists
+ */
+function csvRecordsToTodoLists(records) {
+  const lists = new Map();
+  records.forEach((record) => {
+    if (!lists.has(record.list)) {
+      lists.set(record.list, { id: nextID(), title: record.list, todos: [] });
+    }
+    const { todos } = lists.get(record.list);
+    const todoLike = csvTodoLike(record);
+    if (parseCSVBoolean(record.subtask)) {
+      todos[todos.length - 1].subtasks.push(todoLike);
+    } else {
+      todos.push(todoLike);
+    }
+  });
+  return [...lists.values()].map((list) => new TodoList(list));
+}
+
+module.exports = {
+  CSV_FIELDS,
+  columnFieldErrors,
+  csvRecord,
+  csvRecordErrors,
+  csvRecordsToTodoLists,
+  formatCSV,
+  guessColumnFields,
+  parseCSV,
+  parseCSVBoolean,
+  todoListsToCSV,
+};
@@ -0,0 +1,263 @@
+/**
+ * JS185 Todo App
+ * Todo List Exports
+ * todo-export.js
+ *
+ * Create, validate, and plan importing a user's todo list backups. An export
+ * is a JSON object containing a format `version` and every list, in the
+ * {@link TodoList#toJSON} format:
+ *
+ *     { "version": 1, "exportedAt": "2024-01-01T12:00:00Z", "lists": [...] }
+ *
+ * Importing an export adds its lists as new lists. A list whose title is
+ * already in use is skipped, renamed, or merged into the existing list,
+ * according to the import's conflict mode.
+ */
+"use strict";
+
+const { TodoList } = require("./todolist");
+const Todo = require("./todo");
+
+/** @typedef { import("./typedefs").TodoListLike } TodoListLike */
+
+const EXPORT_VERSION = 1;
+const MAX_TITLE_LENGTH = 100;
+const MAX_NOTES_LENGTH = 10000;
+
+const IMPORT_CONFLICT_SKIP = "skip";
+const IMPORT_CONFLICT_RENAME = "rename";
+const IMPORT_CONFLICT_MERGE = "merge";
+const IMPORT_CONFLICT_MODES = Object.freeze([
+  IMPORT_CONFLICT_SKIP,
+  IMPORT_CONFLICT_RENAME,
+  IMPORT_CONFLICT_MERGE,
+]);
+
+/**
+ * One list's part of an import, from {@link planImport}.
+ * @typedef {object} ImportStep
+ * @property {"add"|"rename"|"merge"|"skip"} action what to do with the list:
+ * add it with its own title, add it under a new title, add its todos to the
+ * existing list with its title, or leave it out
+ * @property {string} title the title of the list to add, or merge into
+ * @property {TodoList} todoList the imported list
+ */
+
+/**
+ * The number of lists and todos an import added.
+ * @typedef {object} ImportSummary
+ * @property {number} added the lists added with their own titles
+ * @property {number} renamed the lists added under new titles
+ * @property {number} merged the lists merged into existing lists
+ * @property {number} skipped the lists left out
+ * @property {number} todos the todos added, including subtasks
+ */
+
+/**
+ * Throw a `TypeError` describing an invalid export.
+ * @param {string} reason why the export is invalid
+ * @throws {TypeError}
+ */
+function invalid(reason) {
+  throw new TypeError(`Invalid export: ${reason}`);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isValidDate(date) {
+  const time = Date.parse(`${date}T00:00:00Z`);
+  return !Number.isNaN(time) && new Date(time).toISOString().startsWith(date);
+}
+
+function checkTitle(title, where) {
+  if (typeof title !== "string" || title.trim() === "") {
+    invalid(`${where} needs a title`);
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    invalid(`${where}'s title is over ${MAX_TITLE_LENGTH} characters`);
+  }
+}
+
+function checkNotes(notes, where) {
+  if (typeof notes !== "string") invalid(`${where}'s notes aren't text`);
+  if (notes.length > MAX_NOTES_LENGTH) {
+    invalid(`${where}'s notes are over ${MAX_NOTES_LENGTH} characters`);
+  }
+}
+
+function checkSubtasks(todo, where, isSubtask) {
+  if (todo.subtasks === undefined) return;
+  if (!Array.isArray(todo.subtasks)) {
+    invalid(`${where}'s subtasks must be an array`);
+  }
+  if (isSubtask && todo.subtasks.length > 0) {
+    invalid(`${where} is a subtask, so it can't have subtasks`);
+  }
+  todo.subtasks.forEach((subtask, index) => {
+    const subtaskWhere = `${where}, subtask ${index + 1}`;
+    // eslint-disable-next-line no-use-before-define
+    checkTodo(subtask, subtaskWhere, true);
+    if (subtask.recurrence) invalid(`${subtaskWhere} can't repeat`);
+  });
+}
+
+/**
+ * Check the parts of an exported todo its `Todo` setters don't.
+ * @param {any} todo the exported todo
+ * @param {string} where the todo's description, for Error messages
+ * @param {boolean} isSubtask `true` if the todo is a subtask
+ * @throws {TypeError} if the todo is invalid
+ */
+function checkTodo(todo, where, isSubtask) {
+  if (!isObject(todo) || !Todo.isTodoLike(todo)) invalid(`${where} isn't a todo`);
+  checkTitle(todo.title, where);
+  if (typeof todo.done !== "boolean") {
+    invalid(`${where}'s "done" must be true or false`);
+  }
+  if (todo.dueDate && !isValidDate(todo.dueDate)) {
+    invalid(`${where}'s due date isn't a valid YYYY-MM-DD date`);
+  }
+  if (![undefined, null].includes(todo.notes)) checkNotes(todo.notes, where);
+  if (todo.tags !== undefined && !Array.isArray(todo.tags)) {
+    invalid(`${where}'s tags must be an array`);
+  }
+  checkSubtasks(todo, where, isSubtask);
+}
+
+function parseList(list, where) {
+  if (
+    !isObject(list) ||
+    !Array.isArray(list.todos) ||
+    !list.todos.every(isObject) ||
+    !TodoList.isTodoListLike(list)
+  ) {
+    invalid(`${where} isn't a todo list`);
+  }
+  checkTitle(list.title, where);
+  list.todos.forEach((todo, index) => {
+    checkTodo(todo, `${where}, todo ${index + 1}`, false);
+  });
+  try {
+    return new TodoList(list);
+  } catch (err) {
+    return invalid(`${where}: ${err.message}`);
+  }
+}
+
+/**
+ * Return a new export of the given todo lists.
+ * @param {Array.<TodoListLike>} todoLists the lists to export, each with all
+ * its todos
+ * @param {Date} [exportedAt] when the export was created
+ * @returns {{version: number, exportedAt: string, lists: Array.<object>}} the
+ * export, ready to serialize as JSON
+ */
+function createExport(todoLists, exportedAt = new Date()) {
+  return {
+    version: EXPORT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    lists: todoLists.map((todoList) => (new TodoList(todoList)).toJSON()),
+  };
+}
+
+/**
+ * Given a parsed export, like the result of `JSON.parse()` on an export file,
+ * check it and return its todo lists. Each list and todo must have the
+ * properties in {@link TodoListLike} and {@link TodoLike}, and valid values
+ * for the properties they have; their IDs are ignored.
+ * @param {any} value the parsed export
+ * @returns {Array.<TodoList>} the export's todo lists, in the export's order
+ * @throws {TypeError} if `value` isn't a valid export
+ */
+function parseExport(value) {
+  if (!isObject(value)) invalid("it isn't a JSON object");
+  if (value.version !== EXPORT_VERSION) {
+    invalid(`only version ${EXPORT_VERSION} exports are supported`);
+  }
+  if (!Array.isArray(value.lists)) invalid("its lists must be an array");
+
+  return value.lists.map((list, index) => parseList(list, `list ${index + 1}`));
+}
+
+/**
+ * Given a title that's already taken, return the first title like
+ * `"Groceries (2)"`, `"Groceries (3)"`, and so on, that isn't.
+ * @param {string} title the taken title
+ * @param {Set.<string>} takenTitles the titles already in use
+ * @returns {string} the untaken title
+ */
+function untakenTitle(title, takenTitles) {
+  for (let count = 2; ; count += 1) {
+    const suffix = ` (${count})`;
+    const candidate =
+      title.slice(0, MAX_TITLE_LENGTH - suffix.length).trimEnd() + suffix;
+    if (!takenTitles.has(candidate)) return candidate;
+  }
+}
+
+/**
+ * Plan importing todo lists alongside a user's existing lists. A list whose
+ * title isn't in use is added. A list whose title is already in use, by an
+ * existing list or an earlier list in the import, is skipped, renamed, or
+ * merged into the list with that title, according to `conflictMode`.
+ * @param {Array.<TodoList>} todoLists the lists to import, from
+ * {@link parseExport}
+ * @param {Iterable.<string>} existingTitles the user's existing list titles
+ * @param {"skip"|"rename"|"merge"} conflictMode what to do with a list whose
+ * title is in use
+ * @returns {Array.<ImportStep>} each list's import step, in import order
+ * @throws {TypeError} if `conflictMode` isn't one of `IMPORT_CONFLICT_MODES`
+ */
+function planImport(todoLists, existingTitles, conflictMode) {
+  if (!IMPORT_CONFLICT_MODES.includes(conflictMode)) {
+    throw new TypeError(`Invalid import conflict mode: ${conflictMode}`);
+  }
+  const takenTitles = new Set(existingTitles);
+  return todoLists.map((todoList) => {
+    const title = todoList.getTitle();
+    if (!takenTitles.has(title)) {
+      takenTitles.add(title);
+      return { action: "add", title, todoList };
+    }
+    if (conflictMode === IMPORT_CONFLICT_RENAME) {
+      const newTitle = untakenTitle(title, takenTitles);
+      takenTitles.add(newTitle);
+      return { action: "rename", title: newTitle, todoList };
+    }
+    return { action: conflictMode, title, todoList };
+  });
+}
+
+/**
+ * Count the lists and todos an import plan adds.
+ * @param {Array.<ImportStep>} steps the import plan, from {@link planImport}
+ * @returns {ImportSummary} the plan's summary
+ */
+function summarizeImport(steps) {
+  const summary = { added: 0, renamed: 0, merged: 0, skipped: 0, todos: 0 };
+  const countKeys = {
+    add: "added",
+    rename: "renamed",
+    merge: "merged",
+    skip: "skipped",
+  };
+  steps.forEach(({ action, todoList }) => {
+    summary[countKeys[action]] += 1;
+    if (action !== "skip") summary.todos += todoList.itemCount();
+  });
+  return summary;
+}
+
+module.exports = {
+  EXPORT_VERSION,
+  IMPORT_CONFLICT_MERGE,
+  IMPORT_CONFLICT_MODES,
+  IMPORT_CONFLICT_RENAME,
+  IMPORT_CONFLICT_SKIP,
+  createExport,
+  parseExport,
+  planImport,
+  summarizeImport,
+};
@@ -0,0 +1,356 @@
+/**
+ * JS185 Todo App
+ * iCalendar Todos
+ * todo-ical.js
+ *
+ * Write todos as iCalendar (RFC 5545) `VTODO` components, for calendar apps,
+ * and read `VTODO`s from iCalendar files back into todo lists. A todo maps
+ * onto a `VTODO` like this:
+ * - title: `SUMMARY`
+ * - done: `STATUS:COMPLETED`, or `STATUS:NEEDS-ACTION`
+ * - due date: `DUE`, as a date without a time
+ * - list title and tags: `CATEGORIES`, with the list title first
+ * - priority: `PRIORITY`; `1` is high, `5` medium, and `9` low
+ * - notes: `DESCRIPTION`
+ * - recurrence rule: `RRULE`, which uses the same syntax
+ *
+ * Subtasks are written as `VTODO`s of their own, after their todo, so they're
+ * read back as todos. Reading a file is lenient: properties the app doesn't
+ * keep are ignored, as are recurrence rules it doesn't support.
+ */
+"use strict";
+
+const { TodoList } = require("./todolist");
+const Todo = require("./todo");
+const nextID = require("./next-id");
+const { isValidRecurrence } = require("./recurrence");
+
+const PRODUCT_ID = "-//JS185 Todo App//Todos//EN";
+const UID_DOMAIN = "js185-todo-app";
+const MAX_LINE_OCTETS = 75;
+const MAX_TITLE_LENGTH = 100;
+const MAX_NOTES_LENGTH = 10000;
+
+// A content line's parameter values may be quoted, and quoted values may
+// contain `:`.
+const PARAM_PATTERN = /;[^:";]+=(?:"[^"]*"|[^:";]*)/.source;
+const CONTENT_LINE_PATTERN =
+  new RegExp(`^([A-Za-z0-9-]+)((?:${PARAM_PATTERN})*):(.*)$`);
+
+const ICAL_PRIORITIES = Object.freeze({
+  [Todo.PRIORITY_HIGH]: 1,
+  [Todo.PRIORITY_MEDIUM]: 5,
+  [Todo.PRIORITY_LOW]: 9,
+});
+
+/**
+ * Throw a `TypeError` describing an invalid iCalendar file.
+ * @param {string} reason why the file is invalid
+ * @throws {TypeError}
+ */
+function invalid(reason) {
+  throw new TypeError(`Invalid iCalendar file: ${reason}`);
+}
+
+/**
+ * Escape a `TEXT` property value: backslashes, semicolons, commas, and line
+ * breaks.
+ * @param {string} text the text
+ * @returns {string} the escaped text
+ */
+function escapeText(text) {
+  return text
+    .replace(/[\\;,]/g, (char) => `\\${char}`)
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Unescape a `TEXT` property value; the reverse of {@link escapeText}.
+ * @param {string} text the escaped text
+ * @returns {string} the text
+ */
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (_match, char) => {
+    return char.toLowerCase() === "n" ? "\n" : char;
+  });
+}
+
+/**
+ * Split a `TEXT` list property value, like `CATEGORIES`, at its unescaped
+ * commas, and unescape each value.
+ * @param {string} value the property value
+ * @returns {Array.<string>} the values
+ */
+function splitTextList(value) {
+  return value.split(/(?<!\\),/).map(unescapeText);
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets, each continuation
+ * line starting with a space. Lines aren't split inside a UTF-8 character.
+ * @param {string} line the content line
+ * @returns {string} the folded line, with CRLF line breaks and no trailing
+ * line break
+ */
+function foldLine(line) {
+  const lines = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const charOctets = Buffer.byteLength(char);
+    const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + charOctets > limit) {
+      lines.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += charOctets;
+  }
+  lines.push(current);
+  return lines.join("\r\n ");
+}
+
+function formatDate(date) {
+  return date.replace(/-/g, "");
+}
+
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Return a todo's `VTODO` component's content lines.
+ * @param {Todo} todo the todo
+ * @param {string} listTitle the title of the todo's list
+ * @param {Date} now the time the calendar is created, for `DTSTAMP`
+ * @returns {Array.<string>} the component's unfolded content lines
+ */
+function vtodoLines(todo, listTitle, now) {
+  const lines = [
+    "BEGIN:VTODO",
+    `UID:todo-${todo.getID()}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatTimestamp(now)}`,
+    `SUMMARY:${escapeText(todo.getTitle())}`,
+    `STATUS:${todo.isDone() ? "COMPLETED" : "NEEDS-ACTION"}`,
+    `CATEGORIES:${[listTitle, ...todo.getTags()].map(escapeText).join(",")}`,
+  ];
+  if (todo.getDueDate()) {
+    lines.push(`DUE;VALUE=DATE:${formatDate(todo.getDueDate())}`);
+  }
+  const priority = ICAL_PRIORITIES[todo.getPriority()];
+  if (priority) lines.push(`PRIORITY:${priority}`);
+  if (todo.getNotes()) lines.push(`DESCRIPTION:${escapeText(todo.getNotes())}`);
+  if (todo.getRecurrence()) lines.push(`RRULE:${todo.getRecurrence()}`);
+  lines.push("END:VTODO");
+  return lines;
+}
+
+/**
+ * Return an iCalendar file with a `VTODO` for each of the lists' todos,
+ * followed by its subtasks.
+ * @param {Array.<TodoList>} todoLists the lists
+ * @param {Date} [now] the time the calendar is created
+ * @returns {string} the iCalendar file's text, with CRLF line breaks
+ */
+function todoListsToICS(todoLists, now = new Date()) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+  ];
+  todoLists.forEach((todoList) => {
+    todoList.toOrderedArray().forEach((todo) => {
+      [todo, ...todo.getSubtasks()].forEach((item) => {
+        lines.push(...vtodoLines(item, todoList.getTitle(), now));
+      });
+    });
+  });
+  lines.push("END:VCALENDAR");
+  return lines.map((line) => `${foldLine(line)}\r\n`).join("");
+}
+
+/**
+ * Parse an unfolded content line into its name, parameters, and value.
+ * @param {string} line the content line
+ * @returns {{name: string, params: string, value: string}|null} the line's
+ * parts, with the name in uppercase, or `null` if it isn't a content line
+ */
+function parseContentLine(line) {
+  const match = line.match(CONTENT_LINE_PATTERN);
+  if (!match) return null;
+  return { name: match[1].toUpperCase(), params: match[2], value: match[3] };
+}
+
+/**
+ * Return the `YYYY-MM-DD` date of a `DUE` value, which may be a date or a date
+ * and time.
+ * @param {string} value the `DUE` value, like `20240105` or `20240105T090000Z`
+ * @returns {string|null} the date, or `null` if the value isn't valid
+ */
+function parseDueDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T\d{6}Z?)?$/);
+  if (!match) return null;
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  const time = Date.parse(`${date}T00:00:00Z`);
+  const isValid =
+    !Number.isNaN(time) && new Date(time).toISOString().startsWith(date);
+  return isValid ? date : null;
+}
+
+function parsePriority(value) {
+  const priority = Number.parseInt(value, 10);
+  if (priority >= 1 && priority <= 4) return Todo.PRIORITY_HIGH;
+  if (priority === 5) return Todo.PRIORITY_MEDIUM;
+  if (priority >= 6 && priority <= 9) return Todo.PRIORITY_LOW;
+  return Todo.PRIORITY_NONE;
+}
+
+// Each function sets a parsed `VTODO`'s properties from the value of one of
+// its content lines, by the line's name. Other lines are ignored.
+const PROPERTY_SETTERS = Object.freeze({
+  SUMMARY(vtodo, value) {
+    vtodo.title = unescapeText(value).trim();
+  },
+  STATUS(vtodo, value) {
+    vtodo.done = value.toUpperCase() === "COMPLETED";
+  },
+  COMPLETED(vtodo) {
+    vtodo.done = true;
+  },
+  DUE(vtodo, value) {
+    vtodo.dueDate = parseDueDate(value);
+  },
+  CATEGORIES(vtodo, value) {
+    vtodo.categories.push(...splitTextList(value));
+  },
+  PRIORITY(vtodo, value) {
+    vtodo.priority = parsePriority(value);
+  },
+  DESCRIPTION(vtodo, value) {
+    vtodo.notes = unescapeText(value);
+  },
+  RRULE(vtodo, value) {
+    if (isValidRecurrence(value)) vtodo.recurrence = value;
+  },
+});
+
+/**
+ * Return an iCalendar file's unfolded content lines.
+ * @param {string} text the iCalendar file's text
+ * @returns {Array.<string>} the lines
+ */
+function unfoldLines(text) {
+  return text
+    .replace(/^\uFEFF/, "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+}
+
+/**
+ * Parse the `VTODO` components in an iCalendar file.
+ * @param {string} text the iCalendar file's text
+ * @returns {Array.<object>} each `VTODO`'s parsed properties, in file order
+ * @throws {TypeError} if the file isn't an iCalendar file
+ */
+// eslint-disable-next-line max-lines-per-function
+function parseVTODOs(text) {
+  const lines = unfoldLines(text);
+  if (lines[0].trim().toUpperCase() !== "BEGIN:VCALENDAR") {
+    invalid("it doesn't start with BEGIN:VCALENDAR");
+  }
+  const vtodos = [];
+  let current = null;
+  lines.forEach((line) => {
+    const property = parseContentLine(line);
+    if (!property) return;
+    const value = property.value.trim().toUpperCase();
+    if (property.name === "BEGIN" && value === "VTODO") {
+      current = { done: false, categories: [], priority: Todo.PRIORITY_NONE };
+      vtodos.push(current);
+    } else if (property.name === "END" && value === "VTODO") {
+      current = null;
+    } else if (current && Object.hasOwn(PROPERTY_SETTERS, property.name)) {
+      PROPERTY_SETTERS[property.name](current, property.value);
+    }
+  });
+  return vtodos;
+}
+
+/**
+ * Return the title of the list a parsed `VTODO` belongs in.
+ * @param {string|undefined} category the `VTODO`'s first category
+ * @param {string} defaultTitle the title of the list for `VTODO`s without
+ * categories
+ * @param {string} where the `VTODO`'s description, for Error messages
+ * @returns {string} the list title
+ * @throws {TypeError} if there's no list title, or it's too long
+ */
+function listTitleFor(category, defaultTitle, where) {
+  const title = category || defaultTitle;
+  if (title === "") {
+    invalid(`${where} has no CATEGORIES, and there's no list title for it`);
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    invalid(`${where}'s list title is over ${MAX_TITLE_LENGTH} characters`);
+  }
+  return title;
+}
+
+function checkVTODO({ title, notes }, where) {
+  if (!title) invalid(`${where} needs a SUMMARY`);
+  if (title.length > MAX_TITLE_LENGTH) {
+    invalid(`${where}'s SUMMARY is over ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (notes && notes.length > MAX_NOTES_LENGTH) {
+    invalid(`${where}'s DESCRIPTION is over ${MAX_NOTES_LENGTH} characters`);
+  }
+}
+
+/**
+ * Parse the todo lists in an iCalendar file's `VTODO`s. Each `VTODO` is added
+ * to the list titled by its first category, or to a list titled
+ * `defaultTitle` if it has none; its other categories that are valid tags
+ * become its tags.
+ * @param {string} text the iCalendar file's text
+ * @param {string} [defaultTitle] the title of the list for `VTODO`s without
+ * categories
+ * @returns {Array.<TodoList>} the file's todo lists, in the order their
+ * titles first appear
+ * @throws {TypeError} if the file isn't an iCalendar file, has no `VTODO`s,
+ * has `VTODO`s without categories but no `defaultTitle`, or has an invalid
+ * title
+ */
+// eslint-disable-next-line max-lines-per-function
+function parseICS(text, defaultTitle = "") {
+  const lists = new Map();
+  parseVTODOs(text).forEach((vtodo, index) => {
+    const where = `VTODO ${index + 1}`;
+    checkVTODO(vtodo, where);
+    const [category, ...others] = vtodo.categories.map((name) => name.trim());
+    const title = listTitleFor(category, defaultTitle, where);
+    if (!lists.has(title)) lists.set(title, { id: nextID(), title, todos: [] });
+    lists.get(title).todos.push({
+      id: nextID(),
+      title: vtodo.title,
+      done: vtodo.done,
+      dueDate: vtodo.dueDate,
+      priority: vtodo.priority,
+      notes: vtodo.notes,
+      tags: others.filter((tag) => Todo.isValidTag(tag)),
+      recurrence: vtodo.recurrence,
+    });
+  });
+
+  if (lists.size === 0) invalid("it has no VTODOs");
+  return [...lists.values()].map((list) => new TodoList(list));
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  parseICS,
+  todoListsToICS,
+  unescapeText,
+};
@@ -8,11 +8,57 @@
  */
 "use strict";
 
-const { query } = require("./db");
+const { inClientScope, query, withClient } = require("./db");
+const {
+  LIST_EVENT_ADD,
+  LIST_EVENT_REMOVE,
+  LIST_EVENT_RENAME,
+  LIST_EVENT_TOGGLE,
+  listEvents,
+} = require("./list-events");
+const { decodeCursor, encodeCursor, normalizePage } = require("./pagination");
+const { formatRecurrence } = require("./recurrence");
+const {
+  HIGHLIGHT_START,
+  HIGHLIGHT_STOP,
+  MAX_SEARCH_RESULTS,
+  groupSearchResults,
+  hasHighlight,
+  parseHeadline,
+} = require("./search");
+const {
+  generateShareToken,
+  hashShareToken,
+  shareTokenPrefix,
+} = require("./share-link");
+const { planImport, summarizeImport } = require("./todo-export");
+const { Todo, TodoList } = require("./todolist");
 
+/** @typedef { import("./todo-export").ImportStep } ImportStep */
+/** @typedef { import("./todo-export").ImportSummary } ImportSummary */
+/** @typedef { import("./typedefs").ListEvent } ListEvent */
+/** @typedef { import("./typedefs").ListMember } ListMember */
+/** @typedef { import("./typedefs").NewTodo } NewTodo */
+/** @typedef { import("./typedefs").Page } Page */
+/** @typedef { import("./typedefs").SearchResultList } SearchResultList */
+/** @typedef { import("./typedefs").ShareLink } ShareLink */
+/** @typedef { import("./typedefs").TagQueryResult } TagQueryResult */
+/** @typedef { import("./typedefs").ToggleMetadata } ToggleMetadata */
 /** @typedef { import("./typedefs").TodoQueryResult } TodoQueryResult */
 /** @typedef { import("./typedefs").TodoListMetadataQueryResult } TodoListMetadataQueryResult */
+/** @typedef { import("./typedefs").TodoListPage } TodoListPage */
 /** @typedef { import("./typedefs").TodoListQueryResult } TodoListQueryResult */
+/** @typedef { import("./typedefs").TodoListsPage } TodoListsPage */
+/** @typedef { import("./typedefs").TodoListView } TodoListView */
+
+// `ts_headline()` options for search results' snippets: the whole title, and
+// up to two short fragments of the notes.
+const TITLE_HEADLINE_OPTIONS =
+  `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}", ` +
+  "HighlightAll=true";
+const NOTES_HEADLINE_OPTIONS =
+  `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}", ` +
+  'MaxWords=20, MinWords=8, MaxFragments=2, FragmentDelimiter=" … "';
 
 /**
  * An object defining the optional additional parameters for querying methods.
@@ -23,13 +69,62 @@ const { query } = require("./db");
  * unexpected reasons (like database connectivity issues, for example).
  */
 
+/**
+ * One of the expressions a query sorts its results by. Together, a query's
+ * sort key expressions order every result uniquely, so the values of a page's
+ * last result mark where the next page starts.
+ * @typedef {object} SortKeyPart
+ * @property {string} expr the SQL expression, which is interpolated into query
+ * text, so it's only ever a literal provided by this class
+ * @property {"boolean"|"date"|"integer"|"text"|"todo_priority"} type the
+ * expression's type
+ * @property {boolean} [desc = false] whether to sort in descending order
+ */
+
+/**
+ * Checks that a cursor's value for a sort key part of each type can be cast to
+ * the type, so a tampered-with cursor can't cause a database error.
+ */
+const SORT_KEY_VALUE_CHECKS = new Map([
+  ["boolean", (value) => typeof value === "boolean"],
+  ["date", (value) => {
+    return typeof value === "string" &&
+      /^(-?infinity|\d{4}-\d{2}-\d{2})$/.test(value) &&
+      (value.endsWith("infinity") || !Number.isNaN(Date.parse(value)));
+  }],
+  ["integer", (value) => Number.isInteger(value) && Math.abs(value) < 2 ** 31],
+  ["text", (value) => typeof value === "string" && !value.includes("\u0000")],
+  ["todo_priority", (value) => Todo.PRIORITIES.includes(value)],
+]);
+
+/** The sort key for lists: "not done" lists first, then by title. */
+const TODO_LISTS_SORT_KEY = Object.freeze([
+  { expr: "done", type: "boolean" },
+  { expr: "lower(title)", type: "text" },
+  { expr: "id", type: "integer" },
+]);
+
 class TodoPGStore {
+  static ERROR_CODE_INVALID_CURSOR = "InvalidCursor";
   static ERROR_CODE_INVALID_LIST_ID = "InvalidListID";
+  static ERROR_CODE_INVALID_PARENT_TODO = "InvalidParentTodo";
+  static ERROR_CODE_INVALID_SHARE_LINK_ID = "InvalidShareLinkID";
   static ERROR_CODE_INVALID_TODO_ID = "InvalidTodoID";
+  static ERROR_CODE_INVALID_TODO_ORDER = "InvalidTodoOrder";
+  static ERROR_CODE_INVALID_USERNAME = "InvalidUsername";
+  static ERROR_CODE_LIST_PERMISSION_DENIED = "ListPermissionDenied";
   static ERROR_CODE_NON_UNIQUE_LIST_TITLE = "NonUniqueListTitle";
 
   #userID;
 
+  /**
+   * The list events describing this store's changes, in order, waiting for
+   * the changes' transaction to commit before they're published: see
+   * `list-events.js`.
+   * @type {Array.<{listID: number, event: ListEvent}>}
+   */
+  #pendingListEvents = [];
+
   /**
    * Create a new `TodoPGStore` instance. The `userID` parameter is assumed
    * valid; if it isn't valid, the instance's method calls will fail and return
@@ -75,6 +170,25 @@ class TodoPGStore {
     return err;
   }
 
+  /**
+   * Throw or return an Error representing an invalid page cursor.
+   * @param {string} cursor the invalid cursor
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Error} the resulting Error object
+   * @throws {Error} the resulting Error object
+   */
+  #errInvalidCursor(cursor, options = { throw: false }) {
+    return this.#err(
+      new Error("The given page cursor isn't valid", {
+        cause: {
+          code: TodoPGStore.ERROR_CODE_INVALID_CURSOR,
+          values: [cursor],
+        },
+      }),
+      options
+    );
+  }
+
   /**
    * Throw or return an Error representing an invalid list ID.
    * @param {number} listID the invalid list ID
@@ -85,8 +199,30 @@ class TodoPGStore {
   #errInvalidListID(listID, options = { throw: false }) {
     return this.#err(
       new Error("The given list ID doesn't exist", {
-        code: TodoPGStore.ERROR_CODE_INVALID_LIST_ID,
-        values: [listID],
+        cause: {
+          code: TodoPGStore.ERROR_CODE_INVALID_LIST_ID,
+          values: [listID],
+        },
+      }),
+      options
+    );
+  }
+
+  /**
+   * Throw or return an Error representing a share link ID that doesn't exist,
+   * or isn't one of the list's links.
+   * @param {number} linkID the invalid share link ID
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Error} the resulting Error object
+   * @throws {Error} the resulting Error object
+   */
+  #errInvalidShareLinkID(linkID, options = { throw: false }) {
+    return this.#err(
+      new Error("The given share link ID doesn't exist for the list", {
+        cause: {
+          code: TodoPGStore.ERROR_CODE_INVALID_SHARE_LINK_ID,
+          values: [linkID],
+        },
       }),
       options
     );
@@ -102,8 +238,90 @@ class TodoPGStore {
   #errInvalidTodoID(todoID, options = { throw: false }) {
     return this.#err(
       new Error("The given todo ID doesn't exist", {
-        code: TodoPGStore.ERROR_CODE_INVALID_TODO_ID,
-        values: [todoID],
+        cause: {
+          code: TodoPGStore.ERROR_CODE_INVALID_TODO_ID,
+          values: [todoID],
+        },
+      }),
+      options
+    );
+  }
+
+  /**
+   * Throw or return an Error representing a subtask's invalid parent todo: the
+   * parent must be a top-level todo in the subtask's list.
+   * @param {number} parentID the invalid parent todo ID
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Error} the resulting Error object
+   * @throws {Error} the resulting Error object
+   */
+  #errInvalidParentTodo(parentID, options = { throw: false }) {
+    return this.#err(
+      new Error("Subtasks can only be added to a top-level todo in the list.", {
+        cause: {
+          code: TodoPGStore.ERROR_CODE_INVALID_PARENT_TODO,
+          values: [parentID],
+        },
+      }),
+      options
+    );
+  }
+
+  /**
+   * Throw or return an Error representing a manual todo order that isn't an
+   * ordering of exactly one list's todos.
+   * @param {Array.<number>} orderedIDs the invalid ordering of todo IDs
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Error} the resulting Error object
+   * @throws {Error} the resulting Error object
+   */
+  #errInvalidTodoOrder(orderedIDs, options = { throw: false }) {
+    return this.#err(
+      new Error("The todo order must include each of the list's todos once.", {
+        cause: {
+          code: TodoPGStore.ERROR_CODE_INVALID_TODO_ORDER,
+          values: [orderedIDs],
+        },
+      }),
+      options
+    );
+  }
+
+  /**
+   * Throw or return an Error representing a username that a list can't be
+   * shared with, like the owner's own username, or stop being shared with.
+   * @param {string} username the invalid username
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Error} the resulting Error object
+   * @throws {Error} the resulting Error object
+   */
+  #errInvalidUsername(username, options = { throw: false }) {
+    return this.#err(
+      new Error("The given username isn't valid for the list", {
+        cause: {
+          code: TodoPGStore.ERROR_CODE_INVALID_USERNAME,
+          values: [username],
+        },
+      }),
+      options
+    );
+  }
+
+  /**
+   * Throw or return an Error representing a change to a shared list that this
+   * store's user's role for the list doesn't allow.
+   * @param {number} listID the ID of the list
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Error} the resulting Error object
+   * @throws {Error} the resulting Error object
+   */
+  #errListPermissionDenied(listID, options = { throw: false }) {
+    return this.#err(
+      new Error("You don't have permission to make that change to the list.", {
+        cause: {
+          code: TodoPGStore.ERROR_CODE_LIST_PERMISSION_DENIED,
+          values: [listID],
+        },
       }),
       options
     );
@@ -128,6 +346,46 @@ class TodoPGStore {
     );
   }
 
+  /**
+   * Queue a list event describing a change to one of a list's todos, to
+   * publish once the change's transaction commits. Only call this inside a
+   * transaction.
+   * @param {number} listID the ID of the list containing the todo
+   * @param {string} type the event's type; one of `LIST_EVENT_TYPES`
+   * @param {ListEvent["todo"]} todo the todo's changed properties, and its ID
+   */
+  #queueListEvent(listID, type, todo) {
+    this.#pendingListEvents.push({ listID, event: { type, todo } });
+  }
+
+  /**
+   * Queue a list event for a todo added to a list, including the todo's
+   * properties its list's pages show.
+   * @param {number} listID the ID of the list the todo was added to
+   * @param {object} todo the added todo
+   */
+  #queueTodoAdded(listID, { id, title, done, dueDate, priority, parentID }) {
+    this.#queueListEvent(listID, LIST_EVENT_ADD, {
+      id,
+      title,
+      done: Boolean(done),
+      dueDate: dueDate || null,
+      priority: priority || Todo.PRIORITY_NONE,
+      parentID: parentID || null,
+    });
+  }
+
+  /**
+   * Publish the list events queued for the transaction that just committed.
+   */
+  async #publishListEvents() {
+    const pendingListEvents = this.#pendingListEvents;
+    this.#pendingListEvents = [];
+    for (const { listID, event } of pendingListEvents) {
+      await listEvents.publish(listID, event);
+    }
+  }
+
   /**
    * Return `true`if this database client is already inside a transaction.
    * @returns {boolean} `true` if this database client is already inside a
@@ -149,11 +407,19 @@ class TodoPGStore {
    *    on their failure
    * 3. require an explicit rollback operation to reset this store into an
    *    active state, allowing future operations to execute successfully
+   *
+   * The transaction must begin inside a database client scope (see
+   * `withClient()` in db.js); otherwise, the `BEGIN` and any later statements
+   * could each run on a different pooled connection.
    * @param {Object} options the set of additional options to begin the
    * transaction with
    * @param {boolean} options.readOnly whether to enter a read-only transaction
+   * @throws {Error} if called outside a database client scope
    */
   async beginTransaction(options = { readOnly: false }) {
+    if (!inClientScope()) {
+      throw new Error("Cannot begin a transaction outside a client scope.");
+    }
     if (await this.#isInTransaction()) return;
     // The PostgreSQL default is READ WRITE, but we'll be explicit here.
     const mode = options.readOnly ? "READ ONLY" : "READ WRITE";
@@ -169,14 +435,18 @@ class TodoPGStore {
     if (!(await this.#isInTransaction())) return;
     console.log("COMMIT transaction");
     await query("COMMIT");
+    await this.#publishListEvents();
   }
 
   /**
-   * Rollback the current transaction, if there if one. Do nothing if there is
-   * no active transaction.
+   * Rollback the current transaction, if there if one. Do nothing (other than
+   * a PostgreSQL warning) if there is no active transaction.
    */
   async rollbackTransaction() {
-    if (!(await this.#isInTransaction())) return;
+    // Don't check #isInTransaction() first: inside an aborted transaction,
+    // every statement except ROLLBACK fails. Outside a transaction, PostgreSQL
+    // only issues a warning.
+    this.#pendingListEvents = [];
     console.log("ROLLBACK transaction");
     await query("ROLLBACK");
   }
@@ -189,104 +459,341 @@ class TodoPGStore {
    *
    * This method is useful if `callback` contains multiple operations that must
    * behave as a single all-or-nothing operation.
+   *
+   * If there's no current database client scope, a dedicated client is checked
+   * out for the duration of the transaction.
    * @param {function} callback the function to execute
    * @returns {*} `callback`'s return value, if the operation completes
    * successfully
    * @throws {Error} re-throws any `Error` thrown within `callback`, after
    * rolling back the transaction
    */
-  async withTransaction(callback) {
-    if (this.#isInTransaction()) return callback();
+  withTransaction(callback) {
+    return withClient(async () => {
+      if (await this.#isInTransaction()) return callback();
 
-    let result;
-    try {
-      await this.beginTransaction();
-      result = await callback();
-    } catch (err) {
-      await this.rollbackTransaction();
-      throw err;
-    }
-    await this.commitTransaction();
-    return result;
+      let result;
+      try {
+        await this.beginTransaction();
+        result = await callback();
+      } catch (err) {
+        await this.rollbackTransaction();
+        throw err;
+      }
+      await this.commitTransaction();
+      return result;
+    });
   }
 
   /**
-   * Return a sorted array of this store's current todo lists, as an array of
-   * generic objects.
-   * @returns {Promise<Array.<TodoListMetadataQueryResult>>} a Promise
-   * containing the array of todo lists when fulfilled
+   * Return a page of this store's current todo lists, sorted, as an array of
+   * generic objects. Each list's `length` and `countDone` count its subtasks,
+   * as well as its top-level todos. The lists include those other users have
+   * shared with this store's user: each list's `role` is the user's role for
+   * it, and its `ownerUsername` is its owner's username.
+   * Returns `undefined` if the page's cursor isn't valid.
+   * @param {Page} [page] the page of lists to return; every list, by default
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<TodoListsPage|undefined>} a Promise
+   * containing the page of todo lists when fulfilled
    */
   // eslint-disable-next-line max-lines-per-function
-  async sortedTodoLists() {
+  async sortedTodoLists(page = {}, options = { throw: false }) {
+    const { limit, cursor } = normalizePage(page);
+    const cursorValues = this.#cursorValues(
+      cursor,
+      TODO_LISTS_SORT_KEY,
+      options
+    );
+    if (cursorValues === undefined) return undefined;
+
     const text =
 `SELECT
   id,
   title,
   "length",
   "countDone",
-  "length" > 0
-  AND "countDone" = "length" AS done
+  done,
+  "role",
+  "ownerUsername",
+  ${TodoPGStore.#sortKeyValues(TODO_LISTS_SORT_KEY)} "sortKey"
 FROM
   (
     SELECT
-      tl.id,
-      tl.title,
-      count(t.id)::integer "length",
-      coalesce(sum(t.done::integer), 0)::integer "countDone"
+      id,
+      title,
+      "length",
+      "countDone",
+      "length" > 0
+      AND "countDone" = "length" AS done,
+      "role",
+      "ownerUsername"
     FROM
-      todolists tl
-      LEFT JOIN todos t ON tl.id = t.todolist_id
-    WHERE
-      tl.user_id = $1
-    GROUP BY
-      tl.id
+      (
+        SELECT
+          tl.id,
+          tl.title,
+          count(t.id)::integer "length",
+          coalesce(sum(t.done::integer), 0)::integer "countDone",
+          ${TodoPGStore.#listRole("tl", "mb", 1)} "role",
+          u.username "ownerUsername"
+        FROM
+          todolists tl
+          JOIN users u ON tl.user_id = u.id
+          LEFT JOIN list_members mb ON tl.id = mb.todolist_id
+          AND mb.user_id = $1
+          LEFT JOIN todos t ON tl.id = t.todolist_id
+        WHERE
+          tl.user_id = $1
+          OR mb.user_id IS NOT NULL
+        GROUP BY
+          tl.id,
+          mb.role,
+          u.username
+      )
   )
+${cursorValues ? `WHERE\n  ${TodoPGStore.#afterCursor(TODO_LISTS_SORT_KEY, 3)}` : ""}
 ORDER BY
-  done,
-  lower(title)
+  ${TodoPGStore.#orderBy(TODO_LISTS_SORT_KEY)}
+LIMIT
+  $2
 `;
-    return (await query(text, [this.#userID])).rows;
+    // Query one more list than the page holds, to find out if there's a next
+    // page.
+    const { rows } = await query(text, [
+      this.#userID,
+      limit === null ? null : limit + 1,
+      ...(cursorValues ?? []),
+    ]);
+    const pageRows = limit === null ? rows : rows.slice(0, limit);
+    return {
+      lists: pageRows.map(({ sortKey: _sortKey, ...list }) => list),
+      nextCursor: TodoPGStore.#nextCursor(rows, pageRows),
+    };
+  }
+
+  /**
+   * Return the sort key that orders a list's todos in a view's order, as
+   * {@link TodoList#toOrderedArray} does.
+   * @param {TodoListView} view the complete view
+   * @returns {Array.<SortKeyPart>} the sort key
+   */
+  // eslint-disable-next-line max-lines-per-function
+  static #viewSortKey({ sort, dir }) {
+    const byTitle = [
+      { expr: "lower(t.title)", type: "text" },
+      { expr: "t.id", type: "integer" },
+    ];
+    const desc = dir === TodoList.SORT_DESC;
+    let sortKey;
+    switch (sort) {
+      case TodoList.SORT_TITLE:
+        sortKey = byTitle;
+        break;
+      case TodoList.SORT_CREATED:
+        sortKey = [{ expr: "t.id", type: "integer" }];
+        break;
+      case TodoList.SORT_DUE: {
+        // Todos without a due date come last in either direction.
+        const noDueDate = desc ? "-infinity" : "infinity";
+        sortKey = [
+          { expr: `coalesce(t.due_date, '${noDueDate}')`, type: "date" },
+          ...byTitle,
+        ];
+        break;
+      }
+      case TodoList.SORT_PRIORITY:
+        // Ascending order puts the highest priorities first.
+        sortKey = [
+          { expr: "t.priority", type: "todo_priority", desc: true },
+          ...byTitle,
+        ];
+        break;
+      default:
+        // The list's own order, which doesn't have a direction
+        return [
+          {
+            expr: "CASE WHEN lm.sort_mode = 'manual' THEN t.position ELSE 0 END",
+            type: "integer",
+          },
+          { expr: "t.done", type: "boolean" },
+          {
+            expr: "CASE WHEN NOT t.done THEN t.priority ELSE 'none' END",
+            type: "todo_priority",
+            desc: true,
+          },
+          {
+            expr: "coalesce(CASE WHEN NOT t.done THEN t.due_date END, 'infinity')",
+            type: "date",
+          },
+          ...byTitle,
+        ];
+    }
+    return sortKey.map((part) => ({ ...part, desc: desc !== !!part.desc }));
+  }
+
+  /**
+   * Return the `ORDER BY` expressions that sort results by a sort key.
+   * @param {Array.<SortKeyPart>} sortKey the sort key
+   * @returns {string} the `ORDER BY` expressions
+   */
+  static #orderBy(sortKey) {
+    return sortKey
+      .map(({ expr, desc }) => `${expr} ${desc ? "DESC" : "ASC"}`)
+      .join(",\n  ");
+  }
+
+  /**
+   * Return a condition that's only true for the results after a cursor, in
+   * sort key order. The cursor's values are the query parameters numbered from
+   * `firstParam`.
+   * @param {Array.<SortKeyPart>} sortKey the sort key
+   * @param {number} firstParam the number of the cursor's first parameter
+   * @returns {string} the condition
+   */
+  static #afterCursor(sortKey, firstParam) {
+    const params = sortKey.map(({ type }, index) => {
+      return `$${firstParam + index}::${type}`;
+    });
+    const exprs = sortKey.map(({ expr }) => expr);
+
+    // A row comparison can use an index, but only sorts in one direction.
+    if (sortKey.every(({ desc }) => desc === sortKey[0].desc)) {
+      const operator = sortKey[0].desc ? "<" : ">";
+      return `(${exprs.join(", ")}) ${operator} (${params.join(", ")})`;
+    }
+
+    return sortKey.map(({ desc }, index) => {
+      const equalTerms = exprs
+        .slice(0, index)
+        .map((expr, termIndex) => `${expr} = ${params[termIndex]}`);
+      const afterTerm = `${exprs[index]} ${desc ? "<" : ">"} ${params[index]}`;
+      return `(${[...equalTerms, afterTerm].join(" AND ")})`;
+    }).join("\n    OR ");
+  }
+
+  /**
+   * Return an expression for an array of a result's sort key values, for its
+   * page's cursor.
+   * @param {Array.<SortKeyPart>} sortKey the sort key
+   * @returns {string} the expression
+   */
+  static #sortKeyValues(sortKey) {
+    return `json_build_array(${sortKey.map(({ expr }) => expr).join(", ")})`;
+  }
+
+  /**
+   * Given the rows a query returned, including one extra row if there's a next
+   * page, and the rows on the page, return the next page's cursor.
+   * @param {Array.<{sortKey: Array.<*>}>} rows the returned rows, with their
+   * sort key values
+   * @param {Array.<{sortKey: Array.<*>}>} pageRows the rows on the page
+   * @returns {string|null} the cursor, or `null` if there's no next page
+   */
+  static #nextCursor(rows, pageRows) {
+    if (rows.length === pageRows.length) return null;
+    return encodeCursor(pageRows[pageRows.length - 1].sortKey);
+  }
+
+  /**
+   * Return the sort key values a page's cursor encodes, or `null` for the first
+   * page.
+   * @param {string|null} cursor the page's cursor
+   * @param {Array.<SortKeyPart>} sortKey the sort key the cursor's values are
+   * for
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Array.<*>|null|undefined} the cursor's values, `null` if there's
+   * no cursor, or `undefined` if the cursor isn't valid
+   */
+  #cursorValues(cursor, sortKey, options = { throw: false }) {
+    if (cursor === null) return null;
+    const values = decodeCursor(cursor);
+    if (
+      values === undefined ||
+      values.length !== sortKey.length ||
+      !sortKey.every(({ type }, index) => {
+        return SORT_KEY_VALUE_CHECKS.get(type)(values[index]);
+      })
+    ) {
+      this.#errInvalidCursor(cursor, options);
+      return undefined;
+    }
+    return values;
   }
 
   /**
    * Given an integer `listID`, return an object containing the list's summary
-   * metadata and an array of all the list's todos, sorted by todo name and
-   * "done-ness". "Done" todos come after "not-done" todos in sort order.
+   * metadata and an array of the list's todos, sorted by todo name and
+   * "done-ness". "Done" todos come after "not-done" todos in sort order. Only
+   * top-level todos are in the array; each has its own array of `subtasks`, in
+   * the order they were added.
+   * An optional `view` shows only some of the todos, or sorts them by one of
+   * their properties instead: see {@link TodoList#toOrderedArray}. An optional
+   * `page` returns only some of the view's todos. The list's summary metadata
+   * always counts all its todos, and includes this store's user's `role` for
+   * the list and its `ownerUsername`, like {@link TodoPGStore#sortedTodoLists}.
    * Returns `undefined` if a list with the given ID doesn't exist in this
-   * store.
+   * store, or if the page's cursor isn't valid.
    * @param {number} listID the list's ID to find todos for
    * @param {TodoPGStoreQueryOpts} options the set of additional query options
-   * @returns {Promise<TodoListQueryResult|undefined>} a Promise, containing
-   * when fulfilled: the `TodoListQueryResult` or `undefined` if the list
+   * @param {Partial<TodoListView>} [view] the view; see
+   * {@link TodoList.normalizeView}
+   * @param {Page} [page] the page of todos to return; every todo, by default
+   * @returns {Promise<TodoListPage|undefined>} a Promise, containing
+   * when fulfilled: the `TodoListPage` or `undefined` if the list
    * doesn't exist
    */
-  // eslint-disable-next-line max-lines-per-function
-  async sortedTodoList(listID, options = { throw: false }) {
+  // eslint-disable-next-line max-lines-per-function, max-statements
+  async sortedTodoList(
+    listID,
+    options = { throw: false },
+    view = {},
+    page = {}
+  ) {
+    const completeView = TodoList.normalizeView(view);
+    const sortKey = TodoPGStore.#viewSortKey(completeView);
+    const { limit, cursor } = normalizePage(page);
+    const cursorValues = this.#cursorValues(cursor, sortKey, options);
+    if (cursorValues === undefined) return undefined;
+
     const text =
 `WITH
   list_metadata AS (
     SELECT
       id,
       title,
+      sort_mode,
       "length",
       "countDone",
       "length" > 0
-      AND "countDone" = "length" AS done
+      AND "countDone" = "length" AS done,
+      "role",
+      "ownerUsername"
     FROM
       (
         SELECT
           tl.id,
           tl.title,
+          tl.sort_mode,
           count(t.id)::integer "length",
-          coalesce(sum(t.done::integer), 0)::integer "countDone"
+          coalesce(sum(t.done::integer), 0)::integer "countDone",
+          ${TodoPGStore.#listRole("tl", "mb", 1)} "role",
+          u.username "ownerUsername"
         FROM
           todolists tl
+          JOIN users u ON tl.user_id = u.id
+          LEFT JOIN list_members mb ON tl.id = mb.todolist_id
+          AND mb.user_id = $1
           LEFT JOIN todos t ON tl.id = t.todolist_id
         WHERE
           tl.user_id = $1
+          OR mb.user_id IS NOT NULL
         GROUP BY
           tl.id,
-          tl.title
+          tl.title,
+          tl.sort_mode,
+          mb.role,
+          u.username
         HAVING
           tl.id = $2
       )
@@ -295,26 +802,96 @@ SELECT
   t.id,
   t.title,
   t.done,
+  to_char(t.due_date, 'YYYY-MM-DD') "dueDate",
+  t.priority,
+  t.notes,
+  t.recurrence,
+  ARRAY(
+    SELECT
+      tg.name
+    FROM
+      todo_tags tt
+      JOIN tags tg ON tt.tag_id = tg.id
+    WHERE
+      tt.todo_id = t.id
+    ORDER BY
+      tg.name
+  ) tags,
+  coalesce(
+    (
+      SELECT
+        json_agg(
+          json_build_object(
+            'id', st.id,
+            'title', st.title,
+            'done', st.done,
+            'dueDate', to_char(st.due_date, 'YYYY-MM-DD'),
+            'priority', st.priority,
+            'notes', st.notes,
+            'tags', ARRAY(
+              SELECT
+                tg.name
+              FROM
+                todo_tags tt
+                JOIN tags tg ON tt.tag_id = tg.id
+              WHERE
+                tt.todo_id = st.id
+              ORDER BY
+                tg.name
+            ),
+            'parentID', st.parent_id
+          )
+          ORDER BY
+            st.id
+        )
+      FROM
+        todos st
+      WHERE
+        st.parent_id = t.id
+    ),
+    '[]'
+  ) subtasks,
   lm.id "listID",
   lm.title "listTitle",
   lm.length "listLength",
   lm."countDone",
-  lm.done "listDone"
+  lm.done "listDone",
+  lm.sort_mode "listSortMode",
+  lm.role "listRole",
+  lm."ownerUsername",
+  ${TodoPGStore.#sortKeyValues(sortKey)} "sortKey"
 FROM
   todos t
   RIGHT JOIN list_metadata lm ON t.todolist_id = lm.id
+  AND t.parent_id IS NULL
+  AND (
+    $3 = 'all'
+    OR t.done = ($3 = 'done')
+  )
+${cursorValues ? `  AND (\n    ${TodoPGStore.#afterCursor(sortKey, 5)}\n  )` : ""}
 ORDER BY
-  t.done,
-  lower(t.title)
+  ${TodoPGStore.#orderBy(sortKey)}
+LIMIT
+  $4
 `;
 
+    // Query one more todo than the page holds, to find out if there's a next
+    // page.
     const { rows: queryRows, rowCount: queryRowCount } = await query(text, [
       this.#userID,
       listID,
+      completeView.show,
+      limit === null ? null : limit + 1,
+      ...(cursorValues ?? []),
     ]);
-    if (queryRowCount === 0) this.#errInvalidListID(listID, options);
+    if (queryRowCount === 0) {
+      this.#errInvalidListID(listID, options);
+      return undefined;
+    }
 
-    const resultRows = queryRows[0].listLength === 0 ? [] : queryRows;
+    // A list without any todos on the page has one row, without a todo.
+    const todoRows = queryRows.filter((row) => row.id !== null);
+    const pageRows = limit === null ? todoRows : todoRows.slice(0, limit);
 
     return {
       id: queryRows[0].listID,
@@ -322,11 +899,28 @@ ORDER BY
       length: queryRows[0].listLength,
       countDone: queryRows[0].countDone,
       done: queryRows[0].listDone,
-      todos: resultRows.map((row) => {
+      sortMode: queryRows[0].listSortMode,
+      role: queryRows[0].listRole,
+      ownerUsername: queryRows[0].ownerUsername,
+      nextCursor: TodoPGStore.#nextCursor(todoRows, pageRows),
+      // eslint-disable-next-line max-lines-per-function
+      todos: pageRows.map((row) => {
         return {
           id: row.id,
           title: row.title,
           done: row.done,
+          dueDate: row.dueDate,
+          priority: row.priority,
+          notes: row.notes,
+          recurrence: row.recurrence,
+          tags: row.tags,
+          subtasks: row.subtasks.map((subtask) => {
+            return {
+              ...subtask,
+              listID: row.listID,
+              listTitle: row.listTitle,
+            };
+          }),
           listID: row.listID,
           listTitle: row.listTitle,
         };
@@ -334,6 +928,22 @@ ORDER BY
     };
   }
 
+  /**
+   * Return every one of the todo lists this store's user owns, each with all
+   * its todos, in the same order as {@link TodoPGStore#sortedTodoLists}. Lists
+   * shared with the user belong in their owners' exports, not the user's.
+   * @returns {Promise<Array.<TodoListQueryResult>>} a Promise, containing when
+   * fulfilled: the array of todo lists
+   */
+  async allTodoLists() {
+    const todoLists = [];
+    for (const { id, role } of (await this.sortedTodoLists()).lists) {
+      if (role !== TodoList.ROLE_OWNER) continue;
+      todoLists.push(await this.sortedTodoList(id));
+    }
+    return todoLists;
+  }
+
   /**
    * Return `true` if the given list `title` already exists in this store's list
    * of todo lists.
@@ -349,64 +959,157 @@ ORDER BY
   }
 
   /**
-   * Return `true` if a list with ID `listID` exists in this store's list of
-   * todo lists.
-   * @param {number} listID the integer ID to search for
-   * @param {TodoPGStoreQueryOpts} options the set of additional query options
-   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
-   * the list exists
+   * Return a SQL expression for this store's user's role for a list: `owner`
+   * if they own it, or else the role it's shared with them in.
+   * @param {string} listAlias the query's alias for the `todolists` table
+   * @param {string} memberAlias the query's alias for the `list_members` table,
+   * joined to the list's row for this store's user
+   * @param {number} userIDParam the number of the user ID's query parameter
+   * @returns {string} the SQL expression
    */
-  async listExists(listID, options = { throw: false }) {
-    if (
-      (
-        await query("SELECT id FROM todolists WHERE user_id = $1 AND id = $2", [
-          this.#userID,
-          listID,
-        ])
-      ).rowCount === 0
-    ) {
-      this.#errInvalidListID(listID, options);
-      return false;
-    }
-    return true;
+  static #listRole(listAlias, memberAlias, userIDParam) {
+    return `CASE WHEN ${listAlias}.user_id = $${userIDParam} ` +
+      `THEN '${TodoList.ROLE_OWNER}' ELSE ${memberAlias}.role::text END`;
   }
 
   /**
-   * Return `true` if a todo with ID `todoID` exists in this store's list of
-   * todo lists.
-   * @param {number} todoID the integer ID to search for
+   * Return a SQL condition that's true if this store's user can see a list:
+   * if they own it, or it's shared with them.
+   * @param {string} listAlias the query's alias for the `todolists` table
+   * @param {number} userIDParam the number of the user ID's query parameter
+   * @returns {string} the SQL condition
+   */
+  static #canSeeList(listAlias, userIDParam) {
+    return `(
+    ${listAlias}.user_id = $${userIDParam}
+    OR EXISTS (
+      SELECT
+        1
+      FROM
+        list_members
+      WHERE
+        todolist_id = ${listAlias}.id
+        AND user_id = $${userIDParam}
+    )
+  )`;
+  }
+
+  /**
+   * Return this store's user's role for the list with ID `listID`: `owner`,
+   * `editor`, or `viewer`.
+   * @param {number} listID the list's ID
    * @param {TodoPGStoreQueryOpts} options the set of additional query options
-   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
-   * the todo exists
+   * @returns {Promise<string|undefined>} a Promise, containing when fulfilled:
+   * the role, or `undefined` if the user can't see the list
    */
-  async todoExists(todoID, options = { throw: false }) {
+  // eslint-disable-next-line max-lines-per-function
+  async listRole(listID, options = { throw: false }) {
     const text =
-`SELECT t.id
+`SELECT
+  ${TodoPGStore.#listRole("tl", "mb", 1)} "role"
 FROM
-  todos t
-  JOIN todolists tl ON t.todolist_id = tl.id
+  todolists tl
+  LEFT JOIN list_members mb ON tl.id = mb.todolist_id
+  AND mb.user_id = $1
 WHERE
-  t.id = $1
-  AND tl.user_id = $2
+  tl.id = $2
+  AND (
+    tl.user_id = $1
+    OR mb.user_id IS NOT NULL
+  )
 `;
-    if (
-      (await query(text, [todoID, this.#userID])).rowCount === 0
-    ) {
-      this.#errInvalidTodoID(todoID, options);
-      return false;
+    const { rows } = await query(text, [this.#userID, listID]);
+    if (rows.length === 0) {
+      this.#errInvalidListID(listID, options);
+      return undefined;
     }
-    return true;
+    return rows[0].role;
   }
 
   /**
-   * Return the list with a given `listID`.
-   * @param {number} listID the list ID to find
+   * Return `true` if this store's user can change the todos in the list with
+   * ID `listID`: if they own the list, or it's shared with them as an editor.
+   * @param {number} listID the list's ID
    * @param {TodoPGStoreQueryOpts} options the set of additional query options
-   * @returns {Promise<TodoListQueryResult|undefined>} a Promise, containing
-   * when fulfilled: the found list, as a generic object, or `undefined` if no
-   * list is found with the given `listID`
+   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
+   * the list exists and its todos can be changed
    */
-  findList(listID, options = { throw: false }) {
+  async #canEditTodos(listID, options = { throw: false }) {
+    const role = await this.listRole(listID, options);
+    if (role === undefined) return false;
+    if (!TodoList.canEditTodos(role)) {
+      this.#errListPermissionDenied(listID, options);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Return `true` if this store's user owns the list with ID `listID`, so they
+   * can rename, re-sort, share, and remove it.
+   * @param {number} listID the list's ID
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
+   * the list exists and this store's user owns it
+   */
+  async #ownsList(listID, options = { throw: false }) {
+    const role = await this.listRole(listID, options);
+    if (role === undefined) return false;
+    if (role !== TodoList.ROLE_OWNER) {
+      this.#errListPermissionDenied(listID, options);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Return `true` if a list with ID `listID` exists in this store's list of
+   * todo lists, which includes the lists shared with this store's user.
+   * @param {number} listID the integer ID to search for
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
+   * the list exists
+   */
+  async listExists(listID, options = { throw: false }) {
+    return (await this.listRole(listID, options)) !== undefined;
+  }
+
+  /**
+   * Return `true` if a todo with ID `todoID` exists in this store's list of
+   * todo lists.
+   * @param {number} todoID the integer ID to search for
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
+   * the todo exists
+   */
+  async todoExists(todoID, options = { throw: false }) {
+    const text =
+`SELECT t.id
+FROM
+  todos t
+  JOIN todolists tl ON t.todolist_id = tl.id
+WHERE
+  t.id = $1
+  AND ${TodoPGStore.#canSeeList("tl", 2)}
+`;
+    if (
+      (await query(text, [todoID, this.#userID])).rowCount === 0
+    ) {
+      this.#errInvalidTodoID(todoID, options);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Return the list with a given `listID`.
+   * @param {number} listID the list ID to find
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<TodoListQueryResult|undefined>} a Promise, containing
+   * when fulfilled: the found list, as a generic object, or `undefined` if no
+   * list is found with the given `listID`
+   */
+  findList(listID, options = { throw: false }) {
     return this.sortedTodoList(listID, options);
   }
 
@@ -420,7 +1123,7 @@ WHERE
    * @param {TodoPGStoreQueryOpts} options the set of additional query options
    * @returns {Promise<TodoQueryResult|undefined>} a Promise, containing when
    * fulfilled: the found todo, or `undefined` if a todo with the given ID isn't
-   * found.
+   * found, including when it's in another of the store's lists than `listID`.
    */
   // eslint-disable-next-line max-lines-per-function
   findTodo(todoID, listID, options = { throw: false }) {
@@ -429,6 +1132,56 @@ WHERE
   t.id,
   t.title,
   t.done,
+  to_char(t.due_date, 'YYYY-MM-DD') "dueDate",
+  t.priority,
+  t.notes,
+  t.recurrence,
+  ARRAY(
+    SELECT
+      tg.name
+    FROM
+      todo_tags tt
+      JOIN tags tg ON tt.tag_id = tg.id
+    WHERE
+      tt.todo_id = t.id
+    ORDER BY
+      tg.name
+  ) tags,
+  coalesce(
+    (
+      SELECT
+        json_agg(
+          json_build_object(
+            'id', st.id,
+            'title', st.title,
+            'done', st.done,
+            'dueDate', to_char(st.due_date, 'YYYY-MM-DD'),
+            'priority', st.priority,
+            'notes', st.notes,
+            'tags', ARRAY(
+              SELECT
+                tg.name
+              FROM
+                todo_tags tt
+                JOIN tags tg ON tt.tag_id = tg.id
+              WHERE
+                tt.todo_id = st.id
+              ORDER BY
+                tg.name
+            ),
+            'parentID', st.parent_id
+          )
+          ORDER BY
+            st.id
+        )
+      FROM
+        todos st
+      WHERE
+        st.parent_id = t.id
+    ),
+    '[]'
+  ) subtasks,
+  t.parent_id "parentID",
   t.todolist_id "listID",
   tl.title "listTitle"
 FROM
@@ -436,7 +1189,7 @@ FROM
   JOIN todolists tl ON t.todolist_id = tl.id
 WHERE
   t.id = $1
-  AND tl.user_id = $2
+  AND ${TodoPGStore.#canSeeList("tl", 2)}
 `;
     let params = [todoID, this.#userID];
     if (listID) {
@@ -451,25 +1204,55 @@ WHERE
       ) {
         return undefined;
       }
-      return (await query(text, params)).rows[0];
+      const todo = (await query(text, params)).rows[0];
+      if (!todo) this.#errInvalidTodoID(todoID, options);
+      return todo;
     });
   }
 
   /**
    * Given an integer `listID`, mark the all of that list's todos as "done".
    * Return `true` if the ID exists and the operation was successful.
+   *
+   * Like `toggleDone()`, this completes each "not done" recurring todo's
+   * current occurrence instead of marking it "done", after the list's other
+   * todos are marked "done", so the recurring todos' subtasks are reset too.
    * @param {number} listID the list's ID
    * @param {TodoPGStoreQueryOpts} options the set of additional query options
    * @returns {Promise<boolean>} a Promise, containing when fulfilled:
    * `true` if the list exists and the operation completed successfully
    */
+  // eslint-disable-next-line max-lines-per-function
   markAllDone(listID, options = { throw: false }) {
+    const recurringText =
+`SELECT
+  id,
+  to_char(due_date, 'YYYY-MM-DD') "dueDate",
+  recurrence
+FROM
+  todos
+WHERE
+  todolist_id = $1
+  AND NOT done
+  AND recurrence IS NOT NULL
+ORDER BY
+  id
+FOR UPDATE
+`;
     return this.withTransaction(async () => {
-      if (!(await this.listExists(listID, options))) return false;
-      await query(
-        "UPDATE todos SET done = TRUE WHERE todolist_id = $1",
+      if (!(await this.#canEditTodos(listID, options))) return false;
+      const recurring = (await query(recurringText, [listID])).rows;
+      const { rows } = await query(
+        "UPDATE todos SET done = TRUE WHERE todolist_id = $1 AND NOT done " +
+          "AND recurrence IS NULL RETURNING id",
         [listID]
       );
+      rows.forEach(({ id }) => {
+        this.#queueListEvent(listID, LIST_EVENT_TOGGLE, { id, done: true });
+      });
+      for (const { id, ...current } of recurring) {
+        await this.#completeOccurrence(id, listID, current);
+      }
       return true;
     });
   }
@@ -477,11 +1260,15 @@ WHERE
   /**
    * Given an integer `todoID` and `listID`, toggle the todo with the given ID
    * as "done" or "not done".
+   *
+   * Toggling a "not done" recurring todo completes its current occurrence
+   * instead of marking it "done": the completion is recorded, and the todo and
+   * its subtasks are reset to "not done", due on the todo's next occurrence.
    * @param {number} todoID the ID of the todo to modify
    * @param {number} listID the list's ID containing the todo
    * @param {TodoPGStoreQueryOpts} options the set of additional query options
-   * @returns {Promise<TodoQueryResult>} a Promise, containing when fulfilled:
-   * the toggled todo, in its post-toggled state
+   * @returns {Promise<TodoQueryResult & ToggleMetadata>} a Promise,
+   * containing when fulfilled: the toggled todo, in its post-toggled state
    */
   // eslint-disable-next-line max-lines-per-function
   toggleDone(todoID, listID, options = { throw: false }) {
@@ -498,44 +1285,641 @@ WHERE
       id,
       title,
       done,
+      due_date,
+      priority,
+      notes,
+      recurrence,
       todolist_id
   )
 SELECT
   tt.id,
   tt.title,
   tt.done,
+  to_char(tt.due_date, 'YYYY-MM-DD') "dueDate",
+  tt.priority,
+  tt.notes,
+  tt.recurrence,
   tt.todolist_id "listID",
   tl.title "listTitle"
 FROM
   toggled_todo tt
   JOIN todolists tl ON tt.todolist_id = tl.id
+`;
+    const currentText =
+`SELECT
+  done,
+  to_char(due_date, 'YYYY-MM-DD') "dueDate",
+  recurrence
+FROM
+  todos
+WHERE
+  id = $1
+  AND todolist_id = $2
+FOR UPDATE
+`;
+    return this.withTransaction(async () => {
+      if (
+        !(await this.#canEditTodos(listID, options)) ||
+        !(await this.todoExists(todoID, options))
+      ) {
+        return undefined;
+      }
+      const current = (await query(currentText, [todoID, listID])).rows[0];
+      if (current && !current.done && current.recurrence) {
+        return this.#completeOccurrence(todoID, listID, current);
+      }
+      const toggled = (await query(text, [todoID, listID])).rows[0];
+      if (!toggled) return undefined;
+      this.#queueListEvent(listID, LIST_EVENT_TOGGLE, {
+        id: toggled.id,
+        done: toggled.done,
+      });
+      return { ...toggled, completedOccurrence: false };
+    });
+  }
+
+  /**
+   * Complete a recurring todo's current occurrence: record the completion, and
+   * reset the todo and its subtasks to "not done", due on the todo's next
+   * occurrence. Only call this inside a transaction, after locking the todo's
+   * row.
+   * @param {number} todoID the ID of the recurring todo
+   * @param {number} listID the list's ID containing the todo
+   * @param {{dueDate: (string|null), recurrence: string}} current the todo's
+   * current due date and recurrence rule
+   * @returns {Promise<TodoQueryResult & ToggleMetadata>} a Promise,
+   * containing when fulfilled: the todo, due on its next occurrence
+   */
+  // eslint-disable-next-line max-lines-per-function
+  async #completeOccurrence(todoID, listID, { dueDate, recurrence }) {
+    const text =
+`WITH
+  completion AS (
+    INSERT INTO
+      todo_completions (todo_id, due_date)
+    VALUES
+      ($1, $3)
+  ),
+  reset_subtasks AS (
+    UPDATE todos
+    SET
+      done = FALSE
+    WHERE
+      parent_id = $1
+      AND todolist_id = $2
+  ),
+  next_occurrence AS (
+    UPDATE todos
+    SET
+      done = FALSE,
+      due_date = $4
+    WHERE
+      id = $1
+      AND todolist_id = $2
+    RETURNING
+      id,
+      title,
+      done,
+      due_date,
+      priority,
+      notes,
+      recurrence,
+      todolist_id
+  )
+SELECT
+  nt.id,
+  nt.title,
+  nt.done,
+  to_char(nt.due_date, 'YYYY-MM-DD') "dueDate",
+  nt.priority,
+  nt.notes,
+  nt.recurrence,
+  nt.todolist_id "listID",
+  tl.title "listTitle"
+FROM
+  next_occurrence nt
+  JOIN todolists tl ON nt.todolist_id = tl.id
+`;
+    const nextDueDate = Todo.nextDueDate(recurrence, dueDate);
+    const doneSubtasks = (await query(
+      "SELECT id FROM todos WHERE parent_id = $1 AND todolist_id = $2 AND done",
+      [todoID, listID]
+    )).rows;
+    const { rows } = await query(text, [todoID, listID, dueDate, nextDueDate]);
+    doneSubtasks.forEach(({ id }) => {
+      this.#queueListEvent(listID, LIST_EVENT_TOGGLE, { id, done: false });
+    });
+    this.#queueListEvent(listID, LIST_EVENT_TOGGLE, {
+      id: todoID,
+      done: false,
+      dueDate: rows[0].dueDate,
+    });
+    return { ...rows[0], completedOccurrence: true };
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, mark all of the todo's subtasks as
+   * "done".
+   * @param {number} todoID the ID of the todo whose subtasks to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
+   * the todo exists and the operation completed successfully
+   */
+  markSubtasksDone(todoID, listID, options = { throw: false }) {
+    return this.withTransaction(async () => {
+      if (
+        !(await this.#canEditTodos(listID, options)) ||
+        !(await this.todoExists(todoID, options))
+      ) {
+        return false;
+      }
+      const { rows } = await query(
+        "UPDATE todos SET done = TRUE " +
+          "WHERE parent_id = $1 AND todolist_id = $2 AND NOT done RETURNING id",
+        [todoID, listID]
+      );
+      rows.forEach(({ id }) => {
+        this.#queueListEvent(listID, LIST_EVENT_TOGGLE, { id, done: true });
+      });
+      return true;
+    });
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, set one of the todo's columns to
+   * the provided `value`, and return the modified todo.
+   *
+   * The `column` name is interpolated into the query text, so it must always be
+   * a literal column name provided by this class, and never user input.
+   * @param {number} todoID the ID of the todo to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {"title"|"due_date"|"priority"|"notes"|"recurrence"} column the
+   * column to set
+   * @param {*} value the column's new value
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<TodoQueryResult|undefined>} a Promise, containing when
+   * fulfilled: the modified todo, in its post-modified state, or `undefined`
+   * if the todo doesn't exist
+   */
+  // eslint-disable-next-line max-lines-per-function
+  #setTodoColumn(todoID, listID, column, value, options = { throw: false }) {
+    const text =
+`WITH
+  updated_todo AS (
+    UPDATE todos
+    SET
+      ${column} = $3
+    WHERE
+      id = $1
+      AND todolist_id = $2
+    RETURNING
+      id,
+      title,
+      done,
+      due_date,
+      priority,
+      notes,
+      recurrence,
+      todolist_id
+  )
+SELECT
+  ut.id,
+  ut.title,
+  ut.done,
+  to_char(ut.due_date, 'YYYY-MM-DD') "dueDate",
+  ut.priority,
+  ut.notes,
+  ut.recurrence,
+  ut.todolist_id "listID",
+  tl.title "listTitle"
+FROM
+  updated_todo ut
+  JOIN todolists tl ON ut.todolist_id = tl.id
 `;
     return this.withTransaction(async () => {
       if (
-        !(await this.listExists(listID, options)) ||
+        !(await this.#canEditTodos(listID, options)) ||
         !(await this.todoExists(todoID, options))
       ) {
         return undefined;
       }
-      return (await query(text, [todoID, listID])).rows[0];
+      const todo = (await query(text, [todoID, listID, value])).rows[0];
+      if (todo && column === "title") {
+        this.#queueListEvent(listID, LIST_EVENT_RENAME, {
+          id: todo.id,
+          title: todo.title,
+        });
+      }
+      return todo;
+    });
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, and a string `title`, set the
+   * todo's title to the provided value.
+   * @param {number} todoID the ID of the todo to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {string} title the new todo title
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<TodoQueryResult|undefined>} a Promise, containing when
+   * fulfilled: the modified todo, in its post-modified state, or `undefined`
+   * if the todo doesn't exist
+   */
+  setTodoTitle(todoID, listID, title, options = { throw: false }) {
+    return this.#setTodoColumn(todoID, listID, "title", title, options);
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, and a string `priority` level, set
+   * the todo's priority to the provided value.
+   * @param {number} todoID the ID of the todo to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {"none"|"low"|"medium"|"high"} priority the new priority level
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<TodoQueryResult|undefined>} a Promise, containing when
+   * fulfilled: the modified todo, in its post-modified state, or `undefined`
+   * if the todo doesn't exist
+   */
+  setTodoPriority(todoID, listID, priority, options = { throw: false }) {
+    return this.#setTodoColumn(todoID, listID, "priority", priority, options);
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, and a string `notes`, set the
+   * todo's notes to the provided value.
+   * @param {number} todoID the ID of the todo to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {string} notes the new todo notes, which may contain Markdown
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<TodoQueryResult|undefined>} a Promise, containing when
+   * fulfilled: the modified todo, in its post-modified state, or `undefined`
+   * if the todo doesn't exist
+   */
+  setTodoNotes(todoID, listID, notes, options = { throw: false }) {
+    return this.#setTodoColumn(todoID, listID, "notes", notes, options);
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, and a `YYYY-MM-DD` date string, set
+   * the todo's due date to the provided value. A `null` date clears the todo's
+   * due date.
+   * @param {number} todoID the ID of the todo to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {string|null} dueDate the new due date
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<TodoQueryResult|undefined>} a Promise, containing when
+   * fulfilled: the modified todo, in its post-modified state, or `undefined`
+   * if the todo doesn't exist
+   */
+  setTodoDueDate(todoID, listID, dueDate, options = { throw: false }) {
+    return this.#setTodoColumn(
+      todoID,
+      listID,
+      "due_date",
+      dueDate || null,
+      options
+    );
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, and a recurrence rule, set the
+   * todo's recurrence to the provided rule, in its canonical form. A `null`
+   * rule stops the todo recurring.
+   * @param {number} todoID the ID of the todo to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {string|null} recurrence the new recurrence rule, which must be
+   * valid: see the `recurrence` module
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<TodoQueryResult|undefined>} a Promise, containing when
+   * fulfilled: the modified todo, in its post-modified state, or `undefined`
+   * if the todo doesn't exist
+   */
+  setTodoRecurrence(todoID, listID, recurrence, options = { throw: false }) {
+    return this.#setTodoColumn(
+      todoID,
+      listID,
+      "recurrence",
+      recurrence ? formatRecurrence(recurrence) : null,
+      options
+    );
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, and a string `tag`, add the tag to
+   * the todo. The tag is normalized first; adding a tag the todo already has
+   * has no effect. The tag belongs to the list's owner, even when an editor
+   * of a shared list adds it.
+   * @param {number} todoID the ID of the todo to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {string} tag the tag to add, which must be valid once normalized
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
+   * the todo exists and now has the tag
+   */
+  // eslint-disable-next-line max-lines-per-function
+  addTag(todoID, listID, tag, options = { throw: false }) {
+    // The no-op DO UPDATE lets RETURNING produce the existing tag's ID
+    const text =
+`WITH
+  tag AS (
+    INSERT INTO
+      tags (name, user_id)
+    SELECT
+      $3,
+      user_id
+    FROM
+      todolists
+    WHERE
+      id = $2
+    ON CONFLICT (name, user_id) DO UPDATE
+    SET
+      name = EXCLUDED.name
+    RETURNING
+      id
+  )
+INSERT INTO
+  todo_tags (todo_id, tag_id)
+SELECT
+  t.id,
+  tag.id
+FROM
+  todos t,
+  tag
+WHERE
+  t.id = $1
+  AND t.todolist_id = $2
+ON CONFLICT DO NOTHING
+`;
+    return this.withTransaction(async () => {
+      if (
+        !(await this.#canEditTodos(listID, options)) ||
+        !(await this.todoExists(todoID, options))
+      ) {
+        return false;
+      }
+      await query(text, [todoID, listID, Todo.normalizeTag(tag)]);
+      return true;
+    });
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, and a string `tag`, remove the tag
+   * from the todo. If no other todo has the tag, the tag is deleted too.
+   * @param {number} todoID the ID of the todo to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {string} tag the tag to remove
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
+   * the todo exists and no longer has the tag
+   */
+  // eslint-disable-next-line max-lines-per-function
+  removeTag(todoID, listID, tag, options = { throw: false }) {
+    const removeText =
+`DELETE FROM todo_tags tt USING tags tg
+WHERE
+  tt.tag_id = tg.id
+  AND tt.todo_id = $1
+  AND tg.name = $2
+  AND tg.user_id = (
+    SELECT
+      user_id
+    FROM
+      todolists
+    WHERE
+      id = $3
+  )
+`;
+    const pruneText =
+`DELETE FROM tags tg
+WHERE
+  tg.name = $1
+  AND tg.user_id = (
+    SELECT
+      user_id
+    FROM
+      todolists
+    WHERE
+      id = $2
+  )
+  AND NOT EXISTS (
+    SELECT
+      1
+    FROM
+      todo_tags tt
+    WHERE
+      tt.tag_id = tg.id
+  )
+`;
+    const normalized = Todo.normalizeTag(tag);
+    return this.withTransaction(async () => {
+      if (
+        !(await this.#canEditTodos(listID, options)) ||
+        !(await this.todoExists(todoID, options))
+      ) {
+        return false;
+      }
+      await query(removeText, [todoID, normalized, listID]);
+      await query(pruneText, [normalized, listID]);
+      return true;
     });
   }
 
   /**
-   * Given a string `title`, add a new todo list to this store and return a
-   * `true` if the new list was added successfully. The `title` must be unique
+   * Return all the tags in use across this store's todo lists, in alphabetical
+   * order, along with the number of todos that have each tag.
+   * @returns {Promise<Array.<TagQueryResult>>} a Promise, containing when
+   * fulfilled: the array of tags
+   */
+  async sortedTags() {
+    const text =
+`SELECT
+  tg.name,
+  count(tt.todo_id)::integer "count"
+FROM
+  tags tg
+  JOIN todo_tags tt ON tg.id = tt.tag_id
+WHERE
+  tg.user_id = $1
+GROUP BY
+  tg.id,
+  tg.name
+ORDER BY
+  tg.name
+`;
+    return (await query(text, [this.#userID])).rows;
+  }
+
+  /**
+   * Given a string `tag`, return every todo with that tag, across all of this
+   * store's todo lists. The todos are sorted by their list's title, and then
+   * in the same order as {@link TodoPGStore#sortedTodoList} sorts them.
+   * @param {string} tag the tag to search for
+   * @returns {Promise<Array.<TodoQueryResult>>} a Promise, containing when
+   * fulfilled: the array of tagged todos, which is empty if no todo has the
+   * tag
+   */
+  // eslint-disable-next-line max-lines-per-function
+  async todosTagged(tag) {
+    const text =
+`SELECT
+  t.id,
+  t.title,
+  t.done,
+  to_char(t.due_date, 'YYYY-MM-DD') "dueDate",
+  t.priority,
+  t.notes,
+  t.recurrence,
+  ARRAY(
+    SELECT
+      tg.name
+    FROM
+      todo_tags tt
+      JOIN tags tg ON tt.tag_id = tg.id
+    WHERE
+      tt.todo_id = t.id
+    ORDER BY
+      tg.name
+  ) tags,
+  t.todolist_id "listID",
+  tl.title "listTitle"
+FROM
+  todos t
+  JOIN todolists tl ON t.todolist_id = tl.id
+WHERE
+  tl.user_id = $1
+  AND EXISTS (
+    SELECT
+      1
+    FROM
+      todo_tags tt
+      JOIN tags tg ON tt.tag_id = tg.id
+    WHERE
+      tt.todo_id = t.id
+      AND tg.name = $2
+  )
+ORDER BY
+  lower(tl.title),
+  t.done,
+  CASE
+    WHEN NOT t.done THEN t.priority
+  END DESC,
+  CASE
+    WHEN NOT t.done THEN t.due_date
+  END ASC NULLS LAST,
+  lower(t.title)
+`;
+    return (
+      await query(text, [this.#userID, Todo.normalizeTag(tag)])
+    ).rows;
+  }
+
+  /**
+   * Given a search `query`, return the todos across all of this store's todo
+   * lists whose titles or notes match it, using PostgreSQL full-text search.
+   * The query uses web search syntax: quoted phrases, `or`, and `-` to
+   * exclude a word. Up to `MAX_SEARCH_RESULTS` of the best-ranked todos are
+   * returned, grouped by list, with lists sorted by title and todos by rank.
+   * @param {string} searchQuery the search query, like `milk -oat`
+   * @returns {Promise<Array.<SearchResultList>>} a Promise, containing when
+   * fulfilled: each list with matching todos, which is empty if no todo
+   * matches
+   */
+  // eslint-disable-next-line max-lines-per-function
+  async search(searchQuery) {
+    const text =
+`WITH
+  search_query AS (
+    SELECT
+      websearch_to_tsquery('english', $2) query
+  ),
+  matches AS (
+    SELECT
+      t.id,
+      ts_rank(t.search_vector, sq.query) rank
+    FROM
+      todos t
+      JOIN todolists tl ON t.todolist_id = tl.id
+      CROSS JOIN search_query sq
+    WHERE
+      tl.user_id = $1
+      AND t.search_vector @@ sq.query
+    ORDER BY
+      rank DESC,
+      t.id
+    LIMIT
+      $3
+  )
+SELECT
+  t.id,
+  t.title,
+  t.done,
+  to_char(t.due_date, 'YYYY-MM-DD') "dueDate",
+  t.priority,
+  t.notes,
+  t.recurrence,
+  ARRAY(
+    SELECT
+      tg.name
+    FROM
+      todo_tags tt
+      JOIN tags tg ON tt.tag_id = tg.id
+    WHERE
+      tt.todo_id = t.id
+    ORDER BY
+      tg.name
+  ) tags,
+  t.todolist_id "listID",
+  tl.title "listTitle",
+  ts_headline('english', t.title, sq.query, $4) "titleHeadline",
+  ts_headline('english', t.notes, sq.query, $5) "notesHeadline"
+FROM
+  matches m
+  JOIN todos t ON m.id = t.id
+  JOIN todolists tl ON t.todolist_id = tl.id
+  CROSS JOIN search_query sq
+ORDER BY
+  lower(tl.title),
+  m.rank DESC,
+  lower(t.title)
+`;
+    if (searchQuery.trim() === "") return [];
+    const { rows } = await query(text, [
+      this.#userID,
+      searchQuery,
+      MAX_SEARCH_RESULTS,
+      TITLE_HEADLINE_OPTIONS,
+      NOTES_HEADLINE_OPTIONS,
+    ]);
+    return groupSearchResults(rows.map((row) => {
+      const { titleHeadline, notesHeadline, ...todo } = row;
+      // A todo's notes headline starts its notes even if only its title
+      // matched, so it's only a snippet if it highlights something.
+      const notesSnippet = parseHeadline(notesHeadline);
+      return {
+        ...todo,
+        titleSnippet: parseHeadline(titleHeadline),
+        notesSnippet: hasHighlight(notesSnippet) ? notesSnippet : [],
+      };
+    }));
+  }
+
+  /**
+   * Given a string `title`, add a new todo list to this store and return the
+   * new list's ID if it was added successfully. The `title` must be unique
    * among all lists.
    * @param {string} title the new list's title
    * @param {TodoPGStoreQueryOpts} options the set of additional query options
-   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
-   * the new list was successfully added
+   * @returns {Promise<number|false>} a Promise, containing when fulfilled: the
+   * new list's ID, or `false` if the list wasn't added
    */
   async addList(title, options = { throw: false }) {
+    let result;
     try {
-      await query("INSERT INTO todolists (title, user_id) VALUES ($1, $2)", [
-        title,
-        this.#userID,
-      ]);
+      result = await query(
+        "INSERT INTO todolists (title, user_id) VALUES ($1, $2) RETURNING id",
+        [title, this.#userID]
+      );
     } catch (err) {
       if (TodoPGStore.#isUniqueConstraintViolation(err)) {
         this.#errNonUniqueListTitle(title, options);
@@ -543,26 +1927,103 @@ FROM
       }
       throw err;
     }
-    return true;
+    return result.rows[0].id;
+  }
+
+  /**
+   * Return `true` if the todo with ID `todoID` is a top-level todo, rather than
+   * a subtask, in the list with ID `listID`.
+   * @param {number} todoID the todo ID to search for
+   * @param {number} listID the ID of the list to search in
+   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
+   * the todo is a top-level todo in the list
+   */
+  async #isTopLevelTodo(todoID, listID) {
+    const text =
+`SELECT id
+FROM
+  todos
+WHERE
+  id = $1
+  AND todolist_id = $2
+  AND parent_id IS NULL
+`;
+    return (await query(text, [todoID, listID])).rowCount > 0;
   }
 
   /**
-   * Given an integer `listID` and string `todoTitle` add a new todo to the
-   * list with the given ID.
+   * Given an integer `listID` and a string `todo` title or {@link NewTodo}
+   * object, add a new todo to the list with the given ID. If the `NewTodo` has
+   * a `parentID`, the new todo is added as a subtask of that todo, which must
+   * be a top-level todo in the same list.
    * @param {number} listID the ID of the list to add the new todo to
-   * @param {string} todoTitle the new todo's title
+   * @param {string|NewTodo} todo the new todo's title, or an object containing
+   * the new todo's properties
    * @param {TodoPGStoreQueryOpts} options the set of additional query options
-   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
-   * the todo was added successfully
+   * @returns {Promise<number|false>} a Promise, containing when fulfilled: the
+   * new todo's ID, or `false` if the todo wasn't added
    */
-  addTodo(listID, todoTitle, options = { throw: false }) {
+  // eslint-disable-next-line max-lines-per-function
+  addTodo(listID, todo, options = { throw: false }) {
+    const {
+      title,
+      dueDate = null,
+      priority = null,
+      notes = "",
+      recurrence = null,
+      parentID = null,
+    } = typeof todo === "string" ? { title: todo } : todo;
+    const text =
+`INSERT INTO
+  todos (
+    title,
+    due_date,
+    priority,
+    notes,
+    recurrence,
+    position,
+    todolist_id,
+    parent_id
+  )
+VALUES
+  (
+    $2,
+    $3,
+    coalesce($4, 'none'::todo_priority),
+    $5,
+    $7,
+    (
+      SELECT
+        coalesce(max(position), 0) + 1
+      FROM
+        todos
+      WHERE
+        todolist_id = $1
+    ),
+    $1,
+    $6
+  )
+RETURNING
+  id
+`;
     return this.withTransaction(async () => {
-      if (!this.listExists(listID, options)) return false;
-      await query("INSERT INTO todos (title, todolist_id) VALUES ($2, $1)", [
+      if (!(await this.#canEditTodos(listID, options))) return false;
+      if (parentID && !(await this.#isTopLevelTodo(parentID, listID))) {
+        this.#errInvalidParentTodo(parentID, options);
+        return false;
+      }
+      const { rows } = await query(text, [
         listID,
-        todoTitle,
+        title,
+        dueDate || null,
+        priority || null,
+        notes || "",
+        parentID || null,
+        recurrence ? formatRecurrence(recurrence) : null,
       ]);
-      return true;
+      const { id } = rows[0];
+      this.#queueTodoAdded(listID, { id, title, dueDate, priority, parentID });
+      return id;
     });
   }
 
@@ -588,12 +2049,18 @@ FROM
       id,
       title,
       done,
+      due_date,
+      priority,
+      notes,
       todolist_id
   )
 SELECT
   rt.id,
   rt.title,
   rt.done,
+  to_char(rt.due_date, 'YYYY-MM-DD') "dueDate",
+  rt.priority,
+  rt.notes,
   rt.todolist_id "listID",
   tl.title "listTitle"
 FROM
@@ -602,19 +2069,152 @@ FROM
 `;
     return this.withTransaction(async () => {
       if (
-        !(await this.listExists(listID, options)) ||
+        !(await this.#canEditTodos(listID, options)) ||
         !(await this.todoExists(todoID, options))
       ) {
         return undefined;
       }
-      return (await query(text, [todoID, listID])).rows[0];
+      const removed = (await query(text, [todoID, listID])).rows[0];
+      if (removed) {
+        this.#queueListEvent(listID, LIST_EVENT_REMOVE, { id: removed.id });
+      }
+      return removed;
+    });
+  }
+
+  /**
+   * Given an integer `todoID`, `fromListID`, and `toListID`, move the todo
+   * with the given ID from the list it's currently in to another list. Both
+   * lists must belong to this store's user. The todo's subtasks move with it;
+   * a subtask that's moved becomes a top-level todo in its new list.
+   * @param {number} todoID the ID of the todo to move
+   * @param {number} fromListID the ID of the list currently containing the todo
+   * @param {number} toListID the ID of the list to move the todo to
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<TodoQueryResult|undefined>} a Promise, containing when
+   * fulfilled: the moved todo, in its new list, or `undefined` if either list
+   * or the todo doesn't exist
+   */
+  // eslint-disable-next-line max-lines-per-function
+  moveTodo(todoID, fromListID, toListID, options = { throw: false }) {
+    const text =
+`WITH
+  moved_subtasks AS (
+    UPDATE todos
+    SET
+      todolist_id = $3
+    WHERE
+      parent_id = $1
+      AND todolist_id = $2
+  ),
+  moved_todo AS (
+    UPDATE todos
+    SET
+      todolist_id = $3,
+      parent_id = NULL,
+      position = (
+        SELECT
+          coalesce(max(position), 0) + 1
+        FROM
+          todos
+        WHERE
+          todolist_id = $3
+      )
+    WHERE
+      id = $1
+      AND todolist_id = $2
+    RETURNING
+      id,
+      title,
+      done,
+      due_date,
+      priority,
+      notes,
+      todolist_id
+  )
+SELECT
+  mt.id,
+  mt.title,
+  mt.done,
+  to_char(mt.due_date, 'YYYY-MM-DD') "dueDate",
+  mt.priority,
+  mt.notes,
+  mt.todolist_id "listID",
+  tl.title "listTitle"
+FROM
+  moved_todo mt
+  JOIN todolists tl ON mt.todolist_id = tl.id
+`;
+    return this.withTransaction(async () => {
+      if (
+        !(await this.#canEditTodos(fromListID, options)) ||
+        !(await this.#canEditTodos(toListID, options))
+      ) {
+        return undefined;
+      }
+      const { rows, rowCount } = await query(text, [
+        todoID,
+        fromListID,
+        toListID,
+      ]);
+      if (rowCount === 0) {
+        this.#errInvalidTodoID(todoID, options);
+        return undefined;
+      }
+      this.#queueListEvent(fromListID, LIST_EVENT_REMOVE, { id: todoID });
+      this.#queueTodoAdded(toListID, rows[0]);
+      return rows[0];
+    });
+  }
+
+  /**
+   * Given an integer `listID` and an array of the list's todo IDs, save the
+   * array's order as the list's manual todo order. The array must include each
+   * of the list's top-level todos exactly once, and no subtasks. This doesn't
+   * change the list's sort mode.
+   * @param {number} listID the ID of the list to reorder
+   * @param {Array.<number>} orderedIDs the IDs of every todo in the list, in
+   * their new order
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
+   * the list exists and its todos were reordered
+   */
+  // eslint-disable-next-line max-lines-per-function
+  reorderTodos(listID, orderedIDs, options = { throw: false }) {
+    const text =
+`UPDATE todos t
+SET
+  position = o.position
+FROM
+  unnest($2::integer[]) WITH ORDINALITY AS o (id, position)
+WHERE
+  t.id = o.id
+  AND t.todolist_id = $1
+`;
+    return this.withTransaction(async () => {
+      if (!(await this.#canEditTodos(listID, options))) return false;
+      const { rows } = await query(
+        "SELECT id FROM todos WHERE todolist_id = $1 AND parent_id IS NULL",
+        [listID]
+      );
+      const listTodoIDs = new Set(rows.map((row) => row.id));
+      if (
+        orderedIDs.length !== listTodoIDs.size ||
+        new Set(orderedIDs).size !== listTodoIDs.size ||
+        !orderedIDs.every((id) => listTodoIDs.has(id))
+      ) {
+        this.#errInvalidTodoOrder(orderedIDs, options);
+        return false;
+      }
+      await query(text, [listID, orderedIDs]);
+      return true;
     });
   }
 
   /**
    * Given an integer `listID`, remove and return the list with that ID from
    * this store's list of todo lists. Return `undefined` if the list ID doesn't
-   * exist.
+   * exist. Only the list's owner can remove it.
    * @param {number} listID the ID of the list to remove
    * @param {TodoPGStoreQueryOpts} options the set of additional query options
    * @returns {Promise<TodoListQueryResult|undefined>} a Promise, containing
@@ -642,11 +2242,14 @@ FROM
         FROM
           user_list_ids
       )
-      AND todolist_id = 1
+      AND todolist_id = $1
     RETURNING
       id,
       title,
       done,
+      due_date,
+      priority,
+      notes,
       todolist_id
   ),
   removed_list AS (
@@ -682,6 +2285,9 @@ SELECT
   rt.id,
   rt.title,
   rt.done,
+  to_char(rt.due_date, 'YYYY-MM-DD') "dueDate",
+  rt.priority,
+  rt.notes,
   lm."listID",
   lm.title "listTitle",
   lm.length "listLength",
@@ -691,8 +2297,15 @@ FROM
   RIGHT JOIN list_metadata lm ON rt.todolist_id = lm."listID"
 ORDER BY
   rt.done,
+  CASE
+    WHEN NOT rt.done THEN rt.priority
+  END DESC,
+  CASE
+    WHEN NOT rt.done THEN rt.due_date
+  END ASC NULLS LAST,
   lower(rt.title)
 `;
+    if (!(await this.#ownsList(listID, options))) return undefined;
     const queryResult = await query(text, [listID, this.#userID]);
     if (queryResult.rowCount === 0) {
       this.#errInvalidListID(listID, options);
@@ -715,7 +2328,8 @@ ORDER BY
   /**
    * Given an integer `listID` and string `title`, set the list's title to the
    * provided value. Return `true` if the list title was set successfully.
-   * The `title` must be unique among all lists.
+   * The `title` must be unique among all lists. Only the list's owner can
+   * rename it.
    * @param {number} listID the ID of the list to modify
    * @param {string} title the new list title
    * @param {TodoPGStoreQueryOpts} options the set of additional query options
@@ -725,6 +2339,8 @@ ORDER BY
   async setListTitle(listID, title, options = { throw: false }) {
     let result;
 
+    if (!(await this.#ownsList(listID, options))) return false;
+
     try {
       result = await query(
         "UPDATE todolists SET title = $2 WHERE id = $1 AND user_id = $3",
@@ -740,6 +2356,436 @@ ORDER BY
     if (result.rowCount === 0) this.#errInvalidListID(listID, options);
     return result;
   }
+
+  /**
+   * Given an integer `listID` and a string `sortMode`, set the list's sort
+   * mode. Switching a list from automatic to manual sorting starts its manual
+   * order from its current automatic order. Only the list's owner can change
+   * its sort mode.
+   * @param {number} listID the ID of the list to modify
+   * @param {"automatic"|"manual"} sortMode the new sort mode
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
+   * the list exists and its sort mode was set
+   */
+  // eslint-disable-next-line max-lines-per-function
+  setListSortMode(listID, sortMode, options = { throw: false }) {
+    const startManualOrderText =
+`UPDATE todos t
+SET
+  position = ordered.position
+FROM
+  (
+    SELECT
+      id,
+      row_number() OVER (
+        ORDER BY
+          done,
+          CASE
+            WHEN NOT done THEN priority
+          END DESC,
+          CASE
+            WHEN NOT done THEN due_date
+          END ASC NULLS LAST,
+          lower(title)
+      ) "position"
+    FROM
+      todos
+    WHERE
+      todolist_id = $1
+  ) ordered
+WHERE
+  t.id = ordered.id
+  AND EXISTS (
+    SELECT
+      1
+    FROM
+      todolists
+    WHERE
+      id = $1
+      AND sort_mode = 'automatic'
+  )
+`;
+    return this.withTransaction(async () => {
+      if (!(await this.#ownsList(listID, options))) return false;
+      if (sortMode === TodoList.SORT_MODE_MANUAL) {
+        await query(startManualOrderText, [listID]);
+      }
+      await query(
+        "UPDATE todolists SET sort_mode = $2 WHERE id = $1 AND user_id = $3",
+        [listID, sortMode, this.#userID]
+      );
+      return true;
+    });
+  }
+
+  /**
+   * Given an integer `listID`, return the view this store's user last chose
+   * for the list, or {@link TodoList.DEFAULT_VIEW} if they haven't chosen one.
+   * @param {number} listID the list's ID
+   * @returns {Promise<TodoListView>} a Promise, containing when fulfilled: the
+   * list's view
+   */
+  async listView(listID) {
+    const text =
+`SELECT
+  show,
+  sort_key sort,
+  sort_direction dir
+FROM
+  todolist_views
+WHERE
+  user_id = $1
+  AND todolist_id = $2
+`;
+    const { rows } = await query(text, [this.#userID, listID]);
+    return TodoList.normalizeView(rows[0]);
+  }
+
+  /**
+   * Given an integer `listID` and a `view`, remember the view as this store's
+   * user's choice for the list.
+   * @param {number} listID the ID of the list
+   * @param {Partial<TodoListView>} view the view; see
+   * {@link TodoList.normalizeView}
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
+   * the list exists and its view was set
+   */
+  setListView(listID, view, options = { throw: false }) {
+    const text =
+`INSERT INTO
+  todolist_views (user_id, todolist_id, show, sort_key, sort_direction)
+VALUES
+  ($1, $2, $3, $4, $5)
+ON CONFLICT (user_id, todolist_id) DO UPDATE
+SET
+  show = EXCLUDED.show,
+  sort_key = EXCLUDED.sort_key,
+  sort_direction = EXCLUDED.sort_direction
+`;
+    const { show, sort, dir } = TodoList.normalizeView(view);
+    return this.withTransaction(async () => {
+      if (!(await this.listExists(listID, options))) return false;
+      await query(text, [this.#userID, listID, show, sort, dir]);
+      return true;
+    });
+  }
+
+  /**
+   * Given an integer `listID`, return the users the list is shared with, in
+   * alphabetical order, along with each one's role. Only the list's owner can
+   * see its members.
+   * @param {number} listID the ID of the list
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<Array.<ListMember>|undefined>} a Promise, containing when
+   * fulfilled: the list's members, or `undefined` if this store's user doesn't
+   * own the list
+   */
+  listMembers(listID, options = { throw: false }) {
+    const text =
+`SELECT
+  u.username,
+  mb.role
+FROM
+  list_members mb
+  JOIN users u ON mb.user_id = u.id
+WHERE
+  mb.todolist_id = $1
+ORDER BY
+  lower(u.username),
+  u.username
+`;
+    return this.withTransaction(async () => {
+      if (!(await this.#ownsList(listID, options))) return undefined;
+      return (await query(text, [listID])).rows;
+    });
+  }
+
+  /**
+   * Given an integer `listID`, share the list with the user with `username`,
+   * in the given `role`. Sharing a list with one of its members again changes
+   * their role. Only the list's owner can share it.
+   * @param {number} listID the ID of the list to share
+   * @param {string} username the username of the user to share it with
+   * @param {"viewer"|"editor"} role the user's role for the list
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
+   * the list is now shared with the user in `role`
+   */
+  // eslint-disable-next-line max-lines-per-function
+  shareList(listID, username, role, options = { throw: false }) {
+    const text =
+`INSERT INTO
+  list_members (todolist_id, user_id, role)
+SELECT
+  $1,
+  id,
+  $3
+FROM
+  users
+WHERE
+  username = $2
+  AND id <> $4
+ON CONFLICT (todolist_id, user_id) DO UPDATE
+SET
+  role = EXCLUDED.role
+`;
+    return this.withTransaction(async () => {
+      if (!(await this.#ownsList(listID, options))) return false;
+      const { rowCount } = await query(text, [
+        listID,
+        username,
+        role,
+        this.#userID,
+      ]);
+      if (rowCount === 0) {
+        this.#errInvalidUsername(username, options);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Given an integer `listID`, stop sharing the list with the user with
+   * `username`. Only the list's owner can stop sharing it.
+   * @param {number} listID the ID of the list
+   * @param {string} username the username of the member to remove
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
+   * the list was shared with the user, and no longer is
+   */
+  unshareList(listID, username, options = { throw: false }) {
+    const text =
+`DELETE FROM list_members mb USING users u
+WHERE
+  mb.user_id = u.id
+  AND mb.todolist_id = $1
+  AND u.username = $2
+`;
+    return this.withTransaction(async () => {
+      if (!(await this.#ownsList(listID, options))) return false;
+      if ((await query(text, [listID, username])).rowCount === 0) {
+        this.#errInvalidUsername(username, options);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Given an integer `listID`, return the list's share links, newest first.
+   * Only the list's owner can see its share links.
+   * @param {number} listID the ID of the list
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<Array.<ShareLink>|undefined>} a Promise, containing when
+   * fulfilled: the list's share links, without their `token` properties, or
+   * `undefined` if this store's user doesn't own the list
+   */
+  // eslint-disable-next-line max-lines-per-function
+  shareLinks(listID, options = { throw: false }) {
+    const text =
+`SELECT
+  id,
+  token_prefix prefix,
+  to_char(created_at, 'YYYY-MM-DD') "createdAt",
+  to_char(expires_on, 'YYYY-MM-DD') "expiresOn",
+  coalesce(expires_on < current_date, false) expired
+FROM
+  share_links
+WHERE
+  todolist_id = $1
+ORDER BY
+  created_at DESC,
+  id DESC
+`;
+    return this.withTransaction(async () => {
+      if (!(await this.#ownsList(listID, options))) return undefined;
+      return (await query(text, [listID])).rows;
+    });
+  }
+
+  /**
+   * Given an integer `listID`, create a new share link for the list. Only the
+   * token's hash is stored, so the returned link's `token` property is the
+   * only time the token is available. Only the list's owner can share it.
+   * @param {number} listID the ID of the list to share
+   * @param {string|null} expiresOn the `YYYY-MM-DD` date of the last day the
+   * link works, or `null` for a link that works until it's revoked
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<ShareLink|undefined>} a Promise, containing when
+   * fulfilled: the new link, including its `token` property, or `undefined`
+   * if this store's user doesn't own the list
+   */
+  // eslint-disable-next-line max-lines-per-function
+  addShareLink(listID, expiresOn, options = { throw: false }) {
+    const text =
+`INSERT INTO
+  share_links (todolist_id, token_hash, token_prefix, expires_on)
+VALUES
+  ($1, $2, $3, $4)
+RETURNING
+  id,
+  token_prefix prefix,
+  to_char(created_at, 'YYYY-MM-DD') "createdAt",
+  to_char(expires_on, 'YYYY-MM-DD') "expiresOn",
+  coalesce(expires_on < current_date, false) expired
+`;
+    return this.withTransaction(async () => {
+      if (!(await this.#ownsList(listID, options))) return undefined;
+      const token = generateShareToken();
+      const { rows } = await query(text, [
+        listID,
+        hashShareToken(token),
+        shareTokenPrefix(token),
+        expiresOn || null,
+      ]);
+      return { ...rows[0], token };
+    });
+  }
+
+  /**
+   * Given integers `listID` and `linkID`, revoke the list's share link with
+   * the given ID, so it no longer shows the list. Only the list's owner can
+   * revoke its share links.
+   * @param {number} listID the ID of the list
+   * @param {number} linkID the ID of the share link to revoke
+   * @param {TodoPGStoreQueryOpts} options the set of additional query options
+   * @returns {Promise<boolean>} a Promise, containing when fulfilled: `true` if
+   * the link was revoked
+   */
+  removeShareLink(listID, linkID, options = { throw: false }) {
+    return this.withTransaction(async () => {
+      if (!(await this.#ownsList(listID, options))) return false;
+      const { rowCount } = await query(
+        "DELETE FROM share_links WHERE id = $1 AND todolist_id = $2",
+        [linkID, listID]
+      );
+      if (rowCount === 0) {
+        this.#errInvalidShareLinkID(linkID, options);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Import todo lists, like those from an export file, alongside this store's
+   * existing lists. The lists are imported in one transaction: if any of them
+   * can't be imported, none of them are.
+   * @param {Array.<TodoList>} todoLists the lists to import, in order
+   * @param {"skip"|"rename"|"merge"} conflictMode what to do with a list whose
+   * title is already in use; see `planImport()`
+   * @returns {Promise<ImportSummary>} a Promise, containing when fulfilled: the
+   * number of lists and todos imported
+   */
+  importLists(todoLists, conflictMode) {
+    return this.withTransaction(async () => {
+      const { rows } = await query(
+        "SELECT id, title FROM todolists WHERE user_id = $1",
+        [this.#userID]
+      );
+      const listIDs = new Map(rows.map(({ id, title }) => [title, id]));
+      const steps = planImport(todoLists, listIDs.keys(), conflictMode);
+      for (const step of steps) {
+        if (step.action !== "skip") await this.#importList(step, listIDs);
+      }
+      return summarizeImport(steps);
+    });
+  }
+
+  /**
+   * Add an import step's todo list, or merge its todos into the existing list
+   * with its title.
+   * @param {ImportStep} step the import step
+   * @param {Map.<string, number>} listIDs the IDs of this store's lists, by
+   * title; updated with the ID of a newly added list
+   */
+  async #importList({ action, title, todoList }, listIDs) {
+    if (action !== "merge") {
+      listIDs.set(title, await this.addList(title, { throw: true }));
+    }
+    const listID = listIDs.get(title);
+    // The todos are added in their list's order, so a manually sorted list
+    // keeps its manual order, and merged todos come after the existing ones.
+    for (const todo of todoList.toOrderedArray()) {
+      const todoID = await this.#importTodo(listID, todo);
+      for (const subtask of todo.getSubtasks()) {
+        await this.#importTodo(listID, subtask, todoID);
+      }
+    }
+    if (action !== "merge" && todoList.isManuallySorted()) {
+      await query(
+        "UPDATE todolists SET sort_mode = 'manual' WHERE id = $1",
+        [listID]
+      );
+    }
+  }
+
+  /**
+   * Add an imported todo, with all its properties except subtasks, to the
+   * list with ID `listID`.
+   * @param {number} listID the ID of the list to add the todo to
+   * @param {Todo} todo the imported todo
+   * @param {number|null} [parentID] the ID of the todo's parent todo, if it's
+   * a subtask
+   * @returns {Promise<number>} a Promise, containing when fulfilled: the new
+   * todo's ID
+   */
+  // eslint-disable-next-line max-lines-per-function
+  async #importTodo(listID, todo, parentID = null) {
+    const text =
+`INSERT INTO
+  todos (
+    title,
+    done,
+    due_date,
+    priority,
+    notes,
+    recurrence,
+    position,
+    todolist_id,
+    parent_id
+  )
+VALUES
+  (
+    $2,
+    $3,
+    $4,
+    $5,
+    $6,
+    $7,
+    (
+      SELECT
+        coalesce(max(position), 0) + 1
+      FROM
+        todos
+      WHERE
+        todolist_id = $1
+    ),
+    $1,
+    $8
+  )
+RETURNING
+  id
+`;
+    const { rows } = await query(text, [
+      listID,
+      todo.getTitle(),
+      todo.isDone(),
+      todo.getDueDate(),
+      todo.getPriority(),
+      todo.getNotes(),
+      todo.getRecurrence(),
+      parentID,
+    ]);
+    const todoID = rows[0].id;
+    for (const tag of todo.getTags()) {
+      await this.addTag(todoID, listID, tag, { throw: true });
+    }
+    return todoID;
+  }
 }
 
 module.exports = {
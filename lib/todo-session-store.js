@@ -15,14 +15,34 @@
 "use strict";
 
 const SEED_DATA = require("./seed-data");
-const { TodoList } = require("./todolist");
+const nextID = require("./next-id");
+const { paginateArray } = require("./pagination");
+const { planImport, summarizeImport } = require("./todo-export");
+const { Todo, TodoList } = require("./todolist");
 const TodoLists = require("./todolists");
 const { deepCopy } = require("./deep-copy");
+const {
+  MAX_SEARCH_RESULTS,
+  excerptTerms,
+  groupSearchResults,
+  highlightTerms,
+  matchesTerms,
+  searchTerms,
+} = require("./search");
 
+/** @typedef { import("./todo-export").ImportSummary } ImportSummary */
+/** @typedef { import("./typedefs").NewTodo } NewTodo */
+/** @typedef { import("./typedefs").Page } Page */
+/** @typedef { import("./typedefs").SearchResultList } SearchResultList */
+/** @typedef { import("./typedefs").TagQueryResult } TagQueryResult */
 /** @typedef { import("./typedefs").TodoListLike } TodoListLike */
+/** @typedef { import("./typedefs").ToggleMetadata } ToggleMetadata */
 /** @typedef { import("./typedefs").TodoQueryResult } TodoQueryResult */
 /** @typedef { import("./typedefs").TodoListMetadataQueryResult } TodoListMetadataQueryResult */
+/** @typedef { import("./typedefs").TodoListPage } TodoListPage */
 /** @typedef { import("./typedefs").TodoListQueryResult } TodoListQueryResult */
+/** @typedef { import("./typedefs").TodoListsPage } TodoListsPage */
+/** @typedef { import("./typedefs").TodoListView } TodoListView */
 
 /**
  * An object defining the optional additional parameters for querying methods.
@@ -34,17 +54,32 @@ const { deepCopy } = require("./deep-copy");
  */
 
 class TodoSessionStore {
+  static ERROR_CODE_INVALID_CURSOR = "InvalidCursor";
   static ERROR_CODE_INVALID_LIST_ID = "InvalidListID";
+  static ERROR_CODE_INVALID_PARENT_TODO = "InvalidParentTodo";
+  static ERROR_CODE_INVALID_SHARE_LINK_ID = "InvalidShareLinkID";
   static ERROR_CODE_INVALID_TODO_ID = "InvalidTodoID";
+  static ERROR_CODE_INVALID_TODO_ORDER = "InvalidTodoOrder";
+  static ERROR_CODE_INVALID_USERNAME = "InvalidUsername";
+  static ERROR_CODE_LIST_PERMISSION_DENIED = "ListPermissionDenied";
   static ERROR_CODE_NON_UNIQUE_LIST_TITLE = "NonUniqueListTitle";
 
   /** @type {TodoLists} */  #todoLists;
 
+  /**
+   * The views chosen for each list, by list ID.
+   * @type {Object.<number, TodoListView>}
+   */
+  #todoListViews;
+
   /**
    * Create a new `TodoSessionStore`
    * @param {*} session the `express-session` Session object
    */
   constructor(session) {
+    if (session.todoListViews === undefined) session.todoListViews = {};
+    this.#todoListViews = session.todoListViews;
+
     if (session.todoLists instanceof TodoLists) {
       this.#todoLists = session.todoLists;
       return;
@@ -81,6 +116,26 @@ class TodoSessionStore {
     return err;
   }
 
+  /**
+   * Throw or return an Error representing an invalid page cursor.
+   * @param {string} cursor the invalid cursor
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {Error} the resulting Error object
+   * @throws {Error} the resulting Error object
+   */
+  #errInvalidCursor(cursor, options = { throw: false }) {
+    return this.#err(
+      new Error("The given page cursor isn't valid", {
+        cause: {
+          code: TodoSessionStore.ERROR_CODE_INVALID_CURSOR,
+          values: [cursor],
+        },
+      }),
+      options
+    );
+  }
+
   /**
    * Throw or return an Error representing an invalid list ID.
    * @param {number} listID the invalid list ID
@@ -92,8 +147,10 @@ class TodoSessionStore {
   #errInvalidListID(listID, options = { throw: false }) {
     return this.#err(
       new Error("The given list ID doesn't exist", {
-        code: TodoSessionStore.ERROR_CODE_INVALID_LIST_ID,
-        values: [listID],
+        cause: {
+          code: TodoSessionStore.ERROR_CODE_INVALID_LIST_ID,
+          values: [listID],
+        },
       }),
       options
     );
@@ -110,8 +167,52 @@ class TodoSessionStore {
   #errInvalidTodoID(todoID, options = { throw: false }) {
     return this.#err(
       new Error("The given todo ID doesn't exist", {
-        code: TodoSessionStore.ERROR_CODE_INVALID_TODO_ID,
-        values: [todoID],
+        cause: {
+          code: TodoSessionStore.ERROR_CODE_INVALID_TODO_ID,
+          values: [todoID],
+        },
+      }),
+      options
+    );
+  }
+
+  /**
+   * Throw or return an Error representing a subtask's invalid parent todo: the
+   * parent must be a top-level todo in the subtask's list.
+   * @param {number} parentID the invalid parent todo ID
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {Error} the resulting Error object
+   * @throws {Error} the resulting Error object
+   */
+  #errInvalidParentTodo(parentID, options = { throw: false }) {
+    return this.#err(
+      new Error("Subtasks can only be added to a top-level todo in the list.", {
+        cause: {
+          code: TodoSessionStore.ERROR_CODE_INVALID_PARENT_TODO,
+          values: [parentID],
+        },
+      }),
+      options
+    );
+  }
+
+  /**
+   * Throw or return an Error representing a manual todo order that isn't an
+   * ordering of exactly one list's todos.
+   * @param {Array.<number>} orderedIDs the invalid ordering of todo IDs
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {Error} the resulting Error object
+   * @throws {Error} the resulting Error object
+   */
+  #errInvalidTodoOrder(orderedIDs, options = { throw: false }) {
+    return this.#err(
+      new Error("The todo order must include each of the list's todos once.", {
+        cause: {
+          code: TodoSessionStore.ERROR_CODE_INVALID_TODO_ORDER,
+          values: [orderedIDs],
+        },
       }),
       options
     );
@@ -154,32 +255,90 @@ class TodoSessionStore {
   }
 
   /**
-   * Return a sorted deep copy of this session's current `TodoLists`, as an
-   * array of objects, each containing `TodoListMetadataQueryResult`'s
+   * Return a sorted deep copy of a page of this session's current `TodoLists`,
+   * as an array of objects, each containing `TodoListMetadataQueryResult`'s
    * properties.
    *
    * The individual `Todo`'s aren't included in this result, only
    * each list's defining properties and metadata properties describing the
-   * list's current state.
-   * @returns {Array.<TodoListMetadataQueryResult>} a sorted deep copy of the
-   * list of todo lists
+   * list's current state. A session's lists aren't shared, so the session's
+   * user owns each one.
+   * Returns `undefined` if the page's cursor isn't valid.
+   * @param {Page} [page] the page of lists to return; every list, by default
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {TodoListsPage|undefined} a sorted deep copy of the page of todo
+   * lists
    */
-  sortedTodoLists() {
-    return deepCopy(this.#todoLists.sort().lists);
+  sortedTodoLists(page = {}, options = { throw: false }) {
+    const listsPage = paginateArray(
+      this.#todoLists.sort().lists,
+      page,
+      (todoList) => todoList.getID()
+    );
+    if (!listsPage) {
+      this.#errInvalidCursor(page.cursor, options);
+      return undefined;
+    }
+    return {
+      lists: deepCopy(listsPage.items).map((todoList) => {
+        return { ...todoList, role: TodoList.ROLE_OWNER };
+      }),
+      nextCursor: listsPage.nextCursor,
+    };
   }
 
   /**
    * Given an integer `listID`, return an object containing the list's summary
    * metadata and an array of the list's todos, sorted by name and "done-ness".
    * "Done" todos come after "not-done" todos in sort order.
+   * An optional `view` shows only some of the todos, or sorts them by one of
+   * their properties instead: see {@link TodoList#toOrderedArray}. An optional
+   * `page` returns only some of the view's todos. The list's summary metadata
+   * always counts all its todos.
    * @param {number} listID the list ID to find the todos for
    * @param {TodoSessionStoreQueryOpts} options the set of additional query
    * options
-   * @returns {TodoListQueryResult|undefined} the sorted todo list, or
-   * `undefined` if the list doesn't exist
+   * @param {Partial<TodoListView>} [view] the view; see
+   * {@link TodoList.normalizeView}
+   * @param {Page} [page] the page of todos to return; every todo, by default
+   * @returns {TodoListPage|undefined} the sorted todo list, or `undefined` if
+   * the list doesn't exist or the page's cursor isn't valid
+   */
+  // eslint-disable-next-line max-lines-per-function
+  sortedTodoList(listID, options = { throw: false }, view = {}, page = {}) {
+    const list = this.#findList(listID, options);
+    if (!list) return undefined;
+
+    const todosPage = paginateArray(
+      list.toOrderedArray(view),
+      page,
+      (todo) => todo.getID()
+    );
+    if (!todosPage) {
+      this.#errInvalidCursor(page.cursor, options);
+      return undefined;
+    }
+
+    const listTitle = list.getTitle();
+    return deepCopy({
+      ...list.toJSON(),
+      role: TodoList.ROLE_OWNER,
+      nextCursor: todosPage.nextCursor,
+      todos: todosPage.items.map((todo) => {
+        return { ...todo.toJSON(), listID, listTitle };
+      }),
+    });
+  }
+
+  /**
+   * Return a deep copy of every one of this session's todo lists, each with
+   * all its todos, in the same order as
+   * {@link TodoSessionStore#sortedTodoLists}.
+   * @returns {Array.<TodoListQueryResult>} the array of todo lists
    */
-  sortedTodoList(listID, options = { throw: false }) {
-    return deepCopy(this.#findList(listID, options));
+  allTodoLists() {
+    return deepCopy(this.#todoLists.sort().lists);
   }
 
   /**
@@ -248,7 +407,7 @@ class TodoSessionStore {
         : [this.#findList(listID, options)];
 
     for (let todoList of todoLists) {
-      const todo = todoList.findByID(todoID);
+      const todo = todoList.findItemByID(todoID);
       if (todo !== undefined) return todo;
     }
 
@@ -291,19 +450,161 @@ class TodoSessionStore {
   /**
    * Given an integer `todoID` and `listID`, toggle the todo with the given ID
    * as "done" or "not done".
+   *
+   * Toggling a "not done" recurring todo completes its current occurrence
+   * instead of marking it "done": see {@link Todo#completeOccurrence}. Unlike
+   * `TodoPGStore`, this store doesn't keep a history of completed occurrences.
    * @param {number} todoID the ID of the todo to modify
    * @param {number} listID the list's ID containing the todo
    * @param {TodoSessionStoreQueryOpts} options the set of additional query
    * options
-   * @returns {TodoQueryResult|undefined} the toggled todo, in its post-toggled
-   * state, or `undefined` if the todo doesn't exist
+   * @returns {(TodoQueryResult & ToggleMetadata)|undefined} the toggled todo,
+   * in its post-toggled state, or `undefined` if the todo doesn't exist
    */
   toggleDone(todoID, listID, options = { throw: false }) {
     const list = this.#findList(listID, options);
     const todo = this.#findTodo(todoID, listID, options);
     if (!todo) return undefined;
-    if (todo.isDone()) todo.markUndone();
+    const completedOccurrence = !todo.isDone() && todo.isRecurring();
+    if (completedOccurrence) todo.completeOccurrence();
+    else if (todo.isDone()) todo.markUndone();
     else todo.markDone();
+    return {
+      ...deepCopy(todo),
+      listID: list.getID(),
+      listTitle: list.getTitle(),
+      completedOccurrence,
+    };
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, mark all of the todo's subtasks as
+   * "done".
+   * @param {number} todoID the ID of the todo whose subtasks to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {boolean} `true` if the todo exists and the operation completed
+   * successfully
+   */
+  markSubtasksDone(todoID, listID, options = { throw: false }) {
+    const todo = this.#findTodo(todoID, listID, options);
+    if (!todo) return false;
+    todo.markAllSubtasksDone();
+    return true;
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, and a string `title`, set the
+   * todo's title to the provided value.
+   * @param {number} todoID the ID of the todo to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {string} title the new todo title
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {TodoQueryResult|undefined} the modified todo, in its
+   * post-modified state, or `undefined` if the todo doesn't exist
+   */
+  setTodoTitle(todoID, listID, title, options = { throw: false }) {
+    const list = this.#findList(listID, options);
+    const todo = this.#findTodo(todoID, listID, options);
+    if (!todo) return undefined;
+    todo.setTitle(title);
+    return {
+      ...deepCopy(todo),
+      listID: list.getID(),
+      listTitle: list.getTitle(),
+    };
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, and a string `priority` level, set
+   * the todo's priority to the provided value.
+   * @param {number} todoID the ID of the todo to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {"none"|"low"|"medium"|"high"} priority the new priority level
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {TodoQueryResult|undefined} the modified todo, in its
+   * post-modified state, or `undefined` if the todo doesn't exist
+   */
+  setTodoPriority(todoID, listID, priority, options = { throw: false }) {
+    const list = this.#findList(listID, options);
+    const todo = this.#findTodo(todoID, listID, options);
+    if (!todo) return undefined;
+    todo.setPriority(priority);
+    return {
+      ...deepCopy(todo),
+      listID: list.getID(),
+      listTitle: list.getTitle(),
+    };
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, and a string `notes`, set the
+   * todo's notes to the provided value.
+   * @param {number} todoID the ID of the todo to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {string} notes the new todo notes, which may contain Markdown
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {TodoQueryResult|undefined} the modified todo, in its
+   * post-modified state, or `undefined` if the todo doesn't exist
+   */
+  setTodoNotes(todoID, listID, notes, options = { throw: false }) {
+    const list = this.#findList(listID, options);
+    const todo = this.#findTodo(todoID, listID, options);
+    if (!todo) return undefined;
+    todo.setNotes(notes);
+    return {
+      ...deepCopy(todo),
+      listID: list.getID(),
+      listTitle: list.getTitle(),
+    };
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, and a `YYYY-MM-DD` date string, set
+   * the todo's due date to the provided value. A `null` date clears the todo's
+   * due date.
+   * @param {number} todoID the ID of the todo to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {string|null} dueDate the new due date
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {TodoQueryResult|undefined} the modified todo, in its
+   * post-modified state, or `undefined` if the todo doesn't exist
+   */
+  setTodoDueDate(todoID, listID, dueDate, options = { throw: false }) {
+    const list = this.#findList(listID, options);
+    const todo = this.#findTodo(todoID, listID, options);
+    if (!todo) return undefined;
+    todo.setDueDate(dueDate);
+    return {
+      ...deepCopy(todo),
+      listID: list.getID(),
+      listTitle: list.getTitle(),
+    };
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, and a recurrence rule, set the
+   * todo's recurrence to the provided rule, in its canonical form. A `null`
+   * rule stops the todo recurring.
+   * @param {number} todoID the ID of the todo to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {string|null} recurrence the new recurrence rule, which must be
+   * valid: see the `recurrence` module
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {TodoQueryResult|undefined} the modified todo, in its
+   * post-modified state, or `undefined` if the todo doesn't exist
+   */
+  setTodoRecurrence(todoID, listID, recurrence, options = { throw: false }) {
+    const list = this.#findList(listID, options);
+    const todo = this.#findTodo(todoID, listID, options);
+    if (!todo) return undefined;
+    todo.setRecurrence(recurrence);
     return {
       ...deepCopy(todo),
       listID: list.getID(),
@@ -312,37 +613,174 @@ class TodoSessionStore {
   }
 
   /**
-   * Given a string `title`, add a new todo list to this store, and return
-   * `true` if the new list was successfully added. The `title` must be unique
+   * Given an integer `todoID` and `listID`, and a string `tag`, add the tag to
+   * the todo. The tag is normalized first; adding a tag the todo already has
+   * has no effect.
+   * @param {number} todoID the ID of the todo to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {string} tag the tag to add, which must be valid once normalized
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {boolean} `true` if the todo exists and now has the tag
+   */
+  addTag(todoID, listID, tag, options = { throw: false }) {
+    const todo = this.#findTodo(todoID, listID, options);
+    if (!todo) return false;
+    todo.addTag(tag);
+    return true;
+  }
+
+  /**
+   * Given an integer `todoID` and `listID`, and a string `tag`, remove the tag
+   * from the todo.
+   * @param {number} todoID the ID of the todo to modify
+   * @param {number} listID the list's ID containing the todo
+   * @param {string} tag the tag to remove
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {boolean} `true` if the todo exists and no longer has the tag
+   */
+  removeTag(todoID, listID, tag, options = { throw: false }) {
+    const todo = this.#findTodo(todoID, listID, options);
+    if (!todo) return false;
+    todo.removeTag(tag);
+    return true;
+  }
+
+  /**
+   * Return all the tags in use across this session's todo lists, in
+   * alphabetical order, along with the number of todos that have each tag.
+   * @returns {Array.<TagQueryResult>} the array of tags
+   */
+  sortedTags() {
+    const counts = new Map();
+    this.#todoLists.lists.forEach((list) => {
+      list.forEach((todo) => {
+        todo.getTags().forEach((tag) => {
+          counts.set(tag, (counts.get(tag) || 0) + 1);
+        });
+      });
+    });
+    return [...counts.keys()]
+      .sort()
+      .map((name) => ({ name, count: counts.get(name) }));
+  }
+
+  /**
+   * Given a string `tag`, return every todo with that tag, across all of this
+   * session's todo lists. The todos are sorted by their list's title, and then
+   * in each list's usual todo sort order.
+   * @param {string} tag the tag to search for
+   * @returns {Array.<TodoQueryResult>} a deep copy of the tagged todos, which
+   * is empty if no todo has the tag
+   */
+  todosTagged(tag) {
+    return [...this.#todoLists.lists]
+      .sort((listA, listB) => {
+        return listA.getTitle().toLowerCase().localeCompare(
+          listB.getTitle().toLowerCase()
+        );
+      })
+      .flatMap((list) => {
+        return list
+          .toSortedArray()
+          .filter((todo) => todo.hasTag(tag))
+          .map((todo) => ({
+            ...deepCopy(todo),
+            listID: list.getID(),
+            listTitle: list.getTitle(),
+          }));
+      });
+  }
+
+  /**
+   * Given a search `query`, return the todos and subtasks across all of this
+   * session's todo lists whose titles or notes contain each of the query's
+   * words, ignoring case. Up to `MAX_SEARCH_RESULTS` todos are returned,
+   * grouped by list, with lists sorted by title and todos in each list's usual
+   * todo sort order.
+   * @param {string} query the search query, like `buy milk`
+   * @returns {Array.<SearchResultList>} a deep copy of each list with matching
+   * todos, which is empty if no todo matches
+   */
+  // eslint-disable-next-line max-lines-per-function
+  search(query) {
+    const terms = searchTerms(query);
+    const results = [...this.#todoLists.lists]
+      .sort((listA, listB) => {
+        return listA.getTitle().toLowerCase().localeCompare(
+          listB.getTitle().toLowerCase()
+        );
+      })
+      .flatMap((list) => {
+        return list
+          .toSortedArray()
+          .flatMap((todo) => [todo, ...todo.getSubtasks()])
+          .filter((todo) => {
+            return matchesTerms(`${todo.getTitle()}\n${todo.getNotes()}`, terms);
+          })
+          .map((todo) => ({
+            ...deepCopy(todo),
+            listID: list.getID(),
+            listTitle: list.getTitle(),
+            titleSnippet: highlightTerms(todo.getTitle(), terms),
+            notesSnippet: excerptTerms(todo.getNotes(), terms),
+          }));
+      });
+    return groupSearchResults(results.slice(0, MAX_SEARCH_RESULTS));
+  }
+
+  /**
+   * Given a string `title`, add a new todo list to this store, and return the
+   * new list's ID if it was successfully added. The `title` must be unique
    * among all lists.
    * @param {string} title the new list's title
    * @param {TodoSessionStoreQueryOpts} options the set of additional query
    * options
-   * @returns {boolean} `true` if the new list was successfully added
+   * @returns {number|false} the new list's ID, or `false` if the list wasn't
+   * added
    */
   addList(title, options = { throw: false }) {
     if (this.listTitleExists(title)) {
       this.#errNonUniqueListTitle(title, options);
       return false;
     }
-    this.#todoLists.lists.push(new TodoList(title));
-    return true;
+    const newList = new TodoList(title);
+    this.#todoLists.lists.push(newList);
+    return newList.getID();
   }
 
   /**
-   * Given an integer `listID` and string `todoTitle` add a new todo to the
-   * list with the given ID.
+   * Given an integer `listID` and a string `todo` title or {@link NewTodo}
+   * object, add a new todo to the list with the given ID. If the `NewTodo` has
+   * a `parentID`, the new todo is added as a subtask of that todo, which must
+   * be a top-level todo in the same list.
    * @param {number} listID the ID of the list to add the new todo to
-   * @param {string} todoTitle the new todo's title
+   * @param {string|NewTodo} todo the new todo's title, or an object containing
+   * the new todo's properties
    * @param {TodoSessionStoreQueryOpts} options the set of additional query
    * options
-   * @returns {boolean} `true` if the todo was added successfully
+   * @returns {number|false} the new todo's ID, or `false` if the todo wasn't
+   * added
    */
-  addTodo(listID, todoTitle, options = { throw: false }) {
+  addTodo(listID, todo, options = { throw: false }) {
     const list = this.#findList(listID, options);
     if (!list) return false;
-    list.add(todoTitle);
-    return true;
+    const { title, dueDate, priority, notes, recurrence, parentID } =
+      typeof todo === "string" ? { title: todo } : todo;
+    const parent = parentID ? list.findByID(parentID) : undefined;
+    if (parentID && !parent) {
+      this.#errInvalidParentTodo(parentID, options);
+      return false;
+    }
+    const newTodo = (new Todo(title))
+      .setDueDate(dueDate)
+      .setPriority(priority)
+      .setNotes(notes)
+      .setRecurrence(recurrence);
+    if (parent) parent.addSubtask(newTodo);
+    else list.add(newTodo);
+    return newTodo.getID();
   }
 
   /**
@@ -360,13 +798,70 @@ class TodoSessionStore {
     const list = this.#findList(listID, options);
     const todo = this.#findTodo(todoID, listID, options);
     if (!todo) return undefined;
+    const parent = list.findParentOf(todoID);
+    if (parent) parent.removeSubtask(todoID);
+    else list.removeAt(list.indexOf(todo));
     return {
-      ...deepCopy(list.removeAt(list.indexOf(todo))),
+      ...deepCopy(todo),
       listID: list.getID(),
       listTitle: list.getTitle(),
     };
   }
 
+  /**
+   * Given an integer `todoID`, `fromListID`, and `toListID`, move the todo
+   * with the given ID from the list it's currently in to another list. The
+   * todo's subtasks move with it; a subtask that's moved becomes a top-level
+   * todo in its new list.
+   * @param {number} todoID the ID of the todo to move
+   * @param {number} fromListID the ID of the list currently containing the todo
+   * @param {number} toListID the ID of the list to move the todo to
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {TodoQueryResult|undefined} a deep copy of the moved todo, in its
+   * new list, or `undefined` if either list or the todo doesn't exist
+   */
+  moveTodo(todoID, fromListID, toListID, options = { throw: false }) {
+    const fromList = this.#findList(fromListID, options);
+    const toList = this.#findList(toListID, options);
+    if (!fromList || !toList) return undefined;
+    const todo = this.#findTodo(todoID, fromListID, options);
+    if (!todo) return undefined;
+    const parent = fromList.findParentOf(todoID);
+    if (parent) parent.removeSubtask(todoID);
+    else fromList.removeAt(fromList.indexOf(todo));
+    toList.add(todo);
+    return {
+      ...deepCopy(todo),
+      listID: toList.getID(),
+      listTitle: toList.getTitle(),
+    };
+  }
+
+  /**
+   * Given an integer `listID` and an array of the list's todo IDs, save the
+   * array's order as the list's manual todo order. The array must include each
+   * of the list's todos exactly once. This doesn't change the list's sort mode.
+   * @param {number} listID the ID of the list to reorder
+   * @param {Array.<number>} orderedIDs the IDs of every todo in the list, in
+   * their new order
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {boolean} `true` if the list exists and its todos were reordered
+   */
+  reorderTodos(listID, orderedIDs, options = { throw: false }) {
+    const list = this.#findList(listID, options);
+    if (!list) return false;
+    try {
+      list.reorder(orderedIDs);
+    } catch (err) {
+      if (!(err instanceof ReferenceError)) throw err;
+      this.#errInvalidTodoOrder(orderedIDs, options);
+      return false;
+    }
+    return true;
+  }
+
   /**
    * Given an integer `listID`, remove the list with that ID from this store's
    * list of todo lists. Return a deep copy of the removed list.
@@ -384,6 +879,7 @@ class TodoSessionStore {
       this.#errInvalidListID(listID, options);
       return undefined;
     }
+    delete this.#todoListViews[listID];
     return deepCopy(this.#todoLists.lists.splice(idx, 1)[0]);
   }
 
@@ -411,6 +907,130 @@ class TodoSessionStore {
     list.setTitle(title);
     return true;
   }
+
+  /**
+   * Given an integer `listID` and a string `sortMode`, set the list's sort
+   * mode. Switching a list from automatic to manual sorting starts its manual
+   * order from its current automatic order.
+   * @param {number} listID the ID of the list to modify
+   * @param {"automatic"|"manual"} sortMode the new sort mode
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {boolean} `true` if the list exists and its sort mode was set
+   */
+  setListSortMode(listID, sortMode, options = { throw: false }) {
+    const list = this.#findList(listID, options);
+    if (!list) return false;
+    list.setSortMode(sortMode);
+    return true;
+  }
+
+  /**
+   * Given an integer `listID`, return the view last chosen for the list, or
+   * {@link TodoList.DEFAULT_VIEW} if none has been chosen.
+   * @param {number} listID the list's ID
+   * @returns {TodoListView} the list's view
+   */
+  listView(listID) {
+    return TodoList.normalizeView(this.#todoListViews[listID]);
+  }
+
+  /**
+   * Given an integer `listID` and a `view`, remember the view as the choice
+   * for the list.
+   * @param {number} listID the ID of the list
+   * @param {Partial<TodoListView>} view the view; see
+   * {@link TodoList.normalizeView}
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {boolean} `true` if the list exists and its view was set
+   */
+  setListView(listID, view, options = { throw: false }) {
+    if (!this.#findList(listID, options)) return false;
+    this.#todoListViews[listID] = TodoList.normalizeView(view);
+    return true;
+  }
+
+  /**
+   * Return the session user's role for the list with ID `listID`. A session's
+   * lists aren't shared, so the session's user owns each one.
+   * @param {number} listID the list's ID
+   * @param {TodoSessionStoreQueryOpts} options the set of additional query
+   * options
+   * @returns {string|undefined} the role, or `undefined` if the list doesn't
+   * exist
+   */
+  listRole(listID, options = { throw: false }) {
+    if (!this.#findList(listID, options)) return undefined;
+    return TodoList.ROLE_OWNER;
+  }
+
+  listMembers() {
+    this.#logNotImplemented(this.listMembers);
+    return [];
+  }
+
+  shareList() {
+    this.#logNotImplemented(this.shareList);
+    return false;
+  }
+
+  unshareList() {
+    this.#logNotImplemented(this.unshareList);
+    return false;
+  }
+
+  shareLinks() {
+    this.#logNotImplemented(this.shareLinks);
+    return [];
+  }
+
+  addShareLink() {
+    this.#logNotImplemented(this.addShareLink);
+    return undefined;
+  }
+
+  removeShareLink() {
+    this.#logNotImplemented(this.removeShareLink);
+    return false;
+  }
+
+  /**
+   * Import todo lists, like those from an export file, alongside this
+   * session's existing lists. Imported todos get new IDs.
+   * @param {Array.<TodoList>} todoLists the lists to import, in order
+   * @param {"skip"|"rename"|"merge"} conflictMode what to do with a list whose
+   * title is already in use; see `planImport()`
+   * @returns {ImportSummary} the number of lists and todos imported
+   */
+  // eslint-disable-next-line max-lines-per-function
+  importLists(todoLists, conflictMode) {
+    const steps = planImport(
+      todoLists,
+      this.#todoLists.lists.map((todoList) => todoList.getTitle()),
+      conflictMode
+    );
+    steps.forEach(({ action, title, todoList }) => {
+      if (action === "skip") return;
+      let list = this.#todoLists.lists.find((existingList) => {
+        return existingList.getTitle() === title;
+      });
+      if (action !== "merge") {
+        list = (new TodoList(title)).setSortMode(todoList.getSortMode());
+        this.#todoLists.lists.push(list);
+      }
+      todoList.toOrderedArray().forEach((todo) => {
+        list.add(new Todo({
+          ...todo.toJSON(),
+          id: nextID(),
+          subtasks: todo.getSubtasks().map((subtask) => {
+            return { ...subtask.toJSON(), id: nextID() };
+          }),
+        }));
+      });
+    });
+    return summarizeImport(steps);
+  }
 }
 
 module.exports = {
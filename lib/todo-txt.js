@@ -0,0 +1,283 @@
+/**
+ * JS185 Todo App
+ * todo.txt Files
+ * todo-txt.js
+ *
+ * Write todo lists in the todo.txt format (http://todotxt.org), and read
+ * todo.txt files back into todo lists. Each todo is one line:
+ *
+ *     (A) Buy milk +Groceries @errands due:2024-01-05
+ *     x Check the date +Groceries pri:B
+ *
+ * The todo.txt parts map onto todos like this:
+ * - a leading `x ` marks a done todo
+ * - a `(A)`, `(B)`, or `(C)` priority is high, medium, or low priority; a done
+ *   todo keeps its priority as `pri:A`, since todo.txt drops done todos'
+ *   priorities
+ * - the first `+project` is the todo's list title, with `_` for its spaces
+ * - each `@context` is one of the todo's tags
+ * - `due:YYYY-MM-DD` is the todo's due date
+ *
+ * Title words that would read as any of those parts, like `+1` or `@home`,
+ * are written with their first character percent-encoded, like `%2B1`, and
+ * decoded when read back: see {@link titleText}.
+ *
+ * todo.txt has no place for empty lists, notes, or recurrence rules, so they
+ * aren't written, and subtasks are written as todos of their own.
+ */
+"use strict";
+
+const { TodoList } = require("./todolist");
+const Todo = require("./todo");
+const nextID = require("./next-id");
+
+const MAX_TITLE_LENGTH = 100;
+
+const PRIORITY_LETTERS = Object.freeze({
+  [Todo.PRIORITY_HIGH]: "A",
+  [Todo.PRIORITY_MEDIUM]: "B",
+  [Todo.PRIORITY_LOW]: "C",
+});
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Throw a `TypeError` describing an invalid todo.txt file.
+ * @param {string} reason why the file is invalid
+ * @throws {TypeError}
+ */
+function invalid(reason) {
+  throw new TypeError(`Invalid todo.txt: ${reason}`);
+}
+
+function isValidDate(date) {
+  if (!DATE_PATTERN.test(date)) return false;
+  const time = Date.parse(`${date}T00:00:00Z`);
+  return !Number.isNaN(time) && new Date(time).toISOString().startsWith(date);
+}
+
+/**
+ * Return a list title as a `+project` name: `%` and `_` are escaped as `%25`
+ * and `%5F`, then each whitespace character becomes a `_`.
+ * @param {string} title the list title
+ * @returns {string} the project name, without its `+`
+ */
+function projectName(title) {
+  return title
+    .replace(/[%_]/g, (char) => (char === "%" ? "%25" : "%5F"))
+    .replace(/\s/g, "_");
+}
+
+/**
+ * Return the list title a `+project` name stands for; the reverse of
+ * {@link projectName}.
+ * @param {string} name the project name, without its `+`
+ * @returns {string} the list title
+ */
+function projectTitle(name) {
+  return name
+    .replace(/_/g, " ")
+    .replace(/%(25|5F)/gi, (_match, code) => (code === "25" ? "%" : "_"));
+}
+
+// The first characters `titleText()` may percent-encode, and `%` itself
+const ESCAPED_TITLE_CHARS = "%+@(x0123456789dp";
+
+/**
+ * Return `true` if a title word would be read as a todo.txt part other than
+ * the title: a `+project`, `@context`, or `due:` or `pri:` key, or, as the
+ * title's first word, a completion marker, priority, or date.
+ * @param {string} word the word
+ * @param {boolean} isFirst whether the word is the title's first word
+ * @returns {boolean} `true` if the word needs escaping
+ */
+function looksLikeMetadata(word, isFirst) {
+  if (/^[+@]./.test(word) || /^(due|pri):/.test(word)) return true;
+  return isFirst &&
+    (word === "x" || /^\([A-Z]\)$/.test(word) || DATE_PATTERN.test(word));
+}
+
+/**
+ * Return a todo's title as todo.txt title text: `%` is escaped as `%25`, then
+ * the first character of each word that would be read as another part of the
+ * line is percent-encoded, like `%2B1` for `+1`.
+ * @param {string} title the todo's title
+ * @returns {string} the title text
+ */
+function titleText(title) {
+  const firstWordIndex = title.search(/\S/);
+  return title.replace(/\S+/g, (word, index) => {
+    const escaped = word.replace(/%/g, "%25");
+    if (!looksLikeMetadata(word, index === firstWordIndex)) return escaped;
+    const code = escaped.charCodeAt(0).toString(16).toUpperCase();
+    return `%${code}${escaped.slice(1)}`;
+  });
+}
+
+/**
+ * Return the title word todo.txt title text stands for; the reverse of
+ * {@link titleText}, for one word. Other percent-encoded characters are left
+ * as they are.
+ * @param {string} word the title text's word
+ * @returns {string} the title's word
+ */
+function titleWord(word) {
+  return word.replace(/%([0-9A-F]{2})/gi, (match, code) => {
+    const char = String.fromCharCode(parseInt(code, 16));
+    return ESCAPED_TITLE_CHARS.includes(char) ? char : match;
+  });
+}
+
+function priorityFromLetter(letter) {
+  const priority = Object.keys(PRIORITY_LETTERS).find((key) => {
+    return PRIORITY_LETTERS[key] === letter;
+  });
+  // todo.txt priorities go from A to Z; anything below C is low priority.
+  return priority ?? Todo.PRIORITY_LOW;
+}
+
+/**
+ * Return a todo as a todo.txt line, in the list with the given title.
+ * @param {Todo} todo the todo
+ * @param {string} listTitle the title of the todo's list
+ * @returns {string} the todo.txt line, without a line break
+ */
+function todoTxtLine(todo, listTitle) {
+  const parts = [];
+  const letter = PRIORITY_LETTERS[todo.getPriority()];
+  if (todo.isDone()) parts.push("x");
+  else if (letter) parts.push(`(${letter})`);
+  parts.push(titleText(todo.getTitle()), `+${projectName(listTitle)}`);
+  todo.getTags().forEach((tag) => parts.push(`@${tag}`));
+  if (todo.getDueDate()) parts.push(`due:${todo.getDueDate()}`);
+  if (todo.isDone() && letter) parts.push(`pri:${letter}`);
+  return parts.join(" ");
+}
+
+/**
+ * Return the todo lists as a todo.txt file, with a line for each todo in list
+ * order, followed by lines for its subtasks.
+ * @param {Array.<TodoList>} todoLists the lists to write
+ * @returns {string} the todo.txt file's text
+ */
+function todoListsToTodoTxt(todoLists) {
+  const lines = [];
+  todoLists.forEach((todoList) => {
+    todoList.toOrderedArray().forEach((todo) => {
+      lines.push(todoTxtLine(todo, todoList.getTitle()));
+      todo.getSubtasks().forEach((subtask) => {
+        lines.push(todoTxtLine(subtask, todoList.getTitle()));
+      });
+    });
+  });
+  return lines.map((line) => `${line}\n`).join("");
+}
+
+/**
+ * Remove a todo.txt line's leading completion marker, priority, and dates.
+ * @param {Array.<string>} words the line's words; the leading ones are removed
+ * @returns {{done: boolean, letter: string|undefined}} whether the todo is
+ * done, and its priority letter, if it has one
+ */
+function takeLeadingParts(words) {
+  const done = words[0] === "x";
+  if (done) words.shift();
+  const priority = !done && words[0] ? words[0].match(/^\(([A-Z])\)$/) : null;
+  if (priority) words.shift();
+  // A done todo can have a completion date and a creation date; any todo can
+  // have a creation date. The app doesn't keep either.
+  while (words.length > 1 && DATE_PATTERN.test(words[0])) words.shift();
+  return { done, letter: priority?.[1] };
+}
+
+/**
+ * Parse one todo.txt line into a todo, and the title of its list.
+ * @param {string} line the line, without its line break
+ * @param {string} where the line's description, for Error messages
+ * @returns {{listTitle: string|undefined, todoLike: object}} the title of the
+ * first `+project`, if the line has one, and the todo
+ */
+// eslint-disable-next-line max-lines-per-function, max-statements
+function parseTodoTxtLine(line, where) {
+  const words = line.trim().split(/\s+/);
+  const leading = takeLeadingParts(words);
+  let { letter } = leading;
+  let listTitle;
+  let dueDate = null;
+  const tags = [];
+  const titleWords = [];
+
+  words.forEach((word) => {
+    const [, key, value] = word.match(/^([^\s:]+):(\S+)$/) ?? [];
+    if (word.startsWith("+") && word.length > 1 && listTitle === undefined) {
+      listTitle = projectTitle(word.slice(1));
+    } else if (word.startsWith("@") && Todo.isValidTag(word.slice(1))) {
+      const tag = Todo.normalizeTag(word.slice(1));
+      if (!tags.includes(tag)) tags.push(tag);
+    } else if (key === "due" && isValidDate(value)) {
+      dueDate = value;
+    } else if (key === "pri" && /^[A-Z]$/.test(value)) {
+      letter = value;
+    } else {
+      titleWords.push(titleWord(word));
+    }
+  });
+
+  const title = titleWords.join(" ");
+  if (title === "") invalid(`${where} needs a title`);
+  if (title.length > MAX_TITLE_LENGTH) {
+    invalid(`${where}'s title is over ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (listTitle !== undefined && listTitle.length > MAX_TITLE_LENGTH) {
+    invalid(`${where}'s +project is over ${MAX_TITLE_LENGTH} characters`);
+  }
+  const priority = letter ? priorityFromLetter(letter) : Todo.PRIORITY_NONE;
+  return {
+    listTitle,
+    todoLike: {
+      id: nextID(),
+      title,
+      done: leading.done,
+      priority,
+      dueDate,
+      tags,
+    },
+  };
+}
+
+/**
+ * Parse the todo lists in a todo.txt file. Each todo is added to the list
+ * titled by its first `+project`, or to a list titled `defaultTitle` if it
+ * has none. Blank lines are skipped.
+ * @param {string} text the todo.txt file's text
+ * @param {string} [defaultTitle] the title of the list for todos without a
+ * `+project`
+ * @returns {Array.<TodoList>} the file's todo lists, in the order their
+ * titles first appear
+ * @throws {TypeError} if the file has no todos, has todos without a
+ * `+project` but no `defaultTitle`, or has an invalid title
+ */
+function parseTodoTxt(text, defaultTitle = "") {
+  const lists = new Map();
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === "") return;
+    const where = `line ${index + 1}`;
+    const { listTitle, todoLike } = parseTodoTxtLine(line, where);
+    const title = listTitle ?? defaultTitle;
+    if (title === "") {
+      invalid(`${where} has no +project, and there's no list title for it`);
+    }
+    if (!lists.has(title)) lists.set(title, { id: nextID(), title, todos: [] });
+    lists.get(title).todos.push(todoLike);
+  });
+
+  if (lists.size === 0) invalid("it has no todos");
+  return [...lists.values()].map((list) => new TodoList(list));
+}
+
+module.exports = {
+  parseTodoTxt,
+  projectName,
+  projectTitle,
+  todoListsToTodoTxt,
+};
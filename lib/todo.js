@@ -7,21 +7,79 @@
 "use strict";
 
 const nextID = require("./next-id");
+const { formatRecurrence, nextOccurrence } = require("./recurrence");
 
 /** @typedef { import("./typedefs").TodoLike } TodoLike */
 
+/**
+ * Given a `Date`, return its local calendar date as an ISO 8601 `YYYY-MM-DD`
+ * string.
+ * @param {Date} date the date to format
+ * @returns {string} the `YYYY-MM-DD` formatted date
+ */
+function toISODate(date) {
+  const pad = (num) => String(num).padStart(2, "0");
+  return [
+    date.getFullYear(),
+    pad(date.getMonth() + 1),
+    pad(date.getDate()),
+  ].join("-");
+}
+
 /**
  * The `Todo` class represents a todo item and its associated data:
  * - the todo title
  * - a flag representing the todo's "done" state (done or not done)
+ * - an optional due date
+ * - a priority level
+ * - free-form, multi-line notes
+ * - a set of tags, like `errands` or `blocked`, for grouping todos across lists
+ * - a checklist of subtasks, which are `Todo`s themselves. Subtasks are only
+ *   one level deep: a subtask can't have subtasks of its own.
+ * - an optional recurrence rule, like `FREQ=WEEKLY;BYDAY=MO`. Completing a
+ *   recurring `Todo` doesn't mark it "done"; it moves the `Todo` to its next
+ *   due date instead. See the `recurrence` module for the rule syntax.
  */
 class Todo {
   static DONE_MARKER = "X";
   static UNDONE_MARKER = " ";
 
-  /** @type {number} */   #id;
-  /** @type {string} */   #title;
-  /** @type {boolean} */  #done;
+  static DUE_STATUS_OVERDUE = "overdue";
+  static DUE_STATUS_TODAY = "due-today";
+
+  static PRIORITY_NONE = "none";
+  static PRIORITY_LOW = "low";
+  static PRIORITY_MEDIUM = "medium";
+  static PRIORITY_HIGH = "high";
+
+  /**
+   * Tags start with a letter or number, followed by up to 29 more letters,
+   * numbers, underscores, or hyphens. Tags are stored in lowercase, without a
+   * leading `#`.
+   */
+  static TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_-]{0,29}$/u;
+
+  /**
+   * The priority levels, from lowest to highest. This order must match the
+   * `todo_priority` enum type's order in the database schema, so the database
+   * and the `compare()` method sort todos identically.
+   */
+  static PRIORITIES = Object.freeze([
+    Todo.PRIORITY_NONE,
+    Todo.PRIORITY_LOW,
+    Todo.PRIORITY_MEDIUM,
+    Todo.PRIORITY_HIGH,
+  ]);
+
+  /** @type {number} */          #id;
+  /** @type {string} */          #title;
+  /** @type {boolean} */         #done;
+  /** @type {string|null} */     #dueDate;
+  /** @type {string} */          #priority;
+  /** @type {string} */          #notes;
+  /** @type {Array.<string>} */  #tags;
+  /** @type {Array.<Todo>} */    #subtasks;
+  /** @type {string|null} */     #recurrence;
 
   /**
    * Create a new `Todo`.
@@ -29,16 +87,42 @@ class Todo {
    * object, containing the properties in {@link TodoLike}
    */
   constructor(initialVal) {
-    if (!Todo.isTodoLike(initialVal)) {
-      this.#id = nextID();
-      this.setTitle(initialVal);
-      this.#done = false;
-      return;
-    }
+    const todoLike = Todo.isTodoLike(initialVal)
+      ? initialVal
+      : { id: nextID(), title: initialVal, done: false };
+
+    this.#id = todoLike.id;
+    this.setTitle(todoLike.title);
+    this.#done = todoLike.done;
+    this.setDueDate(todoLike.dueDate);
+    this.setPriority(todoLike.priority);
+    this.setNotes(todoLike.notes);
+    this.setRecurrence(todoLike.recurrence);
+    this.#tags = [];
+    (todoLike.tags || []).forEach((tag) => this.addTag(tag));
+    this.#subtasks = [];
+    (todoLike.subtasks || []).forEach((subtaskLike) => {
+      this.addSubtask(new Todo(subtaskLike));
+    });
+  }
+
+  /**
+   * Given a tag, return it in its normalized form: lowercase, and without a
+   * leading `#`. The result isn't necessarily a valid tag.
+   * @param {string} tag the tag to normalize, like `"#Errands"`
+   * @returns {string} the normalized tag, like `"errands"`
+   */
+  static normalizeTag(tag) {
+    return String(tag).trim().replace(/^#/, "").toLowerCase();
+  }
 
-    this.#id = initialVal.id;
-    this.setTitle(initialVal.title);
-    this.#done = initialVal.done;
+  /**
+   * Return `true` if the given tag is valid once normalized.
+   * @param {string} tag the tag to evaluate
+   * @returns {boolean} `true` if `tag` is valid
+   */
+  static isValidTag(tag) {
+    return Todo.TAG_PATTERN.test(Todo.normalizeTag(tag));
   }
 
   /**
@@ -65,6 +149,12 @@ class Todo {
       id: this.getID(),
       title: this.getTitle(),
       done: this.isDone(),
+      dueDate: this.getDueDate(),
+      priority: this.getPriority(),
+      notes: this.getNotes(),
+      tags: this.getTags(),
+      subtasks: this.#subtasks.map((subtask) => subtask.toJSON()),
+      recurrence: this.getRecurrence(),
     };
   }
 
@@ -73,24 +163,71 @@ class Todo {
     return `[${marker}] ${this.#title}`;
   }
 
+  /**
+   * Return this `Todo` as a GitHub-style Markdown task list item, like
+   * `- [x] Buy milk`, followed by its subtasks as indented items.
+   * @returns {string} the Markdown task list item, without a trailing newline
+   */
+  toMarkdown() {
+    const checkbox = this.isDone() ? "[x]" : "[ ]";
+    return [
+      `- ${checkbox} ${this.#title}`,
+      ...this.#subtasks.map((subtask) => `  ${subtask.toMarkdown()}`),
+    ].join("\n");
+  }
+
   /**
    * Return a number indicating whether this `Todo` comes before, after, or is
    * the same as the given `Todo` in sort order. This function can be used as
    * a callback to `Array.prototype.sort()`, or methods with similar interfaces.
    *
-   * "Done" `Todo`s come after "not done" `Todo`'s, and `Todo`'s are further
-   * sorted case-insensitively by title.
+   * "Done" `Todo`s come after "not done" `Todo`'s. "Not done" `Todo`s are
+   * then sorted by priority, highest first, and then by due date, earliest
+   * first, with `Todo`s lacking a due date last. Finally, `Todo`'s are sorted
+   * case-insensitively by title.
    * @param {Todo} otherTodo the other `Todo` to compare this one to
    * @returns {-1|0|1} this `Todo`'s sort order, compared to `otherTodo`
    */
   compare(otherTodo) {
-    if (this.isDone() === otherTodo.isDone()) {
-      return this.getTitle().toLowerCase().localeCompare(
-        otherTodo.getTitle().toLowerCase()
-      );
+    if (this.isDone() !== otherTodo.isDone()) {
+      return this.isDone() ? 1 : -1;
+    }
+    if (!this.isDone()) {
+      const order =
+        Todo.#comparePriorities(this.getPriority(), otherTodo.getPriority()) ||
+        Todo.#compareDueDates(this.getDueDate(), otherTodo.getDueDate());
+      if (order !== 0) return order;
     }
-    if (this.isDone()) return 1;
-    return -1;
+    return this.getTitle().toLowerCase().localeCompare(
+      otherTodo.getTitle().toLowerCase()
+    );
+  }
+
+  /**
+   * Return the sort order of two priority levels, where higher priorities come
+   * first.
+   * @param {string} priorityA the first priority level
+   * @param {string} priorityB the second priority level
+   * @returns {-1|0|1} the sort order of `priorityA` compared to `priorityB`
+   */
+  static #comparePriorities(priorityA, priorityB) {
+    return Math.sign(
+      Todo.PRIORITIES.indexOf(priorityB) - Todo.PRIORITIES.indexOf(priorityA)
+    );
+  }
+
+  /**
+   * Return the sort order of two `YYYY-MM-DD` due dates, where a `null` due
+   * date comes after any other due date.
+   * @param {string|null} dueDateA the first due date
+   * @param {string|null} dueDateB the second due date
+   * @returns {-1|0|1} the sort order of `dueDateA` compared to `dueDateB`
+   */
+  static #compareDueDates(dueDateA, dueDateB) {
+    if (dueDateA === dueDateB) return 0;
+    if (dueDateA === null) return 1;
+    if (dueDateB === null) return -1;
+    return dueDateA < dueDateB ? -1 : 1;
   }
 
   /**
@@ -107,6 +244,42 @@ class Todo {
     this.#done = false;
   }
 
+  /**
+   * Given a recurrence rule and a recurring `Todo`'s current due date, return
+   * the `Todo`'s next due date: the rule's first occurrence after the current
+   * due date or `today`, whichever is later. Completing an overdue `Todo`, or
+   * one without a due date, schedules it from `today` rather than the past.
+   * @param {string} recurrence the recurrence rule
+   * @param {string|null} dueDate the current `YYYY-MM-DD` due date
+   * @param {Date} today the date the `Todo` is completed on
+   * @returns {string} the next `YYYY-MM-DD` due date
+   * @throws {TypeError} if `recurrence` isn't a valid recurrence rule
+   */
+  static nextDueDate(recurrence, dueDate, today = new Date()) {
+    const todayDate = toISODate(today);
+    const after = dueDate !== null && dueDate > todayDate ? dueDate : todayDate;
+    return nextOccurrence(recurrence, after);
+  }
+
+  /**
+   * Complete this recurring `Todo`'s current occurrence: move its due date to
+   * the next occurrence (see {@link Todo.nextDueDate}), and reset it and its
+   * subtasks to "not done".
+   * @param {Date} today the date the occurrence is completed on
+   * @returns {string|null} the completed occurrence's due date
+   * @throws {TypeError} if this `Todo` isn't recurring
+   */
+  completeOccurrence(today = new Date()) {
+    if (!this.isRecurring()) {
+      throw new TypeError("Only a recurring todo has occurrences to complete");
+    }
+    const completedDueDate = this.#dueDate;
+    this.#dueDate = Todo.nextDueDate(this.#recurrence, this.#dueDate, today);
+    this.markUndone();
+    this.#subtasks.forEach((subtask) => subtask.markUndone());
+    return completedDueDate;
+  }
+
   /**
    * Return `true` if this `Todo` is "done".
    * @returns {boolean} `true` if this `Todo` is "done", `false` otherwise
@@ -115,6 +288,101 @@ class Todo {
     return this.#done;
   }
 
+  /**
+   * Return `true` if this `Todo` and all its subtasks are "done". For a `Todo`
+   * without subtasks, this is the same as {@link Todo#isDone}.
+   * @returns {boolean} `true` if this `Todo` and all its subtasks are "done"
+   */
+  isComplete() {
+    return this.isDone() && this.#subtasks.every((subtask) => subtask.isDone());
+  }
+
+  /**
+   * Return the number of items this `Todo` represents in its list: itself,
+   * plus each of its subtasks.
+   * @returns {number} `1` plus the number of subtasks
+   */
+  itemCount() {
+    return 1 + this.#subtasks.length;
+  }
+
+  /**
+   * Return the number of "done" items this `Todo` represents in its list: see
+   * {@link Todo#itemCount}.
+   * @returns {number} the number of "done" items among this `Todo` and its
+   * subtasks
+   */
+  doneItemCount() {
+    return [this, ...this.#subtasks].filter((todo) => todo.isDone()).length;
+  }
+
+  /**
+   * Return this `Todo`'s subtasks, in the order they were added.
+   * @returns {Array.<Todo>} a shallow copy of this `Todo`'s subtasks
+   */
+  getSubtasks() {
+    return [...this.#subtasks];
+  }
+
+  /**
+   * Return `true` if this `Todo` has any subtasks.
+   * @returns {boolean} `true` if this `Todo` has subtasks
+   */
+  hasSubtasks() {
+    return this.#subtasks.length > 0;
+  }
+
+  /**
+   * Return this `Todo`'s subtask with the given `id`.
+   * @param {number} id the subtask ID to search for
+   * @returns {Todo|undefined} the found subtask, or `undefined` if this `Todo`
+   * doesn't have a subtask with the given ID
+   */
+  findSubtask(id) {
+    return this.#subtasks.find((subtask) => subtask.getID() === id);
+  }
+
+  /**
+   * Add a subtask to this `Todo`.
+   * @param {Todo|string} subtask the subtask to add, or a string containing
+   * the subtask's title
+   * @returns {Todo} a reference to this `Todo', for method chaining
+   * @throws {TypeError} if `subtask` isn't a `Todo` or a string, or if it has
+   * subtasks of its own
+   */
+  addSubtask(subtask) {
+    if (typeof subtask === "string") subtask = new Todo(subtask);
+    if (!(subtask instanceof Todo)) {
+      throw new TypeError("subtask must be a Todo object or a string");
+    }
+    if (subtask.hasSubtasks()) {
+      throw new TypeError("A subtask can't have subtasks of its own");
+    }
+    this.#subtasks.push(subtask);
+    return this;
+  }
+
+  /**
+   * Remove and return this `Todo`'s subtask with the given `id`.
+   * @param {number} id the ID of the subtask to remove
+   * @returns {Todo|undefined} the removed subtask, or `undefined` if this
+   * `Todo` doesn't have a subtask with the given ID
+   */
+  removeSubtask(id) {
+    const index = this.#subtasks.findIndex((subtask) => subtask.getID() === id);
+    if (index < 0) return undefined;
+    return this.#subtasks.splice(index, 1)[0];
+  }
+
+  /**
+   * Mark all this `Todo`'s subtasks as "done".
+   * @returns {Todo} a reference to this `Todo', for method chaining
+   */
+  markAllSubtasksDone() {
+    this.#subtasks.forEach((subtask) => subtask.markDone());
+    return this;
+  }
+
   /**
    * Return this `Todo`'s ID.
    * @returns {number} this `Todo`'s ID
@@ -140,6 +408,176 @@ class Todo {
     this.#title = String(title);
     return this;
   }
+
+  /**
+   * Return this `Todo`'s due date as a `YYYY-MM-DD` string, or `null` if it
+   * has no due date.
+   * @returns {string|null} this `Todo`'s due date
+   */
+  getDueDate() {
+    return this.#dueDate;
+  }
+
+  /**
+   * Given a `YYYY-MM-DD` date string, set this `Todo`'s due date. Clear the
+   * due date if `dueDate` is empty, `null`, or `undefined`.
+   * @param {string|null|undefined} dueDate the `Todo`'s due date
+   * @returns {Todo} a reference to this `Todo', for method chaining
+   * @throws {TypeError} if `dueDate` isn't a `YYYY-MM-DD` date string
+   */
+  setDueDate(dueDate) {
+    if (dueDate === undefined || dueDate === null || dueDate === "") {
+      this.#dueDate = null;
+      return this;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
+      throw new TypeError(`Invalid due date: ${dueDate}`);
+    }
+    this.#dueDate = dueDate;
+    return this;
+  }
+
+  /**
+   * Return this `Todo`'s priority level, one of {@link Todo.PRIORITIES}.
+   * @returns {string} this `Todo`'s priority level
+   */
+  getPriority() {
+    return this.#priority;
+  }
+
+  /**
+   * Given a priority level from {@link Todo.PRIORITIES}, set this `Todo`'s
+   * priority. Reset the priority to {@link Todo.PRIORITY_NONE} if `priority`
+   * is empty, `null`, or `undefined`.
+   * @param {string|null|undefined} priority the `Todo`'s priority level
+   * @returns {Todo} a reference to this `Todo', for method chaining
+   * @throws {TypeError} if `priority` isn't a valid priority level
+   */
+  setPriority(priority) {
+    if (priority === undefined || priority === null || priority === "") {
+      this.#priority = Todo.PRIORITY_NONE;
+      return this;
+    }
+    if (!Todo.PRIORITIES.includes(priority)) {
+      throw new TypeError(`Invalid priority: ${priority}`);
+    }
+    this.#priority = priority;
+    return this;
+  }
+
+  /**
+   * Return this `Todo`'s notes as a string. The notes may contain Markdown.
+   * @returns {string} this `Todo`'s notes, or an empty string if it has none
+   */
+  getNotes() {
+    return this.#notes;
+  }
+
+  /**
+   * Given a string `notes`, set this `Todo`'s notes. Clear the notes if
+   * `notes` is `null` or `undefined`.
+   * @param {string|null|undefined} notes the `Todo`'s notes
+   * @returns {Todo} a reference to this `Todo', for method chaining
+   */
+  setNotes(notes) {
+    this.#notes = notes === undefined || notes === null ? "" : String(notes);
+    return this;
+  }
+
+  /**
+   * Return this `Todo`'s recurrence rule in its canonical form, or `null` if
+   * it doesn't recur.
+   * @returns {string|null} this `Todo`'s recurrence rule
+   */
+  getRecurrence() {
+    return this.#recurrence;
+  }
+
+  /**
+   * Return `true` if this `Todo` has a recurrence rule.
+   * @returns {boolean} `true` if this `Todo` recurs
+   */
+  isRecurring() {
+    return this.#recurrence !== null;
+  }
+
+  /**
+   * Given a recurrence rule, like `"FREQ=DAILY;INTERVAL=2"`, set this `Todo`'s
+   * recurrence. The rule is stored in its canonical form. Stop this `Todo`
+   * recurring if `recurrence` is empty, `null`, or `undefined`.
+   * @param {string|null|undefined} recurrence the `Todo`'s recurrence rule
+   * @returns {Todo} a reference to this `Todo', for method chaining
+   * @throws {TypeError} if `recurrence` isn't a valid recurrence rule
+   */
+  setRecurrence(recurrence) {
+    if (recurrence === undefined || recurrence === null || recurrence === "") {
+      this.#recurrence = null;
+      return this;
+    }
+    this.#recurrence = formatRecurrence(recurrence);
+    return this;
+  }
+
+  /**
+   * Return this `Todo`'s tags, in alphabetical order.
+   * @returns {Array.<string>} a copy of this `Todo`'s normalized tags
+   */
+  getTags() {
+    return [...this.#tags];
+  }
+
+  /**
+   * Return `true` if this `Todo` has the given tag.
+   * @param {string} tag the tag to search for
+   * @returns {boolean} `true` if this `Todo` has `tag`
+   */
+  hasTag(tag) {
+    return this.#tags.includes(Todo.normalizeTag(tag));
+  }
+
+  /**
+   * Add the given tag to this `Todo`. Do nothing if this `Todo` already has the
+   * tag.
+   * @param {string} tag the tag to add
+   * @returns {Todo} a reference to this `Todo', for method chaining
+   * @throws {TypeError} if `tag` isn't a valid tag
+   */
+  addTag(tag) {
+    if (!Todo.isValidTag(tag)) throw new TypeError(`Invalid tag: ${tag}`);
+    if (!this.hasTag(tag)) {
+      this.#tags.push(Todo.normalizeTag(tag));
+      this.#tags.sort();
+    }
+    return this;
+  }
+
+  /**
+   * Remove the given tag from this `Todo`. Do nothing if this `Todo` doesn't
+   * have the tag.
+   * @param {string} tag the tag to remove
+   * @returns {Todo} a reference to this `Todo', for method chaining
+   */
+  removeTag(tag) {
+    const normalized = Todo.normalizeTag(tag);
+    this.#tags = this.#tags.filter((curTag) => curTag !== normalized);
+    return this;
+  }
+
+  /**
+   * Return this "not done" `Todo`'s due date status as of the given day:
+   * {@link Todo.DUE_STATUS_OVERDUE} if its due date has passed,
+   * {@link Todo.DUE_STATUS_TODAY} if it's due on `today`, or `undefined`
+   * otherwise. "Done" `Todo`s and `Todo`s without a due date have no status.
+   * @param {Date} today the date to compare this `Todo`'s due date to
+   * @returns {string|undefined} this `Todo`'s due date status
+   */
+  dueStatus(today = new Date()) {
+    if (this.isDone() || this.#dueDate === null) return undefined;
+    const todayDate = toISODate(today);
+    if (this.#dueDate < todayDate) return Todo.DUE_STATUS_OVERDUE;
+    if (this.#dueDate === todayDate) return Todo.DUE_STATUS_TODAY;
+    return undefined;
+  }
 }
 
 module.exports = Todo;
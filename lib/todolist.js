@@ -13,17 +13,104 @@ const Todo = require("./todo");
 
 /** @typedef { import("./typedefs").TodoListLike } TodoListLike */
 /** @typedef { import("./typedefs").TodoListQueryResult } TodoListQueryResult */
+/** @typedef { import("./typedefs").TodoListView } TodoListView */
 
 /**
  * The `TodoList` class represents a collection of Todo objects.
  * You can perform typical collection-oriented actions on a `TodoList` object,
  * including iteration and selection.
+ *
+ * A `TodoList` either sorts its todos automatically (see {@link Todo#compare}),
+ * or keeps them in the manual order its user arranges them in.
+ *
+ * A `TodoListView` can show only some of the todos, and sort them by one of
+ * their properties instead, without changing the list's own order. Sorting in
+ * ascending order lists titles from A to Z, the oldest todos first, the
+ * earliest due dates first, and the highest priorities first. Todos without a
+ * due date always come last.
  */
 class TodoList {
+  static SORT_MODE_AUTOMATIC = "automatic";
+  static SORT_MODE_MANUAL = "manual";
+
+  /**
+   * The sort modes. This order must match the `todolist_sort_mode` enum type's
+   * order in the database schema.
+   */
+  static SORT_MODES = Object.freeze([
+    TodoList.SORT_MODE_AUTOMATIC,
+    TodoList.SORT_MODE_MANUAL,
+  ]);
+
+  static SHOW_ALL = "all";
+  static SHOW_ACTIVE = "active";
+  static SHOW_DONE = "done";
+
+  /**
+   * The todos a view can show. Keep this in sync with the `todo_show_filter`
+   * enum type in the database schema.
+   */
+  static SHOW_FILTERS = Object.freeze([
+    TodoList.SHOW_ALL,
+    TodoList.SHOW_ACTIVE,
+    TodoList.SHOW_DONE,
+  ]);
+
+  static SORT_TITLE = "title";
+  static SORT_CREATED = "created";
+  static SORT_DUE = "due";
+  static SORT_PRIORITY = "priority";
+
+  /**
+   * The todo properties a view can sort by. Keep this in sync with the
+   * `todo_sort_key` enum type in the database schema.
+   */
+  static SORT_KEYS = Object.freeze([
+    TodoList.SORT_TITLE,
+    TodoList.SORT_CREATED,
+    TodoList.SORT_DUE,
+    TodoList.SORT_PRIORITY,
+  ]);
+
+  static SORT_ASC = "asc";
+  static SORT_DESC = "desc";
+
+  /**
+   * The directions a view can sort in. Keep this in sync with the
+   * `sort_direction` enum type in the database schema.
+   */
+  static SORT_DIRECTIONS = Object.freeze([
+    TodoList.SORT_ASC,
+    TodoList.SORT_DESC,
+  ]);
+
+  static ROLE_OWNER = "owner";
+  static ROLE_EDITOR = "editor";
+  static ROLE_VIEWER = "viewer";
+
+  /**
+   * The roles a list's owner can share it with other users in. Keep this in
+   * sync with the `list_member_role` enum type in the database schema.
+   */
+  static MEMBER_ROLES = Object.freeze([
+    TodoList.ROLE_VIEWER,
+    TodoList.ROLE_EDITOR,
+  ]);
+
+  /**
+   * The view that shows every todo, in the list's own order.
+   * @type {TodoListView}
+   */
+  static DEFAULT_VIEW = Object.freeze({
+    show: TodoList.SHOW_ALL,
+    sort: null,
+    dir: TodoList.SORT_ASC,
+  });
 
   /** @type {number} */        #id;
   /** @type {string} */        #title;
   /** @type {Array.<Todo>} */  #todos;
+  /** @type {string} */        #sortMode;
 
   /**
    * Create a new `TodoList`
@@ -35,12 +122,17 @@ class TodoList {
       this.#id = nextID();
       this.setTitle(initialVal);
       this.#todos = [];
+      this.#sortMode = TodoList.SORT_MODE_AUTOMATIC;
       return;
     }
 
     this.#id = initialVal.id;
     this.setTitle(initialVal.title);
     this.#todos = [];
+    // Set the sort mode before adding the todos: a manually sorted list's todos
+    // are already in their manual order.
+    this.#sortMode = TodoList.SORT_MODE_AUTOMATIC;
+    this.setSortMode(initialVal.sortMode);
     initialVal.todos.forEach((todoLike) => this.add(new Todo(todoLike)));
   }
 
@@ -71,10 +163,11 @@ class TodoList {
     return {
       id: listID,
       title: listTitle,
-      length: this.size(),
-      countDone: this.allDone().size(),
+      length: this.itemCount(),
+      countDone: this.doneItemCount(),
       done: this.isDone(),
-      todos: this.toSortedArray().map((todo) => {
+      sortMode: this.getSortMode(),
+      todos: this.toOrderedArray().map((todo) => {
         return {
           ...todo.toJSON(),
           listID,
@@ -94,6 +187,20 @@ class TodoList {
     return result;
   }
 
+  /**
+   * Return this `TodoList` as a Markdown checklist: a heading with the list's
+   * title, followed by its todos as GitHub-style task list items, in order.
+   * @returns {string} the Markdown checklist
+   */
+  toMarkdown() {
+    let result = `# ${this.#title}\n`;
+    if (this.size() > 0) {
+      const items = this.toOrderedArray().map((todo) => todo.toMarkdown());
+      result += `\n${items.join("\n")}\n`;
+    }
+    return result;
+  }
+
   /**
    * Return a number indicating whether this `TodoList` comes before, after, or
    * is the same as the given `TodoList` in sort order. This function can be
@@ -140,7 +247,67 @@ class TodoList {
     this.#title = String(title);
     return this;
   }
+
+  /**
+   * Return this `TodoList`'s sort mode.
+   * @returns {"automatic"|"manual"} this `TodoList`'s sort mode
+   */
+  getSortMode() {
+    return this.#sortMode;
+  }
+
+  /**
+   * Return `true` if this `TodoList` keeps its todos in a manual order.
+   * @returns {boolean} `true` if this `TodoList` is manually sorted
+   */
+  isManuallySorted() {
+    return this.#sortMode === TodoList.SORT_MODE_MANUAL;
+  }
+
+  /**
+   * Set this `TodoList`'s sort mode. Switching from automatic to manual
+   * sorting starts the manual order from the current automatic order. An empty
+   * value resets the sort mode to {@link TodoList.SORT_MODE_AUTOMATIC}.
+   * @param {"automatic"|"manual"|undefined|null|""} sortMode the new sort mode
+   * @returns {TodoList} a reference to this `TodoList`, for method chaining
+   * @throws {TypeError} if `sortMode` isn't one of {@link TodoList.SORT_MODES}
+   */
+  setSortMode(sortMode) {
+    const newSortMode = sortMode || TodoList.SORT_MODE_AUTOMATIC;
+    if (!TodoList.SORT_MODES.includes(newSortMode)) {
+      throw new TypeError(`Invalid sort mode: ${sortMode}`);
+    }
+    if (!this.isManuallySorted() && newSortMode === TodoList.SORT_MODE_MANUAL) {
+      this.#todos = this.toSortedArray();
+    }
+    this.#sortMode = newSortMode;
+    return this;
+  }
+
+  /**
+   * Rearrange this `TodoList`'s todos into the given manual order. This
+   * doesn't change the list's sort mode.
+   * @param {Array.<number>} orderedIDs the IDs of every `Todo` in this list,
+   * each exactly once, in their new order
+   * @returns {TodoList} a reference to this `TodoList`, for method chaining
+   * @throws {ReferenceError} if `orderedIDs` isn't an ordering of exactly this
+   * list's `Todo` IDs
+   */
+  reorder(orderedIDs) {
+    const reordered = orderedIDs.map((id) => this.findByID(id));
+    if (
+      reordered.length !== this.size() ||
+      new Set(reordered).size !== this.size() ||
+      reordered.includes(undefined)
+    ) {
+      throw new ReferenceError("The todo IDs don't match this list's todos");
+    }
+    this.#todos = reordered;
+    return this;
+  }
+
   /**
+   * Add a `Todo` item to this list.
    * Add a `Todo` item to this list.
    * @param {Todo|string} todo the `Todo` item to add, or a string containing
    * the Todo's name
@@ -224,12 +391,30 @@ class TodoList {
 
   /**
    * Return `true` if this list has items (not empty) and every item in this
-   * list is done.
+   * list, including every subtask, is done.
    * @returns {boolean} `true` if list is not empty and every item in this list
    * is done
    */
   isDone() {
-    return this.size() > 0 && this.#todos.every((todo) => todo.isDone());
+    return this.size() > 0 && this.#todos.every((todo) => todo.isComplete());
+  }
+
+  /**
+   * Return the number of items in this list, counting each `Todo` and each of
+   * their subtasks.
+   * @returns {number} the number of todos and subtasks in this list
+   */
+  itemCount() {
+    return this.#todos.reduce((count, todo) => count + todo.itemCount(), 0);
+  }
+
+  /**
+   * Return the number of "done" items in this list, counting each `Todo` and
+   * each of their subtasks.
+   * @returns {number} the number of "done" todos and subtasks in this list
+   */
+  doneItemCount() {
+    return this.#todos.reduce((count, todo) => count + todo.doneItemCount(), 0);
   }
 
   /**
@@ -336,6 +521,31 @@ class TodoList {
     return this.find((todo) => todo.getID() === id);
   }
 
+  /**
+   * Return the `Todo` or subtask whose ID matches the given `id`.
+   * @param {number} id the `Todo` or subtask ID to search for
+   * @returns {Todo|undefined} the found `Todo` or subtask, or `undefined` if
+   * none is found
+   */
+  findItemByID(id) {
+    for (let todo of this.#todos) {
+      if (todo.getID() === id) return todo;
+      const subtask = todo.findSubtask(id);
+      if (subtask) return subtask;
+    }
+    return undefined;
+  }
+
+  /**
+   * Return the `Todo` that has the subtask with the given `id`.
+   * @param {number} id the subtask ID to search for
+   * @returns {Todo|undefined} the subtask's parent `Todo`, or `undefined` if
+   * no `Todo` in this list has a subtask with the given ID
+   */
+  findParentOf(id) {
+    return this.find((todo) => todo.findSubtask(id) !== undefined);
+  }
+
   /**
    * Return the first `Todo` whose title matches the given string title.
    * @param {string} title the `Todo` title to search for
@@ -355,21 +565,23 @@ class TodoList {
   }
 
   /**
-   * Return a shallow copy of this list containing only the "done" items.
+   * Return a shallow copy of this list containing only the "done" items. A
+   * `Todo` with subtasks is only "done" once all its subtasks are, too.
    * @returns {TodoList} a shallow copy of this list containing only the "done"
    * `Todo`s
    */
   allDone() {
-    return this.filter((todo) => todo.isDone());
+    return this.filter((todo) => todo.isComplete());
   }
 
   /**
-   * Return a shallow cope of this list containing only the "not done" items.
+   * Return a shallow cope of this list containing only the "not done" items. A
+   * "done" `Todo` with any "not done" subtasks is included.
    * @returns {TodoList} a shallow copy of this list containing only the "not
    * done" `Todo`s
    */
   allNotDone() {
-    return this.filter((todo) => !todo.isDone());
+    return this.filter((todo) => !todo.isComplete());
   }
 
   /**
@@ -407,27 +619,141 @@ class TodoList {
   }
 
   /**
-   * @callback TodoListSortCb
-   * @param {Todo} todoA the first `Todo`
-   * @param {Todo} todoB the second `Todo`
-   * @returns {-1|0|1} the sort order
-   * - `-1` if `TodoA` comes BEFORE `TodoB`
-   * - `0` if `TodoA` and `TodoB` have the SAME sort order
-   * - `1` if `TodoA` comes AFTER `TodoB`
+   * Return `true` if a user in `role` can change a list's todos: add, edit,
+   * toggle, move, and remove them. Only the owner can change the list itself.
+   * @param {string} role the user's role for the list
+   * @returns {boolean} `true` if the role can change the list's todos
    */
+  static canEditTodos(role) {
+    return role === TodoList.ROLE_OWNER || role === TodoList.ROLE_EDITOR;
+  }
 
   /**
-   * Return a shallow copy of this list as an `Array` where `Todo`'s are grouped
-   * by done/not done status (done todos are placed at the end of the array),
-   * and sorted by title.
-   * @param {TodoListSortCb|undefined} callback the optional callback to use
-   * when sorting the `Todo`s. If `undefined`, the default {@link Todo#compare}
-   * method is used.
-   * @returns {Array.<Todo>} a shallow copy of this list's `Todo`'s as a sorted
+   * Return a complete copy of a `TodoListView` whose properties may be
+   * missing: a missing or empty property is {@link TodoList.DEFAULT_VIEW}'s.
+   * @param {Partial<TodoListView>} [view] the view
+   * @returns {TodoListView} the complete view
+   */
+  static normalizeView(view = {}) {
+    return {
+      show: view.show || TodoList.DEFAULT_VIEW.show,
+      sort: view.sort || TodoList.DEFAULT_VIEW.sort,
+      dir: view.dir || TodoList.DEFAULT_VIEW.dir,
+    };
+  }
+
+  /**
+   * Return `true` if `view` is a valid `TodoListView`. Its properties are
+   * optional: see {@link TodoList.normalizeView}.
+   * @param {any} view the value to evaluate
+   * @returns {boolean} `true` if `view` is a valid view
+   */
+  static isValidView(view) {
+    if (typeof view !== "object" || view === null) return false;
+    const { show, sort, dir } = TodoList.normalizeView(view);
+    return (
+      TodoList.SHOW_FILTERS.includes(show) &&
+      (sort === null || TodoList.SORT_KEYS.includes(sort)) &&
+      TodoList.SORT_DIRECTIONS.includes(dir)
+    );
+  }
+
+  /**
+   * Return a callback that sorts `Todo`s by one of their properties, in
+   * ascending order. Ties are sorted by title, and then by ID.
+   * @param {string} sort one of {@link TodoList.SORT_KEYS}
+   * @returns {function(Todo, Todo): number} the callback
+   */
+  static #compareBy(sort) {
+    const byTitle = (todoA, todoB) => {
+      return todoA.getTitle().toLowerCase().localeCompare(
+        todoB.getTitle().toLowerCase()
+      ) || todoA.getID() - todoB.getID();
+    };
+    switch (sort) {
+      case TodoList.SORT_CREATED:
+        // IDs increase as todos are added.
+        return (todoA, todoB) => todoA.getID() - todoB.getID();
+      case TodoList.SORT_PRIORITY:
+        return (todoA, todoB) => {
+          return Todo.PRIORITIES.indexOf(todoB.getPriority()) -
+            Todo.PRIORITIES.indexOf(todoA.getPriority()) ||
+            byTitle(todoA, todoB);
+        };
+      default:
+        return byTitle;
+    }
+  }
+
+  /**
+   * Return a callback that sorts `Todo`s in a view's order.
+   * @param {string} sort one of {@link TodoList.SORT_KEYS}
+   * @param {string} dir one of {@link TodoList.SORT_DIRECTIONS}
+   * @returns {function(Todo, Todo): number} the callback
+   */
+  static #viewCompare(sort, dir) {
+    const sign = dir === TodoList.SORT_DESC ? -1 : 1;
+    const compare = TodoList.#compareBy(sort);
+    if (sort !== TodoList.SORT_DUE) {
+      return (todoA, todoB) => sign * compare(todoA, todoB);
+    }
+    return (todoA, todoB) => {
+      const [dueA, dueB] = [todoA.getDueDate(), todoB.getDueDate()];
+      if (dueA === dueB) return sign * compare(todoA, todoB);
+      if (dueA === null) return 1;
+      if (dueB === null) return -1;
+      return sign * (dueA < dueB ? -1 : 1);
+    };
+  }
+
+  /**
+   * Return `true` if a view showing `show` todos includes `todo`.
+   * @param {Todo} todo the todo
+   * @param {string} show one of {@link TodoList.SHOW_FILTERS}
+   * @returns {boolean} `true` if the view includes `todo`
+   */
+  static #isShown(todo, show) {
+    if (show === TodoList.SHOW_ACTIVE) return !todo.isDone();
+    if (show === TodoList.SHOW_DONE) return todo.isDone();
+    return true;
+  }
+
+  /**
+   * Return a shallow copy of this list's `Todo`s as a sorted `Array`, showing
+   * only the todos the `view` shows. If the `view` doesn't sort by a todo
+   * property, "done" `Todo`s come after "not done" ones, sorted by
+   * {@link Todo#compare}.
+   * @param {Partial<TodoListView>} [view] the view; see
+   * {@link TodoList.normalizeView}
+   * @returns {Array.<Todo>} a shallow copy of the view's `Todo`s as a sorted
    * `Array`
    */
-  toSortedArray(callback = (todoA, todoB) => todoA.compare(todoB)) {
-    return this.toArray().sort(callback);
+  toSortedArray(view = {}) {
+    const { show, sort, dir } = TodoList.normalizeView(view);
+    const compare = sort === null
+      ? (todoA, todoB) => todoA.compare(todoB)
+      : TodoList.#viewCompare(sort, dir);
+    return this.toArray()
+      .filter((todo) => TodoList.#isShown(todo, show))
+      .sort(compare);
+  }
+
+  /**
+   * Return a shallow copy of this list's `Todo`s as an `Array`, showing only
+   * the todos the `view` shows. If the `view` doesn't sort by a todo property,
+   * they're ordered according to this list's sort mode: in manual order if
+   * this list is manually sorted, or sorted by {@link TodoList#toSortedArray}
+   * otherwise.
+   * @param {Partial<TodoListView>} [view] the view; see
+   * {@link TodoList.normalizeView}
+   * @returns {Array.<Todo>} a shallow copy of the view's `Todo`s, in order
+   */
+  toOrderedArray(view = {}) {
+    const { show, sort } = TodoList.normalizeView(view);
+    if (this.isManuallySorted() && sort === null) {
+      return this.toArray().filter((todo) => TodoList.#isShown(todo, show));
+    }
+    return this.toSortedArray(view);
   }
 }
 
@@ -10,6 +10,29 @@
  * @property {number} id
  * @property {string} title
  * @property {boolean} done
+ * @property {string|null} [dueDate] a `YYYY-MM-DD` date string
+ * @property {"none"|"low"|"medium"|"high"} [priority]
+ * @property {string} [notes] free-form notes, which may contain Markdown
+ * @property {Array.<string>} [tags] normalized tags, in alphabetical order
+ * @property {Array.<TodoLike>} [subtasks] the todo's subtasks, which never
+ * have subtasks of their own
+ * @property {string|null} [recurrence] an RRULE-style recurrence rule, like
+ * `FREQ=WEEKLY;BYDAY=MO`
+ * @property {number|null} [parentID] the parent todo's ID, if the todo is a
+ * subtask
+ */
+
+/**
+ * The properties a client provides when creating a new todo.
+ * @typedef NewTodo
+ * @property {string} title
+ * @property {string|null} [dueDate] a `YYYY-MM-DD` date string
+ * @property {"none"|"low"|"medium"|"high"} [priority]
+ * @property {string} [notes] free-form notes, which may contain Markdown
+ * @property {string|null} [recurrence] an RRULE-style recurrence rule, like
+ * `FREQ=WEEKLY;BYDAY=MO`
+ * @property {number|null} [parentID] the ID of the top-level todo to add the
+ * new todo to, as a subtask
  */
 
 /**
@@ -22,26 +45,112 @@
  * @typedef {TodoLike & TodoMetadata} TodoQueryResult
  */
 
+/**
+ * A piece of text, which is highlighted if it matches a search.
+ * @typedef TextSegment
+ * @property {string} text
+ * @property {boolean} highlighted
+ */
+
+/**
+ * @typedef SearchMetadata
+ * @property {Array.<TextSegment>} titleSnippet the todo's title, with its
+ * matching words highlighted
+ * @property {Array.<TextSegment>} notesSnippet an excerpt of the todo's notes
+ * around its matching words, or an empty array if its notes don't match
+ */
+
+/**
+ * @typedef {TodoQueryResult & SearchMetadata} SearchResult
+ */
+
+/**
+ * A list with todos that match a search, and those todos.
+ * @typedef SearchResultList
+ * @property {number} id
+ * @property {string} title
+ * @property {Array.<SearchResult>} todos
+ */
+
+/**
+ * @typedef ToggleMetadata
+ * @property {boolean} completedOccurrence `true` if toggling completed a
+ * recurring todo's current occurrence, moving it to its next due date, rather
+ * than marking it "done" or "not done"
+ */
+
 /**
  * @typedef TodoArrayObj
  * @property {Array.<TodoLike|TodoQueryResult>} todos
  */
 
+/**
+ * A tag and the number of todos it's attached to.
+ * @typedef TagQueryResult
+ * @property {string} name the normalized tag
+ * @property {number} count the number of todos with the tag
+ */
+
 /**
  * @typedef TodoListCore
  * @property {number} id
  * @property {string} title
+ * @property {"automatic"|"manual"} [sortMode]
  */
 
 /**
  * @typedef {TodoListCore & TodoArrayObj} TodoListLike
  */
 
+/**
+ * Which of a list's todos to show, and how to sort them.
+ * @typedef TodoListView
+ * @property {"all"|"active"|"done"} show the todos to show
+ * @property {"title"|"created"|"due"|"priority"|null} sort the todo property
+ * to sort by, or `null` to keep the list's own order
+ * @property {"asc"|"desc"} dir the direction to sort in
+ */
+
 /**
  * @typedef TodoListMetadata
  * @property {number} length
  * @property {number} countDone
  * @property {boolean} done
+ * @property {"owner"|"editor"|"viewer"} [role] the user's role for the list
+ * @property {string} [ownerUsername] the username of the list's owner
+ */
+
+/**
+ * A user a todo list is shared with.
+ * @typedef ListMember
+ * @property {string} username
+ * @property {"editor"|"viewer"} role
+ */
+
+/**
+ * A change to one of a todo list's todos, as published to the list's live
+ * event stream. Each event's `todo` only includes what the change affects,
+ * along with its `id`: all of an added todo's properties, a renamed todo's
+ * `title`, or a toggled todo's `done`.
+ * @typedef ListEvent
+ * @property {"add"|"remove"|"rename"|"toggle"} type
+ * @property {{id: number, title: (string|undefined), done: (boolean|undefined),
+ * dueDate: (string|null|undefined), priority: (string|undefined),
+ * parentID: (number|null|undefined)}} todo
+ */
+
+/**
+ * A link showing a todo list, read-only, to anyone who has it. The link's
+ * token is only included when the link is created: afterward, only its hash is
+ * stored.
+ * @typedef ShareLink
+ * @property {number} id
+ * @property {string} prefix the token's non-secret first few characters
+ * @property {string} createdAt the `YYYY-MM-DD` date the link was created
+ * @property {string|null} expiresOn the `YYYY-MM-DD` date of the last day the
+ * link works, or `null` if it works until it's revoked
+ * @property {boolean} expired `true` if the link's last day has passed
+ * @property {string} [token] the link's token, only included when it's created
  */
 
 /**
@@ -52,4 +161,34 @@
  * @typedef {TodoListLike & TodoListMetadata} TodoListQueryResult
  */
 
+/**
+ * Which page of results to return.
+ * @typedef Page
+ * @property {number|null} [limit] the most results to return, or `null` to
+ * return every result
+ * @property {string|null} [cursor] the previous page's `nextCursor`, or `null`
+ * to return the first page
+ */
+
+/**
+ * @typedef PageMetadata
+ * @property {string|null} nextCursor the cursor to return the next page with,
+ * or `null` if there are no more results
+ */
+
+/**
+ * A todo list with one page of its todos. Its `length`, `countDone`, and `done`
+ * metadata still describe all its todos.
+ * @typedef {TodoListQueryResult & PageMetadata} TodoListPage
+ */
+
+/**
+ * @typedef TodoListArrayObj
+ * @property {Array.<TodoListMetadataQueryResult>} lists
+ */
+
+/**
+ * @typedef {TodoListArrayObj & PageMetadata} TodoListsPage
+ */
+
 exports.unused = {};
@@ -9,18 +9,101 @@
 
 const bcrypt = require("bcrypt");
 
+const {
+  API_TOKEN_SCOPE_API,
+  apiTokenPrefix,
+  generateAPIToken,
+  hashAPIToken,
+  isAPITokenShaped,
+} = require("./api-token");
 const { query } = require("./db");
+const { hashShareToken, isShareTokenShaped } = require("./share-link");
 
 // Set the work factor to slow the hashing function to something you deem
 // acceptable for validating user passwords. Incrementing/decrementing the value
 // by 1 can change the time required significantly.
 const BCRYPT_WORK_FACTOR = 12;
 
+/**
+ * A personal API token's details. The token itself is only included when the
+ * token is created: afterward, only its hash is stored.
+ * @typedef {object} APITokenInfo
+ * @property {number} id the token's ID
+ * @property {string} name the token's user-chosen name
+ * @property {string} scope what the token authenticates: the JSON API, or the
+ * calendar feed
+ * @property {string} prefix the token's non-secret first few characters
+ * @property {string} createdAt the `YYYY-MM-DD` date the token was created
+ * @property {string|null} [lastUsedAt] the `YYYY-MM-DD` date the token last
+ * authenticated a request, or `null` if it never has
+ * @property {string} [token] the token, only included when it's created
+ */
+
+/**
+ * An object defining the optional additional parameters for querying methods.
+ * @typedef {object} AuthClientQueryOpts
+ * @property {boolean} [throw = false] whether the querying method should throw
+ * an Error if any of the provided query arguments are invalid. Regardless of
+ * this option's value, the method will still re-throw Errors raised for other
+ * unexpected reasons (like database connectivity issues, for example).
+ */
+
 class AuthClient {
+  static ERROR_CODE_INVALID_TOKEN_ID = "InvalidTokenID";
+  static ERROR_CODE_NON_UNIQUE_USERNAME = "NonUniqueUsername";
+
   constructor(options = { bcryptWorkFactor: BCRYPT_WORK_FACTOR }) {
     this.workFactor = options.bcryptWorkFactor;
   }
 
+  /**
+   * Return `true` if the given Error represents a database UNIQUE constraint
+   * violation.
+   * @param {Error} err the Error to inspect
+   * @returns {boolean} `true` if the Error represents a database UNIQUE
+   * constraint violation
+   */
+  static #isUniqueConstraintViolation(err) {
+    return /violates unique constraint/.test(err.message);
+  }
+
+  /**
+   * Throw or return an Error representing a username that's already taken.
+   * @param {string} username the non-unique username
+   * @param {AuthClientQueryOpts} options the set of additional query options
+   * @returns {Error} the resulting Error object
+   * @throws {Error} the resulting Error object
+   */
+  #errNonUniqueUsername(username, options = { throw: false }) {
+    const err = new Error("Usernames must be unique.", {
+      cause: {
+        code: AuthClient.ERROR_CODE_NON_UNIQUE_USERNAME,
+        values: [username],
+      },
+    });
+    if (options.throw) throw err;
+    return err;
+  }
+
+  /**
+   * Throw or return an Error representing an API token ID that doesn't exist,
+   * or doesn't belong to the user.
+   * @param {number} tokenID the invalid token ID
+   * @param {AuthClientQueryOpts} options the set of additional query options
+   * @returns {Error} the resulting Error object
+   * @throws {Error} the resulting Error object
+   */
+  #errInvalidTokenID(tokenID, options = { throw: false }) {
+    const err = new Error("The given API token ID doesn't exist", {
+      cause: {
+        code: AuthClient.ERROR_CODE_INVALID_TOKEN_ID,
+        values: [tokenID],
+      },
+    });
+    if (options.throw) throw err;
+    return err;
+  }
+
   /**
    * A function to ensure authentication attempts where the username is invalid
    * take constant time, rather than short-circuiting and returning because the
@@ -75,6 +158,203 @@ WHERE
     if (rowCount === 0) return undefined;
     return rows[0].id;
   }
+
+  /**
+   * Return `true` if the given `username` already belongs to a user.
+   * @param {string} username the username to search for
+   * @returns {Promise.<boolean>} a Promise, containing when fulfilled: `true`
+   * if the `username` already exists
+   */
+  async usernameExists(username) {
+    return (await this.getUserID(username)) !== undefined;
+  }
+
+  /**
+   * Given a string `username` and string `password`, create a new user and
+   * return the new user's ID. The `password` is stored as a bcrypt hash, never
+   * as plain text. The `username` must be unique among all users.
+   * @param {string} username the new user's username
+   * @param {string} password the new user's plain text password
+   * @param {AuthClientQueryOpts} options the set of additional query options
+   * @returns {Promise.<number|undefined>} a Promise, containing when
+   * fulfilled: the new integer user ID, or `undefined` if the `username` is
+   * already taken
+   */
+  async createUser(username, password, options = { throw: false }) {
+    const passwordHash = await bcrypt.hash(password, this.workFactor);
+    try {
+      const { rows } = await query(
+        "INSERT INTO users (username, password_hash) VALUES ($1, $2) RETURNING id",
+        [username, passwordHash]
+      );
+      return rows[0].id;
+    } catch (err) {
+      if (AuthClient.#isUniqueConstraintViolation(err)) {
+        this.#errNonUniqueUsername(username, options);
+        return undefined;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Given an integer `userID` and a string `name`, create a new personal API
+   * token for the user. Only the token's hash is stored, so the returned
+   * token's `token` property is the only time the token is available.
+   * @param {number} userID the ID of the user the token authenticates as
+   * @param {string} name a name to help the user recognize the token
+   * @param {string} [scope] what the token authenticates; one of
+   * `API_TOKEN_SCOPES`
+   * @returns {Promise.<APITokenInfo>} a Promise, containing when fulfilled:
+   * the new token, including its `token` property
+   */
+  // eslint-disable-next-line max-lines-per-function
+  async createAPIToken(userID, name, scope = API_TOKEN_SCOPE_API) {
+    const text =
+`INSERT INTO
+  api_tokens (user_id, name, scope, token_hash, token_prefix)
+VALUES
+  ($1, $2, $3, $4, $5)
+RETURNING
+  id,
+  name,
+  scope,
+  token_prefix prefix,
+  to_char(created_at, 'YYYY-MM-DD') "createdAt"
+`;
+    const token = generateAPIToken();
+    const { rows } = await query(text, [
+      userID,
+      name,
+      scope,
+      hashAPIToken(token),
+      apiTokenPrefix(token),
+    ]);
+    return { ...rows[0], token };
+  }
+
+  /**
+   * Given an integer `userID`, return the user's API tokens, newest first.
+   * @param {number} userID the user's ID
+   * @returns {Promise.<Array.<APITokenInfo>>} a Promise, containing when
+   * fulfilled: the user's tokens, without their `token` properties
+   */
+  async apiTokens(userID) {
+    const text =
+`SELECT
+  id,
+  name,
+  scope,
+  token_prefix prefix,
+  to_char(created_at, 'YYYY-MM-DD') "createdAt",
+  to_char(last_used_at, 'YYYY-MM-DD') "lastUsedAt"
+FROM
+  api_tokens
+WHERE
+  user_id = $1
+ORDER BY
+  created_at DESC,
+  id DESC
+`;
+    return (await query(text, [userID])).rows;
+  }
+
+  /**
+   * Given an integer `userID` and `tokenID`, revoke the user's API token with
+   * the given ID, so it no longer authenticates requests.
+   * @param {number} userID the user's ID
+   * @param {number} tokenID the ID of the token to revoke
+   * @param {AuthClientQueryOpts} options the set of additional query options
+   * @returns {Promise.<APITokenInfo|undefined>} a Promise, containing when
+   * fulfilled: the revoked token, or `undefined` if the user doesn't have a
+   * token with the given ID
+   */
+  // eslint-disable-next-line max-lines-per-function
+  async revokeAPIToken(userID, tokenID, options = { throw: false }) {
+    const text =
+`DELETE FROM api_tokens
+WHERE
+  id = $1
+  AND user_id = $2
+RETURNING
+  id,
+  name,
+  scope,
+  token_prefix prefix,
+  to_char(created_at, 'YYYY-MM-DD') "createdAt",
+  to_char(last_used_at, 'YYYY-MM-DD') "lastUsedAt"
+`;
+    const { rowCount, rows } = await query(text, [tokenID, userID]);
+    if (rowCount === 0) {
+      this.#errInvalidTokenID(tokenID, options);
+      return undefined;
+    }
+    return rows[0];
+  }
+
+  /**
+   * Given a string API `token`, return the user it authenticates as, and
+   * record that the token was used. Only tokens with the given scope
+   * authenticate.
+   * @param {string} token the API token, from a request's `Authorization`
+   * header or `token` query parameter
+   * @param {string} [scope] the scope the token needs; one of
+   * `API_TOKEN_SCOPES`
+   * @returns {Promise.<{userID: number, username: string}|undefined>} a
+   * Promise, containing when fulfilled: the token's user, or `undefined` if
+   * the token is invalid or revoked
+   */
+  // eslint-disable-next-line max-lines-per-function
+  async authenticateAPIToken(token, scope = API_TOKEN_SCOPE_API) {
+    if (!isAPITokenShaped(token)) return undefined;
+    const text =
+`WITH
+  used_token AS (
+    UPDATE api_tokens
+    SET
+      last_used_at = now()
+    WHERE
+      token_hash = $1
+      AND scope = $2
+    RETURNING
+      user_id
+  )
+SELECT
+  u.id "userID",
+  u.username
+FROM
+  used_token ut
+  JOIN users u ON ut.user_id = u.id
+`;
+    return (await query(text, [hashAPIToken(token), scope])).rows[0];
+  }
+
+  /**
+   * Given a string share link `token`, return the list the link shows, and
+   * the list's owner. Revoked and expired links don't show a list.
+   * @param {string} token the share link's token, from its URL
+   * @returns {Promise.<{userID: number, listID: number}|undefined>} a Promise,
+   * containing when fulfilled: the ID of the list's owner and the list's ID, or
+   * `undefined` if the link is invalid, revoked, or expired
+   */
+  async authenticateShareLink(token) {
+    if (!isShareTokenShaped(token)) return undefined;
+    const text =
+`SELECT
+  tl.user_id "userID",
+  tl.id "listID"
+FROM
+  share_links sl
+  JOIN todolists tl ON sl.todolist_id = tl.id
+WHERE
+  sl.token_hash = $1
+  AND (
+    sl.expires_on IS NULL
+    OR sl.expires_on >= current_date
+  )
+`;
+    return (await query(text, [hashShareToken(token)])).rows[0];
+  }
 }
 
 module.exports = {
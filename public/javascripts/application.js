@@ -1,15 +1,276 @@
 "use strict";
 
-document.addEventListener("DOMContentLoaded", () => {
-  let forms = document.querySelectorAll("form.delete, form.complete_all");
-  forms.forEach((form) => {
-    form.addEventListener("submit", (event) => {
-      event.preventDefault();
-      event.stopPropagation();
+/**
+ * Let the user drag and drop the todos in a manually sorted list to reorder
+ * them, saving each new order in the background. Without JavaScript, the
+ * list's "move up" and "move down" buttons reorder the todos instead.
+ * @param {HTMLUListElement} todoList the manually sorted list of todos
+ */
+// eslint-disable-next-line max-lines-per-function
+function enableTodoDragAndDrop(todoList) {
+  const todoItems = () => [...todoList.querySelectorAll("li[data-todo-id]")];
+  const currentOrder = () => todoItems().map((item) => item.dataset.todoId);
+  let dragged = null;
+  let orderBeforeDrag = null;
+
+  todoItems().forEach((item) => {
+    item.draggable = true;
+  });
+
+  todoList.addEventListener("dragstart", (event) => {
+    dragged = event.target.closest("li[data-todo-id]");
+    if (!dragged) return;
+    orderBeforeDrag = currentOrder().join();
+    dragged.classList.add("dragging");
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", dragged.dataset.todoId);
+  });
+
+  todoList.addEventListener("dragover", (event) => {
+    const target = event.target.closest("li[data-todo-id]");
+    if (!dragged) return;
+    event.preventDefault();
+    if (!target || target === dragged) return;
+
+    const { top, height } = target.getBoundingClientRect();
+    if (event.clientY < top + (height / 2)) {
+      target.before(dragged);
+    } else {
+      target.after(dragged);
+    }
+  });
+
+  todoList.addEventListener("drop", (event) => {
+    if (dragged) event.preventDefault();
+  });
+
+  todoList.addEventListener("dragend", async () => {
+    if (!dragged) return;
+    dragged.classList.remove("dragging");
+    dragged = null;
+    if (currentOrder().join() === orderBeforeDrag) return;
+
+    const body = new URLSearchParams();
+    currentOrder().forEach((todoID) => body.append("todoIDs", todoID));
+    try {
+      const response = await fetch(todoList.dataset.reorderUrl, {
+        method: "POST",
+        headers: { "X-Requested-With": "XMLHttpRequest" },
+        body,
+      });
+      if (!response.ok) throw new Error(`Reorder failed: ${response.status}`);
+    } catch (err) {
+      console.log(err);
+    }
+    // Reload to show the saved order, and to refresh the "move up" and "move
+    // down" buttons, or to show why saving the new order failed.
+    window.location.reload();
+  });
+}
+
+/**
+ * Ask the user to confirm before submitting a form whose changes can't be
+ * undone.
+ * @param {HTMLFormElement} form the form
+ */
+function confirmBeforeSubmit(form) {
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (confirm("Are you sure? This can't be undone!")) {
+      event.target.submit();
+    }
+  });
+}
+
+/**
+ * Return a new form with one button, posting to `action`.
+ * @param {string} className the form's class
+ * @param {string} action the URL the form posts to
+ * @param {string} label the button's label
+ * @returns {HTMLFormElement} the new form
+ */
+function createPostForm(className, action, label) {
+  const form = document.createElement("form");
+  form.className = className;
+  form.action = action;
+  form.method = "post";
+  const button = document.createElement("button");
+  button.textContent = label;
+  form.append(button);
+  return form;
+}
+
+/**
+ * Return a new list item for a todo or subtask another tab or user added to
+ * the list. The item has the "done" and "delete" controls of the page's other
+ * todos, but not the rest, until the page reloads.
+ * @param {object} todo the added todo, from the list's `add` event
+ * @param {string} todosURL the URL of the list's todos
+ * @param {boolean} canEdit `true` if the user can change the list's todos
+ * @returns {HTMLLIElement} the new list item
+ */
+// eslint-disable-next-line max-lines-per-function, max-statements
+function createTodoItem(todo, todosURL, canEdit) {
+  const todoURL = `${todosURL}/${todo.id}`;
+  const item = document.createElement("li");
+  item.classList.toggle("done", todo.done);
+  if (todo.parentID) item.dataset.subtaskId = todo.id;
+  else item.dataset.todoId = todo.id;
+
+  if (canEdit) {
+    const checkForm = createPostForm("check", `${todoURL}/toggle`, "Done");
+    if (!todo.parentID) {
+      const doneInput = document.createElement("input");
+      Object.assign(doneInput, { type: "hidden", name: "done" });
+      doneInput.value = String(!todo.done);
+      checkForm.prepend(doneInput);
+    }
+    item.append(checkForm);
+  }
+
+  const heading = document.createElement(todo.parentID ? "h4" : "h3");
+  if (!todo.parentID && todo.priority !== "none") {
+    const priority = document.createElement("span");
+    priority.classList.add("priority", todo.priority);
+    priority.textContent = todo.priority;
+    heading.append(priority);
+  }
+  const link = document.createElement("a");
+  link.href = todoURL;
+  link.textContent = todo.title;
+  heading.append(link);
+  item.append(heading);
 
-      if (confirm("Are you sure? This can't be undone!")) {
-        event.target.submit();
+  if (!todo.parentID && todo.dueDate) {
+    const dueDate = document.createElement("p");
+    dueDate.className = "due_date";
+    const time = document.createElement("time");
+    time.dateTime = todo.dueDate;
+    time.textContent = todo.dueDate;
+    dueDate.append("Due ", time);
+    item.append(dueDate);
+  }
+
+  if (canEdit) {
+    const deleteForm = createPostForm("delete", `${todoURL}/destroy`, "Delete");
+    confirmBeforeSubmit(deleteForm);
+    item.append(deleteForm);
+  }
+  return item;
+}
+
+/**
+ * Keep a list's page up to date as other tabs, or the list's other members,
+ * change its todos, by following the list's Server-Sent Events stream and
+ * patching the page to match. Changes the page can't show in place, like a
+ * new todo in a sorted view, show a notice to reload the page instead.
+ * @param {HTMLElement} section the list's section
+ */
+// eslint-disable-next-line max-lines-per-function
+function followListEvents(section) {
+  const todoList = section.querySelector(":scope > ul");
+  const { show, todosUrl } = todoList.dataset;
+  const canAdd = todoList.dataset.canAdd === "true";
+  const canEdit = todoList.dataset.canEdit === "true";
+  const findItem = (id) => todoList.querySelector(
+    `li[data-todo-id="${id}"], li[data-subtask-id="${id}"]`
+  );
+  const isShown = (done) => show === "all" || (show === "done") === done;
+
+  const showReloadNotice = () => {
+    if (section.querySelector(".live_notice")) return;
+    const notice = document.createElement("p");
+    notice.className = "live_notice";
+    const link = document.createElement("a");
+    link.href = window.location.href;
+    link.textContent = "Reload";
+    notice.append("This list has changed. ", link, " to see the changes.");
+    todoList.before(notice);
+  };
+
+  const addSubtask = (subtask) => {
+    const parent = findItem(subtask.parentID);
+    const subtasks = parent?.querySelector(".subtasks > ul");
+    if (subtasks) subtasks.append(createTodoItem(subtask, todosUrl, canEdit));
+    else if (parent) showReloadNotice();
+  };
+
+  const handlers = {
+    add(todo) {
+      if (findItem(todo.id)) return;
+      if (todo.parentID) {
+        addSubtask(todo);
+        return;
+      }
+      if (!isShown(todo.done)) return;
+      if (!canAdd) {
+        showReloadNotice();
+        return;
+      }
+
+      // Replace the "no todos" message, if there is one.
+      todoList.querySelectorAll(":scope > li:not([data-todo-id])")
+        .forEach((item) => item.remove());
+      const item = createTodoItem(todo, todosUrl, canEdit);
+      const isManual = todoList.classList.contains("manual");
+      item.draggable = isManual;
+      const firstDoneItem = todoList.querySelector(":scope > li.done");
+      if (firstDoneItem && !todo.done && !isManual) firstDoneItem.before(item);
+      else todoList.append(item);
+    },
+
+    remove({ id }) {
+      findItem(id)?.remove();
+    },
+
+    rename({ id, title }) {
+      const link = findItem(id)?.querySelector(":scope > h3 > a, :scope > h4 > a");
+      if (link) link.textContent = title;
+    },
+
+    toggle({ id, done, dueDate }) {
+      const item = findItem(id);
+      if (!item) {
+        // A todo this filtered view didn't show may belong in it now.
+        if (show !== "all" && isShown(done)) showReloadNotice();
+        return;
+      }
+      item.classList.toggle("done", done);
+      const doneInput = item.querySelector(":scope > .check [name='done']");
+      if (doneInput) doneInput.value = String(!done);
+      const time = item.querySelector(":scope > .due_date time");
+      if (time && dueDate) {
+        time.dateTime = dueDate;
+        time.textContent = dueDate;
       }
-    });
+      if (item.dataset.todoId && !isShown(done)) item.remove();
+    },
+  };
+
+  const events = new EventSource(section.dataset.eventsUrl);
+  Object.entries(handlers).forEach(([type, handler]) => {
+    events.addEventListener(type, (event) => handler(JSON.parse(event.data)));
+  });
+  // The browser reconnects a dropped stream by itself, but any events sent in
+  // between are lost.
+  let disconnected = false;
+  events.addEventListener("error", () => {
+    disconnected = true;
+  });
+  events.addEventListener("open", () => {
+    if (disconnected) showReloadNotice();
   });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  let forms = document.querySelectorAll("form.delete, form.complete_all");
+  forms.forEach(confirmBeforeSubmit);
+
+  let manualTodoList = document.querySelector("#todos > ul.manual");
+  if (manualTodoList) enableTodoDragAndDrop(manualTodoList);
+
+  let liveTodoList = document.querySelector("#todos[data-events-url]");
+  if (liveTodoList) followListEvents(liveTodoList);
 });
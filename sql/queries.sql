@@ -36,6 +36,51 @@ ORDER BY
   lower(title)
 ;
 
+-- @block
+-- @conn todo-lists
+-- @label view the next page of todolists and metadata, after a page's last list
+SELECT
+  id,
+  title,
+  "length",
+  "countDone",
+  done,
+  json_build_array(done, lower(title), id) "sortKey"
+FROM
+  (
+    SELECT
+      id,
+      title,
+      "length",
+      "countDone",
+      "length" > 0
+      AND "countDone" = "length" AS done
+    FROM
+      (
+        SELECT
+          tl.id,
+          tl.title,
+          count(t.id)::integer "length",
+          coalesce(sum(t.done::integer), 0)::integer "countDone"
+        FROM
+          todolists tl
+          LEFT JOIN todos t ON tl.id = t.todolist_id
+        WHERE
+          tl.user_id = 1
+        GROUP BY
+          tl.id
+      )
+  )
+WHERE
+  (done, lower(title), id) > (FALSE, 'groceries', 3)
+ORDER BY
+  done ASC,
+  lower(title) ASC,
+  id ASC
+LIMIT
+  51
+;
+
 -- @block
 -- @conn todo-lists
 -- @label view a single todolist and metadata sorted by todo done-ness and title
@@ -44,6 +89,7 @@ WITH
     SELECT
       id,
       title,
+      sort_mode,
       "length",
       "countDone",
       "length" > 0
@@ -53,6 +99,7 @@ WITH
         SELECT
           tl.id,
           tl.title,
+          tl.sort_mode,
           count(t.id)::integer "length",
           coalesce(sum(t.done::integer), 0)::integer "countDone"
         FROM
@@ -62,7 +109,8 @@ WITH
           tl.user_id = 1
         GROUP BY
           tl.id,
-          tl.title
+          tl.title,
+          tl.sort_mode
         HAVING
           tl.id = 2
       )
@@ -71,16 +119,41 @@ SELECT
   t.id,
   t.title,
   t.done,
+  to_char(t.due_date, 'YYYY-MM-DD') "dueDate",
+  t.priority,
+  t.notes,
+  ARRAY(
+    SELECT
+      tg.name
+    FROM
+      todo_tags tt
+      JOIN tags tg ON tt.tag_id = tg.id
+    WHERE
+      tt.todo_id = t.id
+    ORDER BY
+      tg.name
+  ) tags,
   lm.id "listID",
   lm.title "listTitle",
   lm.length "listLength",
   lm."countDone",
-  lm.done "listDone"
+  lm.done "listDone",
+  lm.sort_mode "listSortMode"
 FROM
   todos t
   RIGHT JOIN list_metadata lm ON t.todolist_id = lm.id
+  AND t.parent_id IS NULL
 ORDER BY
+  CASE
+    WHEN lm.sort_mode = 'manual' THEN t.position
+  END,
   t.done,
+  CASE
+    WHEN NOT t.done THEN t.priority
+  END DESC,
+  CASE
+    WHEN NOT t.done THEN t.due_date
+  END ASC NULLS LAST,
   lower(t.title)
 ;
 
@@ -91,6 +164,20 @@ SELECT
   t.id,
   t.title,
   t.done,
+  to_char(t.due_date, 'YYYY-MM-DD') "dueDate",
+  t.priority,
+  t.notes,
+  ARRAY(
+    SELECT
+      tg.name
+    FROM
+      todo_tags tt
+      JOIN tags tg ON tt.tag_id = tg.id
+    WHERE
+      tt.todo_id = t.id
+    ORDER BY
+      tg.name
+  ) tags,
   t.todolist_id "listID",
   tl.title "listTitle"
 FROM
@@ -117,12 +204,18 @@ WITH
       id,
       title,
       done,
+      due_date,
+      priority,
+      notes,
       todolist_id
   )
 SELECT
   tt.id,
   tt.title,
   tt.done,
+  to_char(tt.due_date, 'YYYY-MM-DD') "dueDate",
+  tt.priority,
+  tt.notes,
   tt.todolist_id "listID",
   tl.title "listTitle"
 FROM
@@ -130,6 +223,40 @@ FROM
   JOIN todolists tl ON tt.todolist_id = tl.id
 ;
 
+-- @block
+-- @conn todo-lists
+-- @label set a single todo's title; view todo's new state w/ list title
+WITH
+  updated_todo AS (
+    UPDATE todos
+    SET
+      title = 'Get coffee'
+    WHERE
+      id = 1
+      AND todolist_id = 1
+    RETURNING
+      id,
+      title,
+      done,
+      due_date,
+      priority,
+      notes,
+      todolist_id
+  )
+SELECT
+  ut.id,
+  ut.title,
+  ut.done,
+  to_char(ut.due_date, 'YYYY-MM-DD') "dueDate",
+  ut.priority,
+  ut.notes,
+  ut.todolist_id "listID",
+  tl.title "listTitle"
+FROM
+  updated_todo ut
+  JOIN todolists tl ON ut.todolist_id = tl.id
+;
+
 -- @block
 -- @conn todo-lists
 -- @label remove a single todo; view todo's new state w/ list title
@@ -143,12 +270,18 @@ WITH
       id,
       title,
       done,
+      due_date,
+      priority,
+      notes,
       todolist_id
   )
 SELECT
   rt.id,
   rt.title,
   rt.done,
+  to_char(rt.due_date, 'YYYY-MM-DD') "dueDate",
+  rt.priority,
+  rt.notes,
   rt.todolist_id "listID",
   tl.title "listTitle"
 FROM
@@ -182,6 +315,9 @@ WITH
       id,
       title,
       done,
+      due_date,
+      priority,
+      notes,
       todolist_id
   ),
   removed_list AS (
@@ -216,6 +352,9 @@ SELECT
   rt.id,
   rt.title,
   rt.done,
+  to_char(rt.due_date, 'YYYY-MM-DD') "dueDate",
+  rt.priority,
+  rt.notes,
   lm."listID",
   lm.title "listTitle",
   lm.length "listLength",
@@ -225,5 +364,659 @@ FROM
   RIGHT JOIN list_metadata lm ON rt.todolist_id = lm."listID"
 ORDER BY
   rt.done,
+  CASE
+    WHEN NOT rt.done THEN rt.priority
+  END DESC,
+  CASE
+    WHEN NOT rt.done THEN rt.due_date
+  END ASC NULLS LAST,
   lower(rt.title)
 ;
+
+-- @block
+-- @conn todo-lists
+-- @label add a tag to a single todo, creating the list owner's tag if it doesn't exist
+WITH
+  tag AS (
+    INSERT INTO
+      tags (name, user_id)
+    SELECT
+      'errands',
+      user_id
+    FROM
+      todolists
+    WHERE
+      id = 1
+    ON CONFLICT (name, user_id) DO UPDATE
+    SET
+      name = EXCLUDED.name
+    RETURNING
+      id
+  )
+INSERT INTO
+  todo_tags (todo_id, tag_id)
+SELECT
+  t.id,
+  tag.id
+FROM
+  todos t,
+  tag
+WHERE
+  t.id = 1
+  AND t.todolist_id = 1
+ON CONFLICT DO NOTHING
+;
+
+-- @block
+-- @conn todo-lists
+-- @label remove a tag from a single todo; delete the tag if no todo has it
+DELETE FROM todo_tags tt USING tags tg
+WHERE
+  tt.tag_id = tg.id
+  AND tt.todo_id = 1
+  AND tg.name = 'errands'
+  AND tg.user_id = (
+    SELECT
+      user_id
+    FROM
+      todolists
+    WHERE
+      id = 1
+  )
+;
+
+DELETE FROM tags tg
+WHERE
+  tg.name = 'errands'
+  AND tg.user_id = (
+    SELECT
+      user_id
+    FROM
+      todolists
+    WHERE
+      id = 1
+  )
+  AND NOT EXISTS (
+    SELECT
+      1
+    FROM
+      todo_tags tt
+    WHERE
+      tt.tag_id = tg.id
+  )
+;
+
+-- @block
+-- @conn todo-lists
+-- @label view all tags in use and their todo counts, sorted by name
+SELECT
+  tg.name,
+  count(tt.todo_id)::integer "count"
+FROM
+  tags tg
+  JOIN todo_tags tt ON tg.id = tt.tag_id
+WHERE
+  tg.user_id = 1
+GROUP BY
+  tg.id,
+  tg.name
+ORDER BY
+  tg.name
+;
+
+-- @block
+-- @conn todo-lists
+-- @label view all todos with a tag, sorted by list title and todo sort order
+SELECT
+  t.id,
+  t.title,
+  t.done,
+  to_char(t.due_date, 'YYYY-MM-DD') "dueDate",
+  t.priority,
+  t.notes,
+  ARRAY(
+    SELECT
+      tg.name
+    FROM
+      todo_tags tt
+      JOIN tags tg ON tt.tag_id = tg.id
+    WHERE
+      tt.todo_id = t.id
+    ORDER BY
+      tg.name
+  ) tags,
+  t.todolist_id "listID",
+  tl.title "listTitle"
+FROM
+  todos t
+  JOIN todolists tl ON t.todolist_id = tl.id
+WHERE
+  tl.user_id = 1
+  AND EXISTS (
+    SELECT
+      1
+    FROM
+      todo_tags tt
+      JOIN tags tg ON tt.tag_id = tg.id
+    WHERE
+      tt.todo_id = t.id
+      AND tg.name = 'errands'
+  )
+ORDER BY
+  lower(tl.title),
+  t.done,
+  CASE
+    WHEN NOT t.done THEN t.priority
+  END DESC,
+  CASE
+    WHEN NOT t.done THEN t.due_date
+  END ASC NULLS LAST,
+  lower(t.title)
+;
+
+-- @block
+-- @conn todo-lists
+-- @label search todos' titles and notes, grouped by list title, best match first
+WITH
+  search_query AS (
+    SELECT
+      websearch_to_tsquery('english', 'milk -oat') query
+  ),
+  matches AS (
+    SELECT
+      t.id,
+      ts_rank(t.search_vector, sq.query) rank
+    FROM
+      todos t
+      JOIN todolists tl ON t.todolist_id = tl.id
+      CROSS JOIN search_query sq
+    WHERE
+      tl.user_id = 1
+      AND t.search_vector @@ sq.query
+    ORDER BY
+      rank DESC,
+      t.id
+    LIMIT
+      100
+  )
+SELECT
+  t.id,
+  t.title,
+  t.done,
+  t.todolist_id "listID",
+  tl.title "listTitle",
+  ts_headline(
+    'english',
+    t.title,
+    sq.query,
+    'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'
+  ) "titleHeadline",
+  ts_headline(
+    'english',
+    t.notes,
+    sq.query,
+    'StartSel=<mark>, StopSel=</mark>, MaxWords=20, MinWords=8, MaxFragments=2'
+  ) "notesHeadline"
+FROM
+  matches m
+  JOIN todos t ON m.id = t.id
+  JOIN todolists tl ON t.todolist_id = tl.id
+  CROSS JOIN search_query sq
+ORDER BY
+  lower(tl.title),
+  m.rank DESC,
+  lower(t.title)
+;
+
+-- @block
+-- @conn todo-lists
+-- @label switch a todolist to manual sorting, starting from its automatic order
+UPDATE todos t
+SET
+  position = ordered.position
+FROM
+  (
+    SELECT
+      id,
+      row_number() OVER (
+        ORDER BY
+          done,
+          CASE
+            WHEN NOT done THEN priority
+          END DESC,
+          CASE
+            WHEN NOT done THEN due_date
+          END ASC NULLS LAST,
+          lower(title)
+      ) "position"
+    FROM
+      todos
+    WHERE
+      todolist_id = 1
+  ) ordered
+WHERE
+  t.id = ordered.id
+;
+
+UPDATE todolists
+SET
+  sort_mode = 'manual'
+WHERE
+  id = 1
+  AND user_id = 1
+;
+
+-- @block
+-- @conn todo-lists
+-- @label save a todolist's manual todo order
+UPDATE todos t
+SET
+  position = o.position
+FROM
+  unnest(ARRAY[3, 1, 2]::integer[]) WITH ORDINALITY AS o (id, position)
+WHERE
+  t.id = o.id
+  AND t.todolist_id = 1
+;
+
+-- @block
+-- @conn todo-lists
+-- @label view a single todolist's active todos, with the highest priority first
+SELECT
+  t.id,
+  t.title,
+  t.done,
+  to_char(t.due_date, 'YYYY-MM-DD') "dueDate",
+  t.priority
+FROM
+  todos t
+  JOIN todolists tl ON t.todolist_id = tl.id
+WHERE
+  tl.user_id = 1
+  AND tl.id = 2
+  AND t.parent_id IS NULL
+  AND (
+    'active' = 'all'
+    OR t.done = ('active' = 'done')
+  )
+ORDER BY
+  t.priority DESC,
+  lower(t.title) ASC,
+  t.id ASC
+;
+
+-- @block
+-- @conn todo-lists
+-- @label view the next page of a todolist's todos by title, after a page's last todo
+SELECT
+  t.id,
+  t.title,
+  t.done,
+  json_build_array(lower(t.title), t.id) "sortKey"
+FROM
+  todos t
+WHERE
+  t.todolist_id = 2
+  AND t.parent_id IS NULL
+  AND (lower(t.title), t.id) > ('buy milk', 5)
+ORDER BY
+  lower(t.title) ASC,
+  t.id ASC
+LIMIT
+  51
+;
+
+-- @block
+-- @conn todo-lists
+-- @label view a user's remembered view of a todolist
+SELECT
+  show,
+  sort_key sort,
+  sort_direction dir
+FROM
+  todolist_views
+WHERE
+  user_id = 1
+  AND todolist_id = 2
+;
+
+-- @block
+-- @conn todo-lists
+-- @label remember a user's view of a todolist
+INSERT INTO
+  todolist_views (user_id, todolist_id, show, sort_key, sort_direction)
+VALUES
+  (1, 2, 'done', 'due', 'desc')
+ON CONFLICT (user_id, todolist_id) DO UPDATE
+SET
+  show = EXCLUDED.show,
+  sort_key = EXCLUDED.sort_key,
+  sort_direction = EXCLUDED.sort_direction
+;
+
+-- @block
+-- @conn todo-lists
+-- @label view a user's own and shared todolists, with their role and owner
+SELECT
+  tl.id,
+  tl.title,
+  count(t.id)::integer "length",
+  coalesce(sum(t.done::integer), 0)::integer "countDone",
+  CASE WHEN tl.user_id = 2 THEN 'owner' ELSE mb.role::text END "role",
+  u.username "ownerUsername"
+FROM
+  todolists tl
+  JOIN users u ON tl.user_id = u.id
+  LEFT JOIN list_members mb ON tl.id = mb.todolist_id
+  AND mb.user_id = 2
+  LEFT JOIN todos t ON tl.id = t.todolist_id
+WHERE
+  tl.user_id = 2
+  OR mb.user_id IS NOT NULL
+GROUP BY
+  tl.id,
+  mb.role,
+  u.username
+ORDER BY
+  lower(tl.title)
+;
+
+-- @block
+-- @conn todo-lists
+-- @label view a user's role for a single todolist
+SELECT
+  CASE WHEN tl.user_id = 2 THEN 'owner' ELSE mb.role::text END "role"
+FROM
+  todolists tl
+  LEFT JOIN list_members mb ON tl.id = mb.todolist_id
+  AND mb.user_id = 2
+WHERE
+  tl.id = 1
+  AND (
+    tl.user_id = 2
+    OR mb.user_id IS NOT NULL
+  )
+;
+
+-- @block
+-- @conn todo-lists
+-- @label share a todolist with another user by username, or change their role
+INSERT INTO
+  list_members (todolist_id, user_id, role)
+SELECT
+  1,
+  id,
+  'editor'
+FROM
+  users
+WHERE
+  username = 'bob'
+  AND id <> 1
+ON CONFLICT (todolist_id, user_id) DO UPDATE
+SET
+  role = EXCLUDED.role
+;
+
+-- @block
+-- @conn todo-lists
+-- @label view the users a todolist is shared with, sorted by username
+SELECT
+  u.username,
+  mb.role
+FROM
+  list_members mb
+  JOIN users u ON mb.user_id = u.id
+WHERE
+  mb.todolist_id = 1
+ORDER BY
+  lower(u.username),
+  u.username
+;
+
+-- @block
+-- @conn todo-lists
+-- @label stop sharing a todolist with a user
+DELETE FROM list_members mb USING users u
+WHERE
+  mb.user_id = u.id
+  AND mb.todolist_id = 1
+  AND u.username = 'bob'
+;
+
+-- @block
+-- @conn todo-lists
+-- @label view a single todo's subtasks, in the order they were added
+SELECT
+  st.id,
+  st.title,
+  st.done,
+  to_char(st.due_date, 'YYYY-MM-DD') "dueDate",
+  st.priority,
+  st.notes,
+  st.parent_id "parentID"
+FROM
+  todos st
+WHERE
+  st.parent_id = 1
+ORDER BY
+  st.id
+;
+
+-- @block
+-- @conn todo-lists
+-- @label mark all of a single todo's subtasks done, returning the changed ones
+UPDATE todos
+SET
+  done = TRUE
+WHERE
+  parent_id = 1
+  AND todolist_id = 1
+  AND NOT done
+RETURNING
+  id
+;
+
+-- @block
+-- @conn todo-lists
+-- @label mark all of a list's non-recurring todos done; lock its recurring ones
+SELECT
+  id,
+  to_char(due_date, 'YYYY-MM-DD') "dueDate",
+  recurrence
+FROM
+  todos
+WHERE
+  todolist_id = 1
+  AND NOT done
+  AND recurrence IS NOT NULL
+ORDER BY
+  id
+FOR UPDATE
+;
+
+UPDATE todos
+SET
+  done = TRUE
+WHERE
+  todolist_id = 1
+  AND NOT done
+  AND recurrence IS NULL
+RETURNING
+  id
+;
+
+-- @block
+-- @conn todo-lists
+-- @label complete a recurring todo's occurrence, moving it to its next due date
+INSERT INTO
+  todo_completions (todo_id, due_date)
+VALUES
+  (1, '2024-01-01')
+;
+
+UPDATE todos
+SET
+  done = FALSE
+WHERE
+  parent_id = 1
+  AND todolist_id = 1
+;
+
+UPDATE todos
+SET
+  done = FALSE,
+  due_date = '2024-01-08'
+WHERE
+  id = 1
+  AND todolist_id = 1
+;
+
+-- @block
+-- @conn todo-lists
+-- @label view a recurring todo's completed occurrences, most recent first
+SELECT
+  to_char(due_date, 'YYYY-MM-DD') "dueDate",
+  completed_at "completedAt"
+FROM
+  todo_completions
+WHERE
+  todo_id = 1
+ORDER BY
+  completed_at DESC
+;
+
+-- @block
+-- @conn todo-lists
+-- @label view a user's API tokens, newest first
+SELECT
+  id,
+  name,
+  scope,
+  token_prefix prefix,
+  to_char(created_at, 'YYYY-MM-DD') "createdAt",
+  to_char(last_used_at, 'YYYY-MM-DD') "lastUsedAt"
+FROM
+  api_tokens
+WHERE
+  user_id = 1
+ORDER BY
+  created_at DESC,
+  id DESC
+;
+
+-- @block
+-- @conn todo-lists
+-- @label authenticate an API token by its hash, recording its use
+WITH
+  used_token AS (
+    UPDATE api_tokens
+    SET
+      last_used_at = now()
+    WHERE
+      token_hash = 'hex-encoded sha256 hash'
+      AND scope = 'api'
+    RETURNING
+      user_id
+  )
+SELECT
+  u.id "userID",
+  u.username
+FROM
+  used_token ut
+  JOIN users u ON ut.user_id = u.id
+;
+
+-- @block
+-- @conn todo-lists
+-- @label create a share link for a list
+INSERT INTO
+  share_links (todolist_id, token_hash, token_prefix, expires_on)
+VALUES
+  (1, 'hex-encoded sha256 hash', 'abcdef', '2024-12-31')
+RETURNING
+  id,
+  token_prefix prefix,
+  to_char(created_at, 'YYYY-MM-DD') "createdAt",
+  to_char(expires_on, 'YYYY-MM-DD') "expiresOn",
+  coalesce(expires_on < current_date, false) expired
+;
+
+-- @block
+-- @conn todo-lists
+-- @label find the list a share link shows, unless it has expired
+SELECT
+  tl.user_id "userID",
+  tl.id "listID"
+FROM
+  share_links sl
+  JOIN todolists tl ON sl.todolist_id = tl.id
+WHERE
+  sl.token_hash = 'hex-encoded sha256 hash'
+  AND (
+    sl.expires_on IS NULL
+    OR sl.expires_on >= current_date
+  )
+;
+
+-- @block
+-- @conn todo-lists
+-- @label revoke a list's share link
+DELETE FROM share_links
+WHERE
+  id = 1
+  AND todolist_id = 1
+;
+
+-- @block
+-- @conn todo-lists
+-- @label import a "done" todo, with all its properties, at the end of a list
+INSERT INTO
+  todos (
+    title,
+    done,
+    due_date,
+    priority,
+    notes,
+    recurrence,
+    position,
+    todolist_id,
+    parent_id
+  )
+VALUES
+  (
+    'Imported todo',
+    TRUE,
+    '2024-01-05',
+    'high',
+    '',
+    'FREQ=WEEKLY',
+    (
+      SELECT
+        coalesce(max(position), 0) + 1
+      FROM
+        todos
+      WHERE
+        todolist_id = 1
+    ),
+    1,
+    NULL
+  )
+RETURNING
+  id
+;
+
+-- @block
+-- @conn todo-lists
+-- @label listen for list events from every instance of the app
+LISTEN list_events
+;
+
+-- @block
+-- @conn todo-lists
+-- @label publish a list event to every instance of the app
+SELECT
+  pg_notify(
+    'list_events',
+    '{"listID":1,"event":{"type":"toggle","todo":{"id":1,"done":true}}}'
+  )
+;
@@ -12,6 +12,34 @@ FROM
   app_owner
 ;
 
+-- @label reset -- drop share_links if exists
+DROP TABLE IF EXISTS share_links
+;
+
+-- @label reset -- drop list_members if exists
+DROP TABLE IF EXISTS list_members
+;
+
+-- @label reset -- drop todolist_views if exists
+DROP TABLE IF EXISTS todolist_views
+;
+
+-- @label reset -- drop todo_completions if exists
+DROP TABLE IF EXISTS todo_completions
+;
+
+-- @label reset -- drop todo_tags if exists
+DROP TABLE IF EXISTS todo_tags
+;
+
+-- @label reset -- drop tags if exists
+DROP TABLE IF EXISTS tags
+;
+
+-- @label reset -- drop api_tokens if exists
+DROP TABLE IF EXISTS api_tokens
+;
+
 -- @label reset -- drop todos if exists
 DROP TABLE IF EXISTS todos
 ;
@@ -24,6 +52,34 @@ DROP TABLE IF EXISTS todolists
 DROP TABLE IF EXISTS users
 ;
 
+-- @label reset -- drop todo_priority if exists
+DROP TYPE IF EXISTS todo_priority
+;
+
+-- @label reset -- drop todolist_sort_mode if exists
+DROP TYPE IF EXISTS todolist_sort_mode
+;
+
+-- @label reset -- drop api_token_scope if exists
+DROP TYPE IF EXISTS api_token_scope
+;
+
+-- @label reset -- drop todo_show_filter if exists
+DROP TYPE IF EXISTS todo_show_filter
+;
+
+-- @label reset -- drop todo_sort_key if exists
+DROP TYPE IF EXISTS todo_sort_key
+;
+
+-- @label reset -- drop sort_direction if exists
+DROP TYPE IF EXISTS sort_direction
+;
+
+-- @label reset -- drop list_member_role if exists
+DROP TYPE IF EXISTS list_member_role
+;
+
 -- @label reset -- drop roles if exists
 DROP ROLE IF EXISTS app_owner,
 app_read,
@@ -75,24 +131,182 @@ CREATE TABLE users (
 )
 ;
 
+-- @label create api_token_scope
+-- Keep this in sync with API_TOKEN_SCOPES in the api-token module.
+CREATE TYPE api_token_scope AS ENUM('api', 'calendar')
+;
+
+-- @label create api_tokens
+-- Personal API tokens, for non-browser clients of the JSON API and calendar
+-- apps. Only each token's SHA-256 hash is stored; see the api-token module.
+CREATE TABLE api_tokens (
+  id serial PRIMARY KEY,
+  user_id integer NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  name text NOT NULL,
+  scope api_token_scope NOT NULL DEFAULT 'api',
+  token_hash text UNIQUE NOT NULL,
+  token_prefix text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz
+)
+;
+
+-- @label create todolist_sort_mode
+-- Keep this in sync with TodoList.SORT_MODES.
+CREATE TYPE todolist_sort_mode AS ENUM('automatic', 'manual')
+;
+
 -- @label create todolists
 CREATE TABLE todolists (
   id serial PRIMARY KEY,
   title text NOT NULL,
+  sort_mode todolist_sort_mode NOT NULL DEFAULT 'automatic',
   user_id integer NOT NULL REFERENCES users (id) ON DELETE CASCADE,
   UNIQUE (title, user_id)
 )
 ;
 
+-- @label create todo_priority
+-- The values are declared from lowest to highest priority, which PostgreSQL
+-- uses as the enum's sort order. Keep this in sync with Todo.PRIORITIES.
+CREATE TYPE todo_priority AS ENUM('none', 'low', 'medium', 'high')
+;
+
 -- @label create todos
 CREATE TABLE todos (
   id serial PRIMARY KEY,
   title text NOT NULL,
   done boolean NOT NULL DEFAULT FALSE,
-  todolist_id integer NOT NULL REFERENCES todolists (id) ON DELETE CASCADE
+  due_date date,
+  priority todo_priority NOT NULL DEFAULT 'none',
+  notes text NOT NULL DEFAULT '',
+  -- an RRULE-style recurrence rule, like 'FREQ=WEEKLY;BYDAY=MO', in its
+  -- canonical form: see the recurrence module. NULL if the todo doesn't recur.
+  recurrence text,
+  -- a todo's place in its list's manual order, used when the list's sort_mode
+  -- is 'manual'
+  position integer NOT NULL DEFAULT 0,
+  todolist_id integer NOT NULL REFERENCES todolists (id) ON DELETE CASCADE,
+  -- a subtask's parent todo, which is always in the same list. Subtasks are
+  -- only one level deep: a subtask's parent is never a subtask itself.
+  parent_id integer REFERENCES todos (id) ON DELETE CASCADE,
+  -- the todo's title and notes, for full-text search: see
+  -- TodoPGStore.search(). Title words rank above notes words.
+  search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', title), 'A') ||
+    setweight(to_tsvector('english', notes), 'B')
+  ) STORED
 )
 ;
 
+-- @label create todos_search_vector_idx
+CREATE INDEX todos_search_vector_idx ON todos USING GIN (search_vector)
+;
+
+-- @label create tags
+-- Tags belong to a user, so the same tag can group todos across all of that
+-- user's lists. Tags on a shared list's todos belong to the list's owner. Tag
+-- names are stored normalized: see Todo.normalizeTag().
+CREATE TABLE tags (
+  id serial PRIMARY KEY,
+  name text NOT NULL,
+  user_id integer NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  UNIQUE (name, user_id)
+)
+;
+
+-- @label create todo_tags
+CREATE TABLE todo_tags (
+  todo_id integer NOT NULL REFERENCES todos (id) ON DELETE CASCADE,
+  tag_id integer NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+  PRIMARY KEY (todo_id, tag_id)
+)
+;
+
+-- @label create todo_completions
+-- Each completed occurrence of a recurring todo, which moves on to its next
+-- due date instead of staying "done".
+CREATE TABLE todo_completions (
+  id serial PRIMARY KEY,
+  todo_id integer NOT NULL REFERENCES todos (id) ON DELETE CASCADE,
+  due_date date,
+  completed_at timestamptz NOT NULL DEFAULT now()
+)
+;
+
+-- @label create todo_show_filter
+-- Keep this in sync with TodoList.SHOW_FILTERS.
+CREATE TYPE todo_show_filter AS ENUM('all', 'active', 'done')
+;
+
+-- @label create todo_sort_key
+-- Keep this in sync with TodoList.SORT_KEYS.
+CREATE TYPE todo_sort_key AS ENUM('title', 'created', 'due', 'priority')
+;
+
+-- @label create sort_direction
+-- Keep this in sync with TodoList.SORT_DIRECTIONS.
+CREATE TYPE sort_direction AS ENUM('asc', 'desc')
+;
+
+-- @label create todolist_views
+-- Each user's remembered choice of which todos to show on a list's page, and
+-- how to sort them: see TodoList.DEFAULT_VIEW. A list without a row uses the
+-- default view.
+CREATE TABLE todolist_views (
+  user_id integer NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  todolist_id integer NOT NULL REFERENCES todolists (id) ON DELETE CASCADE,
+  show todo_show_filter NOT NULL DEFAULT 'all',
+  -- NULL keeps the list's own order
+  sort_key todo_sort_key,
+  sort_direction sort_direction NOT NULL DEFAULT 'asc',
+  PRIMARY KEY (user_id, todolist_id)
+)
+;
+
+-- @label create list_member_role
+-- Keep this in sync with TodoList.MEMBER_ROLES.
+CREATE TYPE list_member_role AS ENUM('viewer', 'editor')
+;
+
+-- @label create list_members
+-- The users a list's owner has shared it with, besides the owner: see
+-- TodoList.canEditTodos(). Viewers can only read the list. Editors can also
+-- add, change, and remove its todos, but only the owner can rename, re-sort,
+-- share, or delete the list itself.
+CREATE TABLE list_members (
+  todolist_id integer NOT NULL REFERENCES todolists (id) ON DELETE CASCADE,
+  user_id integer NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  role list_member_role NOT NULL DEFAULT 'viewer',
+  PRIMARY KEY (todolist_id, user_id)
+)
+;
+
+-- @label create list_members_user_id_idx
+-- For finding the lists shared with a user
+CREATE INDEX list_members_user_id_idx ON list_members (user_id)
+;
+
+-- @label create share_links
+-- Links that show a list, read-only, to anyone who has them: see
+-- share-link.js. Only a link's token's hash is stored. A link with no
+-- expires_on date works until its list's owner revokes it.
+CREATE TABLE share_links (
+  id serial PRIMARY KEY,
+  todolist_id integer NOT NULL REFERENCES todolists (id) ON DELETE CASCADE,
+  token_hash text UNIQUE NOT NULL,
+  token_prefix text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  -- The last date the link works on
+  expires_on date
+)
+;
+
+-- @label create share_links_todolist_id_idx
+-- For finding a list's share links
+CREATE INDEX share_links_todolist_id_idx ON share_links (todolist_id)
+;
+
 -- @block
 -- @conn todo-lists
 -- @label grant table privileges
@@ -100,19 +314,37 @@ GRANT
 SELECT
   ON TABLE todos,
   todolists,
-  users TO app_read
+  users,
+  tags,
+  todo_tags,
+  todo_completions,
+  todolist_views,
+  list_members,
+  share_links,
+  api_tokens TO app_read
 ;
 
 GRANT INSERT,
 UPDATE,
 DELETE ON TABLE todos,
 todolists,
-users TO app_write
+users,
+tags,
+todo_tags,
+todo_completions,
+todolist_views,
+list_members,
+share_links,
+api_tokens TO app_write
 ;
 
 GRANT USAGE ON SEQUENCE todos_id_seq,
 todolists_id_seq,
-users_id_seq TO app_write
+users_id_seq,
+tags_id_seq,
+todo_completions_id_seq,
+share_links_id_seq,
+api_tokens_id_seq TO app_write
 ;
 
 SET ROLE postgres
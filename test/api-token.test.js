@@ -0,0 +1,55 @@
+/**
+ * JS185 Todo App
+ * API Token Tests
+ */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+const {
+  apiTokenPrefix,
+  generateAPIToken,
+  hashAPIToken,
+  isAPITokenShaped,
+  parseBearerToken,
+} = require("../lib/api-token");
+
+describe("api-token", () => {
+  test("generateAPIToken() returns unique, well-shaped tokens", () => {
+    const token = generateAPIToken();
+    expect(isAPITokenShaped(token)).toBe(true);
+    expect(token.startsWith("todo_")).toBe(true);
+    expect(generateAPIToken()).not.toBe(token);
+  });
+
+  test("isAPITokenShaped() rejects other values", () => {
+    expect(isAPITokenShaped("todo_short")).toBe(false);
+    expect(isAPITokenShaped(`other${generateAPIToken().slice(4)}`)).toBe(false);
+    expect(isAPITokenShaped(undefined)).toBe(false);
+  });
+
+  test("hashAPIToken() returns a stable SHA-256 hex digest", () => {
+    const token = generateAPIToken();
+    expect(hashAPIToken(token)).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashAPIToken(token)).toBe(hashAPIToken(token));
+    expect(hashAPIToken(token)).not.toBe(hashAPIToken(generateAPIToken()));
+  });
+
+  test("apiTokenPrefix() returns the token's marker and a few characters", () => {
+    expect(apiTokenPrefix("todo_abcdefgh")).toBe("todo_abcd");
+  });
+
+  describe("parseBearerToken()", () => {
+    test("returns the token from a Bearer Authorization header", () => {
+      expect(parseBearerToken("Bearer todo_abc")).toBe("todo_abc");
+      expect(parseBearerToken("bearer   todo_abc ")).toBe("todo_abc");
+    });
+
+    test("returns undefined for missing or other headers", () => {
+      expect(parseBearerToken(undefined)).toBeUndefined();
+      expect(parseBearerToken("")).toBeUndefined();
+      expect(parseBearerToken("Basic dXNlcjpwYXNz")).toBeUndefined();
+      expect(parseBearerToken("Bearer")).toBeUndefined();
+      expect(parseBearerToken("Bearer a b")).toBeUndefined();
+    });
+  });
+});
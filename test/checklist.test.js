@@ -0,0 +1,122 @@
+/**
+ * JS185 Todo App
+ * Markdown Checklist Tests
+ */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+const { parseChecklist } = require("../lib/checklist");
+const { Todo, TodoList } = require("../lib/todolist");
+
+function summarize(todoList) {
+  return {
+    title: todoList.getTitle(),
+    todos: todoList.toOrderedArray().map((todo) => {
+      return [
+        todo.getTitle(),
+        todo.isDone(),
+        todo.getSubtasks().map((subtask) => {
+          return [subtask.getTitle(), subtask.isDone()];
+        }),
+      ];
+    }),
+  };
+}
+
+describe("parseChecklist()", () => {
+  test("headings start lists, and task list items become todos", () => {
+    const todoLists = parseChecklist(
+      // eslint-disable-next-line indent
+`# Groceries
+
+- [ ] Milk
+- [x] Bread
+
+## Chores ##
+* [X] Laundry
++ [ ] Dishes
+`
+    );
+    expect(todoLists).toHaveLength(2);
+    expect(todoLists[0]).toBeInstanceOf(TodoList);
+    expect(todoLists.map(summarize)).toEqual([
+      {
+        title: "Groceries",
+        todos: [["Milk", false, []], ["Bread", true, []]],
+      },
+      {
+        title: "Chores",
+        todos: [["Laundry", true, []], ["Dishes", false, []]],
+      },
+    ]);
+  });
+
+  test("indented items become subtasks of the todo above them", () => {
+    const [todoList] = parseChecklist(
+      "# Trip\n- [ ] Pack\n  - [x] Socks\n\t- [ ] Charger\n- [ ] Leave\r\n"
+    );
+    expect(summarize(todoList).todos).toEqual([
+      ["Pack", false, [["Socks", true], ["Charger", false]]],
+      ["Leave", false, []],
+    ]);
+  });
+
+  test("lists keep their items' order, and ignore other lines", () => {
+    const [todoList] = parseChecklist(
+      "# Notes\nSome text\n- a plain item\n- [x] B\n- [ ] A\n1. [ ] C\n"
+    );
+    expect(todoList.isManuallySorted()).toBe(true);
+    expect(summarize(todoList).todos).toEqual([
+      ["B", true, []],
+      ["A", false, []],
+    ]);
+  });
+
+  test("items before the first heading use the default title", () => {
+    const todoLists = parseChecklist("- [ ] Milk\n# Chores\n", "Groceries");
+    expect(todoLists.map((todoList) => todoList.getTitle())).toEqual([
+      "Groceries",
+      "Chores",
+    ]);
+    expect(() => parseChecklist("- [ ] Milk\n")).toThrow(
+      /list title for the items before the first heading/
+    );
+  });
+
+  test("a heading without items is an empty list", () => {
+    const [todoList] = parseChecklist("# Someday\n");
+    expect(todoList.getTitle()).toBe("Someday");
+    expect(todoList.size()).toBe(0);
+  });
+
+  test("round-trips TodoList.toMarkdown()", () => {
+    const milk = new Todo("Milk");
+    const date = new Todo("Check the date");
+    date.markDone();
+    milk.addSubtask(date);
+    const todoList = new TodoList("Groceries");
+    todoList.add(milk);
+    todoList.add(new Todo("Bread"));
+
+    const [parsed] = parseChecklist(todoList.toMarkdown());
+    expect(parsed.toMarkdown()).toBe(todoList.toMarkdown());
+  });
+
+  test("rejects checklists without lists, and invalid titles", () => {
+    expect(() => parseChecklist("Just some text")).toThrow(
+      /no headings or task list items/
+    );
+    expect(() => parseChecklist("#  \n")).toThrow(
+      /heading on line 1 needs a title/
+    );
+    expect(() => parseChecklist(`# ${"A".repeat(101)}`)).toThrow(
+      /over 100 characters/
+    );
+    expect(() => parseChecklist("# A\n- [ ]  \n")).toThrow(
+      /item on line 2 needs a title/
+    );
+    expect(() => parseChecklist("# A\n# B\n# A\n")).toThrow(
+      /"A" is repeated/
+    );
+  });
+});
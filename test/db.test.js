@@ -0,0 +1,309 @@
+/**
+ * JS185 Todo App
+ * db module and TodoPGStore transaction Tests
+ *
+ * These tests replace the connection pool with a fake one, so they don't need
+ * a running PostgreSQL server. Each fake client records the statements it
+ * receives and tracks whether it's inside a transaction, which is all the
+ * transaction methods need to behave as they would against a real database.
+ */
+/* eslint-disable max-nested-callbacks */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+jest.mock("../lib/db-pool", () => {
+  class FakeClient {
+    constructor(id) {
+      this.id = id;
+      this.statements = [];
+      this.inTransaction = false;
+      this.released = false;
+      this.releasedWith = undefined;
+    }
+
+    // eslint-disable-next-line require-await
+    async query(text) {
+      this.statements.push(text);
+      if (/^BEGIN/.test(text)) this.inTransaction = true;
+      if (/^(COMMIT|ROLLBACK)/.test(text)) this.inTransaction = false;
+      return { rowCount: 1, rows: [{ isTrans: this.inTransaction }] };
+    }
+
+    release(err) {
+      this.released = true;
+      this.releasedWith = err;
+    }
+  }
+
+  const fakePool = {
+    clients: [],
+    statements: [],
+
+    // eslint-disable-next-line require-await
+    async connect() {
+      const client = new FakeClient(this.clients.length + 1);
+      this.clients.push(client);
+      return client;
+    },
+
+    // eslint-disable-next-line require-await
+    async query(text) {
+      this.statements.push(text);
+      return { rowCount: 1, rows: [{ isTrans: false }] };
+    },
+
+    reset() {
+      this.clients = [];
+      this.statements = [];
+    },
+  };
+
+  return { createPool: () => fakePool, fakePool };
+});
+
+const { fakePool } = require("../lib/db-pool");
+const {
+  createClientScope,
+  inClientScope,
+  query,
+  withClient,
+} = require("../lib/db");
+const { TodoPGStore } = require("../lib/todo-pg-store");
+
+/**
+ * Return a Promise that resolves after `ms` milliseconds, to force concurrent
+ * operations to interleave.
+ * @param {number} ms the delay in milliseconds
+ * @returns {Promise.<undefined>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Simulate one request's lifetime: run `callback` inside its own client
+ * scope, then release the scope's client, like the app's request middleware.
+ * @param {function} callback the request's work
+ * @returns {Promise.<*>} `callback`'s return value
+ */
+async function simulateRequest(callback) {
+  const scope = createClientScope();
+  const result = await scope.run(callback);
+  await scope.release();
+  return result;
+}
+
+describe("db", () => {
+  beforeEach(() => {
+    fakePool.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("query()", () => {
+    test("outside a client scope, queries go to the pool", async () => {
+      await query("SELECT 1");
+      expect(fakePool.statements).toEqual(["SELECT 1"]);
+      expect(fakePool.clients).toHaveLength(0);
+    });
+  });
+
+  describe("createClientScope()", () => {
+    test("no client is checked out until the first query", async () => {
+      const scope = createClientScope();
+      await scope.run(() => expect(inClientScope()).toBe(true));
+      await scope.release();
+      expect(fakePool.clients).toHaveLength(0);
+    });
+
+    test("every query in the scope shares one client", async () => {
+      const scope = createClientScope();
+      await scope.run(async () => {
+        await query("SELECT 1");
+        await Promise.all([query("SELECT 2"), query("SELECT 3")]);
+        await delay(1);
+        await query("SELECT 4");
+      });
+      await scope.release();
+
+      expect(fakePool.clients).toHaveLength(1);
+      expect(fakePool.clients[0].statements).toEqual([
+        "SELECT 1",
+        "SELECT 2",
+        "SELECT 3",
+        "SELECT 4",
+      ]);
+      expect(fakePool.clients[0].released).toBe(true);
+      expect(fakePool.statements).toEqual([]);
+    });
+
+    test("hasClient() is true from the first query until release", async () => {
+      const scope = createClientScope();
+      expect(scope.hasClient()).toBe(false);
+      await scope.run(() => query("SELECT 1"));
+      expect(scope.hasClient()).toBe(true);
+      await scope.release();
+      expect(scope.hasClient()).toBe(false);
+    });
+
+    test("refuses queries once released, without checking out a client", async () => {
+      const scope = createClientScope();
+      await scope.run(() => query("SELECT 1"));
+      await scope.release();
+      await expect(scope.run(() => query("SELECT 2"))).rejects.toThrow(
+        /after releasing/
+      );
+
+      const unusedScope = createClientScope();
+      await unusedScope.release();
+      await expect(unusedScope.run(() => query("SELECT 3"))).rejects.toThrow(
+        /after releasing/
+      );
+      expect(fakePool.clients).toHaveLength(1);
+      expect(fakePool.statements).toEqual([]);
+    });
+
+    test("releasing with an Error passes it on to the client", async () => {
+      const scope = createClientScope();
+      const err = new Error("broken connection");
+      await scope.run(() => query("SELECT 1"));
+      await scope.release(err);
+      expect(fakePool.clients[0].releasedWith).toBe(err);
+    });
+  });
+
+  describe("withClient()", () => {
+    test("releases its client after the callback completes", async () => {
+      expect(await withClient(() => query("SELECT 1"))).toBeDefined();
+      expect(fakePool.clients).toHaveLength(1);
+      expect(fakePool.clients[0].released).toBe(true);
+    });
+
+    test("releases its client with the Error the callback throws", async () => {
+      const err = new Error("failed");
+      await expect(withClient(async () => {
+        await query("SELECT 1");
+        throw err;
+      })).rejects.toBe(err);
+      expect(fakePool.clients[0].releasedWith).toBe(err);
+    });
+
+    test("reuses the current client scope when nested", async () => {
+      await withClient(async () => {
+        await query("SELECT 1");
+        await withClient(() => query("SELECT 2"));
+        await query("SELECT 3");
+      });
+      expect(fakePool.clients).toHaveLength(1);
+      expect(fakePool.clients[0].statements).toEqual([
+        "SELECT 1",
+        "SELECT 2",
+        "SELECT 3",
+      ]);
+    });
+  });
+
+  describe("concurrent requests", () => {
+    test("interleaved requests each use their own client", async () => {
+      await Promise.all([1, 2, 3].map((requestNum) => {
+        return simulateRequest(async () => {
+          await query(`SELECT ${requestNum}`);
+          await delay(4 - requestNum);
+          await query(`SELECT ${requestNum * 10}`);
+        });
+      }));
+
+      expect(fakePool.clients).toHaveLength(3);
+      const statementsByClient = fakePool.clients
+        .map((client) => client.statements)
+        .sort((stmtsA, stmtsB) => stmtsA[0].localeCompare(stmtsB[0]));
+      expect(statementsByClient).toEqual([
+        ["SELECT 1", "SELECT 10"],
+        ["SELECT 2", "SELECT 20"],
+        ["SELECT 3", "SELECT 30"],
+      ]);
+      expect(fakePool.clients.every((client) => client.released)).toBe(true);
+    });
+
+    test("a transaction's BEGIN and COMMIT share the request's client", async () => {
+      const storeA = new TodoPGStore(1);
+      const storeB = new TodoPGStore(2);
+
+      await Promise.all([
+        simulateRequest(async () => {
+          await storeA.beginTransaction({ readOnly: true });
+          await delay(5);
+          await storeA.commitTransaction();
+        }),
+        simulateRequest(async () => {
+          await delay(1);
+          await storeB.beginTransaction();
+          await storeB.commitTransaction();
+        }),
+      ]);
+
+      expect(fakePool.clients).toHaveLength(2);
+      fakePool.clients.forEach((client) => {
+        const txStatements = client.statements.filter((text) => {
+          return /^(BEGIN|COMMIT|ROLLBACK)/.test(text);
+        });
+        expect(txStatements).toHaveLength(2);
+        expect(txStatements[0]).toMatch(/^BEGIN/);
+        expect(txStatements[1]).toBe("COMMIT");
+        expect(client.inTransaction).toBe(false);
+      });
+      expect(fakePool.statements).toEqual([]);
+    });
+
+    test("one request's rollback doesn't affect another's transaction", async () => {
+      const storeA = new TodoPGStore(1);
+      const storeB = new TodoPGStore(2);
+      let inTransactionB;
+
+      await Promise.all([
+        simulateRequest(async () => {
+          await storeA.beginTransaction();
+          await delay(1);
+          await storeA.rollbackTransaction();
+        }),
+        simulateRequest(async () => {
+          await storeB.beginTransaction();
+          await delay(3);
+          inTransactionB = fakePool.clients.find((client) => {
+            return client.statements.includes("ROLLBACK") === false;
+          }).inTransaction;
+          await storeB.commitTransaction();
+        }),
+      ]);
+
+      expect(inTransactionB).toBe(true);
+    });
+
+    test("withTransaction() checks out a dedicated client when needed", async () => {
+      const store = new TodoPGStore(1);
+      await Promise.all([
+        store.withTransaction(() => query("SELECT 1")),
+        store.withTransaction(() => query("SELECT 2")),
+      ]);
+
+      expect(fakePool.clients).toHaveLength(2);
+      fakePool.clients.forEach((client) => {
+        expect(client.statements.filter((text) => /^BEGIN/.test(text)))
+          .toHaveLength(1);
+        expect(client.statements).toContain("COMMIT");
+        expect(client.released).toBe(true);
+      });
+    });
+  });
+
+  describe("TodoPGStore.beginTransaction()", () => {
+    test("throws outside a client scope", async () => {
+      await expect((new TodoPGStore(1)).beginTransaction()).rejects.toThrow(
+        /outside a client scope/
+      );
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * JS185 Todo App
+ * List Events Tests
+ */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+jest.mock("../lib/db", () => ({
+  listen: jest.fn(),
+  query: jest.fn(),
+}));
+
+const { listen, query } = require("../lib/db");
+const {
+  LIST_EVENT_TOGGLE,
+  ListEventBus,
+  formatServerSentEvent,
+} = require("../lib/list-events");
+
+describe("list-events", () => {
+  const event = { type: LIST_EVENT_TOGGLE, todo: { id: 7, done: true } };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("ListEventBus", () => {
+    test("delivers a list's events to that list's subscribers", async () => {
+      const bus = new ListEventBus();
+      const listener = jest.fn();
+      const otherListener = jest.fn();
+      bus.subscribe(1, listener);
+      bus.subscribe(2, otherListener);
+
+      await bus.publish(1, event);
+      expect(listener).toHaveBeenCalledWith(event);
+      expect(otherListener).not.toHaveBeenCalled();
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    test("stops delivering events once unsubscribed", async () => {
+      const bus = new ListEventBus();
+      const listener = jest.fn();
+      const unsubscribe = bus.subscribe(1, listener);
+      unsubscribe();
+
+      await bus.publish(1, event);
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    describe("with notifications", () => {
+      test("publishes events as notifications, and delivers received ones", async () => {
+        const bus = new ListEventBus();
+        const listener = jest.fn();
+        bus.subscribe(1, listener);
+        bus.useNotifications();
+
+        await bus.publish(1, event);
+        expect(listener).not.toHaveBeenCalled();
+        expect(query).toHaveBeenCalledWith("SELECT pg_notify($1, $2)", [
+          ListEventBus.NOTIFY_CHANNEL,
+          JSON.stringify({ listID: 1, event }),
+        ]);
+
+        const [channel, onNotification] = listen.mock.calls[0];
+        expect(channel).toBe(ListEventBus.NOTIFY_CHANNEL);
+        onNotification(query.mock.calls[0][1][1]);
+        expect(listener).toHaveBeenCalledWith(event);
+      });
+
+      test("ignores notifications that aren't events", () => {
+        const bus = new ListEventBus();
+        const listener = jest.fn();
+        bus.subscribe(1, listener);
+        bus.useNotifications();
+        const [, onNotification] = listen.mock.calls[0];
+
+        onNotification("not JSON");
+        onNotification("null");
+        onNotification(JSON.stringify({ listID: "1", event }));
+        onNotification(JSON.stringify({ listID: 1, event: { type: "other" } }));
+        expect(listener).not.toHaveBeenCalled();
+      });
+
+      test("logs, rather than throws, failures to publish", async () => {
+        const bus = new ListEventBus();
+        query.mockRejectedValue(new Error("connection lost"));
+        bus.useNotifications();
+
+        await expect(bus.publish(1, event)).resolves.toBeUndefined();
+        expect(console.log).toHaveBeenCalled();
+      });
+    });
+  });
+
+  test("formatServerSentEvent() names the message for the event's type", () => {
+    expect(formatServerSentEvent(event)).toBe(
+      'event: toggle\ndata: {"id":7,"done":true}\n\n'
+    );
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * JS185 Todo App
+ * Markdown Subset Renderer Tests
+ */
+/* eslint-disable max-nested-callbacks */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+const { escapeHTML, renderMarkdown } = require("../lib/markdown");
+
+describe("markdown", () => {
+  describe("escapeHTML()", () => {
+    test("escapes every HTML special character", () => {
+      expect(escapeHTML(`<a href="x">Tom & Jerry's</a>`)).toBe(
+        "&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;"
+      );
+    });
+  });
+
+  describe("renderMarkdown()", () => {
+    test("empty notes render as an empty string", () => {
+      expect(renderMarkdown("")).toBe("");
+      expect(renderMarkdown(null)).toBe("");
+      expect(renderMarkdown(undefined)).toBe("");
+    });
+
+    test("HTML in the source is always escaped", () => {
+      expect(renderMarkdown("<script>alert(1)</script>")).toBe(
+        "<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>"
+      );
+      expect(renderMarkdown('**<img src="x" onerror="y">**')).toBe(
+        "<p><strong>&lt;img src=&quot;x&quot; onerror=&quot;y&quot;&gt;</strong></p>"
+      );
+    });
+
+    test("blank lines separate paragraphs; newlines become line breaks", () => {
+      expect(renderMarkdown("one\ntwo\n\nthree")).toBe(
+        "<p>one<br>two</p>\n<p>three</p>"
+      );
+    });
+
+    test("headings render as h4 through h6", () => {
+      expect(renderMarkdown("# One\n## Two\n### Three")).toBe(
+        "<h4>One</h4>\n<h5>Two</h5>\n<h6>Three</h6>"
+      );
+    });
+
+    test("list items render as unordered and ordered lists", () => {
+      expect(renderMarkdown("- a\n* b\n+ c")).toBe(
+        "<ul><li>a</li><li>b</li><li>c</li></ul>"
+      );
+      expect(renderMarkdown("1. a\n2) b")).toBe("<ol><li>a</li><li>b</li></ol>");
+      expect(renderMarkdown("- a\n1. b")).toBe(
+        "<ul><li>a</li></ul>\n<ol><li>b</li></ol>"
+      );
+    });
+
+    test("bold, italic, and inline code", () => {
+      expect(renderMarkdown("**bold** *italic* _also italic_ `code`")).toBe(
+        "<p><strong>bold</strong> <em>italic</em> <em>also italic</em> <code>code</code></p>"
+      );
+    });
+
+    test("text inside code spans isn't interpreted", () => {
+      expect(renderMarkdown("`**not bold** <b>`")).toBe(
+        "<p><code>**not bold** &lt;b&gt;</code></p>"
+      );
+    });
+
+    test("underscores inside words aren't italic", () => {
+      expect(renderMarkdown("snake_case_name")).toBe("<p>snake_case_name</p>");
+    });
+
+    test("links with safe urls render as anchors", () => {
+      expect(renderMarkdown("[docs](https://example.com/a_b_c?x=1&y=2)")).toBe(
+        '<p><a href="https://example.com/a_b_c?x=1&amp;y=2" rel="noopener noreferrer">docs</a></p>'
+      );
+      expect(renderMarkdown("[mail](mailto:me@example.com)")).toBe(
+        '<p><a href="mailto:me@example.com" rel="noopener noreferrer">mail</a></p>'
+      );
+    });
+
+    test("link urls are never treated as emphasis", () => {
+      expect(renderMarkdown("[x](https://example.com/*a*)")).toBe(
+        '<p><a href="https://example.com/*a*" rel="noopener noreferrer">x</a></p>'
+      );
+    });
+
+    test("links with unsafe urls render as plain text", () => {
+      expect(renderMarkdown("[click](javascript:alert)")).toBe("<p>click</p>");
+      expect(renderMarkdown("[click](data:text/html,x)")).toBe("<p>click</p>");
+    });
+  });
+});
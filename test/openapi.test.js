@@ -0,0 +1,125 @@
+/**
+ * JS185 Todo App
+ * OpenAPI Document Tests
+ *
+ * These tests check openapi.yaml against the JSON API's route map, so adding a
+ * route without describing it, or describing a route that doesn't exist,
+ * fails the test suite.
+ */
+/* eslint-disable max-nested-callbacks */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const yaml = require("js-yaml");
+
+const { API_BASE_PATH, apiRouteMap } = require("../lib/api-routes");
+const { listRoutes } = require("../lib/route-map");
+
+const spec = yaml.load(
+  fs.readFileSync(path.join(__dirname, "..", "openapi.yaml"), "utf8")
+);
+
+// Stand-in `api` middleware, each named after the `api` property it replaces,
+// so every route can be matched up with its operation's `operationId`.
+const api = new Proxy({}, {
+  get: (_target, name) => ({ [name]: () => {} })[name],
+});
+
+function toOpenAPIPath(expressPath) {
+  return expressPath.replace(/:(\w+)/g, "{$1}");
+}
+
+const routes = listRoutes(apiRouteMap(api)).map(
+  ({ method, path: routePath, handlers }) => ({
+    method,
+    path: toOpenAPIPath(routePath),
+    operationId: handlers[0].name,
+  })
+);
+
+const operations = Object.entries(spec.paths).flatMap(([opPath, pathItem]) => {
+  return Object.entries(pathItem)
+    .filter(([key]) => key !== "parameters")
+    .map(([method, operation]) => ({
+      method,
+      path: opPath,
+      operationId: operation.operationId,
+      responses: operation.responses,
+      parameters: [
+        ...(pathItem.parameters || []),
+        ...(operation.parameters || []),
+      ],
+    }));
+});
+
+function resolveRef(ref) {
+  return ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, key) => node?.[key], spec);
+}
+
+function findRefs(node) {
+  if (Array.isArray(node)) return node.flatMap(findRefs);
+  if (node === null || typeof node !== "object") return [];
+  return Object.entries(node).flatMap(([key, value]) => {
+    return key === "$ref" ? [value] : findRefs(value);
+  });
+}
+
+describe("openapi.yaml", () => {
+  test("describes the API at its base path", () => {
+    expect(spec.openapi).toMatch(/^3\.0\./);
+    expect(spec.servers).toEqual([{ url: API_BASE_PATH }]);
+  });
+
+  describe.each(routes)("$method $path", (route) => {
+    test("is described, with its middleware's name as the operationId", () => {
+      const operation = operations.find(({ method, path: opPath }) => {
+        return method === route.method && opPath === route.path;
+      });
+      expect(operation).toBeDefined();
+      expect(operation.operationId).toBe(route.operationId);
+    });
+  });
+
+  test("describes only routes in the API's route map", () => {
+    const undescribed = operations.filter((operation) => {
+      return !routes.some(({ method, path: routePath }) => {
+        return method === operation.method && routePath === operation.path;
+      });
+    });
+    expect(undescribed.map(({ method, path: opPath }) => `${method} ${opPath}`))
+      .toEqual([]);
+  });
+
+  test("declares each operation's path parameters", () => {
+    operations.forEach((operation) => {
+      const declared = operation.parameters
+        .map((parameter) => resolveRef(parameter.$ref) || parameter)
+        .filter((parameter) => parameter.in === "path")
+        .map(({ name }) => name)
+        .sort();
+      const templated = [...operation.path.matchAll(/{(\w+)}/g)]
+        .map(([, name]) => name)
+        .sort();
+      expect(declared).toEqual(templated);
+    });
+  });
+
+  test("describes each operation's default error response", () => {
+    operations.forEach(({ responses }) => {
+      expect(responses.default).toEqual({
+        $ref: "#/components/responses/InternalError",
+      });
+    });
+  });
+
+  test("resolves every $ref", () => {
+    const unresolved = findRefs(spec).filter((ref) => !resolveRef(ref));
+    expect(unresolved).toEqual([]);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * JS185 Todo App
+ * Pagination Tests
+ */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+const {
+  decodeCursor,
+  encodeCursor,
+  normalizePage,
+  paginateArray,
+} = require("../lib/pagination");
+
+describe("pagination", () => {
+  describe("encodeCursor() and decodeCursor()", () => {
+    test("round-trip a key's values through a URL-safe string", () => {
+      const key = [false, "buy milk / bread?", 42];
+      const cursor = encodeCursor(key);
+      expect(cursor).toMatch(/^[\w-]+$/);
+      expect(decodeCursor(cursor)).toEqual(key);
+    });
+
+    test("decodeCursor() returns undefined for invalid cursors", () => {
+      expect(decodeCursor("not a cursor")).toBeUndefined();
+      expect(decodeCursor(encodeCursor({ id: 1 }))).toBeUndefined();
+      expect(decodeCursor(["abc"])).toBeUndefined();
+      expect(decodeCursor(encodeCursor(["x".repeat(1000)]))).toBeUndefined();
+    });
+  });
+
+  describe("normalizePage()", () => {
+    test("defaults to every result, from the first one", () => {
+      expect(normalizePage()).toEqual({ limit: null, cursor: null });
+      expect(normalizePage({ limit: 10 })).toEqual({ limit: 10, cursor: null });
+    });
+  });
+
+  describe("paginateArray()", () => {
+    const items = [{ id: 3 }, { id: 1 }, { id: 4 }, { id: 5 }, { id: 2 }];
+
+    test("returns pages of items, each after the last page's cursor", () => {
+      const firstPage = paginateArray(items, { limit: 2 });
+      expect(firstPage.items).toEqual([{ id: 3 }, { id: 1 }]);
+
+      const secondPage = paginateArray(items, {
+        limit: 2,
+        cursor: firstPage.nextCursor,
+      });
+      expect(secondPage.items).toEqual([{ id: 4 }, { id: 5 }]);
+
+      const lastPage = paginateArray(items, {
+        limit: 2,
+        cursor: secondPage.nextCursor,
+      });
+      expect(lastPage).toEqual({ items: [{ id: 2 }], nextCursor: null });
+    });
+
+    test("returns every item without a limit", () => {
+      expect(paginateArray(items)).toEqual({ items, nextCursor: null });
+      expect(paginateArray(items, { limit: 5 }).nextCursor).toBeNull();
+    });
+
+    test("finds items' IDs with a callback", () => {
+      const todos = items.map(({ id }) => ({ getID: () => id }));
+      const firstPage = paginateArray(todos, { limit: 1 }, (todo) => {
+        return todo.getID();
+      });
+      expect(decodeCursor(firstPage.nextCursor)).toEqual([3]);
+    });
+
+    test("returns undefined if the cursor isn't an item's", () => {
+      expect(paginateArray(items, { cursor: encodeCursor([9]) }))
+        .toBeUndefined();
+      expect(paginateArray(items, { cursor: "nonsense" })).toBeUndefined();
+    });
+  });
+});
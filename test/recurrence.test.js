@@ -0,0 +1,204 @@
+/**
+ * JS185 Todo App
+ * Recurrence Rules Tests
+ */
+/* eslint-disable max-nested-callbacks */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+const {
+  describeRecurrence,
+  formatRecurrence,
+  isValidRecurrence,
+  nextOccurrence,
+  parseRecurrence,
+} = require("../lib/recurrence");
+
+describe("recurrence", () => {
+  describe("parseRecurrence()", () => {
+    test("parses a minimal rule with default values", () => {
+      expect(parseRecurrence("FREQ=DAILY")).toEqual({
+        freq: "DAILY",
+        interval: 1,
+        byDay: [],
+        byMonthDay: null,
+      });
+    });
+
+    test("parses every supported part", () => {
+      expect(parseRecurrence("FREQ=WEEKLY;INTERVAL=2;BYDAY=FR,MO")).toEqual({
+        freq: "WEEKLY",
+        interval: 2,
+        byDay: ["MO", "FR"],
+        byMonthDay: null,
+      });
+      expect(parseRecurrence("FREQ=MONTHLY;BYMONTHDAY=31")).toEqual({
+        freq: "MONTHLY",
+        interval: 1,
+        byDay: [],
+        byMonthDay: 31,
+      });
+    });
+
+    test("ignores letter case, whitespace, part order, and an RRULE: prefix", () => {
+      expect(parseRecurrence("rrule: byday=we ; freq=weekly")).toEqual(
+        parseRecurrence("FREQ=WEEKLY;BYDAY=WE")
+      );
+    });
+
+    test("rejects malformed, unsupported, and repeated parts", () => {
+      expect(() => parseRecurrence("")).toThrow(TypeError);
+      expect(() => parseRecurrence("FREQ")).toThrow(/NAME=VALUE/);
+      expect(() => parseRecurrence("FREQ=DAILY;")).toThrow(/NAME=VALUE/);
+      expect(() => parseRecurrence("FREQ=DAILY;COUNT=3")).toThrow(
+        /COUNT isn't supported/
+      );
+      expect(() => parseRecurrence("FREQ=DAILY;FREQ=WEEKLY")).toThrow(
+        /FREQ is repeated/
+      );
+    });
+
+    test("rejects invalid values", () => {
+      expect(() => parseRecurrence("FREQ=YEARLY")).toThrow(/FREQ must be/);
+      expect(() => parseRecurrence("INTERVAL=2")).toThrow(/FREQ must be/);
+      expect(() => parseRecurrence("FREQ=DAILY;INTERVAL=0")).toThrow(
+        /INTERVAL must be/
+      );
+      expect(() => parseRecurrence("FREQ=DAILY;INTERVAL=1.5")).toThrow(
+        /INTERVAL must be/
+      );
+      expect(() => parseRecurrence("FREQ=WEEKLY;BYDAY=MO,XX")).toThrow(
+        /BYDAY must list/
+      );
+      expect(() => parseRecurrence("FREQ=WEEKLY;BYDAY=MO,MO")).toThrow(
+        /more than once/
+      );
+      expect(() => parseRecurrence("FREQ=MONTHLY;BYMONTHDAY=32")).toThrow(
+        /BYMONTHDAY must be/
+      );
+      expect(() => parseRecurrence(null)).toThrow(/must be a string/);
+    });
+
+    test("rejects parts that don't apply to the frequency", () => {
+      expect(() => parseRecurrence("FREQ=DAILY;BYDAY=MO")).toThrow(
+        /only supported with FREQ=WEEKLY/
+      );
+      expect(() => parseRecurrence("FREQ=WEEKLY;BYMONTHDAY=1")).toThrow(
+        /only supported with FREQ=MONTHLY/
+      );
+    });
+  });
+
+  describe("isValidRecurrence()", () => {
+    test("returns whether a rule parses", () => {
+      expect(isValidRecurrence("FREQ=DAILY;INTERVAL=3")).toBe(true);
+      expect(isValidRecurrence("FREQ=HOURLY")).toBe(false);
+      expect(isValidRecurrence(undefined)).toBe(false);
+    });
+  });
+
+  describe("formatRecurrence()", () => {
+    test("returns a rule's canonical text", () => {
+      expect(formatRecurrence("rrule:byday=fr,mo;freq=weekly;interval=1")).toBe(
+        "FREQ=WEEKLY;BYDAY=MO,FR"
+      );
+      expect(formatRecurrence("FREQ=MONTHLY;BYMONTHDAY=15;INTERVAL=2")).toBe(
+        "FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=15"
+      );
+    });
+
+    test("formats a parsed rule", () => {
+      const rule = parseRecurrence("FREQ=DAILY;INTERVAL=3");
+      expect(formatRecurrence(rule)).toBe("FREQ=DAILY;INTERVAL=3");
+    });
+  });
+
+  describe("describeRecurrence()", () => {
+    test("describes each frequency", () => {
+      expect(describeRecurrence("FREQ=DAILY")).toBe("Daily");
+      expect(describeRecurrence("FREQ=DAILY;INTERVAL=3")).toBe("Every 3 days");
+      expect(describeRecurrence("FREQ=WEEKLY")).toBe("Weekly");
+      expect(describeRecurrence("FREQ=WEEKLY;BYDAY=WE,MO")).toBe(
+        "Weekly on Mon, Wed"
+      );
+      expect(describeRecurrence("FREQ=WEEKLY;INTERVAL=2;BYDAY=FR")).toBe(
+        "Every 2 weeks on Fri"
+      );
+      expect(describeRecurrence("FREQ=MONTHLY")).toBe("Monthly");
+      expect(describeRecurrence("FREQ=MONTHLY;BYMONTHDAY=15")).toBe(
+        "Monthly on day 15"
+      );
+    });
+  });
+
+  describe("nextOccurrence()", () => {
+    // 2024-01-01 is a Monday.
+    test("daily rules repeat every INTERVAL days", () => {
+      expect(nextOccurrence("FREQ=DAILY", "2024-01-01")).toBe("2024-01-02");
+      expect(nextOccurrence("FREQ=DAILY", "2024-02-28")).toBe("2024-02-29");
+      expect(nextOccurrence("FREQ=DAILY;INTERVAL=3", "2024-12-30")).toBe(
+        "2025-01-02"
+      );
+    });
+
+    test("weekly rules without BYDAY repeat on the same weekday", () => {
+      expect(nextOccurrence("FREQ=WEEKLY", "2024-01-03")).toBe("2024-01-10");
+      expect(nextOccurrence("FREQ=WEEKLY;INTERVAL=2", "2024-01-03")).toBe(
+        "2024-01-17"
+      );
+    });
+
+    test("weekly rules with BYDAY repeat on the next listed weekday", () => {
+      const rule = "FREQ=WEEKLY;BYDAY=MO,WE,FR";
+      expect(nextOccurrence(rule, "2024-01-01")).toBe("2024-01-03");
+      expect(nextOccurrence(rule, "2024-01-03")).toBe("2024-01-05");
+      expect(nextOccurrence(rule, "2024-01-05")).toBe("2024-01-08");
+      expect(nextOccurrence(rule, "2024-01-06")).toBe("2024-01-08");
+    });
+
+    test("weekly rules with BYDAY and INTERVAL skip weeks", () => {
+      const rule = "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR";
+      expect(nextOccurrence(rule, "2024-01-01")).toBe("2024-01-05");
+      expect(nextOccurrence(rule, "2024-01-05")).toBe("2024-01-15");
+      expect(nextOccurrence(rule, "2024-01-07")).toBe("2024-01-15");
+    });
+
+    test("monthly rules without BYMONTHDAY repeat on the same day", () => {
+      expect(nextOccurrence("FREQ=MONTHLY", "2024-01-15")).toBe("2024-02-15");
+      expect(nextOccurrence("FREQ=MONTHLY", "2024-12-15")).toBe("2025-01-15");
+      expect(nextOccurrence("FREQ=MONTHLY;INTERVAL=3", "2024-11-15")).toBe(
+        "2025-02-15"
+      );
+    });
+
+    test("monthly rules use the last day of shorter months", () => {
+      expect(nextOccurrence("FREQ=MONTHLY", "2024-01-31")).toBe("2024-02-29");
+      expect(nextOccurrence("FREQ=MONTHLY;BYMONTHDAY=31", "2024-02-29")).toBe(
+        "2024-03-31"
+      );
+      expect(nextOccurrence("FREQ=MONTHLY;BYMONTHDAY=31", "2024-04-15")).toBe(
+        "2024-04-30"
+      );
+    });
+
+    test("monthly rules with BYMONTHDAY can repeat later the same month", () => {
+      expect(nextOccurrence("FREQ=MONTHLY;BYMONTHDAY=20", "2024-01-15")).toBe(
+        "2024-01-20"
+      );
+      expect(nextOccurrence("FREQ=MONTHLY;BYMONTHDAY=10", "2024-01-15")).toBe(
+        "2024-02-10"
+      );
+    });
+
+    test("accepts a parsed rule", () => {
+      const rule = parseRecurrence("FREQ=DAILY");
+      expect(nextOccurrence(rule, "2024-01-01")).toBe("2024-01-02");
+    });
+
+    test("rejects an invalid date", () => {
+      expect(() => nextOccurrence("FREQ=DAILY", "01/01/2024")).toThrow(
+        /Invalid date/
+      );
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * JS185 Todo App
+ * Request Log Tests
+ */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+const { redactURL, requestLogger } = require("../lib/request-log");
+
+const TOKEN = "todo_3q2-7wEvAbCdEfGhIjKlMnOpQrStUvWxYz0123456789";
+
+/**
+ * Log a `GET` request for `url` with a new request logger, and return the
+ * logged line.
+ * @param {string} url the request URL
+ * @returns {string} the logged line
+ */
+function logRequest(url) {
+  const lines = [];
+  const logger = requestLogger({
+    immediate: true,
+    stream: { write: (line) => lines.push(line) },
+  });
+  const req = {
+    method: "GET",
+    url,
+    originalUrl: url,
+    headers: {},
+    httpVersionMajor: 1,
+    httpVersionMinor: 1,
+    ip: "127.0.0.1",
+  };
+  logger(req, { getHeader: () => undefined, headersSent: false }, () => {});
+  return lines.join("");
+}
+
+describe("request-log", () => {
+  describe("redactURL()", () => {
+    test("redacts the token query parameter", () => {
+      expect(redactURL(`/calendar.ics?token=${TOKEN}`))
+        .toBe("/calendar.ics?token=[REDACTED]");
+      expect(redactURL(`/calendar.ics?list=2&token=${TOKEN}&x=1`))
+        .toBe("/calendar.ics?list=2&token=[REDACTED]&x=1");
+    });
+
+    test("redacts encoded and bracketed token parameter names", () => {
+      expect(redactURL(`/calendar.ics?to%6Ben=${TOKEN}`))
+        .toBe("/calendar.ics?to%6Ben=[REDACTED]");
+      expect(redactURL(`/calendar.ics?token[]=${TOKEN}&token[1]=${TOKEN}`))
+        .toBe("/calendar.ics?token[]=[REDACTED]&token[1]=[REDACTED]");
+    });
+
+    test("redacts share links' tokens", () => {
+      expect(redactURL("/shared/3q2-7wEvAbC")).toBe("/shared/[REDACTED]");
+      expect(redactURL("/shared/3q2-7wEvAbC/x?y=1"))
+        .toBe("/shared/[REDACTED]/x?y=1");
+    });
+
+    test("leaves other URLs alone", () => {
+      expect(redactURL("/lists/1?show=active")).toBe("/lists/1?show=active");
+      expect(redactURL("/lists?tokens=1&%E0=2")).toBe("/lists?tokens=1&%E0=2");
+      expect(redactURL("/lists")).toBe("/lists");
+      expect(redactURL("/lists/shared/1")).toBe("/lists/shared/1");
+    });
+  });
+
+  describe("requestLogger()", () => {
+    test("logs requests without their tokens", () => {
+      const line = logRequest(`/calendar.ics?token=${TOKEN}`);
+      expect(line).toMatch(/^127\.0\.0\.1 - - \[.+\] "GET /);
+      expect(line).toContain("/calendar.ics?token=[REDACTED] HTTP/1.1");
+      expect(line).not.toContain(TOKEN);
+    });
+
+    test("logs share link requests without their tokens", () => {
+      const token = TOKEN.slice("todo_".length);
+      const line = logRequest(`/shared/${token}`);
+      expect(line).toContain('"GET /shared/[REDACTED] HTTP/1.1"');
+      expect(line).not.toContain(token);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * JS185 Todo App
+ * Route Map Tests
+ */
+/* eslint-disable max-lines-per-function */
+/* eslint-disable quote-props */
+"use strict";
+
+const { listRoutes } = require("../lib/route-map");
+
+describe("listRoutes()", () => {
+  const displayLists = () => {};
+  const newList = () => {};
+  const validate = () => {};
+  const displayList = () => {};
+
+  test("flattens nested paths, in registration order", () => {
+    expect(listRoutes({
+      "/lists": {
+        get: displayLists,
+        post: [validate, newList],
+        "/:listID": {
+          get: displayList,
+        },
+      },
+    })).toEqual([
+      { method: "get", path: "/lists", handlers: [displayLists] },
+      { method: "post", path: "/lists", handlers: [validate, newList] },
+      { method: "get", path: "/lists/:listID", handlers: [displayList] },
+    ]);
+  });
+
+  test("applies a route prefix", () => {
+    expect(listRoutes({ get: displayList }, "/api")).toEqual([
+      { method: "get", path: "/api", handlers: [displayList] },
+    ]);
+  });
+
+  test("rejects middleware under a key that isn't an HTTP method", () => {
+    expect(() => listRoutes({ "/lists": { fetch: displayLists } })).toThrow(
+      TypeError
+    );
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * JS185 Todo App
+ * Todo Search Tests
+ */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+const {
+  HIGHLIGHT_START,
+  HIGHLIGHT_STOP,
+  excerptTerms,
+  groupSearchResults,
+  hasHighlight,
+  highlightTerms,
+  matchesTerms,
+  parseHeadline,
+  searchTerms,
+} = require("../lib/search");
+
+describe("search", () => {
+  describe("searchTerms()", () => {
+    test("returns the query's unique words in lower case", () => {
+      expect(searchTerms('  Buy "MILK" buy  ')).toEqual(["buy", "milk"]);
+      expect(searchTerms("   ")).toEqual([]);
+    });
+  });
+
+  describe("matchesTerms()", () => {
+    test("requires every term, ignoring case", () => {
+      expect(matchesTerms("Buy Oat Milk", ["milk", "oat"])).toBe(true);
+      expect(matchesTerms("Buy Oat Milk", ["milk", "soy"])).toBe(false);
+      expect(matchesTerms("Buy Oat Milk", [])).toBe(false);
+    });
+  });
+
+  describe("highlightTerms()", () => {
+    test("highlights each occurrence of the terms, keeping their case", () => {
+      expect(highlightTerms("Milk, milk.", ["milk"])).toEqual([
+        { text: "Milk", highlighted: true },
+        { text: ", ", highlighted: false },
+        { text: "milk", highlighted: true },
+        { text: ".", highlighted: false },
+      ]);
+    });
+
+    test("prefers longer terms, and escapes special characters", () => {
+      expect(highlightTerms("milkshake (1+1)", ["milk", "milkshake", "1+1"]))
+        .toEqual([
+          { text: "milkshake", highlighted: true },
+          { text: " (", highlighted: false },
+          { text: "1+1", highlighted: true },
+          { text: ")", highlighted: false },
+        ]);
+    });
+
+    test("returns text without terms as one segment", () => {
+      expect(highlightTerms("Bread", [])).toEqual([
+        { text: "Bread", highlighted: false },
+      ]);
+      expect(highlightTerms("", ["milk"])).toEqual([]);
+    });
+  });
+
+  describe("excerptTerms()", () => {
+    test("returns the text around the first match, with ellipses", () => {
+      const notes = `${"a ".repeat(50)}Get the whole milk\n${"b ".repeat(50)}`;
+      const excerpt = excerptTerms(notes, ["whole"]);
+      const text = excerpt.map((segment) => segment.text).join("");
+      expect(text.startsWith("…")).toBe(true);
+      expect(text.endsWith("…")).toBe(true);
+      expect(text).toContain("Get the whole milk b");
+      expect(excerpt.filter((segment) => segment.highlighted)).toEqual([
+        { text: "whole", highlighted: true },
+      ]);
+    });
+
+    test("returns an empty array if the text doesn't match", () => {
+      expect(excerptTerms("Skim is fine", ["whole"])).toEqual([]);
+    });
+  });
+
+  describe("parseHeadline() and hasHighlight()", () => {
+    test("split a ts_headline() result into segments", () => {
+      const headline =
+        `${HIGHLIGHT_START}Buy${HIGHLIGHT_STOP} oat ` +
+        `${HIGHLIGHT_START}milk${HIGHLIGHT_STOP}`;
+      const segments = parseHeadline(headline);
+      expect(segments).toEqual([
+        { text: "Buy", highlighted: true },
+        { text: " oat ", highlighted: false },
+        { text: "milk", highlighted: true },
+      ]);
+      expect(hasHighlight(segments)).toBe(true);
+      expect(hasHighlight(parseHeadline("No matches <b>here</b>"))).toBe(false);
+    });
+  });
+
+  describe("groupSearchResults()", () => {
+    test("groups results by list, keeping their order", () => {
+      const results = [
+        { id: 1, listID: 7, listTitle: "Groceries" },
+        { id: 2, listID: 7, listTitle: "Groceries" },
+        { id: 3, listID: 4, listTitle: "Work" },
+      ];
+      expect(groupSearchResults(results)).toEqual([
+        { id: 7, title: "Groceries", todos: results.slice(0, 2) },
+        { id: 4, title: "Work", todos: results.slice(2) },
+      ]);
+    });
+  });
+});
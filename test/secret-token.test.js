@@ -0,0 +1,43 @@
+/**
+ * JS185 Todo App
+ * Secret Token Tests
+ */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+const {
+  generateToken,
+  hashToken,
+  isTokenShaped,
+  tokenPrefix,
+} = require("../lib/secret-token");
+
+describe("secret-token", () => {
+  test("generateToken() returns unique, URL-safe tokens", () => {
+    const token = generateToken();
+    expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(generateToken()).not.toBe(token);
+    expect(generateToken("key_")).toMatch(/^key_[A-Za-z0-9_-]{43}$/);
+  });
+
+  test("isTokenShaped() checks the token's marker, length, and characters", () => {
+    const token = generateToken("key_");
+    expect(isTokenShaped(token, "key_")).toBe(true);
+    expect(isTokenShaped(token)).toBe(false);
+    expect(isTokenShaped(token.slice(4))).toBe(true);
+    expect(isTokenShaped(`${token.slice(0, -1)}/`, "key_")).toBe(false);
+    expect(isTokenShaped(`${token}x`, "key_")).toBe(false);
+    expect(isTokenShaped(undefined)).toBe(false);
+  });
+
+  test("hashToken() returns a stable SHA-256 hex digest", () => {
+    const token = generateToken();
+    expect(hashToken(token)).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashToken(token)).toBe(hashToken(token));
+    expect(hashToken(token)).not.toBe(hashToken(generateToken()));
+  });
+
+  test("tokenPrefix() returns the token's first few characters", () => {
+    expect(tokenPrefix("key_abcdefgh", 6)).toBe("key_ab");
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * JS185 Todo App
+ * Share Link Tests
+ */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+const {
+  generateShareToken,
+  hashShareToken,
+  isShareTokenShaped,
+  shareTokenPrefix,
+} = require("../lib/share-link");
+
+describe("share-link", () => {
+  test("generateShareToken() returns unique, URL-safe tokens", () => {
+    const token = generateShareToken();
+    expect(isShareTokenShaped(token)).toBe(true);
+    expect(encodeURIComponent(token)).toBe(token);
+    expect(generateShareToken()).not.toBe(token);
+  });
+
+  test("isShareTokenShaped() rejects other values", () => {
+    expect(isShareTokenShaped("short")).toBe(false);
+    expect(isShareTokenShaped(`${generateShareToken()}x`)).toBe(false);
+    expect(isShareTokenShaped(`${generateShareToken().slice(1)}/`)).toBe(false);
+    expect(isShareTokenShaped(undefined)).toBe(false);
+  });
+
+  test("hashShareToken() returns a stable SHA-256 hex digest", () => {
+    const token = generateShareToken();
+    expect(hashShareToken(token)).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashShareToken(token)).toBe(hashShareToken(token));
+    expect(hashShareToken(token))
+      .not.toBe(hashShareToken(generateShareToken()));
+  });
+
+  test("shareTokenPrefix() returns the token's first few characters", () => {
+    expect(shareTokenPrefix("abcdefghijkl")).toBe("abcdef");
+  });
+});
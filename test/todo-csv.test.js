@@ -0,0 +1,257 @@
+/**
+ * JS185 Todo App
+ * Todo CSV Tests
+ */
+/* eslint-disable max-nested-callbacks */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+const {
+  columnFieldErrors,
+  csvRecord,
+  csvRecordErrors,
+  csvRecordsToTodoLists,
+  formatCSV,
+  guessColumnFields,
+  parseCSV,
+  parseCSVBoolean,
+  todoListsToCSV,
+} = require("../lib/todo-csv");
+const { TodoList } = require("../lib/todolist");
+
+const FIELDS = [
+  "list",
+  "title",
+  "done",
+  "dueDate",
+  "priority",
+  "tags",
+  "recurrence",
+  "notes",
+  "subtask",
+];
+
+function recordOf(props) {
+  return { ...csvRecord([], []), ...props };
+}
+
+describe("todo-csv", () => {
+  const groceries = new TodoList({
+    id: 1,
+    title: "Groceries",
+    sortMode: "manual",
+    todos: [
+      {
+        id: 2,
+        title: "Milk, whole",
+        done: false,
+        dueDate: "2024-01-05",
+        priority: "high",
+        tags: ["dairy", "cold"],
+        notes: 'Say "please"\nTwice',
+        subtasks: [{ id: 3, title: "Check the date", done: true }],
+      },
+      { id: 4, title: "=SUM(A1)", done: true, recurrence: "FREQ=WEEKLY" },
+    ],
+  });
+
+  describe("formatCSV() and parseCSV()", () => {
+    test("quote fields with commas, quotes, and line breaks", () => {
+      const rows = [["a,b", 'say "hi"', "one\ntwo", "plain"]];
+      const text = formatCSV(rows);
+      expect(text).toBe('"a,b","say ""hi""","one\ntwo",plain\r\n');
+      expect(parseCSV(text)).toEqual(rows);
+    });
+
+    test("guard fields a spreadsheet would run as formulas", () => {
+      const rows = [["=1+1", "+1", "-1", "@me", "a=b"]];
+      const text = formatCSV(rows);
+      expect(text).toBe("'=1+1,'+1,'-1,'@me,a=b\r\n");
+      expect(parseCSV(text)).toEqual(rows);
+    });
+
+    test("parse LF and CRLF line breaks, skipping blank lines", () => {
+      expect(parseCSV("\uFEFFa,b\n\r\nc,\r\n,d")).toEqual([
+        ["a", "b"],
+        ["c", ""],
+        ["", "d"],
+      ]);
+    });
+
+    test("reject a quote that isn't closed", () => {
+      expect(() => parseCSV('a,"b\nc')).toThrow(/quote isn't closed/);
+    });
+  });
+
+  describe("parseCSVBoolean()", () => {
+    test("returns true, false, or undefined", () => {
+      expect(["TRUE", " yes ", "x", "1"].map(parseCSVBoolean)).toEqual([
+        true,
+        true,
+        true,
+        true,
+      ]);
+      expect(["", "False", "no", "0"].map(parseCSVBoolean)).toEqual([
+        false,
+        false,
+        false,
+        false,
+      ]);
+      expect(parseCSVBoolean("maybe")).toBeUndefined();
+    });
+  });
+
+  describe("todoListsToCSV()", () => {
+    test("writes a header, then a row per todo and subtask", () => {
+      expect(parseCSV(todoListsToCSV([groceries]))).toEqual([
+        [
+          "List",
+          "Title",
+          "Done",
+          "Due Date",
+          "Priority",
+          "Tags",
+          "Repeats",
+          "Notes",
+          "Subtask",
+        ],
+        [
+          "Groceries",
+          "Milk, whole",
+          "false",
+          "2024-01-05",
+          "high",
+          "cold dairy",
+          "",
+          'Say "please"\nTwice',
+          "false",
+        ],
+        [
+          "Groceries",
+          "Check the date",
+          "true",
+          "",
+          "none",
+          "",
+          "",
+          "",
+          "true",
+        ],
+        [
+          "Groceries",
+          "=SUM(A1)",
+          "true",
+          "",
+          "none",
+          "",
+          "FREQ=WEEKLY",
+          "",
+          "false",
+        ],
+      ]);
+    });
+
+    test("round-trips through csvRecordsToTodoLists()", () => {
+      const [header, ...rows] = parseCSV(todoListsToCSV([groceries]));
+      const columnFields = guessColumnFields(header);
+      const records = rows.map((row) => csvRecord(row, columnFields));
+      const [todoList] = csvRecordsToTodoLists(records);
+      const withoutIDs = (list) => {
+        return JSON.parse(JSON.stringify(list.toJSON(), (key, value) => {
+          return ["id", "listID", "sortMode"].includes(key) ? undefined : value;
+        }));
+      };
+      expect(withoutIDs(todoList)).toEqual(withoutIDs(groceries));
+    });
+  });
+
+  describe("guessColumnFields()", () => {
+    test("matches headers to field labels or names", () => {
+      expect(guessColumnFields([
+        "Title",
+        "due_date",
+        "LIST",
+        "Color",
+        "title",
+        "Repeats",
+      ])).toEqual(["title", "dueDate", "list", "", "", "recurrence"]);
+    });
+  });
+
+  describe("columnFieldErrors()", () => {
+    test("requires list and title columns, each field at most once", () => {
+      expect(columnFieldErrors(FIELDS)).toEqual([]);
+      expect(columnFieldErrors(["title", "", "done", "done", "color"]))
+        .toEqual([
+          "Choose the column with each todo's List.",
+          "Only one column can be the Done column.",
+          "color isn't a todo field.",
+        ]);
+    });
+  });
+
+  describe("csvRecord()", () => {
+    test("maps a row's columns to fields, and splits its tags", () => {
+      expect(csvRecord(
+        ["Home", "x", "Dishes", "chores, daily  kitchen"],
+        ["list", "done", "title", "tags"]
+      )).toEqual({
+        list: "Home",
+        title: "Dishes",
+        done: "x",
+        dueDate: "",
+        priority: "",
+        tags: ["chores", "daily", "kitchen"],
+        recurrence: "",
+        notes: "",
+        subtask: "",
+      });
+    });
+  });
+
+  describe("csvRecordErrors()", () => {
+    test("reports invalid booleans and misplaced subtasks", () => {
+      expect(csvRecordErrors([
+        recordOf({ list: "A", title: "1", subtask: "true" }),
+        recordOf({ list: "A", title: "2", done: "maybe" }),
+        recordOf({ list: "A", title: "3", subtask: "yes" }),
+        recordOf({ list: "B", title: "4", subtask: "1" }),
+        recordOf({
+          list: "A",
+          title: "5",
+          subtask: "x",
+          recurrence: "FREQ=DAILY",
+        }),
+        recordOf({ list: "A", title: "6", subtask: "sure" }),
+      ])).toEqual([
+        ["A subtask must come after a todo in its list."],
+        ["Done must be true or false."],
+        [],
+        ["A subtask must come after a todo in its list."],
+        ["Subtasks can't repeat."],
+        ["Subtask must be true or false."],
+      ]);
+    });
+  });
+
+  describe("csvRecordsToTodoLists()", () => {
+    test("groups records into lists, in first appearance order", () => {
+      const todoLists = csvRecordsToTodoLists([
+        recordOf({ list: "Work", title: "Email" }),
+        recordOf({ list: "Home", title: "Dishes", done: "yes" }),
+        recordOf({ list: "Work", title: "Report", priority: "low" }),
+        recordOf({ list: "Work", title: "Draft", subtask: "true" }),
+      ]);
+      expect(todoLists.map((todoList) => todoList.getTitle())).toEqual([
+        "Work",
+        "Home",
+      ]);
+      const report = todoLists[0].findByTitle("Report");
+      expect(report.getPriority()).toBe("low");
+      expect(report.getSubtasks().map((todo) => todo.getTitle())).toEqual([
+        "Draft",
+      ]);
+      expect(todoLists[1].first().isDone()).toBe(true);
+    });
+  });
+});
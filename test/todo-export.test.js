@@ -0,0 +1,230 @@
+/**
+ * JS185 Todo App
+ * Todo List Export Tests
+ */
+/* eslint-disable max-nested-callbacks */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+const {
+  EXPORT_VERSION,
+  createExport,
+  parseExport,
+  planImport,
+  summarizeImport,
+} = require("../lib/todo-export");
+const { TodoList } = require("../lib/todolist");
+
+function todoLike(id, title, props = {}) {
+  return { id, title, done: false, ...props };
+}
+
+function exportOf(...lists) {
+  return { version: EXPORT_VERSION, lists };
+}
+
+describe("todo-export", () => {
+  const groceries = {
+    id: 1,
+    title: "Groceries",
+    sortMode: "manual",
+    todos: [
+      todoLike(2, "Milk", {
+        dueDate: "2024-01-05",
+        priority: "high",
+        tags: ["dairy"],
+        subtasks: [todoLike(3, "Check the date", { done: true })],
+      }),
+      todoLike(4, "Bread", { recurrence: "FREQ=WEEKLY" }),
+    ],
+  };
+
+  describe("createExport()", () => {
+    test("exports each list in the TodoList.toJSON() format", () => {
+      const exportedAt = new Date("2024-01-01T12:00:00Z");
+      const exported = createExport([groceries], exportedAt);
+      expect(exported).toEqual({
+        version: EXPORT_VERSION,
+        exportedAt: "2024-01-01T12:00:00.000Z",
+        lists: [(new TodoList(groceries)).toJSON()],
+      });
+      expect(exported.lists[0].todos.map(({ title }) => title)).toEqual([
+        "Milk",
+        "Bread",
+      ]);
+    });
+
+    test("round-trips through JSON and parseExport()", () => {
+      const exported = JSON.parse(JSON.stringify(createExport([groceries])));
+      const [todoList] = parseExport(exported);
+      expect(todoList.toJSON()).toEqual(exported.lists[0]);
+    });
+  });
+
+  describe("parseExport()", () => {
+    test("returns the export's lists as TodoLists", () => {
+      const todoLists = parseExport(exportOf(groceries, {
+        id: 5,
+        title: "Chores",
+        todos: [],
+      }));
+      expect(todoLists).toHaveLength(2);
+      expect(todoLists[0]).toBeInstanceOf(TodoList);
+      expect(todoLists[0].isManuallySorted()).toBe(true);
+      expect(todoLists[0].itemCount()).toBe(3);
+      expect(todoLists[1].getTitle()).toBe("Chores");
+    });
+
+    test("rejects anything that isn't a current export", () => {
+      expect(() => parseExport(null)).toThrow(/isn't a JSON object/);
+      expect(() => parseExport([groceries])).toThrow(/isn't a JSON object/);
+      expect(() => parseExport({ lists: [] })).toThrow(/only version 1/);
+      expect(() => parseExport({ version: 2, lists: [] })).toThrow(
+        /only version 1/
+      );
+      expect(() => parseExport({ version: 1 })).toThrow(/must be an array/);
+    });
+
+    test("rejects lists and todos missing their properties", () => {
+      expect(() => parseExport(exportOf({ title: "A", todos: [] }))).toThrow(
+        /list 1 isn't a todo list/
+      );
+      expect(() => parseExport(exportOf({ id: 1, title: "A" }))).toThrow(
+        /list 1 isn't a todo list/
+      );
+      expect(() => {
+        parseExport(exportOf({ id: 1, title: "A", todos: [null] }));
+      }).toThrow(/list 1 isn't a todo list/);
+      expect(() => {
+        parseExport(exportOf({ id: 1, title: "A", todos: [{ title: "B" }] }));
+      }).toThrow(/list 1 isn't a todo list/);
+    });
+
+    test("rejects invalid titles", () => {
+      expect(() => parseExport(exportOf({ id: 1, title: " ", todos: [] })))
+        .toThrow(/list 1 needs a title/);
+      expect(() => {
+        parseExport(exportOf({ id: 1, title: "A".repeat(101), todos: [] }));
+      }).toThrow(/over 100 characters/);
+      expect(() => {
+        parseExport(exportOf({ id: 1, title: "A", todos: [todoLike(2, 3)] }));
+      }).toThrow(/list 1, todo 1 needs a title/);
+    });
+
+    test("rejects invalid todo properties", () => {
+      const withTodo = (props) => {
+        return exportOf({ id: 1, title: "A", todos: [todoLike(2, "B", props)] });
+      };
+      expect(() => parseExport(withTodo({ done: "yes" }))).toThrow(
+        /"done" must be true or false/
+      );
+      expect(() => parseExport(withTodo({ dueDate: "2024-02-30" }))).toThrow(
+        /due date isn't a valid/
+      );
+      expect(() => parseExport(withTodo({ notes: 5 }))).toThrow(
+        /notes aren't text/
+      );
+      expect(() => parseExport(withTodo({ tags: "errands" }))).toThrow(
+        /tags must be an array/
+      );
+      expect(() => parseExport(withTodo({ priority: "urgent" }))).toThrow(
+        /list 1: Invalid priority: urgent/
+      );
+      expect(() => parseExport(withTodo({ tags: ["not a tag!"] }))).toThrow(
+        /list 1: Invalid tag/
+      );
+      expect(() => parseExport(withTodo({ recurrence: "FREQ=HOURLY" })))
+        .toThrow(/list 1: Invalid recurrence rule/);
+    });
+
+    test("rejects invalid subtasks", () => {
+      const withSubtask = (props) => {
+        return exportOf({
+          id: 1,
+          title: "A",
+          todos: [todoLike(2, "B", { subtasks: [todoLike(3, "C", props)] })],
+        });
+      };
+      expect(() => parseExport(withSubtask({ recurrence: "FREQ=DAILY" })))
+        .toThrow(/list 1, todo 1, subtask 1 can't repeat/);
+      expect(() => {
+        parseExport(withSubtask({ subtasks: [todoLike(4, "D")] }));
+      }).toThrow(/is a subtask, so it can't have subtasks/);
+    });
+  });
+
+  describe("planImport()", () => {
+    const listsTitled = (...titles) => {
+      return titles.map((title, index) => {
+        return new TodoList({ id: index + 1, title, todos: [] });
+      });
+    };
+
+    test("adds lists with titles that aren't in use", () => {
+      const steps = planImport(listsTitled("A", "B"), ["C"], "skip");
+      expect(steps.map(({ action, title }) => [action, title])).toEqual([
+        ["add", "A"],
+        ["add", "B"],
+      ]);
+    });
+
+    test("skips or merges lists with titles in use", () => {
+      const todoLists = listsTitled("A", "B", "B");
+      const skipSteps = planImport(todoLists, ["A"], "skip");
+      expect(skipSteps.map(({ action, title }) => [action, title])).toEqual([
+        ["skip", "A"],
+        ["add", "B"],
+        ["skip", "B"],
+      ]);
+      const mergeSteps = planImport(todoLists, ["A"], "merge");
+      expect(mergeSteps.map(({ action, title }) => [action, title])).toEqual([
+        ["merge", "A"],
+        ["add", "B"],
+        ["merge", "B"],
+      ]);
+      expect(mergeSteps[2].todoList).toBe(todoLists[2]);
+    });
+
+    test("renames lists with titles in use to untaken titles", () => {
+      const steps = planImport(
+        listsTitled("A", "A", "B"),
+        ["A", "A (2)", "B"],
+        "rename"
+      );
+      expect(steps.map(({ action, title }) => [action, title])).toEqual([
+        ["rename", "A (3)"],
+        ["rename", "A (4)"],
+        ["rename", "B (2)"],
+      ]);
+    });
+
+    test("keeps renamed titles within 100 characters", () => {
+      const title = "A".repeat(100);
+      const [step] = planImport(listsTitled(title), [title], "rename");
+      expect(step.title).toBe(`${"A".repeat(96)} (2)`);
+    });
+
+    test("rejects unknown conflict modes", () => {
+      expect(() => planImport([], [], "overwrite")).toThrow(TypeError);
+    });
+  });
+
+  describe("summarizeImport()", () => {
+    test("counts each action, and the todos of lists not skipped", () => {
+      const [todoList] = parseExport(exportOf(groceries));
+      const steps = planImport(
+        [todoList, todoList, todoList],
+        ["Groceries"],
+        "rename"
+      );
+      steps.push({ action: "skip", title: "Groceries", todoList });
+      expect(summarizeImport(steps)).toEqual({
+        added: 0,
+        renamed: 3,
+        merged: 0,
+        skipped: 1,
+        todos: 9,
+      });
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * JS185 Todo App
+ * iCalendar Todo Tests
+ */
+/* eslint-disable max-nested-callbacks */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+const {
+  escapeText,
+  foldLine,
+  parseICS,
+  todoListsToICS,
+  unescapeText,
+} = require("../lib/todo-ical");
+const { TodoList } = require("../lib/todolist");
+
+function summarize(todoList) {
+  return {
+    title: todoList.getTitle(),
+    todos: todoList.toOrderedArray().map((todo) => {
+      const { title, done, dueDate, priority, notes, tags, recurrence } =
+        todo.toJSON();
+      return { title, done, dueDate, priority, notes, tags, recurrence };
+    }),
+  };
+}
+
+describe("todo-ical", () => {
+  const now = new Date("2024-01-02T03:04:05.678Z");
+  const groceries = new TodoList({
+    id: 1,
+    title: "Groceries, etc.",
+    todos: [
+      {
+        id: 2,
+        title: "Buy milk; 2%",
+        done: false,
+        priority: "high",
+        dueDate: "2024-01-05",
+        notes: "Whole\nor skim",
+        tags: ["errands", "dairy"],
+        recurrence: "FREQ=WEEKLY;BYDAY=SA",
+        subtasks: [
+          { id: 3, title: "Check the date", done: true, dueDate: "2024-01-04" },
+        ],
+      },
+      { id: 4, title: "Buy bread", done: true },
+    ],
+  });
+
+  describe("escapeText() and unescapeText()", () => {
+    test("are reversible", () => {
+      const text = "a\\b;c,d\ne";
+      expect(escapeText(text)).toBe("a\\\\b\\;c\\,d\\ne");
+      expect(unescapeText(escapeText(text))).toBe(text);
+    });
+  });
+
+  describe("foldLine()", () => {
+    test("folds lines over 75 octets without splitting characters", () => {
+      expect(foldLine("short")).toBe("short");
+      const folded = foldLine(`SUMMARY:${"é".repeat(80)}`);
+      const lines = folded.split("\r\n");
+      expect(lines).toHaveLength(3);
+      lines.forEach((line) => {
+        expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      });
+      expect(lines.slice(1).every((line) => line.startsWith(" "))).toBe(true);
+      expect(folded.replace(/\r\n /g, "")).toBe(`SUMMARY:${"é".repeat(80)}`);
+    });
+  });
+
+  describe("todoListsToICS()", () => {
+    test("writes a VTODO for each todo, followed by its subtasks", () => {
+      expect(todoListsToICS([groceries], now)).toBe(
+        [
+          "BEGIN:VCALENDAR",
+          "VERSION:2.0",
+          "PRODID:-//JS185 Todo App//Todos//EN",
+          "CALSCALE:GREGORIAN",
+          "BEGIN:VTODO",
+          "UID:todo-2@js185-todo-app",
+          "DTSTAMP:20240102T030405Z",
+          "SUMMARY:Buy milk\\; 2%",
+          "STATUS:NEEDS-ACTION",
+          "CATEGORIES:Groceries\\, etc.,dairy,errands",
+          "DUE;VALUE=DATE:20240105",
+          "PRIORITY:1",
+          "DESCRIPTION:Whole\\nor skim",
+          "RRULE:FREQ=WEEKLY;BYDAY=SA",
+          "END:VTODO",
+          "BEGIN:VTODO",
+          "UID:todo-3@js185-todo-app",
+          "DTSTAMP:20240102T030405Z",
+          "SUMMARY:Check the date",
+          "STATUS:COMPLETED",
+          "CATEGORIES:Groceries\\, etc.",
+          "DUE;VALUE=DATE:20240104",
+          "END:VTODO",
+          "BEGIN:VTODO",
+          "UID:todo-4@js185-todo-app",
+          "DTSTAMP:20240102T030405Z",
+          "SUMMARY:Buy bread",
+          "STATUS:COMPLETED",
+          "CATEGORIES:Groceries\\, etc.",
+          "END:VTODO",
+          "END:VCALENDAR",
+          "",
+        ].join("\r\n")
+      );
+    });
+
+    test("round-trips todos", () => {
+      const [parsed] = parseICS(todoListsToICS([groceries], now));
+      expect(summarize(parsed)).toEqual({
+        title: "Groceries, etc.",
+        todos: [
+          {
+            title: "Buy milk; 2%",
+            done: false,
+            dueDate: "2024-01-05",
+            priority: "high",
+            notes: "Whole\nor skim",
+            tags: ["dairy", "errands"],
+            recurrence: "FREQ=WEEKLY;BYDAY=SA",
+          },
+          {
+            title: "Buy bread",
+            done: true,
+            dueDate: null,
+            priority: "none",
+            notes: "",
+            tags: [],
+            recurrence: null,
+          },
+          {
+            title: "Check the date",
+            done: true,
+            dueDate: "2024-01-04",
+            priority: "none",
+            notes: "",
+            tags: [],
+            recurrence: null,
+          },
+        ],
+      });
+    });
+  });
+
+  describe("parseICS()", () => {
+    test("reads folded lines, dates with times, and other apps' values", () => {
+      const [todoList] = parseICS(
+        [
+          "BEGIN:VCALENDAR",
+          "BEGIN:VEVENT",
+          "SUMMARY:Not a todo",
+          "END:VEVENT",
+          "BEGIN:VTODO",
+          "SUMMARY;LANGUAGE=en:Renew the passport before the trip next spr",
+          " ing",
+          "DUE;TZID=\"Europe/Paris:1\":20240301T090000",
+          "COMPLETED:20240220T120000Z",
+          "PRIORITY:7",
+          "CATEGORIES:Travel",
+          "CATEGORIES:Not a tag!,Paperwork",
+          "RRULE:FREQ=YEARLY",
+          "END:VTODO",
+          "END:VCALENDAR",
+        ].join("\n"),
+        "Inbox"
+      );
+      expect(summarize(todoList)).toEqual({
+        title: "Travel",
+        todos: [
+          {
+            title: "Renew the passport before the trip next spring",
+            done: true,
+            dueDate: "2024-03-01",
+            priority: "low",
+            notes: "",
+            tags: ["paperwork"],
+            recurrence: null,
+          },
+        ],
+      });
+    });
+
+    test("adds VTODOs without categories to the default list", () => {
+      const text = "BEGIN:VCALENDAR\nBEGIN:VTODO\nSUMMARY:Pay rent\nEND:VTODO";
+      expect(parseICS(text, "Inbox").map((list) => list.getTitle())).toEqual([
+        "Inbox",
+      ]);
+      expect(() => parseICS(text)).toThrow(/VTODO 1 has no CATEGORIES/);
+    });
+
+    test("rejects files that aren't calendars, or have invalid VTODOs", () => {
+      expect(() => parseICS("SUMMARY:Pay rent")).toThrow(
+        /doesn't start with BEGIN:VCALENDAR/
+      );
+      expect(() => parseICS("BEGIN:VCALENDAR\nEND:VCALENDAR")).toThrow(
+        /it has no VTODOs/
+      );
+      expect(() => {
+        parseICS("BEGIN:VCALENDAR\nBEGIN:VTODO\nEND:VTODO", "Inbox");
+      }).toThrow(/VTODO 1 needs a SUMMARY/);
+      expect(() => {
+        parseICS(
+          `BEGIN:VCALENDAR\nBEGIN:VTODO\nSUMMARY:${"A".repeat(101)}\nEND:VTODO`,
+          "Inbox"
+        );
+      }).toThrow(/VTODO 1's SUMMARY is over 100 characters/);
+    });
+  });
+});
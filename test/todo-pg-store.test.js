@@ -0,0 +1,258 @@
+/**
+ * JS185 Todo App
+ * TodoPGStore Tests
+ *
+ * These tests replace the db module's `query()` with a fake database: a few
+ * in-memory lists and todos, and a handler for each statement the tested
+ * methods run. Each handler reads the statement's filters the way PostgreSQL
+ * would, so a statement that filters on the wrong value returns the wrong
+ * rows here too.
+ */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+jest.mock("../lib/db", () => ({
+  inClientScope: () => true,
+  listen: jest.fn(),
+  query: jest.fn(),
+  withClient: (callback) => callback(),
+}));
+
+const { query } = require("../lib/db");
+const { TodoPGStore } = require("../lib/todo-pg-store");
+
+const USER_ID = 1;
+
+/**
+ * Return the value a statement compares a column to, like `$1` or `1`,
+ * resolving a parameter placeholder to the parameter's value.
+ * @param {string} text the statement's text
+ * @param {RegExp} pattern a pattern capturing the compared value
+ * @param {Array} params the statement's parameters
+ * @returns {number} the compared value
+ */
+function comparedValue(text, pattern, params) {
+  const [, value] = pattern.exec(text);
+  return value.startsWith("$") ? params[Number(value.slice(1)) - 1] : +value;
+}
+
+/**
+ * Create a fake database holding `lists` and `todos`, and route `query()`'s
+ * statements to it.
+ * @param {{lists: Array.<object>, todos: Array.<object>}} tables the rows
+ * @returns {object} the live rows, including the recorded `completions`
+ */
+function useFakeDatabase({ lists, todos }) {
+  const db = { lists, todos, completions: [], inTransaction: false };
+  const handlers = [
+    [/"isTrans"/, () => [{ isTrans: db.inTransaction }]],
+    [/^BEGIN/, () => {
+      db.inTransaction = true;
+      return [];
+    }],
+    [/^(COMMIT|ROLLBACK)/, () => {
+      db.inTransaction = false;
+      return [];
+    }],
+    [/"role"/, (_text, [userID, listID]) => {
+      return db.lists
+        .filter((list) => list.id === listID && list.userID === userID)
+        .map(() => ({ role: "owner" }));
+    }],
+    [/^SELECT t\.id\nFROM/, (_text, [todoID, userID]) => {
+      return db.todos
+        .filter((todo) => todo.id === todoID)
+        .filter((todo) => {
+          return db.lists.some((list) => {
+            return list.id === todo.listID && list.userID === userID;
+          });
+        })
+        .map(({ id }) => ({ id }));
+    }],
+    [/\) subtasks,/, (text, [todoID, , listID]) => {
+      const inList = /AND tl\.id = \$3/.test(text);
+      return db.todos
+        .filter((todo) => todo.id === todoID)
+        .filter((todo) => !inList || todo.listID === listID)
+        .map((todo) => ({ ...todo, subtasks: [] }));
+    }],
+    [/recurrence IS NOT NULL/, (_text, [listID]) => {
+      return db.todos
+        .filter((todo) => {
+          return todo.listID === listID && !todo.done && todo.recurrence;
+        })
+        .map(({ id, dueDate, recurrence }) => ({ id, dueDate, recurrence }));
+    }],
+    [/^UPDATE todos SET done = TRUE WHERE todolist_id/, (text, [listID]) => {
+      const updated = db.todos.filter((todo) => {
+        return todo.listID === listID && !todo.done &&
+          (!/recurrence IS NULL/.test(text) || !todo.recurrence);
+      });
+      updated.forEach((todo) => (todo.done = true));
+      return updated.map(({ id }) => ({ id }));
+    }],
+    [/^SELECT id FROM todos WHERE parent_id/, (_text, [todoID, listID]) => {
+      return db.todos
+        .filter((todo) => {
+          return todo.parentID === todoID && todo.listID === listID &&
+            todo.done;
+        })
+        .map(({ id }) => ({ id }));
+    }],
+    [/INSERT INTO\s+todo_completions/, (_text, params) => {
+      const [todoID, listID, dueDate, nextDueDate] = params;
+      db.completions.push({ todoID, dueDate });
+      db.todos.forEach((todo) => {
+        if (todo.parentID === todoID && todo.listID === listID) {
+          todo.done = false;
+        }
+      });
+      const todo = db.todos.find(({ id }) => id === todoID);
+      Object.assign(todo, { done: false, dueDate: nextDueDate });
+      return [{ ...todo }];
+    }],
+    [/DELETE FROM todolists/, (text, params) => {
+      const listID = comparedValue(
+        text,
+        /removed_todos AS \([^]*?AND todolist_id = (\$\d|\d+)/,
+        params
+      );
+      const removedTodos = db.todos.filter((todo) => {
+        return todo.listID === listID;
+      });
+      const removedList = db.lists.find((list) => {
+        return list.id === params[0] && list.userID === params[1];
+      });
+      db.todos = db.todos.filter((todo) => !removedTodos.includes(todo));
+      db.lists = db.lists.filter((list) => list !== removedList);
+      if (!removedList) return [];
+
+      const metadata = {
+        listID: removedList.id,
+        listTitle: removedList.title,
+        listLength: removedTodos.length,
+        countDone: removedTodos.filter((todo) => todo.done).length,
+      };
+      metadata.done = metadata.listLength > 0 &&
+        metadata.countDone === metadata.listLength;
+      if (removedTodos.length === 0) return [{ id: null, ...metadata }];
+      return removedTodos.map(({ id, title, done }) => {
+        return { id, title, done, ...metadata };
+      });
+    }],
+  ];
+
+  // eslint-disable-next-line require-await
+  query.mockImplementation(async (text, params = []) => {
+    const [, handle] = handlers.find(([pattern]) => pattern.test(text)) || [];
+    if (!handle) throw new Error(`Unexpected statement: ${text}`);
+    const rows = handle(text, params);
+    return { rows, rowCount: rows.length };
+  });
+  return db;
+}
+
+describe("TodoPGStore", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe("findTodo()", () => {
+    const tables = () => ({
+      lists: [
+        { id: 1, userID: USER_ID, title: "Chores" },
+        { id: 7, userID: USER_ID, title: "Groceries" },
+      ],
+      todos: [{ id: 8, listID: 7, title: "Milk", done: false }],
+    });
+
+    test("finds a todo in the given list", async () => {
+      useFakeDatabase(tables());
+      expect(await (new TodoPGStore(USER_ID)).findTodo(8, 7))
+        .toMatchObject({ id: 8, title: "Milk" });
+    });
+
+    test("doesn't find a todo in another of the user's lists", async () => {
+      useFakeDatabase(tables());
+      const store = new TodoPGStore(USER_ID);
+      expect(await store.findTodo(8, 1)).toBeUndefined();
+      await expect(store.findTodo(8, 1, { throw: true }))
+        .rejects.toMatchObject({
+          cause: { code: TodoPGStore.ERROR_CODE_INVALID_TODO_ID },
+        });
+    });
+  });
+
+  describe("markAllDone()", () => {
+    test("completes recurring todos' occurrences instead", async () => {
+      const db = useFakeDatabase({
+        lists: [{ id: 7, userID: USER_ID, title: "Chores" }],
+        todos: [
+          { id: 1, listID: 7, title: "Sweep", done: false },
+          {
+            id: 2,
+            listID: 7,
+            title: "Water plants",
+            done: false,
+            dueDate: "2999-01-04",
+            recurrence: "FREQ=DAILY",
+          },
+          { id: 3, listID: 7, parentID: 2, title: "Fern", done: true },
+          { id: 4, listID: 7, parentID: 2, title: "Cactus", done: false },
+        ],
+      });
+
+      expect(await (new TodoPGStore(USER_ID)).markAllDone(7)).toBe(true);
+      expect(db.todos.map(({ id, done }) => ({ id, done }))).toEqual([
+        { id: 1, done: true },
+        { id: 2, done: false },
+        { id: 3, done: false },
+        { id: 4, done: false },
+      ]);
+      expect(db.todos[1].dueDate).toBe("2999-01-05");
+      expect(db.completions).toEqual([{ todoID: 2, dueDate: "2999-01-04" }]);
+    });
+  });
+
+  describe("removeList()", () => {
+    test("returns the removed list's todos", async () => {
+      const db = useFakeDatabase({
+        lists: [
+          { id: 1, userID: USER_ID, title: "Chores" },
+          { id: 7, userID: USER_ID, title: "Groceries" },
+        ],
+        todos: [
+          { id: 1, listID: 1, title: "Sweep", done: false },
+          { id: 2, listID: 7, title: "Milk", done: true },
+          { id: 3, listID: 7, title: "Eggs", done: false },
+        ],
+      });
+
+      const removed = await (new TodoPGStore(USER_ID)).removeList(7);
+      expect(removed).toMatchObject({
+        id: 7,
+        title: "Groceries",
+        length: 2,
+        countDone: 1,
+        done: false,
+      });
+      expect(removed.todos.map((todo) => todo.title)).toEqual(["Milk", "Eggs"]);
+      expect(db.todos.map((todo) => todo.id)).toEqual([1]);
+    });
+
+    test("returns an empty list's metadata, without todos", async () => {
+      useFakeDatabase({
+        lists: [{ id: 7, userID: USER_ID, title: "Groceries" }],
+        todos: [],
+      });
+
+      const removed = await (new TodoPGStore(USER_ID)).removeList(7);
+      expect(removed).toMatchObject({ id: 7, length: 0, todos: [] });
+    });
+  });
+});
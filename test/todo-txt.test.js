@@ -0,0 +1,210 @@
+/**
+ * JS185 Todo App
+ * todo.txt Tests
+ */
+/* eslint-disable max-nested-callbacks */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+const SEED_DATA = require("../lib/seed-data");
+const {
+  parseTodoTxt,
+  projectName,
+  projectTitle,
+  todoListsToTodoTxt,
+} = require("../lib/todo-txt");
+const { TodoList } = require("../lib/todolist");
+
+function summarize(todoList) {
+  return {
+    title: todoList.getTitle(),
+    todos: todoList.toOrderedArray().map((todo) => {
+      const { title, done, dueDate, priority, tags } = todo.toJSON();
+      return { title, done, dueDate, priority, tags };
+    }),
+  };
+}
+
+describe("todo-txt", () => {
+  const groceries = new TodoList({
+    id: 1,
+    title: "Groceries_2024 100%",
+    todos: [
+      {
+        id: 2,
+        title: "Buy milk",
+        done: false,
+        priority: "high",
+        dueDate: "2024-01-05",
+        tags: ["errands", "dairy"],
+        subtasks: [{ id: 3, title: "Check the date", done: true }],
+      },
+      { id: 4, title: "Buy bread", done: true, priority: "medium" },
+      { id: 5, title: "Buy eggs", done: false, priority: "low" },
+    ],
+  });
+
+  describe("todoListsToTodoTxt()", () => {
+    test("writes a line per todo, followed by its subtasks", () => {
+      expect(todoListsToTodoTxt([groceries])).toBe(
+        // eslint-disable-next-line indent
+`(A) Buy milk +Groceries%5F2024_100%25 @dairy @errands due:2024-01-05
+x Check the date +Groceries%5F2024_100%25
+(C) Buy eggs +Groceries%5F2024_100%25
+x Buy bread +Groceries%5F2024_100%25 pri:B
+`
+      );
+    });
+
+    test("round-trips the seed data's lists, except empty ones", () => {
+      const todoLists = SEED_DATA.map((list) => new TodoList(list));
+      const parsed = parseTodoTxt(todoListsToTodoTxt(todoLists));
+      expect(parsed.map(summarize)).toEqual(
+        todoLists.filter((todoList) => todoList.size() > 0).map(summarize)
+      );
+      expect(parsed.map((todoList) => todoList.getTitle())).not.toContain(
+        "Additional Todos"
+      );
+    });
+
+    test("round-trips priorities, tags, and due dates", () => {
+      const [parsed] = parseTodoTxt(todoListsToTodoTxt([groceries]));
+      expect(summarize(parsed)).toEqual({
+        title: "Groceries_2024 100%",
+        todos: [
+          {
+            title: "Buy milk",
+            done: false,
+            dueDate: "2024-01-05",
+            priority: "high",
+            tags: ["dairy", "errands"],
+          },
+          {
+            title: "Buy eggs",
+            done: false,
+            dueDate: null,
+            priority: "low",
+            tags: [],
+          },
+          {
+            title: "Buy bread",
+            done: true,
+            dueDate: null,
+            priority: "medium",
+            tags: [],
+          },
+          {
+            title: "Check the date",
+            done: true,
+            dueDate: null,
+            priority: "none",
+            tags: [],
+          },
+        ],
+      });
+    });
+  });
+
+  describe("titles that look like other todo.txt parts", () => {
+    const calls = new TodoList({
+      id: 6,
+      title: "Calls",
+      todos: [
+        { id: 7, title: "Call +1 555", done: false },
+        { id: 8, title: "Read @home notes due:soon", done: false },
+        { id: 9, title: "x marks the spot, 100%25", done: false },
+        { id: 10, title: "(A) 2024-01-05 pri:B", done: true },
+        { id: 11, title: "2024-01-05 review", done: false },
+      ],
+    });
+
+    test("are written escaped", () => {
+      expect(todoListsToTodoTxt([calls])).toBe(
+        // eslint-disable-next-line indent
+`%32024-01-05 review +Calls
+Call %2B1 555 +Calls
+Read %40home notes %64ue:soon +Calls
+%78 marks the spot, 100%2525 +Calls
+x %28A) 2024-01-05 %70ri:B +Calls
+`
+      );
+    });
+
+    test("round-trip", () => {
+      const [parsed] = parseTodoTxt(todoListsToTodoTxt([calls]));
+      expect(summarize(parsed)).toEqual(summarize(calls));
+    });
+  });
+
+  describe("projectName() and projectTitle()", () => {
+    test("are reversible", () => {
+      ["Work Todos", "a_b", "100% done", "%5F", "tab\tbed"].forEach((title) => {
+        expect(projectName(title)).not.toMatch(/\s/);
+        expect(projectTitle(projectName(title))).toBe(
+          title.replace(/\s/g, " ")
+        );
+      });
+    });
+  });
+
+  describe("parseTodoTxt()", () => {
+    test("parses completion, priorities, dates, contexts, and due dates", () => {
+      const [todoList] = parseTodoTxt(
+        "x 2024-01-02 2024-01-01 Call mom +Family @phone\r\n" +
+        "\n" +
+        "(B) 2024-01-01 Plan trip @Travel +Family due:2024-03-01 +Later\n" +
+        "(Z) Water plants +Family due:soon @not!a-tag\n"
+      );
+      expect(summarize(todoList)).toEqual({
+        title: "Family",
+        todos: [
+          {
+            title: "Plan trip +Later",
+            done: false,
+            dueDate: "2024-03-01",
+            priority: "medium",
+            tags: ["travel"],
+          },
+          {
+            title: "Water plants due:soon @not!a-tag",
+            done: false,
+            dueDate: null,
+            priority: "low",
+            tags: [],
+          },
+          {
+            title: "Call mom",
+            done: true,
+            dueDate: null,
+            priority: "none",
+            tags: ["phone"],
+          },
+        ],
+      });
+    });
+
+    test("adds todos without a project to the default list", () => {
+      const todoLists = parseTodoTxt("Pay rent\nBuy milk +Groceries\n", "Inbox");
+      expect(todoLists.map((todoList) => todoList.getTitle())).toEqual([
+        "Inbox",
+        "Groceries",
+      ]);
+      expect(() => parseTodoTxt("Pay rent\n")).toThrow(
+        /line 1 has no \+project/
+      );
+    });
+
+    test("rejects files without todos, and invalid titles", () => {
+      expect(() => parseTodoTxt("\n  \n")).toThrow(/it has no todos/);
+      expect(() => parseTodoTxt("x +Chores @home")).toThrow(
+        /line 1 needs a title/
+      );
+      expect(() => parseTodoTxt(`${"A".repeat(101)} +Chores`)).toThrow(
+        /line 1's title is over 100 characters/
+      );
+      expect(() => parseTodoTxt(`Sweep +${"A".repeat(101)}`)).toThrow(
+        /\+project is over 100 characters/
+      );
+    });
+  });
+});
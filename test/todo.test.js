@@ -29,6 +29,24 @@ describe("Todo", () => {
     });
   });
 
+  describe("Todo.toMarkdown()", () => {
+    test("returns a GitHub-style task list item", () => {
+      expect(todo.toMarkdown()).toBe("- [ ] Buy milk");
+      todo.markDone();
+      expect(todo.toMarkdown()).toBe("- [x] Buy milk");
+    });
+
+    test("returns subtasks as indented task list items", () => {
+      const subtask = new Todo("Check the date");
+      subtask.markDone();
+      todo.addSubtask(subtask);
+      todo.addSubtask(new Todo("Put it away"));
+      expect(todo.toMarkdown()).toBe(
+        "- [ ] Buy milk\n  - [x] Check the date\n  - [ ] Put it away"
+      );
+    });
+  });
+
   describe("Todo.compare()", () => {
     let
       /** @type {Todo} */          todo1,
@@ -124,6 +142,336 @@ describe("Todo", () => {
     });
   });
 
+  describe("Todo.compare() with due dates", () => {
+    let
+      /** @type {Todo} */          dueSoon,
+      /** @type {Todo} */          dueLater,
+      /** @type {Todo} */          noDueDate;
+
+    beforeEach(() => {
+      dueSoon = (new Todo("zebra")).setDueDate("2024-01-01");
+      dueLater = (new Todo("yak")).setDueDate("2024-02-01");
+      noDueDate = new Todo("aardvark");
+    });
+
+    test('"not done" Todos are ordered by due date before title', () => {
+      expect(dueSoon.compare(dueLater)).toBe(-1);
+      expect(dueLater.compare(dueSoon)).toBe(1);
+    });
+
+    test('"not done" Todos without a due date come last', () => {
+      expect(dueLater.compare(noDueDate)).toBe(-1);
+      expect(noDueDate.compare(dueSoon)).toBe(1);
+    });
+
+    test("Todos with the same due date are ordered by title", () => {
+      dueLater.setDueDate("2024-01-01");
+      expect(dueLater.compare(dueSoon)).toBe(-1);
+      expect(dueSoon.compare(dueLater)).toBe(1);
+    });
+
+    test('"done" Todos ignore due dates and are ordered by title', () => {
+      dueSoon.markDone();
+      dueLater.markDone();
+      noDueDate.markDone();
+      expect(noDueDate.compare(dueSoon)).toBe(-1);
+      expect(dueLater.compare(dueSoon)).toBe(-1);
+    });
+
+    test('"done" Todos still come after "not done" Todos', () => {
+      dueSoon.markDone();
+      expect(dueSoon.compare(noDueDate)).toBe(1);
+      expect(noDueDate.compare(dueSoon)).toBe(-1);
+    });
+  });
+
+  describe("Todo.compare() with priorities", () => {
+    let
+      /** @type {Todo} */          high,
+      /** @type {Todo} */          low,
+      /** @type {Todo} */          none;
+
+    beforeEach(() => {
+      high = (new Todo("zebra")).setPriority(Todo.PRIORITY_HIGH);
+      low = (new Todo("yak")).setPriority(Todo.PRIORITY_LOW);
+      none = new Todo("aardvark");
+    });
+
+    test('"not done" Todos are ordered by priority, highest first', () => {
+      expect(high.compare(low)).toBe(-1);
+      expect(low.compare(none)).toBe(-1);
+      expect(none.compare(high)).toBe(1);
+    });
+
+    test("priority is compared before due date", () => {
+      low.setDueDate("2024-01-01");
+      high.setDueDate("2024-12-31");
+      expect(high.compare(low)).toBe(-1);
+      expect(low.compare(high)).toBe(1);
+    });
+
+    test("Todos with the same priority are ordered by due date", () => {
+      low.setPriority(Todo.PRIORITY_HIGH).setDueDate("2024-01-01");
+      high.setDueDate("2024-12-31");
+      expect(low.compare(high)).toBe(-1);
+    });
+
+    test('"done" Todos ignore priorities and are ordered by title', () => {
+      high.markDone();
+      none.markDone();
+      expect(none.compare(high)).toBe(-1);
+      expect(high.compare(low)).toBe(1);
+    });
+  });
+
+  describe("Todo priority methods", () => {
+    test("a Todo is created with no priority", () => {
+      expect(todo.getPriority()).toBe(Todo.PRIORITY_NONE);
+    });
+
+    test("each priority level can be set", () => {
+      Todo.PRIORITIES.forEach((priority) => {
+        expect(todo.setPriority(priority).getPriority()).toBe(priority);
+      });
+    });
+
+    test("empty priorities reset the priority to none", () => {
+      todo.setPriority(Todo.PRIORITY_HIGH);
+      expect(todo.setPriority("").getPriority()).toBe(Todo.PRIORITY_NONE);
+    });
+
+    test("invalid priorities throw a TypeError", () => {
+      expect(() => todo.setPriority("urgent")).toThrow(TypeError);
+    });
+  });
+
+  describe("Todo notes methods", () => {
+    test("a Todo is created without notes", () => {
+      expect(todo.getNotes()).toBe("");
+    });
+
+    test("a Todo's notes keep their line breaks", () => {
+      expect(todo.setNotes("line 1\nline 2").getNotes()).toBe("line 1\nline 2");
+    });
+
+    test("null notes clear the notes", () => {
+      todo.setNotes("some notes");
+      expect(todo.setNotes(null).getNotes()).toBe("");
+    });
+  });
+
+  describe("Todo tag methods", () => {
+    test("a Todo is created without tags", () => {
+      expect(todo.getTags()).toEqual([]);
+    });
+
+    test("tags are normalized and kept in alphabetical order", () => {
+      todo.addTag("#Errands").addTag("blocked").addTag("ERRANDS");
+      expect(todo.getTags()).toEqual(["blocked", "errands"]);
+      expect(todo.hasTag("#errands")).toBe(true);
+    });
+
+    test("getTags() returns a copy", () => {
+      todo.addTag("errands");
+      todo.getTags().push("other");
+      expect(todo.getTags()).toEqual(["errands"]);
+    });
+
+    test("tags can be removed", () => {
+      todo.addTag("errands").addTag("blocked").removeTag("#Errands");
+      expect(todo.getTags()).toEqual(["blocked"]);
+      expect(todo.hasTag("errands")).toBe(false);
+    });
+
+    test("a Todo-like object's tags are kept", () => {
+      const todoLike = { id: 1, title: "a", done: false, tags: ["b", "#A"] };
+      expect((new Todo(todoLike)).getTags()).toEqual(["a", "b"]);
+    });
+
+    test("invalid tags throw a TypeError", () => {
+      expect(() => todo.addTag("")).toThrow(TypeError);
+      expect(() => todo.addTag("#")).toThrow(TypeError);
+      expect(() => todo.addTag("two words")).toThrow(TypeError);
+      expect(() => todo.addTag("-leading-hyphen")).toThrow(TypeError);
+      expect(() => todo.addTag("x".repeat(31))).toThrow(TypeError);
+    });
+
+    test("tags may contain letters, numbers, underscores, and hyphens", () => {
+      expect(Todo.isValidTag("home-office_2")).toBe(true);
+      expect(Todo.isValidTag("café")).toBe(true);
+      expect(Todo.isValidTag("x".repeat(30))).toBe(true);
+    });
+  });
+
+  describe("Todo subtask methods", () => {
+    let
+      /** @type {Todo} */  subtask1,
+      /** @type {Todo} */  subtask2;
+
+    beforeEach(() => {
+      subtask1 = new Todo("Lesson 1");
+      subtask2 = new Todo("Lesson 2");
+      todo.addSubtask(subtask1).addSubtask(subtask2);
+    });
+
+    test("subtasks are kept in the order they're added", () => {
+      expect(todo.hasSubtasks()).toBe(true);
+      expect(todo.getSubtasks()).toEqual([subtask1, subtask2]);
+      expect(todo.addSubtask("Lesson 3").getSubtasks()[2].getTitle())
+        .toBe("Lesson 3");
+    });
+
+    test("subtasks can be found and removed by ID", () => {
+      expect(todo.findSubtask(subtask2.getID())).toBe(subtask2);
+      expect(todo.removeSubtask(subtask1.getID())).toBe(subtask1);
+      expect(todo.removeSubtask(subtask1.getID())).toBeUndefined();
+      expect(todo.getSubtasks()).toEqual([subtask2]);
+    });
+
+    test("a subtask can't have subtasks of its own", () => {
+      expect(() => (new Todo("a")).addSubtask(todo)).toThrow(TypeError);
+      expect(() => todo.addSubtask({})).toThrow(TypeError);
+    });
+
+    test("a Todo is only complete once it and all its subtasks are done", () => {
+      todo.markDone();
+      expect(todo.isDone()).toBe(true);
+      expect(todo.isComplete()).toBe(false);
+      todo.markAllSubtasksDone();
+      expect(todo.isComplete()).toBe(true);
+      expect((new Todo("a")).isComplete()).toBe(false);
+    });
+
+    test("item counts include the Todo and its subtasks", () => {
+      expect(todo.itemCount()).toBe(3);
+      expect(todo.doneItemCount()).toBe(0);
+      subtask2.markDone();
+      expect(todo.doneItemCount()).toBe(1);
+    });
+
+    test("a Todo-like object's subtasks are kept", () => {
+      const copy = new Todo(todo.toJSON());
+      expect(copy.getSubtasks().map((subtask) => subtask.getTitle()))
+        .toEqual(["Lesson 1", "Lesson 2"]);
+      expect(copy.toJSON()).toEqual(todo.toJSON());
+    });
+  });
+
+  describe("Todo recurrence methods", () => {
+    // 2024-01-01 is a Monday.
+    const today = new Date(2024, 0, 10);
+
+    test("a Todo is created without a recurrence rule", () => {
+      expect(todo.getRecurrence()).toBeNull();
+      expect(todo.isRecurring()).toBe(false);
+    });
+
+    test("recurrence rules are stored in their canonical form", () => {
+      todo.setRecurrence("freq=weekly;byday=fr,mo");
+      expect(todo.getRecurrence()).toBe("FREQ=WEEKLY;BYDAY=MO,FR");
+      expect(todo.isRecurring()).toBe(true);
+      expect((new Todo(todo.toJSON())).getRecurrence())
+        .toBe("FREQ=WEEKLY;BYDAY=MO,FR");
+    });
+
+    test("empty recurrence rules stop a Todo recurring", () => {
+      todo.setRecurrence("FREQ=DAILY");
+      expect(todo.setRecurrence("").isRecurring()).toBe(false);
+      todo.setRecurrence("FREQ=DAILY");
+      expect(todo.setRecurrence(null).isRecurring()).toBe(false);
+    });
+
+    test("invalid recurrence rules are rejected", () => {
+      expect(() => todo.setRecurrence("FREQ=HOURLY")).toThrow(TypeError);
+    });
+
+    test("the next due date follows the later of the due date and today", () => {
+      expect(Todo.nextDueDate("FREQ=DAILY", "2024-01-15", today))
+        .toBe("2024-01-16");
+      expect(Todo.nextDueDate("FREQ=DAILY", "2024-01-01", today))
+        .toBe("2024-01-11");
+      expect(Todo.nextDueDate("FREQ=WEEKLY;BYDAY=MO", null, today))
+        .toBe("2024-01-15");
+    });
+
+    test("completing an occurrence moves a Todo to its next due date", () => {
+      const subtask = new Todo("Water the ferns");
+      todo
+        .setRecurrence("FREQ=WEEKLY;BYDAY=MO")
+        .setDueDate("2024-01-08")
+        .addSubtask(subtask);
+      subtask.markDone();
+
+      expect(todo.completeOccurrence(today)).toBe("2024-01-08");
+      expect(todo.getDueDate()).toBe("2024-01-15");
+      expect(todo.isDone()).toBe(false);
+      expect(subtask.isDone()).toBe(false);
+    });
+
+    test("only a recurring Todo has occurrences to complete", () => {
+      expect(() => todo.completeOccurrence(today)).toThrow(TypeError);
+    });
+  });
+
+  describe("Todo due date methods", () => {
+    test("a Todo is created without a due date", () => {
+      expect(todo.getDueDate()).toBeNull();
+    });
+
+    test("a Todo-like object's due date is kept", () => {
+      const todoLike = { id: 1, title: "a", done: false, dueDate: "2024-03-05" };
+      expect((new Todo(todoLike)).getDueDate()).toBe("2024-03-05");
+      expect((new Todo(todoLike)).toJSON()).toEqual({
+        ...todoLike,
+        priority: Todo.PRIORITY_NONE,
+        notes: "",
+        tags: [],
+        subtasks: [],
+        recurrence: null,
+      });
+    });
+
+    test("empty due dates clear the due date", () => {
+      todo.setDueDate("2024-03-05");
+      expect(todo.setDueDate("").getDueDate()).toBeNull();
+      todo.setDueDate("2024-03-05");
+      expect(todo.setDueDate(null).getDueDate()).toBeNull();
+    });
+
+    test("invalid due dates throw a TypeError", () => {
+      expect(() => todo.setDueDate("03/05/2024")).toThrow(TypeError);
+      expect(() => todo.setDueDate("tomorrow")).toThrow(TypeError);
+    });
+  });
+
+  describe("Todo.dueStatus()", () => {
+    const today = new Date(2024, 2, 5); // 5 March 2024, local time
+
+    test("a Todo without a due date has no status", () => {
+      expect(todo.dueStatus(today)).toBeUndefined();
+    });
+
+    test("a Todo due before today is overdue", () => {
+      todo.setDueDate("2024-03-04");
+      expect(todo.dueStatus(today)).toBe(Todo.DUE_STATUS_OVERDUE);
+    });
+
+    test("a Todo due today is due today", () => {
+      todo.setDueDate("2024-03-05");
+      expect(todo.dueStatus(today)).toBe(Todo.DUE_STATUS_TODAY);
+    });
+
+    test("a Todo due after today has no status", () => {
+      todo.setDueDate("2024-03-06");
+      expect(todo.dueStatus(today)).toBeUndefined();
+    });
+
+    test('a "done" Todo is never overdue', () => {
+      todo.setDueDate("2024-03-04").markDone();
+      expect(todo.dueStatus(today)).toBeUndefined();
+    });
+  });
+
   describe("Todo.isDone()", () => {
     test('a Todo is created as "not done"', () => {
       expect(todo.isDone()).toBe(false);
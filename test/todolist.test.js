@@ -133,6 +133,181 @@ describe("TodoList", () => {
     });
   });
 
+  describe("TodoList views", () => {
+    beforeEach(() => {
+      todo1.setPriority("low");
+      todo1.setDueDate("2024-03-01");
+      todo2.setPriority("high");
+      todo3.setDueDate("2024-02-01");
+      todo3.markDone();
+    });
+
+    test("show only active or done todos", () => {
+      expect(list.toSortedArray({ show: TodoList.SHOW_ACTIVE }))
+        .toEqual([todo2, todo1]);
+      expect(list.toSortedArray({ show: TodoList.SHOW_DONE }))
+        .toEqual([todo3]);
+    });
+
+    test("sort by title or creation order, in either direction", () => {
+      expect(list.toSortedArray({ sort: TodoList.SORT_TITLE }))
+        .toEqual([todo1, todo2, todo3]);
+      expect(list.toSortedArray({
+        sort: TodoList.SORT_TITLE,
+        dir: TodoList.SORT_DESC,
+      })).toEqual([todo3, todo2, todo1]);
+      expect(list.toSortedArray({
+        sort: TodoList.SORT_CREATED,
+        dir: TodoList.SORT_DESC,
+      })).toEqual([todo3, todo2, todo1]);
+    });
+
+    test("sort by priority, highest first when ascending", () => {
+      expect(list.toSortedArray({ sort: TodoList.SORT_PRIORITY }))
+        .toEqual([todo2, todo1, todo3]);
+      expect(list.toSortedArray({
+        sort: TodoList.SORT_PRIORITY,
+        dir: TodoList.SORT_DESC,
+      })).toEqual([todo3, todo1, todo2]);
+    });
+
+    test("sort by due date, with todos without one last", () => {
+      expect(list.toSortedArray({ sort: TodoList.SORT_DUE }))
+        .toEqual([todo3, todo1, todo2]);
+      expect(list.toSortedArray({
+        sort: TodoList.SORT_DUE,
+        dir: TodoList.SORT_DESC,
+      })).toEqual([todo1, todo3, todo2]);
+    });
+
+    test("keep a manually sorted list's order unless sorting by a property", () => {
+      list.setSortMode(TodoList.SORT_MODE_MANUAL);
+      list.reorder([todo3.getID(), todo1.getID(), todo2.getID()]);
+      expect(list.toOrderedArray({ show: TodoList.SHOW_ACTIVE }))
+        .toEqual([todo1, todo2]);
+      expect(list.toOrderedArray({ sort: TodoList.SORT_TITLE }))
+        .toEqual([todo1, todo2, todo3]);
+    });
+
+    test("normalizeView() and isValidView() fill in and check views", () => {
+      expect(TodoList.normalizeView({ sort: "", dir: undefined }))
+        .toEqual(TodoList.DEFAULT_VIEW);
+      expect(TodoList.isValidView({ show: TodoList.SHOW_DONE })).toBe(true);
+      expect(TodoList.isValidView({ sort: "color" })).toBe(false);
+      expect(TodoList.isValidView({ dir: "up" })).toBe(false);
+      expect(TodoList.isValidView(null)).toBe(false);
+    });
+  });
+
+  describe("TodoList.canEditTodos()", () => {
+    test("owners and editors can change a list's todos, viewers can't", () => {
+      expect(TodoList.canEditTodos(TodoList.ROLE_OWNER)).toBe(true);
+      expect(TodoList.canEditTodos(TodoList.ROLE_EDITOR)).toBe(true);
+      expect(TodoList.canEditTodos(TodoList.ROLE_VIEWER)).toBe(false);
+      expect(TodoList.canEditTodos(undefined)).toBe(false);
+    });
+  });
+
+  describe("TodoList sort mode methods", () => {
+    test("a new TodoList is sorted automatically", () => {
+      expect(list.getSortMode()).toBe(TodoList.SORT_MODE_AUTOMATIC);
+      expect(list.isManuallySorted()).toBe(false);
+    });
+
+    test("switching to manual sorting keeps the automatic order", () => {
+      todo1.markDone();
+      list.setSortMode(TodoList.SORT_MODE_MANUAL);
+      expect(list.isManuallySorted()).toBe(true);
+      expect(list.toArray()).toEqual([todo2, todo3, todo1]);
+    });
+
+    test("an empty sort mode resets to automatic sorting", () => {
+      list.setSortMode(TodoList.SORT_MODE_MANUAL).setSortMode("");
+      expect(list.getSortMode()).toBe(TodoList.SORT_MODE_AUTOMATIC);
+    });
+
+    test("an invalid sort mode throws a TypeError", () => {
+      expect(() => list.setSortMode("random")).toThrow(TypeError);
+    });
+
+    test("a TodoList-like object's manual order is kept", () => {
+      const listLike = {
+        id: 1,
+        title: "Manual",
+        sortMode: TodoList.SORT_MODE_MANUAL,
+        todos: [
+          { id: 2, title: "b", done: false },
+          { id: 3, title: "a", done: false },
+        ],
+      };
+      const manualList = new TodoList(listLike);
+      expect(manualList.isManuallySorted()).toBe(true);
+      expect(manualList.toOrderedArray().map((todo) => todo.getID()))
+        .toEqual([2, 3]);
+      expect(manualList.toJSON().sortMode).toBe(TodoList.SORT_MODE_MANUAL);
+    });
+  });
+
+  describe("TodoList.reorder()", () => {
+    test("rearranges the todos into the given order", () => {
+      list.reorder([todo3.getID(), todo1.getID(), todo2.getID()]);
+      expect(list.toArray()).toEqual([todo3, todo1, todo2]);
+    });
+
+    test("toOrderedArray() only uses the manual order when manually sorted", () => {
+      list.reorder([todo3.getID(), todo1.getID(), todo2.getID()]);
+      expect(list.toOrderedArray()).toEqual([todo1, todo2, todo3]);
+      list.setSortMode(TodoList.SORT_MODE_MANUAL);
+      expect(list.toOrderedArray()).toEqual([todo1, todo2, todo3]);
+      list.reorder([todo3.getID(), todo1.getID(), todo2.getID()]);
+      expect(list.toOrderedArray()).toEqual([todo3, todo1, todo2]);
+    });
+
+    test("throws a ReferenceError unless given exactly the list's todo IDs", () => {
+      const [id1, id2, id3] = todos.map((todo) => todo.getID());
+      expect(() => list.reorder([id1, id2])).toThrow(ReferenceError);
+      expect(() => list.reorder([id1, id2, id2])).toThrow(ReferenceError);
+      expect(() => list.reorder([id1, id2, id3, -1])).toThrow(ReferenceError);
+      expect(() => list.reorder([id1, id2, -1])).toThrow(ReferenceError);
+      expect(list.toArray()).toEqual(todos);
+    });
+  });
+
+  describe("TodoList subtask roll-ups", () => {
+    let
+      /** @type {Todo} */  subtask;
+
+    beforeEach(() => {
+      subtask = new Todo("Lesson 1");
+      todo1.addSubtask(subtask);
+    });
+
+    test("item counts include subtasks", () => {
+      expect(list.itemCount()).toBe(4);
+      subtask.markDone();
+      todo2.markDone();
+      expect(list.doneItemCount()).toBe(2);
+      expect(list.toJSON()).toMatchObject({ length: 4, countDone: 2 });
+    });
+
+    test("a list isn't done until every subtask is done", () => {
+      list.markAllDone();
+      expect(list.isDone()).toBe(false);
+      expect(list.allDone().toArray()).toEqual([todo2, todo3]);
+      expect(list.allNotDone().toArray()).toEqual([todo1]);
+      subtask.markDone();
+      expect(list.isDone()).toBe(true);
+    });
+
+    test("findItemByID() finds todos and subtasks", () => {
+      expect(list.findItemByID(todo2.getID())).toBe(todo2);
+      expect(list.findItemByID(subtask.getID())).toBe(subtask);
+      expect(list.findByID(subtask.getID())).toBeUndefined();
+      expect(list.findParentOf(subtask.getID())).toBe(todo1);
+      expect(list.findParentOf(todo1.getID())).toBeUndefined();
+    });
+  });
+
   describe("TodoList.first()", () => {
     test("empty TodoList returns undefined", () => {
       expect((new TodoList("Empty List").first())).toBeUndefined();
@@ -412,6 +587,39 @@ describe("TodoList", () => {
     });
   });
 
+  describe("TodoList.toMarkdown()", () => {
+    test("returns a heading and a task list item for each Todo", () => {
+      list.markDoneAt(1);
+      expect(list.toMarkdown()).toBe(
+      // eslint-disable-next-line indent
+`# Today's Todos
+
+- [ ] Buy milk
+- [ ] Go to the gym
+- [x] Clean room
+`
+      );
+    });
+
+    test("a manually sorted list keeps its manual order", () => {
+      list.setSortMode(TodoList.SORT_MODE_MANUAL);
+      list.reorder([todo3.getID(), todo1.getID(), todo2.getID()]);
+      expect(list.toMarkdown()).toBe(
+      // eslint-disable-next-line indent
+`# Today's Todos
+
+- [ ] Go to the gym
+- [ ] Buy milk
+- [ ] Clean room
+`
+      );
+    });
+
+    test("an empty list returns only its heading", () => {
+      expect((new TodoList("Empty")).toMarkdown()).toBe("# Empty\n");
+    });
+  });
+
   describe("TodoList.compare()", () => {
     let
       /** @type {TodoList} */  list1,
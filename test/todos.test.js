@@ -0,0 +1,195 @@
+/**
+ * JS185 Todo App
+ * App Route Tests
+ *
+ * These tests send requests to the app, started on a random local port. The
+ * connection pool is replaced with a fake one, like in the db tests, whose
+ * clients answer every statement but the transaction ones with no rows.
+ * Sessions are kept in memory, and requests aren't logged. Each test stubs
+ * the store and authentication methods it doesn't exercise.
+ */
+/* eslint-disable max-lines-per-function */
+"use strict";
+
+jest.mock("../lib/config", () => ({
+  env: { SESSION_SECRET: "test session secret" },
+}));
+
+jest.mock("connect-loki", () => (session) => session.MemoryStore);
+
+jest.mock("../lib/request-log", () => ({
+  requestLogger: () => (_req, _res, next) => next(),
+}));
+
+jest.mock("../lib/db-pool", () => {
+  class FakeClient {
+    constructor() {
+      this.inTransaction = false;
+    }
+
+    // eslint-disable-next-line require-await
+    async query(text) {
+      if (/"isTrans"/.test(text)) {
+        return { rowCount: 1, rows: [{ isTrans: this.inTransaction }] };
+      }
+      if (/^BEGIN/.test(text)) this.inTransaction = true;
+      if (/^(COMMIT|ROLLBACK)/.test(text)) this.inTransaction = false;
+      return { rowCount: 0, rows: [] };
+    }
+
+    release() {}
+  }
+
+  const fakePool = {
+    // eslint-disable-next-line require-await
+    async connect() {
+      return new FakeClient();
+    },
+
+    // eslint-disable-next-line require-await
+    async query() {
+      return { rowCount: 0, rows: [] };
+    },
+  };
+
+  return { createPool: () => fakePool };
+});
+
+const { TodoPGStore } = require("../lib/todo-pg-store");
+const { AuthClient } = require("../lib/user-auth");
+
+const USER = { userID: 1, username: "admin" };
+const LIST = {
+  id: 1,
+  title: "Chores",
+  role: "owner",
+  length: 0,
+  countDone: 0,
+  done: false,
+  todos: [],
+};
+
+let app;
+let server;
+let baseURL;
+
+/**
+ * Send a request to the app, without following redirects.
+ * @param {string} urlPath the request's path
+ * @param {object} [init] the request's `fetch()` options
+ * @returns {Promise.<Response>} the response
+ */
+function request(urlPath, init = {}) {
+  return fetch(`${baseURL}${urlPath}`, { redirect: "manual", ...init });
+}
+
+/**
+ * Sign in as `USER`, and return the session's cookie.
+ * @returns {Promise.<string>} the session cookie, for a `Cookie` header
+ */
+async function signIn() {
+  jest.spyOn(AuthClient.prototype, "authenticate").mockResolvedValue(true);
+  jest.spyOn(AuthClient.prototype, "getUserID").mockResolvedValue(USER.userID);
+  const res = await request("/users/signin", {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ username: USER.username, password: "secret" }),
+  });
+  expect(res.status).toBe(302);
+  return res.headers.get("set-cookie").split(";")[0];
+}
+
+beforeAll(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  app = require("../todos");
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("a todo in another of the user's lists", () => {
+  beforeEach(() => {
+    // Todo 8 exists, and so does list 1, but todo 8 isn't in list 1.
+    jest.spyOn(TodoPGStore.prototype, "findList").mockResolvedValue(LIST);
+    jest.spyOn(TodoPGStore.prototype, "listExists").mockResolvedValue(true);
+    jest.spyOn(TodoPGStore.prototype, "todoExists").mockResolvedValue(true);
+  });
+
+  test("isn't found through the JSON API", async () => {
+    jest.spyOn(AuthClient.prototype, "authenticateAPIToken")
+      .mockResolvedValue(USER);
+    const res = await request("/api/v1/lists/1/todos/8", {
+      headers: { Authorization: "Bearer todo_token" },
+    });
+    expect(res.status).toBe(404);
+    expect((await res.json()).error.code)
+      .toBe(TodoPGStore.ERROR_CODE_INVALID_TODO_ID);
+  });
+
+  test("isn't found by the todo's page, or its actions", async () => {
+    const cookie = await signIn();
+    const pageRes = await request("/lists/1/todos/8", { headers: { cookie } });
+    expect(pageRes.status).toBe(404);
+    expect(await pageRes.text()).not.toMatch(/TypeError/);
+
+    const toggleRes = await request("/lists/1/todos/8/toggle", {
+      method: "POST",
+      headers: { cookie },
+    });
+    expect(toggleRes.status).toBe(404);
+    expect(await toggleRes.text()).not.toMatch(/TypeError/);
+  });
+});
+
+describe("moving a todo into a list the user can only view", () => {
+  test("flashes why, and redirects back to the todo's list", async () => {
+    jest.spyOn(TodoPGStore.prototype, "findList").mockResolvedValue(LIST);
+    jest.spyOn(TodoPGStore.prototype, "findTodo")
+      .mockResolvedValue({ id: 8, title: "Sweep", listID: 1 });
+    jest.spyOn(TodoPGStore.prototype, "moveTodo").mockRejectedValue(
+      new Error("You can't change that list's todos", {
+        cause: { code: TodoPGStore.ERROR_CODE_LIST_PERMISSION_DENIED },
+      })
+    );
+    const cookie = await signIn();
+    const res = await request("/lists/1/todos/8/move", {
+      method: "POST",
+      headers: {
+        cookie,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({ toListID: "2" }),
+    });
+    expect(res.status).toBe(302);
+    expect(res.headers.get("location")).toBe("/lists/1");
+
+    const pageRes = await request("/lists/1/todos/8", { headers: { cookie } });
+    expect(await pageRes.text()).toContain("You can only view that list.");
+  });
+});
+
+describe("a share link that doesn't exist, or has expired", () => {
+  test("is a 404 page for signed-out visitors", async () => {
+    jest.spyOn(AuthClient.prototype, "authenticateShareLink")
+      .mockResolvedValue(undefined);
+    const res = await request(`/shared/${"A".repeat(43)}`);
+    expect(res.status).toBe(404);
+    const html = await res.text();
+    expect(html).toContain("That share link doesn't exist");
+    expect(html).not.toMatch(/TypeError|Signed in as/);
+  });
+});
@@ -5,6 +5,8 @@
  */
 "use strict";
 
+const path = require("node:path");
+
 const store = require("connect-loki");
 const express = require("express");
 const {
@@ -12,21 +14,67 @@ const {
   ExpressValidator,
 } = require("express-validator");
 const flash = require("express-flash");
-const morgan = require("morgan");
+const OpenApiValidator = require("express-openapi-validator");
+const multer = require("multer");
 const session = require("express-session");
 
+const {
+  API_TOKEN_SCOPE_CALENDAR,
+  API_TOKEN_SCOPES,
+  parseBearerToken,
+} = require("./lib/api-token");
+const { API_BASE_PATH, apiRouteMap } = require("./lib/api-routes");
 const { env } = require("./lib/config");
+const { createClientScope } = require("./lib/db");
+const { formatServerSentEvent, listEvents } = require("./lib/list-events");
 const { AuthClient } = require("./lib/user-auth");
 const { TodoPGStore } = require("./lib/todo-pg-store");
+const Todo = require("./lib/todo");
+const { TodoList } = require("./lib/todolist");
+const {
+  IMPORT_CONFLICT_MERGE,
+  IMPORT_CONFLICT_MODES,
+  IMPORT_CONFLICT_SKIP,
+  createExport,
+  parseExport,
+} = require("./lib/todo-export");
+const { parseTodoTxt, todoListsToTodoTxt } = require("./lib/todo-txt");
+const { parseICS, todoListsToICS } = require("./lib/todo-ical");
+const {
+  CSV_FIELDS,
+  columnFieldErrors,
+  csvRecord,
+  csvRecordErrors,
+  csvRecordsToTodoLists,
+  guessColumnFields,
+  parseCSV,
+  todoListsToCSV,
+} = require("./lib/todo-csv");
+const { renderMarkdown } = require("./lib/markdown");
+const { parseChecklist } = require("./lib/checklist");
+const { listRoutes } = require("./lib/route-map");
+const { requestLogger } = require("./lib/request-log");
+const { MAX_QUERY_LENGTH } = require("./lib/search");
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require("./lib/pagination");
+const {
+  describeRecurrence,
+  formatRecurrence,
+  isValidRecurrence,
+} = require("./lib/recurrence");
 
 const app = express();
 const LokiStore = store(session);
 
-const { HOST, PORT, SESSION_SECRET } = env;
+const { HOST, LIST_EVENTS_BACKEND, PORT, SESSION_SECRET } = env;
+
+// How often to write a comment to an idle event stream, so proxies don't close
+// it, in milliseconds
+const EVENT_STREAM_HEARTBEAT_INTERVAL = 30 * 1000;
 
 const {
   body,
   param,
+  query,
   validationResult,
 } = new ExpressValidator(
   {
@@ -44,6 +92,13 @@ const {
       }
       return true;
     },
+
+    isUniqueUsername: async (username) => {
+      if (await (new AuthClient()).usernameExists(username)) {
+        throw new Error("That username is already taken.");
+      }
+      return true;
+    },
   },
   {},
   {
@@ -85,6 +140,9 @@ function wrapIfExpected(err, expectedErrCodes = {}) {
  * code keys and new Error message string values to wrap any expected Error with
  * @param {boolean} flashExpectedErrs whether to flash any expected Error
  * message to the application user
+ * @param {function(object): string} [redirectExpectedErrs] given the request,
+ * returns the path to redirect to after an expected Error, instead of passing
+ * it to `next()`; the request's transaction is rolled back first
  * @returns {function} the new wrapped middleware function
  */
 // eslint-disable-next-line max-lines-per-function
@@ -95,6 +153,7 @@ function withAttemptAsync(
     flashExpectedErrs: false,
   }
 ) {
+  // eslint-disable-next-line max-lines-per-function
   return async function (req, res, next) {
     try {
       await callback(req, res, next);
@@ -104,6 +163,16 @@ function withAttemptAsync(
       if (isExpected && options.flashExpectedErrs) {
         req.flash("error", newErr.message);
       }
+      if (isExpected && options.redirectExpectedErrs) {
+        try {
+          await res.custom.rollbackTransaction();
+        } catch (rollbackErr) {
+          next(rollbackErr);
+          return;
+        }
+        res.redirect(options.redirectExpectedErrs(req));
+        return;
+      }
       next(newErr);
     }
   };
@@ -114,20 +183,11 @@ function withAttemptAsync(
  * Modified from
  * {@link https://github.com/expressjs/express/blob/2ac25098548f739c4f2b526b2a00aa60a74c8e75/examples/route-map/index.js#L52-L66 | expressjs example}.
  * @param {object} routeMap the object mapping application routes to operations
- * @param {string|undefined} route the current route prefix; used for recursive
- * calls
- */
-app.map = function(routeMap, route) {
-  route = route || '';
-  for (let key in routeMap) {
-    if (typeof routeMap[key] === "function" || Array.isArray(routeMap[key])) {
-      // get: function(){ ... } or get: [ function(){}, ... ]
-      console.log("Route map:", { key, route });
-      app[key](route, [ routeMap[key] ].flat());
-    } else if (typeof routeMap[key] === "object") {
-      // { '/path': { ... }}
-      app.map(routeMap[key], route + key);
-    }
+ */
+app.map = function(routeMap) {
+  for (const { method, path: route, handlers } of listRoutes(routeMap)) {
+    console.log("Route map:", { key: method, route });
+    app[method](route, handlers);
   }
 };
 
@@ -160,6 +220,122 @@ function createFormValidationChain(
     .withMessage(`Max ${fieldDesc} length is 100 characters.`);
 }
 
+function createPasswordValidationChain(fieldName, fieldDesc) {
+  return createFormValidationChain(fieldName, fieldDesc, { trim: false })
+    .bail()
+    .isStrongPassword()
+    .withMessage(
+      `${fieldDesc} must be at least 8 characters long and contain a lowercase letter, an uppercase letter, a number, and a symbol.`
+    );
+}
+
+function createDueDateValidationChain(fieldName, fieldDesc) {
+  return body(fieldName)
+    .optional({ values: "falsy" })
+    .isDate({ format: "YYYY-MM-DD", strictMode: true, delimiters: ["-"] })
+    .withMessage(`${fieldDesc} must be a valid date.`);
+}
+
+function createPriorityValidationChain(fieldName, fieldDesc) {
+  return body(fieldName)
+    .optional({ values: "falsy" })
+    .isIn(Todo.PRIORITIES)
+    .withMessage(`${fieldDesc} must be one of: ${Todo.PRIORITIES.join(", ")}.`);
+}
+
+// The query parameters that choose which of a list's todos to show, and how to
+// sort them: see `list.displayTodos`.
+const VIEW_QUERY_PARAMS = ["show", "sort", "dir"];
+
+function createPageValidationChains() {
+  return [
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: MAX_PAGE_SIZE })
+      .withMessage(`Limit must be a whole number from 1 to ${MAX_PAGE_SIZE}.`)
+      .toInt(),
+    query("cursor")
+      .optional()
+      .isString()
+      .withMessage("Cursor must be a single value.")
+      .bail()
+      .notEmpty()
+      .withMessage("Cursor must not be empty."),
+  ];
+}
+
+/**
+ * Return the URLs of the first and next pages of a paginated page, keeping the
+ * request's `limit` query parameter, if any.
+ * @param {object} req the express request object, validated by
+ * `createPageValidationChains()`
+ * @param {string|null} nextCursor the next page's cursor, if there is one
+ * @returns {{firstPageURL: string|null, nextPageURL: string|null}} the URLs,
+ * each `null` if the current page is the first or last page
+ */
+function pageURLs(req, nextCursor) {
+  const { limit, cursor } = matchedData(req);
+  const pageURL = (pageCursor) => {
+    const params = new URLSearchParams();
+    if (limit !== undefined) params.set("limit", limit);
+    if (pageCursor !== null) params.set("cursor", pageCursor);
+    const search = params.toString();
+    return search === "" ? req.path : `${req.path}?${search}`;
+  };
+  return {
+    firstPageURL: cursor === undefined ? null : pageURL(null),
+    nextPageURL: nextCursor === null ? null : pageURL(nextCursor),
+  };
+}
+
+// An empty string in `values` clears the view's setting, so it isn't listed in
+// the error message.
+function createViewValidationChain(fieldName, fieldDesc, values) {
+  const choices = values.filter((value) => value !== "").join(", ");
+  return query(fieldName)
+    .optional()
+    .isString()
+    .withMessage(`${fieldDesc} must be a single value.`)
+    .bail()
+    .isIn(values)
+    .withMessage(`${fieldDesc} must be one of: ${choices}.`);
+}
+
+function createNotesValidationChain(fieldName, fieldDesc) {
+  return body(fieldName)
+    .optional({ values: "null" })
+    .isString()
+    .withMessage(`${fieldDesc} must be text.`)
+    .bail()
+    .isLength({ max: 10000 })
+    .withMessage(`Max ${fieldDesc} length is 10000 characters.`);
+}
+
+function createRecurrenceValidationChain(fieldName, fieldDesc) {
+  return body(fieldName)
+    .optional({ values: "falsy" })
+    .custom(isValidRecurrence)
+    .withMessage(
+      `${fieldDesc} must be a rule like FREQ=DAILY, FREQ=WEEKLY;BYDAY=MO,WE, FREQ=MONTHLY, or FREQ=DAILY;INTERVAL=3.`
+    )
+    .bail()
+    .customSanitizer(formatRecurrence);
+}
+
+function createTagValidationChain(validator, fieldName, fieldDesc) {
+  return validator(fieldName)
+    .trim()
+    .notEmpty()
+    .withMessage(`${fieldDesc} is required.`)
+    .bail()
+    .custom((tag) => Todo.isValidTag(tag))
+    .withMessage(
+      `${fieldDesc} must start with a letter or number, and may contain up to 30 letters, numbers, underscores, and hyphens.`
+    )
+    .bail()
+    .customSanitizer((tag) => Todo.normalizeTag(tag));
+}
+
 function createPathParamValidationChain(paramName, paramDesc) {
   return param(paramName)
     .isInt()
@@ -197,6 +373,57 @@ function flashValidationErrors(req, _res, next = () => {}) {
 }
 /* eslint-enable max-lines-per-function */
 
+/**
+ * Return a middleware function that continues only if `isAllowed` returns
+ * `true` for the user's role for the list found by `app.param("listID")`.
+ * Otherwise, it flashes `message` and redirects to the list's page, or
+ * responds to API requests with a `403` JSON error.
+ * @param {function(string): boolean} isAllowed a callback evaluating the role
+ * @param {string} message the message explaining why the request isn't allowed
+ * @returns {function} the new middleware function
+ */
+function requireListRole(isAllowed, message) {
+  return function (req, res, next) {
+    const { id, role } = res.custom.todoList;
+    if (isAllowed(role)) {
+      next();
+    } else if (isAPIRequest(req)) {
+      sendAPIError(
+        res,
+        403,
+        TodoPGStore.ERROR_CODE_LIST_PERMISSION_DENIED,
+        message
+      );
+    } else {
+      req.flash("error", message);
+      res.redirect(`/lists/${id}`);
+    }
+  };
+}
+
+const requireTodoEditor = requireListRole(
+  TodoList.canEditTodos,
+  "That list is shared with you to view, not to change."
+);
+
+const requireListOwner = requireListRole(
+  (role) => role === TodoList.ROLE_OWNER,
+  "Only the list's owner can do that."
+);
+
+/**
+ * The `withAttemptAsync()` options for middleware that imports lists: another
+ * request can take an imported list's title before the import adds its list.
+ */
+const IMPORT_ATTEMPT_OPTIONS = {
+  expectedErrCodes: {
+    [TodoPGStore.ERROR_CODE_NON_UNIQUE_LIST_TITLE]:
+      "A list title changed during the import, so nothing was imported. " +
+      "Please try again.",
+  },
+  flashExpectedErrs: true,
+};
+
 /**
  * Object defining lists-related middleware functions.
  * Middleware functions are "lists-related" if they DON'T require a listID; they
@@ -204,11 +431,30 @@ function flashValidationErrors(req, _res, next = () => {}) {
  * `TodoList`.
  */
 const lists = {
-  displayLists: withAttemptAsync(async (_req, res) => {
-    res.render("lists", {
-      todoLists: await res.custom.todoStore.sortedTodoLists(),
-    });
-  }),
+  // eslint-disable-next-line max-lines-per-function
+  get displayLists() {
+    return [
+      ...createPageValidationChains(),
+      ifInvalid((_req, res) => res.redirect("/lists"), { flashErrs: true }),
+      withAttemptAsync(
+        async (req, res) => {
+          const { limit = DEFAULT_PAGE_SIZE, cursor = null } = matchedData(req);
+          const { lists: todoLists, nextCursor } =
+            await res.custom.todoStore.sortedTodoLists(
+              { limit, cursor },
+              { throw: true }
+            );
+          res.render("lists", { todoLists, ...pageURLs(req, nextCursor) });
+        },
+        {
+          expectedErrCodes: {
+            [TodoPGStore.ERROR_CODE_INVALID_CURSOR]:
+              "That page of lists doesn't exist.",
+          },
+        }
+      ),
+    ];
+  },
 
   get newList() {
     return [
@@ -224,6 +470,54 @@ const lists = {
     ];
   },
 
+  // eslint-disable-next-line max-lines-per-function
+  get newListsFromChecklist() {
+    return [
+      body("checklistTitle")
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage("Max List Title length is 100 characters."),
+      body("checklist")
+        .trim()
+        .notEmpty()
+        .withMessage("Paste a Markdown checklist to import.")
+        .bail()
+        .custom((checklist, { req }) => {
+          req.res.custom.importedLists =
+            parseChecklist(checklist, req.body.checklistTitle);
+          return true;
+        })
+        .bail()
+        .custom(async (_checklist, { req }) => {
+          const { importedLists, todoStore } = req.res.custom;
+          for (const todoList of importedLists) {
+            const title = todoList.getTitle();
+            if (await todoStore.listTitleExists(title)) {
+              throw new Error(
+                `You're already using the list title "${title}". List ` +
+                "titles must be unique."
+              );
+            }
+          }
+          return true;
+        }),
+      ifInvalid(this.reRenderNewListForm, { flashErrs: true }),
+      withAttemptAsync(
+        async (req, res) => {
+          // The titles were checked above, so this adds every list, in one
+          // transaction, unless another request takes one of the titles first.
+          const summary = await res.custom.todoStore.importLists(
+            res.custom.importedLists,
+            IMPORT_CONFLICT_SKIP
+          );
+          req.flash("success", describeImport(summary));
+          res.redirect("/lists");
+        },
+        IMPORT_ATTEMPT_OPTIONS
+      ),
+    ];
+  },
+
   newListForm(_req, res) {
     res.render("new-list");
   },
@@ -231,152 +525,1789 @@ const lists = {
   reRenderNewListForm(req, res) {
     res.render("new-list", {
       todoListTitle: req.body.todoListTitle,
+      checklist: req.body.checklist,
+      checklistTitle: req.body.checklistTitle,
+    });
+  },
+};
+
+/**
+ * Object defining list-related middleware functions.
+ * A function is "list-related" if it requires a listID path parameter.
+ */
+/* eslint-disable max-lines-per-function */
+const list = {
+  completeAll: withAttemptAsync(async (req, res) => {
+    const { listID } = matchedData(req);
+    if (await res.custom.todoStore.markAllDone(listID)) {
+      req.flash("success", "All todos marked completed.");
+    }
+    res.redirect(`/lists/${listID}`);
+  }),
+
+  get editListForm() {
+    return [requireListOwner, this.findMembers, this.renderEditListForm];
+  },
+
+  // A Server-Sent Events stream of the list's changes, for its pages to show
+  // as they happen.
+  streamEvents: withAttemptAsync(async (req, res) => {
+    const listID = res.custom.todoList.id;
+    // The stream stays open until the page closes, without needing the
+    // database again.
+    await res.custom.releaseClient();
+
+    res.set({
+      "Cache-Control": "no-cache",
+      "Content-Type": "text/event-stream",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    const unsubscribe = listEvents.subscribe(listID, (event) => {
+      res.write(formatServerSentEvent(event));
+    });
+    const heartbeat = setInterval(() => {
+      res.write(": heartbeat\n\n");
+    }, EVENT_STREAM_HEARTBEAT_INTERVAL);
+    req.once("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }),
+
+  exportCSV(_req, res) {
+    const todoList = new TodoList(res.custom.todoList);
+    res
+      .attachment(`todo-list-${todoList.getID()}.csv`)
+      .send(todoListsToCSV([todoList]));
+  },
+
+  exportMarkdown(_req, res) {
+    const todoList = new TodoList(res.custom.todoList);
+    res
+      .attachment(`todo-list-${todoList.getID()}.md`)
+      .send(todoList.toMarkdown());
+  },
+
+  get editList() {
+    return [
+      requireListOwner,
+      this.findMembers,
+      createFormValidationChain("todoListTitle", "List Title")
+        .isUniqueListTitle(),
+      ifInvalid(this.reRenderEditListForm, { flashErrs: true }),
+      withAttemptAsync(async (req, res) => {
+        const { todoListTitle: title, listID } = matchedData(req);
+        await res.custom.todoStore.setListTitle(listID, title, { throw: true });
+        req.flash("success", "Todo List title updated.");
+        res.redirect(`/lists/${listID}`);
+      }),
+    ];
+  },
+
+  get displayTodos() {
+    return [
+      createViewValidationChain("show", "Show", TodoList.SHOW_FILTERS),
+      createViewValidationChain("sort", "Sort", ["", ...TodoList.SORT_KEYS]),
+      createViewValidationChain(
+        "dir",
+        "Sort Direction",
+        TodoList.SORT_DIRECTIONS
+      ),
+      ...createPageValidationChains(),
+      ifInvalid(
+        (req, res) => res.redirect(`/lists/${matchedData(req).listID}`),
+        { flashErrs: true }
+      ),
+
+      (req, res, next) => {
+        // You can be redirected here from newTodo() below, if the "new todo"
+        // form input is invalid. Check the session data to pre-populate the
+        // "new todo" form with the previous invalid form input, if it exists.
+        res.custom.todoTitle = req.session.todoTitle;
+        res.custom.todoDueDate = req.session.todoDueDate;
+        res.custom.todoPriority = req.session.todoPriority;
+        delete req.session.todoTitle;
+        delete req.session.todoDueDate;
+        delete req.session.todoPriority;
+        next();
+      },
+
+      withAttemptAsync(
+        async (req, res) => {
+          const {
+            listID,
+            limit = DEFAULT_PAGE_SIZE,
+            cursor = null,
+            ...viewParams
+          } = matchedData(req);
+          const { todoStore } = res.custom;
+
+          // Choosing a view with query parameters also remembers it, so the
+          // list looks the same the next time it's visited without them.
+          let view = await todoStore.listView(listID);
+          if (Object.keys(viewParams).length > 0) {
+            view = TodoList.normalizeView({ ...view, ...viewParams });
+            await todoStore.setListView(listID, view, { throw: true });
+          }
+
+          const todoList = await todoStore.sortedTodoList(
+            listID,
+            { throw: true },
+            view,
+            { limit, cursor }
+          );
+          res.render("list", {
+            todoList,
+            view,
+            ...pageURLs(req, todoList.nextCursor),
+            // The other lists are destinations for the "move todo" pickers
+            otherTodoLists: (await todoStore.sortedTodoLists()).lists
+              .filter((otherTodoList) => {
+                return otherTodoList.id !== listID &&
+                  TodoList.canEditTodos(otherTodoList.role);
+              }),
+            todoTitle: res.custom.todoTitle,
+            todoDueDate: res.custom.todoDueDate,
+            todoPriority: res.custom.todoPriority,
+          });
+        },
+        {
+          expectedErrCodes: {
+            [TodoPGStore.ERROR_CODE_INVALID_CURSOR]:
+              "That page of todos doesn't exist.",
+          },
+        }
+      ),
+    ];
+  },
+
+  get newTodo() {
+    return [
+      createFormValidationChain("todoTitle", "Todo Title"),
+      createDueDateValidationChain("todoDueDate", "Due Date"),
+      createPriorityValidationChain("todoPriority", "Priority"),
+
+      ifInvalid(
+        (req, res) => {
+          req.session.todoTitle = req.body.todoTitle;
+          req.session.todoDueDate = req.body.todoDueDate;
+          req.session.todoPriority = req.body.todoPriority;
+          const data = matchedData(req);
+          res.redirect(`/lists/${data.listID}`);
+        },
+        { flashErrs: true }
+      ),
+
+      withAttemptAsync(async (req, res) => {
+        const {
+          listID,
+          todoTitle,
+          todoDueDate,
+          todoPriority,
+        } = matchedData(req);
+        await res.custom.todoStore.addTodo(listID, {
+          title: todoTitle,
+          dueDate: todoDueDate || null,
+          priority: todoPriority || Todo.PRIORITY_NONE,
+        });
+        req.flash("success", `${todoTitle} added.`);
+        res.redirect(`/lists/${listID}`);
+      }),
+    ];
+  },
+
+  get reorderTodos() {
+    return [
+      body("todoIDs").toArray(),
+      body("todoIDs.*")
+        .isInt()
+        .withMessage("Todo IDs are integers.")
+        .toInt(),
+      attachRequestValidationResult({ throw: true }),
+      withAttemptAsync(
+        async (req, res) => {
+          const { listID, todoIDs } = matchedData(req);
+          await res.custom.todoStore.reorderTodos(listID, todoIDs, {
+            throw: true,
+          });
+          // Drag-and-drop reordering sends its requests in the background, and
+          // doesn't need a page to render.
+          if (req.xhr) {
+            res.sendStatus(204);
+            return;
+          }
+          res.redirect(`/lists/${listID}`);
+        },
+        {
+          expectedErrCodes: {
+            [TodoPGStore.ERROR_CODE_INVALID_TODO_ORDER]:
+              "Unable to reorder the todos. Has the list changed? Try again.",
+          },
+          flashExpectedErrs: true,
+        }
+      ),
+    ];
+  },
+
+  get setSortMode() {
+    return [
+      requireListOwner,
+      body("sortMode")
+        .isIn(TodoList.SORT_MODES)
+        .withMessage(
+          `Sort mode must be one of: ${TodoList.SORT_MODES.join(", ")}.`
+        ),
+      ifInvalid(
+        (req, res) => res.redirect(`/lists/${req.params.listID}`),
+        { flashErrs: true }
+      ),
+      withAttemptAsync(async (req, res) => {
+        const { listID, sortMode } = matchedData(req);
+        await res.custom.todoStore.setListSortMode(listID, sortMode, {
+          throw: true,
+        });
+        if (sortMode === TodoList.SORT_MODE_MANUAL) {
+          req.flash("success", "Drag todos, or use the arrows, to reorder.");
+        } else {
+          req.flash("success", "Todos are now sorted automatically.");
+        }
+        res.redirect(`/lists/${listID}`);
+      }),
+    ];
+  },
+
+  get removeList() {
+    return [
+      requireListOwner,
+      withAttemptAsync(
+        async (req, res) => {
+          const todoList = await res.custom.todoStore.removeList(
+            matchedData(req).listID,
+            { throw: true }
+          );
+          req.flash("success", `${todoList.title} deleted.`);
+          res.redirect("/lists");
+        },
+        {
+          expectedErrCodes: {
+            [TodoPGStore.ERROR_CODE_INVALID_LIST_ID]:
+              "Unable to delete that list. Are you sure it hasn't already been deleted?",
+          },
+          flashExpectedErrs: true,
+        }
+      ),
+    ];
+  },
+
+  get shareList() {
+    return [
+      requireListOwner,
+      this.findMembers,
+      body("username")
+        .trim()
+        .notEmpty()
+        .withMessage("Enter the username to share the list with."),
+      body("role")
+        .isIn(TodoList.MEMBER_ROLES)
+        .withMessage(`Role must be one of: ${TodoList.MEMBER_ROLES.join(", ")}.`),
+      ifInvalid(this.reRenderEditListForm, { flashErrs: true }),
+      withAttemptAsync(
+        async (req, res) => {
+          const { listID, username, role } = matchedData(req);
+          await res.custom.todoStore.shareList(listID, username, role, {
+            throw: true,
+          });
+          req.flash("success", `Shared with ${username} as ${role}.`);
+          res.redirect(`/lists/${listID}/edit`);
+        },
+        {
+          expectedErrCodes: {
+            [TodoPGStore.ERROR_CODE_INVALID_USERNAME]:
+              "You can only share a list with another user's username.",
+          },
+          flashExpectedErrs: true,
+        }
+      ),
+    ];
+  },
+
+  get unshareList() {
+    return [
+      requireListOwner,
+      param("username").isString(),
+      attachRequestValidationResult({ throw: true }),
+      withAttemptAsync(
+        async (req, res) => {
+          const { listID, username } = matchedData(req);
+          await res.custom.todoStore.unshareList(listID, username, {
+            throw: true,
+          });
+          req.flash("success", `${username} no longer shares the list.`);
+          res.redirect(`/lists/${listID}/edit`);
+        },
+        {
+          expectedErrCodes: {
+            [TodoPGStore.ERROR_CODE_INVALID_USERNAME]:
+              "The list isn't shared with that user.",
+          },
+          flashExpectedErrs: true,
+        }
+      ),
+    ];
+  },
+
+  get newShareLink() {
+    return [
+      requireListOwner,
+      this.findMembers,
+      createDueDateValidationChain("expiresOn", "The link's last day"),
+      ifInvalid(this.reRenderEditListForm, { flashErrs: true }),
+      withAttemptAsync(async (req, res) => {
+        const { listID, expiresOn } = matchedData(req);
+        const { todoList, todoStore } = res.custom;
+        const shareLink = await todoStore.addShareLink(listID, expiresOn, {
+          throw: true,
+        });
+        // Render rather than redirect: this is the only time the link's token
+        // is available to show.
+        req.flash(
+          "success",
+          "Link created. Copy it now: you won't be able to see it again."
+        );
+        res.render("edit-list", {
+          todoList,
+          todoListTitle: todoList.title,
+          members: res.custom.members,
+          shareLinks: await todoStore.shareLinks(listID, { throw: true }),
+          newShareLink: {
+            ...shareLink,
+            url: sharedListURL(req, shareLink.token),
+          },
+        });
+      }),
+    ];
+  },
+
+  get removeShareLink() {
+    return [
+      requireListOwner,
+      createPathParamValidationChain("linkID", "share link"),
+      attachRequestValidationResult({ throw: true }),
+      withAttemptAsync(
+        async (req, res) => {
+          const { listID, linkID } = matchedData(req);
+          await res.custom.todoStore.removeShareLink(listID, linkID, {
+            throw: true,
+          });
+          req.flash("success", "Share link revoked.");
+          res.redirect(`/lists/${listID}/edit`);
+        },
+        {
+          expectedErrCodes: {
+            [TodoPGStore.ERROR_CODE_INVALID_SHARE_LINK_ID]:
+              "Unable to revoke that link. Has it already been revoked?",
+          },
+          flashExpectedErrs: true,
+        }
+      ),
+    ];
+  },
+
+  // The edit list page lists the users, and the share links, the list is
+  // shared with.
+  findMembers: withAttemptAsync(async (_req, res, next) => {
+    const { todoList, todoStore } = res.custom;
+    res.custom.members = await todoStore.listMembers(todoList.id, {
+      throw: true,
+    });
+    res.custom.shareLinks = await todoStore.shareLinks(todoList.id, {
+      throw: true,
+    });
+    next();
+  }),
+
+  renderEditListForm(_req, res) {
+    res.render("edit-list", {
+      todoList: res.custom.todoList,
+      todoListTitle: res.custom.todoList.title,
+      members: res.custom.members,
+      shareLinks: res.custom.shareLinks,
     });
   },
+
+  reRenderEditListForm(req, res) {
+    res.render("edit-list", {
+      todoList: res.custom.todoList,
+      todoListTitle: req.body.todoListTitle,
+      members: res.custom.members,
+      shareLinks: res.custom.shareLinks,
+      username: req.body.username,
+      role: req.body.role,
+      expiresOn: req.body.expiresOn,
+    });
+  }
 };
+/* eslint-enable max-lines-per-function */
+
+/**
+ * Object defining todo-related middleware functions.
+ * A function is "todo-related" if it requires a `todoID` path parameter; it
+ * will also require a `listID` path parameter, since `Todo`s belong to a
+ * `TodoList`.
+ */
+const todo = {
+  displayTodo(_req, res) {
+    res.render("todo", {
+      todoList: res.custom.todoList,
+      todo: res.custom.todo,
+      todoNotes: res.custom.todo.notes,
+    });
+  },
+
+  get editNotes() {
+    return [
+      body("todoNotes")
+        .default("")
+        .isLength({ max: 10000 })
+        .withMessage("Max Notes length is 10000 characters."),
+      ifInvalid(this.reRenderTodo, { flashErrs: true }),
+      withAttemptAsync(async (req, res) => {
+        const { todoID, listID, todoNotes } = matchedData(req);
+        await res.custom.todoStore.setTodoNotes(todoID, listID, todoNotes, {
+          throw: true,
+        });
+        req.flash("success", "Todo notes updated.");
+        res.redirect(`/lists/${listID}/todos/${todoID}`);
+      }),
+    ];
+  },
+
+  // eslint-disable-next-line max-lines-per-function
+  get addSubtask() {
+    return [
+      createFormValidationChain("subtaskTitle", "Subtask Title"),
+      ifInvalid(this.reRenderTodo, { flashErrs: true }),
+      withAttemptAsync(
+        async (req, res) => {
+          const { todoID, listID, subtaskTitle } = matchedData(req);
+          await res.custom.todoStore.addTodo(
+            listID,
+            { title: subtaskTitle, parentID: todoID },
+            { throw: true }
+          );
+          req.flash("success", `Subtask "${subtaskTitle}" added.`);
+          res.redirect(`/lists/${listID}/todos/${todoID}`);
+        },
+        {
+          expectedErrCodes: {
+            [TodoPGStore.ERROR_CODE_INVALID_PARENT_TODO]:
+              "Subtasks can't have subtasks of their own.",
+          },
+          flashExpectedErrs: true,
+        }
+      ),
+    ];
+  },
+
+  get addTag() {
+    return [
+      createTagValidationChain(body, "todoTag", "Tag"),
+      ifInvalid(this.reRenderTodo, { flashErrs: true }),
+      withAttemptAsync(async (req, res) => {
+        const { todoID, listID, todoTag } = matchedData(req);
+        await res.custom.todoStore.addTag(todoID, listID, todoTag, {
+          throw: true,
+        });
+        req.flash("success", `Tagged "#${todoTag}".`);
+        res.redirect(`/lists/${listID}/todos/${todoID}`);
+      }),
+    ];
+  },
+
+  get removeTag() {
+    return [
+      createTagValidationChain(param, "tag", "Tag"),
+      attachRequestValidationResult({ throw: true }),
+      withAttemptAsync(async (req, res) => {
+        const { todoID, listID, tag } = matchedData(req);
+        await res.custom.todoStore.removeTag(todoID, listID, tag, {
+          throw: true,
+        });
+        req.flash("success", `Removed tag "#${tag}".`);
+        res.redirect(`/lists/${listID}/todos/${todoID}`);
+      }),
+    ];
+  },
+
+  get editTodoForm() {
+    return [requireTodoEditor, this.renderEditTodoForm];
+  },
+
+  // eslint-disable-next-line max-lines-per-function
+  get editTodo() {
+    return [
+      createFormValidationChain("todoTitle", "Todo Title"),
+      createPriorityValidationChain("todoPriority", "Priority"),
+      createRecurrenceValidationChain("todoRecurrence", "Repeat"),
+      ifInvalid(this.reRenderEditTodoForm, { flashErrs: true }),
+      // eslint-disable-next-line max-lines-per-function
+      withAttemptAsync(async (req, res) => {
+        const {
+          todoID,
+          listID,
+          todoTitle,
+          todoPriority,
+          todoRecurrence,
+        } = matchedData(req);
+        const { todoStore, todo: currentTodo } = res.custom;
+        await todoStore.setTodoTitle(todoID, listID, todoTitle, {
+          throw: true,
+        });
+        await todoStore.setTodoPriority(
+          todoID,
+          listID,
+          todoPriority || Todo.PRIORITY_NONE,
+          { throw: true }
+        );
+        // Subtasks don't recur on their own; they're reset with their parent.
+        if (!currentTodo.parentID) {
+          await todoStore.setTodoRecurrence(
+            todoID,
+            listID,
+            todoRecurrence || null,
+            { throw: true }
+          );
+        }
+        req.flash("success", "Todo updated.");
+        res.redirect(`/lists/${listID}`);
+      }),
+    ];
+  },
+
+  renderEditTodoForm(_req, res) {
+    res.render("edit-todo", {
+      todoList: res.custom.todoList,
+      todo: res.custom.todo,
+      todoTitle: res.custom.todo.title,
+      todoPriority: res.custom.todo.priority,
+      todoRecurrence: res.custom.todo.recurrence,
+    });
+  },
+
+  reRenderTodo(req, res) {
+    res.render("todo", {
+      todoList: res.custom.todoList,
+      todo: res.custom.todo,
+      todoNotes: req.body.todoNotes ?? res.custom.todo.notes,
+      todoTag: req.body.todoTag,
+      subtaskTitle: req.body.subtaskTitle,
+    });
+  },
+
+  reRenderEditTodoForm(req, res) {
+    res.render("edit-todo", {
+      todoList: res.custom.todoList,
+      todo: res.custom.todo,
+      todoTitle: req.body.todoTitle,
+      todoPriority: req.body.todoPriority,
+      todoRecurrence: req.body.todoRecurrence,
+    });
+  },
+
+  // eslint-disable-next-line max-lines-per-function
+  get moveTodo() {
+    return [
+      body("toListID")
+        .isInt()
+        .withMessage("Choose a list to move the todo to.")
+        .bail()
+        .toInt()
+        .custom((toListID, { req }) => toListID !== Number(req.params.listID))
+        .withMessage("That todo is already in that list."),
+      ifInvalid(
+        (req, res) => res.redirect(`/lists/${req.params.listID}`),
+        { flashErrs: true }
+      ),
+      withAttemptAsync(
+        async (req, res) => {
+          const { todoID, listID, toListID } = matchedData(req);
+          const todo = await res.custom.todoStore.moveTodo(
+            todoID,
+            listID,
+            toListID,
+            { throw: true }
+          );
+          req.flash("success", `"${todo.title}" moved to ${todo.listTitle}.`);
+          res.redirect(`/lists/${listID}`);
+        },
+        {
+          expectedErrCodes: {
+            [TodoPGStore.ERROR_CODE_INVALID_LIST_ID]:
+              "Unable to move that todo. That list doesn't exist.",
+            [TodoPGStore.ERROR_CODE_LIST_PERMISSION_DENIED]:
+              "Unable to move that todo. You can only view that list.",
+          },
+          flashExpectedErrs: true,
+          redirectExpectedErrs: (req) => `/lists/${req.params.listID}`,
+        }
+      ),
+    ];
+  },
+
+  // eslint-disable-next-line max-lines-per-function
+  get toggle() {
+    return [
+      body("withSubtasks").default(false).isBoolean().toBoolean(),
+      attachRequestValidationResult({ throw: true }),
+      // eslint-disable-next-line max-lines-per-function
+      withAttemptAsync(async (req, res) => {
+        const { todoID, listID, withSubtasks } = matchedData(req);
+        const { todoStore } = res.custom;
+        const todo = await todoStore.toggleDone(todoID, listID, {
+          throw: true,
+        });
+        if (todo.completedOccurrence) {
+          req.flash(
+            "success",
+            `"${todo.title}" completed. Next due ${todo.dueDate}.`
+          );
+        } else if (todo.done && withSubtasks) {
+          await todoStore.markSubtasksDone(todoID, listID, { throw: true });
+          req.flash("success", `"${todo.title}" and its subtasks marked done.`);
+        } else if (todo.done) {
+          req.flash("success", `"${todo.title}" marked done.`);
+        } else {
+          req.flash("success", `"${todo.title}" marked not done.`);
+        }
+        res.redirect(`/lists/${listID}`);
+      }),
+    ];
+  },
+
+  removeTodo: withAttemptAsync(async (req, res) => {
+    const { todoID, listID } = matchedData(req);
+    const todo = await res.custom.todoStore.removeTodo(todoID, listID, {
+      throw: true,
+    });
+    req.flash("success", `"${todo.title}" deleted.`);
+    res.redirect(`/lists/${listID}`);
+  }),
+};
+
+/**
+ * Return the URL a share link's token shows its list at, for anyone who has
+ * it.
+ * @param {object} req the request, for its protocol and host
+ * @param {string} token the share link's token
+ * @returns {string} the shared list's URL
+ */
+function sharedListURL(req, token) {
+  return `${req.protocol}://${req.get("host")}/shared/${token}`;
+}
+
+/**
+ * Object defining share link middleware functions.
+ * Share links show a list to anyone who has one, signed in or not, so these
+ * functions use the link's list's owner's store, not `res.custom.todoStore`,
+ * and only read from it.
+ */
+const sharedLists = {
+  displayList: withAttemptAsync(async (req, res) => {
+    const shareLink = await (new AuthClient()).authenticateShareLink(
+      req.params.token
+    );
+    if (!shareLink) {
+      res.status(404).render("other-status", {
+        statusMessage: "That share link doesn't exist, or has expired.",
+      });
+      return;
+    }
+
+    const { userID, listID } = shareLink;
+    // Keep the link's token out of the Referer header of the page's requests
+    // for other sites' resources, and the page out of search engines.
+    res.set({ "Referrer-Policy": "no-referrer", "X-Robots-Tag": "noindex" });
+    res.render("shared-list", {
+      todoList: await (new TodoPGStore(userID)).sortedTodoList(listID, {
+        throw: true,
+      }),
+    });
+  }),
+};
+
+/**
+ * Object defining tag-related middleware functions.
+ * Tags group todos across all of a user's lists, so these functions don't
+ * require a `listID` path parameter.
+ */
+const tags = {
+  displayTags: withAttemptAsync(async (_req, res) => {
+    res.render("tags", {
+      tags: await res.custom.todoStore.sortedTags(),
+    });
+  }),
+
+  get displayTag() {
+    return [
+      createTagValidationChain(param, "tag", "Tag"),
+      attachRequestValidationResult({ throw: true }),
+      withAttemptAsync(async (req, res) => {
+        const { tag } = matchedData(req);
+        res.render("tag", {
+          tag,
+          todos: await res.custom.todoStore.todosTagged(tag),
+        });
+      }),
+    ];
+  },
+};
+
+/**
+ * Object defining search middleware functions.
+ * Searches cover all of a user's lists, so these functions don't require a
+ * `listID` path parameter.
+ */
+const search = {
+  reRenderSearch(req, res) {
+    const searchQuery = typeof req.query.q === "string" ? req.query.q : "";
+    res.render("search", { searchQuery, results: [] });
+  },
+
+  get displayResults() {
+    return [
+      query("q")
+        .default("")
+        .isString()
+        .withMessage("Search for one thing at a time.")
+        .bail()
+        .trim()
+        .isLength({ max: MAX_QUERY_LENGTH })
+        .withMessage(`Search for at most ${MAX_QUERY_LENGTH} characters.`),
+      ifInvalid(this.reRenderSearch, { flashErrs: true }),
+      withAttemptAsync(async (req, res) => {
+        const { q } = matchedData(req);
+        res.render("search", {
+          searchQuery: q,
+          results: q === "" ? [] : await res.custom.todoStore.search(q),
+        });
+      }),
+    ];
+  },
+};
+
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024; // 5 MiB, in bytes
+
+const exportFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 },
+}).single("exportFile");
+
+const MAX_CSV_FILE_SIZE = 1024 * 1024; // 1 MiB, in bytes
+const MAX_CSV_ROWS = 1000;
+
+// A previewed CSV file is submitted again as a text field, so the field size
+// limit matches the file size limit.
+const csvFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_CSV_FILE_SIZE,
+    fieldSize: MAX_CSV_FILE_SIZE,
+    files: 1,
+  },
+}).single("csvFile");
+
+const todoTxtFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 },
+}).single("todoTxtFile");
+
+const icsFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 },
+}).single("icsFile");
+
+/**
+ * Return middleware that handles a multer `upload`, re-rendering its form with
+ * a flash message if the upload is rejected, like for being too large.
+ * @param {Function} upload the multer middleware
+ * @param {Function} reRenderForm the middleware that re-renders the form
+ * @returns {Function} the middleware
+ */
+function handleUpload(upload, reRenderForm) {
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        req.flash("error", `Unable to upload that file: ${err.message}.`);
+        reRenderForm(req, res);
+        return;
+      }
+      next(err);
+    });
+  };
+}
+
+/**
+ * Return a flash message describing an import's `ImportSummary`.
+ * @param {object} summary the import's summary
+ * @returns {string} the message, like `"Imported 2 lists with 7 todos (1
+ * renamed). Skipped 1 list."`
+ */
+function describeImport({ added, renamed, merged, skipped, todos }) {
+  const count = (num, noun) => `${num} ${noun}${num === 1 ? "" : "s"}`;
+  const details = [];
+  if (renamed > 0) details.push(`${renamed} renamed`);
+  if (merged > 0) details.push(`${merged} merged into existing lists`);
+
+  let message =
+    `Imported ${count(added + renamed + merged, "list")} with ` +
+    count(todos, "todo");
+  if (details.length > 0) message += ` (${details.join(", ")})`;
+  message += ".";
+  if (skipped > 0) message += ` Skipped ${count(skipped, "list")}.`;
+  return message;
+}
+
+/**
+ * Check each CSV record with the same validation chains as the todo forms,
+ * sanitizing the records in place, then check the records' subtasks.
+ * @param {Array.<object>} records the records, from `csvRecord()`
+ * @returns {Promise<Array.<Array.<string>>>} a Promise, containing when
+ * fulfilled: each record's error messages
+ */
+// eslint-disable-next-line max-lines-per-function
+async function validateCSVRecords(records) {
+  const chains = [
+    createFormValidationChain("list", "List Title"),
+    createFormValidationChain("title", "Todo Title"),
+    createDueDateValidationChain("dueDate", "Due Date"),
+    createPriorityValidationChain("priority", "Priority"),
+    createTagValidationChain(body, "tags.*", "Each tag"),
+    createRecurrenceValidationChain("recurrence", "Repeats"),
+    createNotesValidationChain("notes", "Notes"),
+  ];
+  const chainErrors = [];
+  for (const record of records) {
+    const messages = [];
+    for (const chain of chains) {
+      const result = await chain.run({ body: record });
+      messages.push(...result.array().map(({ msg }) => msg));
+    }
+    chainErrors.push(messages);
+  }
+  return csvRecordErrors(records).map((messages, index) => {
+    return [...chainErrors[index], ...messages];
+  });
+}
+
+/**
+ * Object defining export and import middleware functions, for backing up and
+ * restoring all of a user's todo lists as a JSON file, for moving todos to and
+ * from spreadsheets as CSV files and other apps as todo.txt and iCalendar
+ * files, and for the calendar feed calendar apps subscribe to.
+ */
+const backup = {
+  exportLists: withAttemptAsync(async (_req, res) => {
+    // Read every list in one transaction, so the export is consistent.
+    await res.custom.beginTransaction({ readOnly: true });
+    const exported = createExport(await res.custom.todoStore.allTodoLists());
+    res
+      .attachment(`todo-lists-${exported.exportedAt.slice(0, 10)}.json`)
+      .json(exported);
+  }),
+
+  exportCSV: withAttemptAsync(async (_req, res) => {
+    await res.custom.beginTransaction({ readOnly: true });
+    const todoLists = (await res.custom.todoStore.allTodoLists())
+      .map((todoList) => new TodoList(todoList));
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`todo-lists-${date}.csv`).send(todoListsToCSV(todoLists));
+  }),
+
+  exportTodoTxt: withAttemptAsync(async (_req, res) => {
+    await res.custom.beginTransaction({ readOnly: true });
+    const todoLists = (await res.custom.todoStore.allTodoLists())
+      .map((todoList) => new TodoList(todoList));
+    res.attachment("todo.txt").send(todoListsToTodoTxt(todoLists));
+  }),
+
+  // The calendar feed. Calendar apps fetch it with a calendar token; see
+  // `authenticateCalendarToken()`. It isn't an attachment, so subscribing to
+  // it doesn't download a file.
+  exportICS: withAttemptAsync(async (_req, res) => {
+    await res.custom.beginTransaction({ readOnly: true });
+    const todoLists = (await res.custom.todoStore.allTodoLists())
+      .map((todoList) => new TodoList(todoList));
+    res.type("text/calendar").send(todoListsToICS(todoLists));
+  }),
+
+  importForm(_req, res) {
+    res.render("import", { conflictMode: IMPORT_CONFLICT_SKIP });
+  },
+
+  csvImportForm(_req, res) {
+    res.render("csv-import");
+  },
+
+  reRenderCSVImportForm(_req, res) {
+    res.render("csv-import");
+  },
+
+  // eslint-disable-next-line max-lines-per-function
+  get importCSV() {
+    return [
+      handleUpload(csvFileUpload, this.reRenderCSVImportForm),
+      body("csv")
+        .custom((csv, { req }) => req.file !== undefined || Boolean(csv))
+        .withMessage("Choose a CSV file to import.")
+        .bail()
+        .custom((csv, { req }) => {
+          const text = req.file ? req.file.buffer.toString("utf8") : csv;
+          const [header = [], ...rows] = parseCSV(text);
+          if (rows.length === 0) {
+            throw new Error("That CSV file has no rows after its header row.");
+          }
+          if (rows.length > MAX_CSV_ROWS) {
+            throw new Error(`Import at most ${MAX_CSV_ROWS} rows at a time.`);
+          }
+          req.res.custom.csvImport = { text, header, rows };
+          return true;
+        }),
+      ifInvalid(this.reRenderCSVImportForm, { flashErrs: true }),
+      withAttemptAsync(
+        (req, res) => this.previewOrImportCSV(req, res),
+        IMPORT_ATTEMPT_OPTIONS
+      ),
+    ];
+  },
+
+  /**
+   * Map an uploaded CSV file's columns to todo fields, and check its rows. If
+   * the user chose to import the file, and it has no errors, merge its todos
+   * into the lists with their list titles, adding any lists that don't exist.
+   * Otherwise, show a preview of the file's rows and errors.
+   */
+  // eslint-disable-next-line max-lines-per-function
+  async previewOrImportCSV(req, res) {
+    const { text, header, rows } = res.custom.csvImport;
+    // A newly uploaded file's columns are guessed from its header row; a
+    // previewed file's columns are the ones the user chose.
+    const columnFields = req.file
+      ? guessColumnFields(header)
+      : header.map((_heading, index) => req.body[`column${index}`] ?? "");
+    const columnErrors = columnFieldErrors(columnFields);
+    const records = rows.map((row) => csvRecord(row, columnFields));
+    const rowErrors = columnErrors.length > 0
+      ? rows.map(() => [])
+      : await validateCSVRecords(records);
+    const invalidRowCount =
+      rowErrors.filter((messages) => messages.length > 0).length;
+
+    if (
+      req.body.intent === "import" &&
+      columnErrors.length === 0 &&
+      invalidRowCount === 0
+    ) {
+      const summary = await res.custom.todoStore.importLists(
+        csvRecordsToTodoLists(records),
+        IMPORT_CONFLICT_MERGE
+      );
+      req.flash("success", describeImport(summary));
+      res.redirect("/lists");
+      return;
+    }
+
+    columnErrors.forEach((message) => req.flash("error", message));
+    if (invalidRowCount > 0) {
+      req.flash(
+        "error",
+        `${invalidRowCount} of ${rows.length} rows have errors. Fix them in ` +
+        "the file and upload it again, or choose different columns."
+      );
+    }
+    res.render("csv-import", {
+      csvFields: CSV_FIELDS,
+      csvText: text,
+      columnFields,
+      header,
+      rows,
+      rowErrors,
+    });
+  },
+
+  reRenderImportForm(req, res) {
+    res.render("import", { conflictMode: req.body.conflictMode });
+  },
+
+  // eslint-disable-next-line max-lines-per-function
+  get importLists() {
+    return [
+      handleUpload(exportFileUpload, this.reRenderImportForm),
+      body("conflictMode")
+        .isIn(IMPORT_CONFLICT_MODES)
+        .withMessage("Choose what to do with lists whose titles are in use."),
+      body("exportFile")
+        .custom((_value, { req }) => req.file !== undefined)
+        .withMessage("Choose an export file to import.")
+        .bail()
+        .custom((_value, { req }) => {
+          let exported;
+          try {
+            exported = JSON.parse(req.file.buffer.toString("utf8"));
+          } catch {
+            throw new Error("That file isn't a JSON export file.");
+          }
+          req.res.custom.importedLists = parseExport(exported);
+          return true;
+        }),
+      ifInvalid(this.reRenderImportForm, { flashErrs: true }),
+      withAttemptAsync(
+        async (req, res) => {
+          const summary = await res.custom.todoStore.importLists(
+            res.custom.importedLists,
+            matchedData(req).conflictMode
+          );
+          req.flash("success", describeImport(summary));
+          res.redirect("/lists");
+        },
+        IMPORT_ATTEMPT_OPTIONS
+      ),
+    ];
+  },
+
+  reRenderTodoTxtImportForm(req, res) {
+    res.render("import", {
+      conflictMode: IMPORT_CONFLICT_SKIP,
+      todoTxtTitle: req.body.todoTxtTitle,
+    });
+  },
+
+  // eslint-disable-next-line max-lines-per-function
+  get importTodoTxt() {
+    return [
+      handleUpload(todoTxtFileUpload, this.reRenderTodoTxtImportForm),
+      body("todoTxtTitle")
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage("Max List Title length is 100 characters."),
+      body("todoTxtFile")
+        .custom((_value, { req }) => req.file !== undefined)
+        .withMessage("Choose a todo.txt file to import.")
+        .bail()
+        .custom((_value, { req }) => {
+          req.res.custom.importedLists = parseTodoTxt(
+            req.file.buffer.toString("utf8"),
+            req.body.todoTxtTitle
+          );
+          return true;
+        }),
+      ifInvalid(this.reRenderTodoTxtImportForm, { flashErrs: true }),
+      withAttemptAsync(async (req, res) => {
+        // Like the todo.txt tools, treat each +project as a place to put its
+        // todos: add them to the list with its title, if there is one.
+        const summary = await res.custom.todoStore.importLists(
+          res.custom.importedLists,
+          IMPORT_CONFLICT_MERGE
+        );
+        req.flash("success", describeImport(summary));
+        res.redirect("/lists");
+      }, IMPORT_ATTEMPT_OPTIONS),
+    ];
+  },
+
+  reRenderICSImportForm(req, res) {
+    res.render("import", {
+      conflictMode: IMPORT_CONFLICT_SKIP,
+      icsTitle: req.body.icsTitle,
+    });
+  },
+
+  // eslint-disable-next-line max-lines-per-function
+  get importICS() {
+    return [
+      handleUpload(icsFileUpload, this.reRenderICSImportForm),
+      body("icsTitle")
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage("Max List Title length is 100 characters."),
+      body("icsFile")
+        .custom((_value, { req }) => req.file !== undefined)
+        .withMessage("Choose an iCalendar file to import.")
+        .bail()
+        .custom((_value, { req }) => {
+          req.res.custom.importedLists = parseICS(
+            req.file.buffer.toString("utf8"),
+            req.body.icsTitle
+          );
+          return true;
+        }),
+      ifInvalid(this.reRenderICSImportForm, { flashErrs: true }),
+      withAttemptAsync(async (req, res) => {
+        // Like the feed, treat each VTODO's first category as its list: add it
+        // to the list with that title, if there is one.
+        const summary = await res.custom.todoStore.importLists(
+          res.custom.importedLists,
+          IMPORT_CONFLICT_MERGE
+        );
+        req.flash("success", describeImport(summary));
+        res.redirect("/lists");
+      }, IMPORT_ATTEMPT_OPTIONS),
+    ];
+  },
+};
+
+/**
+ * JSON API helpers
+ * The JSON API mirrors the HTML routes under `/api/v1`, using the same store
+ * methods. Instead of rendering views, redirecting, and flashing messages, its
+ * middleware responds with JSON bodies and status codes.
+ */
+
+const API_ERROR_CODE_INTERNAL = "InternalError";
+const API_ERROR_CODE_INVALID_REQUEST = "InvalidRequest";
+const API_ERROR_CODE_METHOD_NOT_ALLOWED = "MethodNotAllowed";
+const API_ERROR_CODE_NOT_FOUND = "NotFound";
+const API_ERROR_CODE_UNAUTHORIZED = "Unauthorized";
+
+/**
+ * The HTTP status code to respond with for each expected store Error code.
+ * Store Errors with any other code are unexpected, and respond with a `500`.
+ */
+const API_ERROR_STATUSES = {
+  [TodoPGStore.ERROR_CODE_INVALID_CURSOR]: 400,
+  [TodoPGStore.ERROR_CODE_INVALID_LIST_ID]: 404,
+  [TodoPGStore.ERROR_CODE_INVALID_PARENT_TODO]: 400,
+  [TodoPGStore.ERROR_CODE_INVALID_TODO_ID]: 404,
+  [TodoPGStore.ERROR_CODE_INVALID_TODO_ORDER]: 409,
+  [TodoPGStore.ERROR_CODE_LIST_PERMISSION_DENIED]: 403,
+  [TodoPGStore.ERROR_CODE_NON_UNIQUE_LIST_TITLE]: 409,
+};
+
+function isAPIRequest(req) {
+  return req.originalUrl.startsWith("/api/");
+}
+
+/**
+ * Respond to an API request with a JSON error body.
+ * @param {object} res the express response object
+ * @param {number} status the HTTP status code
+ * @param {string} code a machine-readable error code: one of the store's
+ * `ERROR_CODE_*` values, or one of the `API_ERROR_CODE_*` values
+ * @param {string} message a human-readable error message
+ * @param {Array.<string>} [details] additional messages, like each of an
+ * invalid request's validation errors
+ */
+function sendAPIError(res, status, code, message, details) {
+  res.status(status).json({
+    error: details ? { code, message, details } : { code, message },
+  });
+}
+
+/**
+ * Given an Error, return the store Error it wraps, if any: the first Error in
+ * its chain of `cause`s whose own `cause` is an object with an Error `code`,
+ * as created by the todo stores.
+ * @param {Error} err the Error to inspect
+ * @returns {Error|undefined} the store Error, or `undefined` if `err` doesn't
+ * wrap one
+ */
+function findStoreError(err) {
+  for (let curErr = err; curErr instanceof Error; curErr = curErr.cause) {
+    const { cause } = curErr;
+    if (cause && !(cause instanceof Error) && typeof cause.code === "string") {
+      return curErr;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Return a todo query result in the shape the JSON API responds with: the
+ * {@link Todo#toJSON} shape, plus the todo's list and parent todo IDs.
+ * @param {object} todoQueryResult the todo, as returned by a store
+ * @returns {object} the todo's JSON API representation
+ */
+function toAPITodo(todoQueryResult) {
+  return {
+    ...(new Todo(todoQueryResult)).toJSON(),
+    listID: todoQueryResult.listID,
+    parentID: todoQueryResult.parentID ?? null,
+  };
+}
+
+/**
+ * Return a todo list query result in the shape the JSON API responds with:
+ * the {@link TodoList#toJSON} shape.
+ * @param {object} todoListQueryResult the todo list, as returned by a store
+ * @returns {object} the todo list's JSON API representation
+ */
+function toAPITodoList(todoListQueryResult) {
+  return (new TodoList(todoListQueryResult)).toJSON();
+}
+
+/**
+ * Return a todo list query result with one page of its todos in the shape the
+ * JSON API responds with: the {@link TodoList#toJSON} shape, with the whole
+ * list's todo counts and the user's role for the list, plus the page's `limit`
+ * and the next page's cursor.
+ * @param {object} todoListPage the todo list page, as returned by a store
+ * @param {number|null} limit the most todos on a page, or `null` if every todo
+ * is on one page
+ * @returns {object} the todo list page's JSON API representation
+ */
+function toAPITodoListPage(todoListPage, limit) {
+  const { length, countDone, done, role, ownerUsername, nextCursor } =
+    todoListPage;
+  return {
+    ...toAPITodoList(todoListPage),
+    length,
+    countDone,
+    done,
+    role,
+    ownerUsername,
+    limit,
+    nextCursor,
+  };
+}
+
+/**
+ * Find a todo list with the request's store, in its JSON API shape.
+ * @param {object} res the express response object
+ * @param {number} listID the list's ID
+ * @returns {Promise<object>} a Promise, containing when fulfilled: the todo
+ * list's JSON API representation
+ */
+async function findAPITodoList(res, listID) {
+  return toAPITodoList(
+    await res.custom.todoStore.findList(listID, { throw: true })
+  );
+}
+
+/**
+ * Find a todo with the request's store, in its JSON API shape.
+ * @param {object} res the express response object
+ * @param {number} todoID the todo's ID
+ * @param {number} listID the list's ID containing the todo
+ * @returns {Promise<object>} a Promise, containing when fulfilled: the todo's
+ * JSON API representation
+ */
+async function findAPITodo(res, todoID, listID) {
+  return toAPITodo(
+    await res.custom.todoStore.findTodo(todoID, listID, { throw: true })
+  );
+}
+
+/**
+ * Object defining JSON API middleware functions, for the `/api/v1` routes.
+ * Like the HTML routes, functions requiring a `listID` or `todoID` path
+ * parameter find the list or todo with the `app.param()` handlers below.
+ */
+/* eslint-disable max-lines-per-function */
+const api = {
+  get displayLists() {
+    return [
+      ...createPageValidationChains(),
+      attachRequestValidationResult({ throw: true }),
+      withAttemptAsync(async (req, res) => {
+        const { limit = null, cursor = null } = matchedData(req);
+        const { lists: todoLists, nextCursor } =
+          await res.custom.todoStore.sortedTodoLists(
+            { limit, cursor },
+            { throw: true }
+          );
+        res.json({ lists: todoLists, limit, nextCursor });
+      }),
+    ];
+  },
+
+  get newList() {
+    return [
+      createFormValidationChain("title", "Title"),
+      attachRequestValidationResult({ throw: true }),
+      withAttemptAsync(async (req, res) => {
+        const { todoStore } = res.custom;
+        const listID = await todoStore.addList(matchedData(req).title, {
+          throw: true,
+        });
+        res
+          .status(201)
+          .location(`/api/v1/lists/${listID}`)
+          .json(await findAPITodoList(res, listID));
+      }),
+    ];
+  },
+
+  get displayList() {
+    return [
+      ...createPageValidationChains(),
+      attachRequestValidationResult({ throw: true }),
+      withAttemptAsync(async (req, res) => {
+        const { listID, limit = null, cursor = null } = matchedData(req);
+        // The list found by `app.param()` already has every todo.
+        const todoList = limit === null && cursor === null
+          ? res.custom.todoList
+          : await res.custom.todoStore.sortedTodoList(
+            listID,
+            { throw: true },
+            {},
+            { limit, cursor }
+          );
+        res.json(toAPITodoListPage(todoList, limit));
+      }),
+    ];
+  },
+
+  get editList() {
+    return [
+      createFormValidationChain("title", "Title").optional(),
+      body("sortMode")
+        .optional()
+        .isIn(TodoList.SORT_MODES)
+        .withMessage(
+          `Sort mode must be one of: ${TodoList.SORT_MODES.join(", ")}.`
+        ),
+      attachRequestValidationResult({ throw: true }),
+      withAttemptAsync(async (req, res) => {
+        const { listID, title, sortMode } = matchedData(req);
+        const { todoStore } = res.custom;
+        if (title !== undefined) {
+          await todoStore.setListTitle(listID, title, { throw: true });
+        }
+        if (sortMode !== undefined) {
+          await todoStore.setListSortMode(listID, sortMode, { throw: true });
+        }
+        res.json(await findAPITodoList(res, listID));
+      }),
+    ];
+  },
+
+  removeList: withAttemptAsync(async (req, res) => {
+    await res.custom.todoStore.removeList(matchedData(req).listID, {
+      throw: true,
+    });
+    res.sendStatus(204);
+  }),
+
+  completeAll: withAttemptAsync(async (req, res) => {
+    const { listID } = matchedData(req);
+    const { todoStore } = res.custom;
+    await todoStore.markAllDone(listID, { throw: true });
+    res.json(await findAPITodoList(res, listID));
+  }),
+
+  get reorderTodos() {
+    return [
+      body("todoIDs")
+        .isArray()
+        .withMessage("Todo IDs must be an array."),
+      body("todoIDs.*")
+        .isInt()
+        .withMessage("Todo IDs are integers.")
+        .toInt(),
+      attachRequestValidationResult({ throw: true }),
+      withAttemptAsync(async (req, res) => {
+        const { listID, todoIDs } = matchedData(req);
+        const { todoStore } = res.custom;
+        await todoStore.reorderTodos(listID, todoIDs, { throw: true });
+        res.json(await findAPITodoList(res, listID));
+      }),
+    ];
+  },
+
+  get newTodo() {
+    return [
+      createFormValidationChain("title", "Title"),
+      createDueDateValidationChain("dueDate", "Due Date"),
+      createPriorityValidationChain("priority", "Priority"),
+      createNotesValidationChain("notes", "Notes"),
+      createRecurrenceValidationChain("recurrence", "Recurrence"),
+      attachRequestValidationResult({ throw: true }),
+      withAttemptAsync(async (req, res) => {
+        const {
+          listID,
+          title,
+          dueDate,
+          priority,
+          notes,
+          recurrence,
+        } = matchedData(req);
+        const { todoStore } = res.custom;
+        const todoID = await todoStore.addTodo(
+          listID,
+          { title, dueDate, priority, notes, recurrence },
+          { throw: true }
+        );
+        res
+          .status(201)
+          .location(`/api/v1/lists/${listID}/todos/${todoID}`)
+          .json(await findAPITodo(res, todoID, listID));
+      }),
+    ];
+  },
+
+  displayTodo(_req, res) {
+    res.json(toAPITodo(res.custom.todo));
+  },
+
+  get editTodo() {
+    return [
+      createFormValidationChain("title", "Title").optional(),
+      createDueDateValidationChain("dueDate", "Due Date"),
+      createPriorityValidationChain("priority", "Priority"),
+      createNotesValidationChain("notes", "Notes"),
+      createRecurrenceValidationChain("recurrence", "Recurrence")
+        .custom((_recurrence, { req }) => !req.res.custom.todo.parentID)
+        .withMessage("Subtasks can't repeat; they're reset with their todo."),
+      body("done")
+        .optional()
+        .isBoolean()
+        .withMessage("Done must be true or false.")
+        .toBoolean(true),
+      attachRequestValidationResult({ throw: true }),
+      // eslint-disable-next-line max-statements
+      withAttemptAsync(async (req, res) => {
+        // Include the optional fields the client didn't send, as `undefined`,
+        // so sent `null`s and empty strings can clear a todo's properties.
+        const data = matchedData(req, { includeOptionals: true });
+        const { todoID, listID } = data;
+        const { todoStore, todo: currentTodo } = res.custom;
+        const options = { throw: true };
+        if (data.title !== undefined) {
+          await todoStore.setTodoTitle(todoID, listID, data.title, options);
+        }
+        if (data.dueDate !== undefined) {
+          await todoStore.setTodoDueDate(
+            todoID,
+            listID,
+            data.dueDate || null,
+            options
+          );
+        }
+        if (data.priority !== undefined) {
+          await todoStore.setTodoPriority(
+            todoID,
+            listID,
+            data.priority || Todo.PRIORITY_NONE,
+            options
+          );
+        }
+        if (data.notes !== undefined) {
+          await todoStore.setTodoNotes(todoID, listID, data.notes || "", options);
+        }
+        if (data.recurrence !== undefined) {
+          await todoStore.setTodoRecurrence(
+            todoID,
+            listID,
+            data.recurrence || null,
+            options
+          );
+        }
+        if (data.done !== undefined && data.done !== currentTodo.done) {
+          // Marking a recurring todo done completes its current occurrence.
+          await todoStore.toggleDone(todoID, listID, options);
+        }
+        res.json(await findAPITodo(res, todoID, listID));
+      }),
+    ];
+  },
+
+  removeTodo: withAttemptAsync(async (req, res) => {
+    const { todoID, listID } = matchedData(req);
+    await res.custom.todoStore.removeTodo(todoID, listID, { throw: true });
+    res.sendStatus(204);
+  }),
 
-/**
- * Object defining list-related middleware functions.
- * A function is "list-related" if it requires a listID path parameter.
- */
-/* eslint-disable max-lines-per-function */
-const list = {
-  completeAll: withAttemptAsync(async (req, res) => {
-    const { listID } = matchedData(req);
-    if (await res.custom.todoStore.markAllDone(listID)) {
-      req.flash("success", "All todos marked completed.");
-    }
-    res.redirect(`/lists/${listID}`);
+  toggle: withAttemptAsync(async (req, res) => {
+    const { todoID, listID } = matchedData(req);
+    const { todoStore } = res.custom;
+    await todoStore.toggleDone(todoID, listID, { throw: true });
+    res.json(await findAPITodo(res, todoID, listID));
   }),
 
-  get editListForm() {
-    return this.renderEditListForm;
+  get moveTodo() {
+    return [
+      body("toListID")
+        .isInt()
+        .withMessage("The list ID to move the todo to must be an integer.")
+        .bail()
+        .toInt()
+        .custom((toListID, { req }) => toListID !== Number(req.params.listID))
+        .withMessage("That todo is already in that list."),
+      attachRequestValidationResult({ throw: true }),
+      withAttemptAsync(async (req, res) => {
+        const { todoID, listID, toListID } = matchedData(req);
+        const { todoStore } = res.custom;
+        await todoStore.moveTodo(todoID, listID, toListID, { throw: true });
+        res.json(await findAPITodo(res, todoID, toListID));
+      }),
+    ];
   },
 
-  get editList() {
+  get addSubtask() {
     return [
-      createFormValidationChain("todoListTitle", "List Title")
-        .isUniqueListTitle(),
-      ifInvalid(this.reRenderEditListForm, { flashErrs: true }),
+      createFormValidationChain("title", "Title"),
+      attachRequestValidationResult({ throw: true }),
       withAttemptAsync(async (req, res) => {
-        const { todoListTitle: title, listID } = matchedData(req);
-        await res.custom.todoStore.setListTitle(listID, title, { throw: true });
-        req.flash("success", "Todo List title updated.");
-        res.redirect(`/lists/${listID}`);
+        const { todoID, listID, title } = matchedData(req);
+        const { todoStore } = res.custom;
+        const subtaskID = await todoStore.addTodo(
+          listID,
+          { title, parentID: todoID },
+          { throw: true }
+        );
+        res
+          .status(201)
+          .location(`/api/v1/lists/${listID}/todos/${subtaskID}`)
+          .json(await findAPITodo(res, subtaskID, listID));
       }),
     ];
   },
 
-  get displayTodos() {
+  get addTag() {
     return [
-      (req, res, next) => {
-        // You can be redirected here from newTodo() below, if the "new todo"
-        // form input is invalid. Check the session data to pre-populate the
-        // "new todo" form with the previous invalid form input, if it exists.
-        res.custom.todoTitle = req.session.todoTitle;
-        delete req.session.todoTitle;
-        next();
-      },
-
-      (_req, res) => {
-        res.render("list", {
-          todoList: res.custom.todoList,
-          todoTitle: res.custom.todoTitle,
-        });
-      },
+      createTagValidationChain(body, "tag", "Tag"),
+      attachRequestValidationResult({ throw: true }),
+      withAttemptAsync(async (req, res) => {
+        const { todoID, listID, tag } = matchedData(req);
+        const { todoStore } = res.custom;
+        await todoStore.addTag(todoID, listID, tag, { throw: true });
+        res.json(await findAPITodo(res, todoID, listID));
+      }),
     ];
   },
 
-  get newTodo() {
+  get removeTag() {
     return [
-      createFormValidationChain("todoTitle", "Todo Title"),
+      createTagValidationChain(param, "tag", "Tag"),
+      attachRequestValidationResult({ throw: true }),
+      withAttemptAsync(async (req, res) => {
+        const { todoID, listID, tag } = matchedData(req);
+        const { todoStore } = res.custom;
+        await todoStore.removeTag(todoID, listID, tag, { throw: true });
+        res.json(await findAPITodo(res, todoID, listID));
+      }),
+    ];
+  },
 
-      ifInvalid(
-        (req, res) => {
-          req.session.todoTitle = req.body.todoTitle;
-          const data = matchedData(req);
-          res.redirect(`/lists/${data.listID}`);
-        },
-        { flashErrs: true }
-      ),
+  displayTags: withAttemptAsync(async (_req, res) => {
+    res.json({ tags: await res.custom.todoStore.sortedTags() });
+  }),
 
+  get displayTag() {
+    return [
+      createTagValidationChain(param, "tag", "Tag"),
+      attachRequestValidationResult({ throw: true }),
       withAttemptAsync(async (req, res) => {
-        const { listID, todoTitle } = matchedData(req);
-        await res.custom.todoStore.addTodo(listID, todoTitle);
-        req.flash("success", `${todoTitle} added.`);
-        res.redirect(`/lists/${listID}`);
+        const { tag } = matchedData(req);
+        const todos = await res.custom.todoStore.todosTagged(tag);
+        res.json({ tag, todos: todos.map(toAPITodo) });
       }),
     ];
   },
 
-  removeList: withAttemptAsync(
-    async (req, res) => {
-      const todoList = await res.custom.todoStore.removeList(
-        matchedData(req).listID,
-        { throw: true }
+  notFound(req, res) {
+    sendAPIError(
+      res,
+      404,
+      API_ERROR_CODE_NOT_FOUND,
+      `The route: ${req.method} ${req.path} doesn't exist`
+    );
+  },
+
+  /**
+   * Respond to an API request that raised an Error with a JSON error body.
+   * Validation Errors respond with a `400` listing each validation message.
+   * Requests for routes or methods openapi.yaml doesn't describe respond with
+   * a `404` or `405`. Expected store Errors respond with the status in
+   * `API_ERROR_STATUSES` and the store's Error code. Any other Error is
+   * unexpected, and responds with a generic `500`, including a response that
+   * doesn't match openapi.yaml.
+   */
+  // eslint-disable-next-line max-statements
+  handleError(err, req, res, next) {
+    if (res.headersSent) {
+      next(err);
+      return;
+    }
+
+    if (err instanceof OpenApiValidator.error.NotFound) {
+      sendAPIError(
+        res,
+        404,
+        API_ERROR_CODE_NOT_FOUND,
+        `The route: ${req.method} ${req.baseUrl}${req.path} doesn't exist`
       );
-      req.flash("success", `${todoList.title} deleted.`);
-      res.redirect("/lists");
-    },
-    {
-      expectedErrCodes: {
-        [TodoPGStore.ERROR_CODE_INVALID_LIST_ID]:
-          "Unable to delete that list. Are you sure it hasn't already been deleted?",
-      },
-      flashExpectedErrs: true,
+      return;
+    }
+    if (err instanceof OpenApiValidator.error.MethodNotAllowed) {
+      res.set(err.headers);
+      sendAPIError(
+        res,
+        405,
+        API_ERROR_CODE_METHOD_NOT_ALLOWED,
+        `The route: ${req.baseUrl}${req.path} doesn't allow ${req.method}`
+      );
+      return;
+    }
+    if (
+      err instanceof OpenApiValidator.error.BadRequest ||
+      err instanceof OpenApiValidator.error.UnsupportedMediaType
+    ) {
+      sendAPIError(
+        res,
+        err.status,
+        API_ERROR_CODE_INVALID_REQUEST,
+        "The request is invalid.",
+        err.errors.map(({ path: errPath, message }) => `${errPath} ${message}`)
+      );
+      return;
     }
-  ),
 
-  renderEditListForm(_req, res) {
-    res.render("edit-list", {
-      todoList: res.custom.todoList,
-      todoListTitle: res.custom.todoList.title,
-    });
-  },
+    if (typeof err.array === "function") {
+      sendAPIError(
+        res,
+        400,
+        API_ERROR_CODE_INVALID_REQUEST,
+        "The request is invalid.",
+        err.array()
+      );
+      return;
+    }
+    if (err.expose && err.status >= 400 && err.status < 500) {
+      // For example, the JSON body parser's Error for a malformed body
+      sendAPIError(
+        res,
+        err.status,
+        API_ERROR_CODE_INVALID_REQUEST,
+        err.message
+      );
+      return;
+    }
 
-  reRenderEditListForm(req, res) {
-    res.render("edit-list", {
-      todoList: res.custom.todoList,
-      todoListTitle: req.body.todoListTitle,
-    });
-  }
+    const storeErr = findStoreError(err);
+    if (storeErr && Object.hasOwn(API_ERROR_STATUSES, storeErr.cause.code)) {
+      sendAPIError(
+        res,
+        API_ERROR_STATUSES[storeErr.cause.code],
+        storeErr.cause.code,
+        storeErr.message
+      );
+      return;
+    }
+
+    console.log(err);
+    sendAPIError(
+      res,
+      500,
+      API_ERROR_CODE_INTERNAL,
+      "Oops! Something went wrong."
+    );
+  },
 };
 /* eslint-enable max-lines-per-function */
 
 /**
- * Object defining todo-related middleware functions.
- * A function is "todo-related" if it requires a `todoID` path parameter; it
- * will also require a `listID` path parameter, since `Todo`s belong to a
- * `TodoList`.
+ * Return the URL of the calendar feed a calendar token authenticates, for
+ * subscribing to in a calendar app, which can't send a header.
+ * @param {object} req the request, for its protocol and host
+ * @param {string} token the calendar token
+ * @returns {string} the feed's URL
  */
-const todo = {
-  toggle: withAttemptAsync(async (req, res) => {
-    const { todoID, listID } = matchedData(req);
-    const todo = await res.custom.todoStore.toggleDone(todoID, listID, {
-      throw: true,
-    });
-    if (todo.done) {
-      req.flash("success", `"${todo.title}" marked done.`);
-    } else {
-      req.flash("success", `"${todo.title}" marked not done.`);
-    }
-    res.redirect(`/lists/${listID}`);
-  }),
+function calendarFeedURL(req, token) {
+  const query = new URLSearchParams({ token });
+  return `${req.protocol}://${req.get("host")}/calendar.ics?${query}`;
+}
 
-  removeTodo: withAttemptAsync(async (req, res) => {
-    const { todoID, listID } = matchedData(req);
-    const todo = await res.custom.todoStore.removeTodo(todoID, listID, {
-      throw: true,
+/**
+ * Object defining API token settings middleware functions.
+ * The settings pages always use the signed-in session user: API tokens only
+ * authenticate JSON API and calendar feed requests, so a token can't manage
+ * other tokens.
+ */
+const apiTokens = {
+  displayTokens: withAttemptAsync(async (req, res) => {
+    res.render("api-tokens", {
+      apiTokens: await (new AuthClient()).apiTokens(req.session.user.userID),
     });
-    req.flash("success", `"${todo.title}" deleted.`);
-    res.redirect(`/lists/${listID}`);
   }),
+
+  // eslint-disable-next-line max-lines-per-function
+  get newToken() {
+    return [
+      createFormValidationChain("tokenName", "Token Name"),
+      body("tokenScope")
+        .isIn(API_TOKEN_SCOPES)
+        .withMessage(
+          `Token Use must be one of: ${API_TOKEN_SCOPES.join(", ")}.`
+        ),
+      ifInvalid(
+        (_req, res) => res.redirect("/settings/tokens"),
+        { flashErrs: true }
+      ),
+      // eslint-disable-next-line max-lines-per-function
+      withAttemptAsync(async (req, res) => {
+        const authClient = new AuthClient();
+        const { userID } = req.session.user;
+        const { tokenName, tokenScope } = matchedData(req);
+        const newToken = await authClient.createAPIToken(
+          userID,
+          tokenName,
+          tokenScope
+        );
+        // Render rather than redirect: this is the only time the token itself
+        // is available to show.
+        req.flash(
+          "success",
+          "Token created. Copy it now: you won't be able to see it again."
+        );
+        res.render("api-tokens", {
+          newToken,
+          calendarURL: tokenScope === API_TOKEN_SCOPE_CALENDAR
+            ? calendarFeedURL(req, newToken.token)
+            : null,
+          apiTokens: await authClient.apiTokens(userID),
+        });
+      }),
+    ];
+  },
+
+  // eslint-disable-next-line max-lines-per-function
+  get revokeToken() {
+    return [
+      createPathParamValidationChain("tokenID", "token"),
+      attachRequestValidationResult({ throw: true }),
+      withAttemptAsync(
+        async (req, res) => {
+          const apiToken = await (new AuthClient()).revokeAPIToken(
+            req.session.user.userID,
+            matchedData(req).tokenID,
+            { throw: true }
+          );
+          req.flash("success", `Token "${apiToken.name}" revoked.`);
+          res.redirect("/settings/tokens");
+        },
+        {
+          expectedErrCodes: {
+            [AuthClient.ERROR_CODE_INVALID_TOKEN_ID]:
+              "Unable to revoke that token. Has it already been revoked?",
+          },
+          flashExpectedErrs: true,
+        }
+      ),
+    ];
+  },
 };
 
 /**
  * Object defining user-related middleware functions.
  */
 const users = {
+  reRenderSignUpForm(req, res) {
+    res.render("sign-up", {
+      username: req.body.username,
+    });
+  },
+
   renderInvalidAuth(req, res) {
     req.flash("error", "Invalid credentials");
     res.render("sign-in", {
@@ -428,6 +2359,54 @@ const users = {
     ];
   },
 
+  signUpForm(req, res) {
+    if (Object.hasOwn(req.session, "user")) {
+      res.redirect("/lists");
+      return;
+    }
+    res.render("sign-up");
+  },
+
+  // eslint-disable-next-line max-lines-per-function
+  get signUp() {
+    return [
+      (req, res, next) => {
+        if (Object.hasOwn(req.session, "user")) {
+          res.redirect("/lists");
+          return;
+        }
+        next();
+      },
+
+      createFormValidationChain("username", "Username")
+        .bail()
+        .matches(/^\S+$/)
+        .withMessage("Username may not contain whitespace characters.")
+        .bail()
+        .isUniqueUsername(),
+      createPasswordValidationChain("password", "Password"),
+      body("passwordConfirm")
+        .custom((value, { req }) => value === req.body.password)
+        .withMessage("Passwords don't match."),
+      ifInvalid(this.reRenderSignUpForm, { flashErrs: true }),
+
+      withAttemptAsync(async (req, res) => {
+        const { username, password } = matchedData(req);
+        // Another sign-up can take the username after isUniqueUsername()
+        // checks it, so createUser() can still find it taken.
+        const userID = await (new AuthClient()).createUser(username, password);
+        if (userID === undefined) {
+          req.flash("error", "That username is already taken.");
+          this.reRenderSignUpForm(req, res);
+          return;
+        }
+        req.session.user = { userID, username };
+        req.flash("success", `Welcome, ${username}!`);
+        res.redirect("/lists");
+      }),
+    ];
+  },
+
   signOut(req, res) {
     req.session.destroy();
     res.redirect("/users/signin");
@@ -441,9 +2420,16 @@ const users = {
 app.set("views", "./views");
 app.set("view engine", "pug");
 
-app.use(morgan("common"));
+// Expose todo presentation helpers to all views.
+app.locals.todoDueStatus = (todoLike) => (new Todo(todoLike)).dueStatus();
+app.locals.todoPriorities = Todo.PRIORITIES;
+app.locals.renderMarkdown = renderMarkdown;
+app.locals.describeRecurrence = describeRecurrence;
+
+app.use(requestLogger());
 app.use(express.static("public"));
 app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
 app.use(session({
   cookie: {
     httpOnly: true,
@@ -459,6 +2445,7 @@ app.use(session({
 }));
 app.use(flash());
 
+// eslint-disable-next-line max-lines-per-function
 app.use((req, res, next) => {
   // The response object, `res`, only has the `locals` property built-in to hold
   // data intended for the template rendering engine. To avoid cluttering
@@ -470,7 +2457,10 @@ app.use((req, res, next) => {
     res.custom.todoStore = new TodoPGStore(req.session.user.userID);
   }
 
+  res.custom.apiTokenUser = null;
+  res.custom.importedLists = null;
   res.custom.todoList = null;
+  res.custom.todo = null;
   res.custom.requiresTransactionCommit = false;
   res.custom.beginTransaction = async function(options) {
     await this.todoStore.beginTransaction(options);
@@ -482,15 +2472,27 @@ app.use((req, res, next) => {
     }
     this.requiresTransactionCommit = false;
   };
+  res.custom.rollbackTransaction = async function() {
+    if (this.todoStore) await this.todoStore.rollbackTransaction();
+    this.requiresTransactionCommit = false;
+  };
   next();
 });
 
+// eslint-disable-next-line max-lines-per-function
 app.use((_req, res, next) => {
+  // Every database query made while handling this request, including the
+  // transaction statements issued through the `res.custom` helpers above, must
+  // run on the same database connection. Otherwise, a `BEGIN` could land on one
+  // pooled connection and the following `COMMIT` on another. The client scope
+  // binds one dedicated connection to everything executed from `next()` below,
+  // and checks it out lazily: requests that never query don't tie one up.
+  //
   // It's common for a middleware function _not_ to call next() once it's
   // finished processing the request and has sent or begun sending a response.
   // Therefore, it's difficult to define an operation you want to run after most
   // (or all) successful responses (for example, committing a database
-  // transaction).
+  // transaction, or releasing the request's database connection).
   //
   // One strategy would be forcing _all_ middleware to always call next() and
   // continue delegating to any further matched routes, including the route
@@ -507,16 +2509,45 @@ app.use((_req, res, next) => {
   // next("router") when they've successfully processed a request.
   //
   // Instead, I'll register this event handler for each request/response pair
-  // to piggyback on the response's "finish" event. You can do this because
+  // to piggyback on the response's "close" event. You can do this because
   // express's objects build upon standard Node `http` objects, which can emit
   // and respond to events:
   // https://nodejs.org/api/http.html#class-httpserverresponse
-  res.once("finish", () => {
-    if (res.custom.requiresTransactionCommit) {
-      res.custom.commitTransaction();
+  // The response emits "close" both after it finishes successfully and when the
+  // connection terminates early, so it's the one place to either commit or
+  // rollback, and then release the connection.
+  const clientScope = createClientScope();
+  let clientReleased = false;
+  // A response that stays open for a long time, like an event stream, can end
+  // its transaction and release its client early, rather than tie up a
+  // database connection until it closes.
+  res.custom.releaseClient = async function() {
+    if (clientScope.hasClient()) await this.commitTransaction();
+    await clientScope.release();
+    clientReleased = true;
+  };
+  res.once("close", () => {
+    if (clientReleased) return;
+    // A request that never queried has no transaction to end.
+    if (!clientScope.hasClient()) {
+      clientScope.release();
+      return;
     }
+    clientScope.run(async () => {
+      try {
+        if (res.writableFinished) await res.custom.commitTransaction();
+        else await res.custom.rollbackTransaction();
+        await clientScope.release();
+      } catch (err) {
+        console.log(new Error(
+          "Caught error ending the request's transaction",
+          { cause: err }
+        ));
+        await clientScope.release(err);
+      }
+    });
   });
-  next();
+  clientScope.run(next);
 });
 
 // eslint-disable-next-line max-lines-per-function
@@ -525,7 +2556,10 @@ app.param("listID", async (req, res, next) => {
 
   await withAttemptAsync(
     async (req, res, next) => {
-      const readOnly = req.method !== "POST";
+      const isReadRequest = ["GET", "HEAD"].includes(req.method);
+      // Viewing a list with view query parameters remembers the view.
+      const readOnly = isReadRequest &&
+        !VIEW_QUERY_PARAMS.some((param) => param in req.query);
       attachRequestValidationResult({ throw: true })(req);
       await res.custom.beginTransaction({ readOnly });
       res.custom.requiresTransactionCommit = true;
@@ -533,7 +2567,14 @@ app.param("listID", async (req, res, next) => {
         req.params.listID,
         { throw: true }
       );
-      next();
+
+      // A list shared with the user only lets them change what their role
+      // allows; the pages hide the rest of the list's controls.
+      const { role } = res.custom.todoList;
+      res.locals.canEditTodos = TodoList.canEditTodos(role);
+      res.locals.ownsList = role === TodoList.ROLE_OWNER;
+      if (isReadRequest) next();
+      else requireTodoEditor(req, res, next);
     },
     {
       expectedErrCodes: {
@@ -543,6 +2584,7 @@ app.param("listID", async (req, res, next) => {
   )(req, res, next);
 });
 
+// eslint-disable-next-line max-lines-per-function
 app.param("todoID", async (req, res, next) => {
   await createPathParamValidationChain("todoID", "todo").run(req);
 
@@ -550,7 +2592,22 @@ app.param("todoID", async (req, res, next) => {
     async (req, _res, next) => {
       attachRequestValidationResult({ throw: true })(req);
       const { listID, todoID } = matchedData(req);
-      await req.res.custom.todoStore.findTodo(todoID, listID, { throw: true });
+      const todo = await req.res.custom.todoStore.findTodo(
+        todoID,
+        listID,
+        { throw: true }
+      );
+      // Every route with a todo ID reads the todo, so a missing one is a 404
+      // here, the same as an invalid ID, rather than an Error in each route.
+      if (!todo) {
+        throw new Error("The given todo ID doesn't exist", {
+          cause: {
+            code: TodoPGStore.ERROR_CODE_INVALID_TODO_ID,
+            values: [todoID],
+          },
+        });
+      }
+      req.res.custom.todo = todo;
       next();
     },
     {
@@ -562,11 +2619,81 @@ app.param("todoID", async (req, res, next) => {
 });
 
 
+/**
+ * Authenticate a JSON API request with an `Authorization: Bearer <token>`
+ * header as the token's user, without a session. Requests without a bearer
+ * token, and requests outside the JSON API, continue on to `rejectUnAuth()`'s
+ * session check unchanged. Requests with an invalid or revoked token are
+ * rejected, even if they also have a signed-in session.
+ */
+// eslint-disable-next-line max-lines-per-function
+const authenticateAPIToken = withAttemptAsync(async (req, res, next) => {
+  const token = parseBearerToken(req.get("Authorization"));
+  if (token === undefined || !isAPIRequest(req)) {
+    next();
+    return;
+  }
+
+  const user = await (new AuthClient()).authenticateAPIToken(token);
+  if (!user) {
+    sendAPIError(
+      res,
+      401,
+      API_ERROR_CODE_UNAUTHORIZED,
+      "The API token is invalid or has been revoked."
+    );
+    return;
+  }
+  res.locals.user = user;
+  res.custom.apiTokenUser = user;
+  res.custom.todoStore = new TodoPGStore(user.userID);
+  next();
+});
+
+/**
+ * Authenticate a `/calendar.ics` request with a `token` query parameter as the
+ * calendar token's user, without a session, since calendar apps can't sign in.
+ * Requests without a token continue on to `rejectUnAuth()`'s session check, so
+ * signed-in users can download the feed too. Requests with an invalid or
+ * revoked token, or a token that isn't a calendar token, are rejected.
+ */
+// eslint-disable-next-line max-lines-per-function
+const authenticateCalendarToken = withAttemptAsync(async (req, res, next) => {
+  const { token } = req.query;
+  if (token === undefined) {
+    next();
+    return;
+  }
+
+  const user = await (new AuthClient()).authenticateAPIToken(
+    String(token),
+    API_TOKEN_SCOPE_CALENDAR
+  );
+  if (!user) {
+    res
+      .status(401)
+      .type("text/plain")
+      .send("The calendar token is invalid or has been revoked.");
+    return;
+  }
+  res.locals.user = user;
+  res.custom.apiTokenUser = user;
+  res.custom.todoStore = new TodoPGStore(user.userID);
+  next("router");
+});
+
 function rejectUnAuth(req, res, next) {
-  if (!Object.hasOwn(req.session, "user")) {
-    res.redirect("/users/signin");
-  } else {
+  if (Object.hasOwn(req.session, "user") || res.custom.apiTokenUser) {
     next();
+  } else if (isAPIRequest(req)) {
+    sendAPIError(
+      res,
+      401,
+      API_ERROR_CODE_UNAUTHORIZED,
+      "Sign in, or send an API token, to use the API."
+    );
+  } else {
+    res.redirect("/users/signin");
   }
 }
 
@@ -586,10 +2713,25 @@ const authRouter = express.Router();
 // Below are the whitelisted routes the authRouter allows when a user is signed
 // out. Any other requests will trigger the final authRouter.use() middleware.
 authRouter.route("/users/signin").get(allowSignedOut).post(allowSignedOut);
+authRouter.route("/users/signup").get(allowSignedOut).post(allowSignedOut);
+authRouter.route("/calendar.ics").get(authenticateCalendarToken);
+authRouter.route("/shared/:token").get(allowSignedOut);
+authRouter.use(authenticateAPIToken);
 authRouter.use(rejectUnAuth);
 
 app.use("/", authRouter);
 
+// Validate JSON API requests, and the responses to them, against the API's
+// OpenAPI document. Authentication happens above, in the authRouter, and each
+// route's own validation chains still check what the document can't express,
+// like unique list titles.
+app.use(OpenApiValidator.middleware({
+  apiSpec: path.join(__dirname, "openapi.yaml"),
+  validateRequests: true,
+  validateResponses: true,
+  validateSecurity: false,
+}));
+
 app.map({
   "/": {
     get: (_req, res) => {
@@ -602,8 +2744,17 @@ app.map({
     "/new": {
       get: lists.newListForm,
     },
+    "/checklist": {
+      post: lists.newListsFromChecklist,
+    },
     "/:listID": {
       get: list.displayTodos,
+      "/export.csv": {
+        get: list.exportCSV,
+      },
+      "/export.md": {
+        get: list.exportMarkdown,
+      },
       "/complete_all": {
         post: list.completeAll,
       },
@@ -614,19 +2765,108 @@ app.map({
         get: list.editListForm,
         post: list.editList,
       },
+      "/events": {
+        get: list.streamEvents,
+      },
+      "/links": {
+        post: list.newShareLink,
+        "/:linkID/destroy": {
+          post: list.removeShareLink,
+        },
+      },
+      "/members": {
+        post: list.shareList,
+        "/:username/destroy": {
+          post: list.unshareList,
+        },
+      },
+      "/reorder": {
+        post: list.reorderTodos,
+      },
+      "/sort": {
+        post: list.setSortMode,
+      },
       "/todos": {
         post: list.newTodo,
         "/:todoID": {
+          get: todo.displayTodo,
+          post: todo.editNotes,
           "/toggle": {
             post: todo.toggle,
           },
           "/destroy": {
             post: todo.removeTodo,
           },
+          "/move": {
+            post: todo.moveTodo,
+          },
+          "/edit": {
+            get: todo.editTodoForm,
+            post: todo.editTodo,
+          },
+          "/subtasks": {
+            post: todo.addSubtask,
+          },
+          "/tags": {
+            post: todo.addTag,
+            "/:tag/destroy": {
+              post: todo.removeTag,
+            },
+          },
         },
       },
     },
   },
+  "/search": {
+    get: search.displayResults,
+  },
+  "/shared": {
+    "/:token": {
+      get: sharedLists.displayList,
+    },
+  },
+  "/tags": {
+    get: tags.displayTags,
+    "/:tag": {
+      get: tags.displayTag,
+    },
+  },
+  [API_BASE_PATH]: apiRouteMap(api),
+  "/export": {
+    get: backup.exportLists,
+    "/todo.txt": {
+      get: backup.exportTodoTxt,
+    },
+  },
+  "/export.csv": {
+    get: backup.exportCSV,
+  },
+  "/calendar.ics": {
+    get: backup.exportICS,
+  },
+  "/import": {
+    get: backup.importForm,
+    post: backup.importLists,
+    "/csv": {
+      get: backup.csvImportForm,
+      post: backup.importCSV,
+    },
+    "/todo.txt": {
+      post: backup.importTodoTxt,
+    },
+    "/calendar.ics": {
+      post: backup.importICS,
+    },
+  },
+  "/settings": {
+    "/tokens": {
+      get: apiTokens.displayTokens,
+      post: apiTokens.newToken,
+      "/:tokenID/destroy": {
+        post: apiTokens.revokeToken,
+      },
+    },
+  },
   "/users": {
     "/signin": {
       get: users.signInForm,
@@ -635,9 +2875,16 @@ app.map({
     "/signout": {
       post: users.signOut,
     },
+    "/signup": {
+      get: users.signUpForm,
+      post: users.signUp,
+    },
   },
 });
 
+// Respond to unused API methods and paths with a JSON error, not a page
+app.all("/api/*", api.notFound);
+
 // Register final error-generating middleware for all unused methods and paths
 app.all("*", (_req, res, next) => {
   if (!res.headersSent) {
@@ -647,7 +2894,7 @@ app.all("*", (_req, res, next) => {
 
 app.use(async (err, _req, res, next) => {
   try {
-    await res.custom.todoStore.rollbackTransaction();
+    await res.custom.rollbackTransaction();
   } catch (newErr) {
     console.log(new Error(
       "Caught new error attempting to rollback transaction",
@@ -657,6 +2904,8 @@ app.use(async (err, _req, res, next) => {
   next(err);
 });
 
+app.use("/api", api.handleError);
+
 app.use((err, _req, res, _next) => {
   console.log(err);
   res
@@ -664,6 +2913,16 @@ app.use((err, _req, res, _next) => {
     .render("other-status", { statusMessage: "Oops! Something went wrong." });
 });
 
-app.listen(PORT, HOST, () => {
-  console.log(`Todos server listening on ${HOST}:${PORT}...`);
-});
+// Only start the server when run as a script, so tests can load the app and
+// start their own.
+if (require.main === module) {
+  // With more than one instance of the app, share each list's events between
+  // them through PostgreSQL notifications: see list-events.js.
+  if (LIST_EVENTS_BACKEND === "postgres") listEvents.useNotifications();
+
+  app.listen(PORT, HOST, () => {
+    console.log(`Todos server listening on ${HOST}:${PORT}...`);
+  });
+}
+
+module.exports = app;